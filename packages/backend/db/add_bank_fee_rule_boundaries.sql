@@ -0,0 +1,44 @@
+-- Migration: Word boundaries for the seeded bank fee patterns
+-- Description: The original patterns matched inside longer words ("NSF" in "TRANSFER"), so every
+-- e-Transfer was reported as an NSF fee. Seeded rows still on their original pattern are replaced
+-- with the anchored one below, keeping any edits to priority, description or enabled. Rules that
+-- were deleted or given a new pattern are left alone.
+
+WITH anchored (institution, fee_type, pattern, anchored_pattern) AS (
+    VALUES
+        ('ANY', 'nsf', 'NSF|NON-SUFFICIENT FUNDS|RETURNED ITEM FEE', '\b(NSF|NON-SUFFICIENT FUNDS|RETURNED ITEM FEE)\b'),
+        ('ANY', 'overdraft', 'OVERDRAFT|O/D (FEE|INTEREST|HANDLING)|OD HANDLING', '\b(OVERDRAFT|O/D (FEE|INTEREST|HANDLING)|OD HANDLING)\b'),
+        ('ANY', 'monthly_plan', 'MONTHLY (PLAN|ACCOUNT|PACKAGE) FEE|MONTHLY FEES?$|PLAN FEE', '\b(MONTHLY (PLAN|ACCOUNT|PACKAGE) FEE|MONTHLY FEES?$|PLAN FEE)\b'),
+        ('ANY', 'fx', 'FOREIGN (TRANSACTION|EXCHANGE|CURRENCY) FEE|FX FEE|INTL TRANSACTION FEE|CROSS-BORDER FEE', '\b(FOREIGN (TRANSACTION|EXCHANGE|CURRENCY) FEE|FX FEE|INTL TRANSACTION FEE|CROSS-BORDER FEE)\b'),
+        ('ANY', 'atm', 'ATM FEE|ABM FEE|NETWORK TRANSACTION FEE|INTERAC ATM FEE|NON-?NETWORK (ATM|ABM)', '\b(ATM FEE|ABM FEE|NETWORK TRANSACTION FEE|INTERAC ATM FEE|NON-?NETWORK (ATM|ABM))\b'),
+        ('ANY', 'etransfer', 'E-?TRANSFER FEE|INTERAC E-?TRANSFER (SVC|SERVICE) (FEE|CHG)|EMT FEE', '\b(E-?TRANSFER FEE|INTERAC E-?TRANSFER (SVC|SERVICE) (FEE|CHG)|EMT FEE)\b'),
+        ('ANY', 'account_maintenance', 'SERVICE CHARGE|ACCOUNT FEE|MAINTENANCE FEE|PAPER STATEMENT FEE|NON-TRADING FEE|INACTIVE ACCOUNT FEE|RECORD KEEPING FEE', '\b(SERVICE CHARGE|ACCOUNT FEE|MAINTENANCE FEE|PAPER STATEMENT FEE|NON-TRADING FEE|INACTIVE ACCOUNT FEE|RECORD KEEPING FEE)\b'),
+        ('RBC', 'monthly_plan', 'ACCOUNT PACKAGE FEE|VIP BANKING FEE', '\b(ACCOUNT PACKAGE FEE|VIP BANKING FEE)\b'),
+        ('RBC', 'overdraft', 'OVERDRAFT HANDLING CHG|OVERDRAFT INTEREST', '\b(OVERDRAFT HANDLING CHG|OVERDRAFT INTEREST)\b'),
+        ('RBC', 'etransfer', 'INTERAC E-TRF FEE', '\bINTERAC E-TRF FEE\b'),
+        ('TD', 'monthly_plan', 'TD (EVERY DAY|UNLIMITED|ALL-INCLUSIVE) PLAN FEE|MONTHLY ACCOUNT FEE', '\b(TD (EVERY DAY|UNLIMITED|ALL-INCLUSIVE) PLAN FEE|MONTHLY ACCOUNT FEE)\b'),
+        ('TD', 'overdraft', 'ODP FEE|OVERDRAFT PROTECTION FEE|OD INTEREST', '\b(ODP FEE|OVERDRAFT PROTECTION FEE|OD INTEREST)\b'),
+        ('TD', 'nsf', 'NSF SERVICE CHARGE', '\bNSF SERVICE CHARGE\b'),
+        ('Scotiabank', 'monthly_plan', 'MONTHLY FEES|(PREFERRED|ULTIMATE|BASIC) PACKAGE FEE', '\b(MONTHLY FEES|(PREFERRED|ULTIMATE|BASIC) PACKAGE FEE)\b'),
+        ('Scotiabank', 'overdraft', 'OVERDRAFT PROTECTION FEE|OD PROTECTION', '\b(OVERDRAFT PROTECTION FEE|OD PROTECTION)\b'),
+        ('BMO', 'monthly_plan', '(PERFORMANCE|PLUS|PREMIUM|PRACTICAL) PLAN FEE', '\b((PERFORMANCE|PLUS|PREMIUM|PRACTICAL) PLAN FEE)\b'),
+        ('BMO', 'nsf', 'NSF CHARGE|ITEM RETURNED NSF', '\b(NSF CHARGE|ITEM RETURNED NSF)\b'),
+        ('CIBC', 'monthly_plan', '(SMART|EVERYDAY|UNLIMITED) ACCOUNT FEE|CIBC.*MONTHLY FEE', '\b((SMART|EVERYDAY|UNLIMITED) ACCOUNT FEE|CIBC.*MONTHLY FEE)\b'),
+        ('CIBC', 'overdraft', 'OVERDRAFT HANDLING FEE|OVERDRAFT SERVICE FEE', '\b(OVERDRAFT HANDLING FEE|OVERDRAFT SERVICE FEE)\b'),
+        ('Tangerine', 'nsf', 'NSF FEE|RETURNED PAYMENT FEE', '\b(NSF FEE|RETURNED PAYMENT FEE)\b'),
+        ('Tangerine', 'fx', 'FOREIGN CURRENCY CONVERSION', '\bFOREIGN CURRENCY CONVERSION\b'),
+        ('Desjardins', 'monthly_plan', 'FRAIS MENSUELS|FORFAIT MENSUEL', '\b(FRAIS MENSUELS|FORFAIT MENSUEL)\b'),
+        ('Desjardins', 'nsf', 'FRAIS NSF|PROVISION INSUFFISANTE', '\b(FRAIS NSF|PROVISION INSUFFISANTE)\b'),
+        ('Desjardins', 'fx', 'FRAIS DE CHANGE|FRAIS CONVERSION', '\b(FRAIS DE CHANGE|FRAIS CONVERSION)\b'),
+        ('National Bank', 'monthly_plan', 'FRAIS MENSUELS FORFAIT|FORFAIT BANCAIRE', '\b(FRAIS MENSUELS FORFAIT|FORFAIT BANCAIRE)\b'),
+        ('National Bank', 'atm', 'FRAIS GAB|FRAIS GUICHET', '\b(FRAIS GAB|FRAIS GUICHET)\b')
+),
+replaced AS (
+    DELETE FROM bank_fee_rules r
+    USING anchored a
+    WHERE r.institution = a.institution AND r.fee_type = a.fee_type AND r.pattern = a.pattern
+    RETURNING r.institution, r.fee_type, a.anchored_pattern, r.description, r.priority, r.enabled
+)
+INSERT INTO bank_fee_rules (institution, fee_type, pattern, description, priority, enabled)
+SELECT institution, fee_type, anchored_pattern, description, priority, enabled FROM replaced
+ON CONFLICT (institution, fee_type, pattern) DO NOTHING;
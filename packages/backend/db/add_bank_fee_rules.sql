@@ -0,0 +1,53 @@
+-- Migration: Bank fee rule catalogue
+-- Description: Data-driven fee patterns used by the watchdog to find bank fees in transactions.
+-- Rows can be added, edited or disabled directly in the database; the backend reloads them periodically.
+
+CREATE TABLE IF NOT EXISTS bank_fee_rules (
+    id SERIAL PRIMARY KEY,
+    institution VARCHAR(100) NOT NULL DEFAULT 'ANY',   -- 'ANY' applies to every institution
+    fee_type VARCHAR(30) NOT NULL
+        CHECK (fee_type IN ('nsf', 'overdraft', 'monthly_plan', 'fx', 'atm', 'etransfer', 'account_maintenance')),
+    pattern TEXT NOT NULL,                             -- Case-insensitive regular expression matched against the transaction name
+    description VARCHAR(255),
+    priority INTEGER DEFAULT 100,                      -- Lower runs first; institution-specific rules win ties
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(institution, fee_type, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_fee_rules_enabled ON bank_fee_rules(enabled);
+
+-- Seed catalogue (generic rules first, then institution-specific wording)
+INSERT INTO bank_fee_rules (institution, fee_type, pattern, description, priority) VALUES
+    ('ANY', 'nsf', 'NSF|NON-SUFFICIENT FUNDS|RETURNED ITEM FEE', 'Non-sufficient funds / returned item', 100),
+    ('ANY', 'overdraft', 'OVERDRAFT|O/D (FEE|INTEREST|HANDLING)|OD HANDLING', 'Overdraft fee or interest', 100),
+    ('ANY', 'monthly_plan', 'MONTHLY (PLAN|ACCOUNT|PACKAGE) FEE|MONTHLY FEES?$|PLAN FEE', 'Monthly banking plan fee', 100),
+    ('ANY', 'fx', 'FOREIGN (TRANSACTION|EXCHANGE|CURRENCY) FEE|FX FEE|INTL TRANSACTION FEE|CROSS-BORDER FEE', 'Foreign exchange / cross-border fee', 100),
+    ('ANY', 'atm', 'ATM FEE|ABM FEE|NETWORK TRANSACTION FEE|INTERAC ATM FEE|NON-?NETWORK (ATM|ABM)', 'ATM / network withdrawal fee', 100),
+    ('ANY', 'etransfer', 'E-?TRANSFER FEE|INTERAC E-?TRANSFER (SVC|SERVICE) (FEE|CHG)|EMT FEE', 'Interac e-Transfer fee', 100),
+    ('ANY', 'account_maintenance', 'SERVICE CHARGE|ACCOUNT FEE|MAINTENANCE FEE|PAPER STATEMENT FEE|NON-TRADING FEE|INACTIVE ACCOUNT FEE|RECORD KEEPING FEE', 'Account maintenance / service charge', 110),
+
+    ('RBC', 'monthly_plan', 'ACCOUNT PACKAGE FEE|VIP BANKING FEE', 'RBC banking package fee', 50),
+    ('RBC', 'overdraft', 'OVERDRAFT HANDLING CHG|OVERDRAFT INTEREST', 'RBC overdraft handling', 50),
+    ('RBC', 'etransfer', 'INTERAC E-TRF FEE', 'RBC e-Transfer fee', 50),
+    ('TD', 'monthly_plan', 'TD (EVERY DAY|UNLIMITED|ALL-INCLUSIVE) PLAN FEE|MONTHLY ACCOUNT FEE', 'TD chequing plan fee', 50),
+    ('TD', 'overdraft', 'ODP FEE|OVERDRAFT PROTECTION FEE|OD INTEREST', 'TD overdraft protection', 50),
+    ('TD', 'nsf', 'NSF SERVICE CHARGE', 'TD NSF charge', 50),
+    ('Scotiabank', 'monthly_plan', 'MONTHLY FEES|(PREFERRED|ULTIMATE|BASIC) PACKAGE FEE', 'Scotiabank package fee', 50),
+    ('Scotiabank', 'overdraft', 'OVERDRAFT PROTECTION FEE|OD PROTECTION', 'Scotiabank overdraft protection', 50),
+    ('BMO', 'monthly_plan', '(PERFORMANCE|PLUS|PREMIUM|PRACTICAL) PLAN FEE', 'BMO chequing plan fee', 50),
+    ('BMO', 'nsf', 'NSF CHARGE|ITEM RETURNED NSF', 'BMO NSF charge', 50),
+    ('CIBC', 'monthly_plan', '(SMART|EVERYDAY|UNLIMITED) ACCOUNT FEE|CIBC.*MONTHLY FEE', 'CIBC account fee', 50),
+    ('CIBC', 'overdraft', 'OVERDRAFT HANDLING FEE|OVERDRAFT SERVICE FEE', 'CIBC overdraft handling', 50),
+    ('Tangerine', 'nsf', 'NSF FEE|RETURNED PAYMENT FEE', 'Tangerine NSF fee', 50),
+    ('Tangerine', 'fx', 'FOREIGN CURRENCY CONVERSION', 'Tangerine currency conversion', 50),
+    ('Desjardins', 'monthly_plan', 'FRAIS MENSUELS|FORFAIT MENSUEL', 'Desjardins forfait mensuel', 50),
+    ('Desjardins', 'nsf', 'FRAIS NSF|PROVISION INSUFFISANTE', 'Desjardins provision insuffisante', 50),
+    ('Desjardins', 'fx', 'FRAIS DE CHANGE|FRAIS CONVERSION', 'Desjardins frais de change', 50),
+    ('National Bank', 'monthly_plan', 'FRAIS MENSUELS FORFAIT|FORFAIT BANCAIRE', 'National Bank forfait', 50),
+    ('National Bank', 'atm', 'FRAIS GAB|FRAIS GUICHET', 'National Bank ATM fee', 50)
+ON CONFLICT (institution, fee_type, pattern) DO NOTHING;
+
+COMMENT ON TABLE bank_fee_rules IS 'Editable catalogue of bank fee patterns used by the watchdog fee analysis';
+COMMENT ON COLUMN bank_fee_rules.pattern IS 'JavaScript-compatible regular expression, matched case-insensitively';
@@ -0,0 +1,8 @@
+-- Migration: Bank data providers per item
+-- Description: Records which aggregator (Plaid or Flinks) each linked item comes from, so
+-- Canadian institutions Plaid covers poorly can be linked through Flinks instead.
+
+ALTER TABLE plaid_items ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'plaid'
+    CHECK (provider IN ('plaid', 'flinks'));
+
+COMMENT ON COLUMN plaid_items.provider IS 'Bank data provider the item was linked through (plaid, flinks)';
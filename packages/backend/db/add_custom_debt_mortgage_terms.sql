@@ -0,0 +1,14 @@
+-- Migration: Custom Debt Mortgage Terms
+-- Description: Compounding, payment frequency and renewal date for mortgages entered by hand,
+-- which Plaid reports for linked mortgages. Left NULL, the calculator assumes its defaults
+-- (semi-annual compounding for CAD fixed rates, monthly payments, renewal from the term).
+
+ALTER TABLE custom_debts ADD COLUMN IF NOT EXISTS compounding VARCHAR(20)
+    CHECK (compounding IN ('monthly', 'semi_annual'));
+ALTER TABLE custom_debts ADD COLUMN IF NOT EXISTS payment_frequency VARCHAR(30)
+    CHECK (payment_frequency IN ('monthly', 'semi_monthly', 'biweekly', 'accelerated_biweekly', 'weekly', 'accelerated_weekly'));
+ALTER TABLE custom_debts ADD COLUMN IF NOT EXISTS renewal_date DATE;
+
+COMMENT ON COLUMN custom_debts.compounding IS 'Mortgage interest compounding: monthly or semi_annual';
+COMMENT ON COLUMN custom_debts.payment_frequency IS 'Mortgage payment frequency; min_payment is the monthly equivalent';
+COMMENT ON COLUMN custom_debts.renewal_date IS 'End of the current mortgage term';
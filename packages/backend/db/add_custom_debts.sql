@@ -6,7 +6,7 @@ CREATE TABLE IF NOT EXISTS custom_debts (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(255) NOT NULL,
-    debt_type VARCHAR(50) DEFAULT 'other', -- 'credit_card', 'line_of_credit', 'personal_loan', 'student_loan', 'other'
+    debt_type VARCHAR(50) DEFAULT 'other', -- 'credit_card', 'line_of_credit', 'personal_loan', 'student_loan', 'mortgage', 'other'
     balance DECIMAL(15, 2) NOT NULL,
     apr DECIMAL(5, 2) NOT NULL DEFAULT 15.00,
     min_payment DECIMAL(15, 2) DEFAULT 0,
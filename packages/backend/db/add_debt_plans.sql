@@ -0,0 +1,42 @@
+-- Migration: Debt Payoff Plans
+-- Description: Payoff plans the user commits to (strategy, extra payment, start month) with the debts
+-- as they stood when the plan was saved, and the monthly payments marked done against each plan.
+
+CREATE TABLE IF NOT EXISTS debt_plans (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    strategy VARCHAR(50) NOT NULL,
+    extra_payment DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    start_month VARCHAR(7) NOT NULL,             -- YYYY-MM of the first planned payment
+    payment_day INTEGER NOT NULL DEFAULT 1 CHECK (payment_day BETWEEN 1 AND 28),
+    options JSONB NOT NULL DEFAULT '{}',         -- payoff_order, hybrid_threshold, snowflakes, snowflake_base
+    debts JSONB NOT NULL,                        -- calculator inputs the schedule is built from
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    calendar_token VARCHAR(64) NOT NULL UNIQUE,  -- secret for the iCalendar feed URL
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one active plan per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_debt_plans_active ON debt_plans(user_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS debt_plan_payments (
+    id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES debt_plans(id) ON DELETE CASCADE,
+    month VARCHAR(7) NOT NULL,                   -- YYYY-MM
+    debt_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL,                 -- done, not_done (stops auto-matching)
+    source VARCHAR(20) NOT NULL DEFAULT 'user',  -- user, auto
+    transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+    paid_amount DECIMAL(15, 2),
+    paid_on DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(plan_id, month, debt_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_debt_plan_payments_plan ON debt_plan_payments(plan_id, month);
+
+COMMENT ON TABLE debt_plans IS 'Saved debt payoff plans; the checklist and calendar are generated from their schedule';
+COMMENT ON TABLE debt_plan_payments IS 'Planned monthly payments marked done by the user or matched to a transaction';
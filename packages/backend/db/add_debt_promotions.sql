@@ -0,0 +1,12 @@
+-- Migration: Debt Promotions
+-- Description: Promotional rate periods on custom debts (e.g. 0% for 12 months on a balance
+-- transfer, then the regular APR) and deferred-interest plans, where interest accrues during
+-- the promo and is charged if the balance isn't paid in full by the end date.
+
+ALTER TABLE custom_debts ADD COLUMN IF NOT EXISTS promo_apr DECIMAL(5, 2);
+ALTER TABLE custom_debts ADD COLUMN IF NOT EXISTS promo_end_date DATE;
+ALTER TABLE custom_debts ADD COLUMN IF NOT EXISTS deferred_interest BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN custom_debts.promo_apr IS 'Promotional APR, applies through promo_end_date; apr applies after';
+COMMENT ON COLUMN custom_debts.promo_end_date IS 'Last day of the promotional rate period';
+COMMENT ON COLUMN custom_debts.deferred_interest IS 'Interest accrues at apr during the promo and is charged if a balance remains at the end';
@@ -0,0 +1,8 @@
+-- Migration: Mortgage terms on debt snapshots
+-- Description: Compounding, payment frequency, renewal date, rate type, currency and the monthly
+-- payment before acceleration, so the trajectory planned from a snapshot uses the mortgage's real
+-- rate and payment instead of the calculator's defaults.
+
+ALTER TABLE debt_snapshots ADD COLUMN IF NOT EXISTS mortgage_terms JSONB;
+
+COMMENT ON COLUMN debt_snapshots.mortgage_terms IS 'Mortgage terms as listed by the debt calculator (NULL for other debts)';
@@ -0,0 +1,39 @@
+-- Migration: Debt Snapshots
+-- Description: Daily per-debt balance, APR and minimum payment, recorded whenever the debt overview
+-- is computed, so progress can be shown over time; plus the milestones reached along the way.
+
+-- debt_id is the calculator's id: the Plaid account_id, or custom_<id> for custom debts
+CREATE TABLE IF NOT EXISTS debt_snapshots (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    debt_id VARCHAR(255) NOT NULL,
+    snapshot_date DATE NOT NULL,
+    name VARCHAR(255),
+    debt_type VARCHAR(50),
+    balance DECIMAL(15, 2) NOT NULL,
+    apr DECIMAL(5, 2),
+    min_payment DECIMAL(15, 2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, debt_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_debt_snapshots_user_date ON debt_snapshots(user_id, snapshot_date);
+
+-- One row per debt per milestone, kept the first time it's reached
+CREATE TABLE IF NOT EXISTS debt_milestones (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    debt_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    milestone VARCHAR(20) NOT NULL,              -- paid_25, paid_50, paid_75, paid_off
+    reached_on DATE NOT NULL,
+    start_balance DECIMAL(15, 2),
+    balance DECIMAL(15, 2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, debt_id, milestone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_debt_milestones_user ON debt_milestones(user_id, reached_on DESC);
+
+COMMENT ON TABLE debt_snapshots IS 'Per-debt balance history; one row per debt per day, latest value of the day wins';
+COMMENT ON TABLE debt_milestones IS 'Debt payoff milestones (25/50/75% paid down from the first snapshot, paid off)';
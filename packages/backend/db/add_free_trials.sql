@@ -0,0 +1,41 @@
+-- Migration: Free-trial conversion tracking
+-- Description: Tracks free trials (registered by the user or detected from $0/$1 authorizations)
+-- so the watchdog can warn before the first full charge and mark them converted once it posts
+
+CREATE TABLE IF NOT EXISTS free_trials (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    merchant_key VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'detected'
+        CHECK (source IN ('detected', 'manual')),
+
+    -- Trial start
+    trial_transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+    trial_amount DECIMAL(15, 2) DEFAULT 0,
+    started_on DATE NOT NULL,
+
+    -- Expected first full charge
+    conversion_date DATE NOT NULL,
+    expected_amount DECIMAL(15, 2),
+
+    -- Actual first full charge
+    converted_transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+    converted_amount DECIMAL(15, 2),
+    converted_on DATE,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'trialing'
+        CHECK (status IN ('trialing', 'converted', 'cancelled', 'dismissed')),
+    status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, merchant_key, started_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_free_trials_user_status ON free_trials(user_id, status);
+
+COMMENT ON TABLE free_trials IS 'Free trials tracked by the watchdog until they convert to a paid subscription';
+COMMENT ON COLUMN free_trials.trial_amount IS 'Authorization amount that started the trial (usually $0 or $1)';
+COMMENT ON COLUMN free_trials.expected_amount IS 'Expected first full charge, NULL when unknown';
@@ -0,0 +1,62 @@
+-- Migration: Investments
+-- Description: Holdings, securities and investment transactions from the Plaid investments product,
+-- so brokerage/TFSA/RRSP accounts are valued from their actual positions.
+
+-- Securities are shared across users (Plaid security_id)
+CREATE TABLE IF NOT EXISTS securities (
+    id SERIAL PRIMARY KEY,
+    security_id VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    ticker_symbol VARCHAR(50),
+    type VARCHAR(50),                           -- equity, etf, mutual fund, fixed income, cash, cryptocurrency, ...
+    close_price DECIMAL(20, 6),
+    close_price_as_of DATE,
+    iso_currency_code VARCHAR(10),
+    is_cash_equivalent BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Current positions, replaced on every holdings sync
+CREATE TABLE IF NOT EXISTS investment_holdings (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    security_id VARCHAR(255) NOT NULL,
+    quantity DECIMAL(24, 8) NOT NULL,
+    institution_price DECIMAL(20, 6),
+    institution_price_as_of DATE,
+    institution_value DECIMAL(15, 2),
+    cost_basis DECIMAL(15, 2),                  -- Total cost of the position (NULL when the institution doesn't report it)
+    iso_currency_code VARCHAR(10) DEFAULT 'CAD',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(account_id, security_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_investment_holdings_user ON investment_holdings(user_id);
+
+CREATE TABLE IF NOT EXISTS investment_transactions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+    plaid_investment_transaction_id VARCHAR(255) NOT NULL,
+    security_id VARCHAR(255),
+    date DATE NOT NULL,
+    name VARCHAR(255),
+    type VARCHAR(30),                           -- buy, sell, cash, fee, transfer, cancel
+    subtype VARCHAR(50),                        -- dividend, contribution, ...
+    quantity DECIMAL(24, 8),
+    price DECIMAL(20, 6),
+    amount DECIMAL(15, 2),                      -- Positive = money out of the account (Plaid convention)
+    fees DECIMAL(15, 2),
+    iso_currency_code VARCHAR(10) DEFAULT 'CAD',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, plaid_investment_transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_investment_transactions_user_date ON investment_transactions(user_id, date DESC);
+
+ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS last_investment_sync TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON TABLE investment_holdings IS 'Investment positions per account from the Plaid investments product';
+COMMENT ON TABLE investment_transactions IS 'Buys, sells, dividends, contributions and fees in investment accounts';
+COMMENT ON COLUMN sync_log.last_investment_sync IS 'Last holdings/investment transactions sync';
@@ -0,0 +1,29 @@
+-- Migration: Manual accounts and assets
+-- Description: User-maintained accounts and assets (cash, vehicle, property, pension, crypto wallet)
+-- with a history of user-entered balances. They live in the accounts table with is_manual = TRUE.
+
+CREATE TABLE IF NOT EXISTS account_balance_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    balance DECIMAL(15, 2) NOT NULL,
+    recorded_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    note VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- One balance per account per day; a second entry the same day replaces the first
+    UNIQUE(account_id, recorded_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_balance_history_user ON account_balance_history(user_id, recorded_on);
+
+-- Seed history for manual accounts created by statement imports
+INSERT INTO account_balance_history (user_id, account_id, balance, recorded_on)
+SELECT user_id, id, current_balance, updated_at::date
+FROM accounts
+WHERE is_manual AND current_balance IS NOT NULL
+ON CONFLICT (account_id, recorded_on) DO NOTHING;
+
+COMMENT ON TABLE account_balance_history IS 'User-entered balances for manual accounts and assets over time';
+COMMENT ON COLUMN account_balance_history.recorded_on IS 'Date the balance applies to (can be back-dated)';
@@ -0,0 +1,17 @@
+-- Migration: Pending-to-posted reconciliation
+-- Description: When a pending transaction posts, Plaid sends a new transaction with
+-- pending_transaction_id pointing at the pending one. The sync re-keys the pending row to the
+-- posted ID (or merges into the posted row) so user edits carry over and no duplicate is left behind.
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pending_transaction_id VARCHAR(255);
+
+-- User edits (never overwritten by a sync)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS user_category VARCHAR(255);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_id ON transactions(user_id, pending_transaction_id)
+    WHERE pending_transaction_id IS NOT NULL;
+
+COMMENT ON COLUMN transactions.pending_transaction_id IS 'Provider ID of the pending transaction this posted transaction replaced';
+COMMENT ON COLUMN transactions.user_category IS 'Category set by the user; takes precedence over the provider category';
+COMMENT ON COLUMN transactions.notes IS 'Free-form note added by the user';
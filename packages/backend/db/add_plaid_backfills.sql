@@ -0,0 +1,29 @@
+-- Migration: Historical transaction backfill
+-- Description: Tracks the 24-month transaction backfill that runs when a bank is first linked,
+-- so the app can show progress while history is still loading
+
+CREATE TABLE IF NOT EXISTS plaid_backfills (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    item_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'complete', 'failed')),
+    months_requested INTEGER NOT NULL DEFAULT 24,
+
+    -- Progress
+    pages_fetched INTEGER NOT NULL DEFAULT 0,
+    transactions_stored INTEGER NOT NULL DEFAULT 0,
+    oldest_transaction_date DATE,
+    plaid_update_status VARCHAR(50),           -- transactions_update_status from /transactions/sync
+    error_code VARCHAR(100),
+
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_plaid_backfills_user ON plaid_backfills(user_id);
+
+COMMENT ON TABLE plaid_backfills IS 'Progress of the historical transaction backfill run when a Plaid item is first linked';
+COMMENT ON COLUMN plaid_backfills.oldest_transaction_date IS 'Oldest transaction stored so far - how far back history reaches';
@@ -0,0 +1,11 @@
+-- Migration: Plaid item status
+-- Description: Tracks the health of the linked Plaid item as reported by webhooks,
+-- so the app can prompt for re-authentication before syncs start failing
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plaid_item_status VARCHAR(30) DEFAULT 'good';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plaid_item_error_code VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plaid_item_status_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_plaid_item_id ON users(plaid_item_id);
+
+COMMENT ON COLUMN users.plaid_item_status IS 'good, login_required, pending_expiration, revoked or error';
@@ -0,0 +1,60 @@
+-- Migration: Multiple Plaid items per user
+-- Description: Moves the linked Plaid connection off the users row into plaid_items so a user
+-- can link several institutions. Accounts are tied to the item they came from.
+
+CREATE TABLE IF NOT EXISTS plaid_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    item_id VARCHAR(255) NOT NULL UNIQUE,
+    institution_id VARCHAR(100),
+    institution_name VARCHAR(255),
+    access_token TEXT NOT NULL,
+
+    -- Health (updated from webhooks and sync errors)
+    status VARCHAR(30) NOT NULL DEFAULT 'good'
+        CHECK (status IN ('good', 'login_required', 'pending_expiration', 'revoked', 'error')),
+    error_code VARCHAR(100),
+    status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    consent_expiration_time TIMESTAMP WITH TIME ZONE,
+
+    -- /transactions/sync cursor; NULL means the next sync pulls full history
+    transactions_cursor TEXT,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_plaid_items_user ON plaid_items(user_id);
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS plaid_item_id INTEGER REFERENCES plaid_items(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_accounts_plaid_item ON accounts(plaid_item_id);
+
+-- Carry over existing single-item connections (legacy rows without an item id get a placeholder)
+INSERT INTO plaid_items (user_id, item_id, access_token, status, error_code, transactions_cursor)
+SELECT id,
+       COALESCE(plaid_item_id, 'legacy-user-' || id),
+       plaid_access_token,
+       COALESCE(plaid_item_status, 'good'),
+       plaid_item_error_code,
+       plaid_transactions_cursor
+FROM users
+WHERE plaid_access_token IS NOT NULL
+ON CONFLICT (item_id) DO NOTHING;
+
+-- Before this migration every account belonged to the user's only item
+UPDATE accounts a
+SET plaid_item_id = pi.id
+FROM plaid_items pi
+WHERE a.plaid_item_id IS NULL
+  AND pi.user_id = a.user_id
+  AND (SELECT COUNT(*) FROM plaid_items WHERE user_id = a.user_id) = 1;
+
+-- Clear the legacy columns so a later disconnect isn't undone when this migration re-runs
+UPDATE users
+SET plaid_access_token = NULL, plaid_item_id = NULL, plaid_transactions_cursor = NULL
+WHERE plaid_access_token IS NOT NULL;
+
+COMMENT ON TABLE plaid_items IS 'Linked Plaid items (one per institution connection)';
+COMMENT ON COLUMN plaid_items.consent_expiration_time IS 'When the user''s consent expires and re-authentication is required';
+COMMENT ON COLUMN users.plaid_access_token IS 'Deprecated - superseded by plaid_items';
@@ -0,0 +1,7 @@
+-- Migration: Plaid transactions sync cursor
+-- Description: Stores the /transactions/sync cursor for the linked Plaid item so each sync
+-- only pulls what changed since the last one
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plaid_transactions_cursor TEXT;
+
+COMMENT ON COLUMN users.plaid_transactions_cursor IS 'Plaid /transactions/sync cursor for plaid_item_id; NULL means the next sync pulls full history';
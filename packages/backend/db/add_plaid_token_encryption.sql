@@ -0,0 +1,14 @@
+-- Migration: Encrypt Plaid access tokens at rest
+-- Description: plaid_items.access_token now holds AES-256-GCM ciphertext. Each token has its own
+-- data key, stored wrapped by the master key named in access_token_key_id.
+-- Rows with a NULL key id are still plaintext; scripts/migrate.js encrypts them after this file runs
+-- (and scripts/rotate_plaid_token_key.js does the same on demand).
+
+ALTER TABLE plaid_items ADD COLUMN IF NOT EXISTS access_token_data_key TEXT;
+ALTER TABLE plaid_items ADD COLUMN IF NOT EXISTS access_token_key_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_plaid_items_token_key ON plaid_items(access_token_key_id);
+
+COMMENT ON COLUMN plaid_items.access_token IS 'Encrypted access token (base64 iv | tag | ciphertext); plaintext while access_token_key_id is NULL';
+COMMENT ON COLUMN plaid_items.access_token_data_key IS 'Per-token data key, wrapped by the master key access_token_key_id';
+COMMENT ON COLUMN plaid_items.access_token_key_id IS 'ID of the PLAID_TOKEN_KEYS master key that wraps the data key';
@@ -0,0 +1,36 @@
+-- Migration: Statement imports
+-- Description: Lets users import CSV/OFX/QFX statements from banks no aggregator supports.
+-- Imported rows go into the regular transactions table against a manual account.
+
+-- Accounts maintained by the user rather than synced from a provider
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS is_manual BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS statement_imports (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'ofx', 'qfx')),
+    preset VARCHAR(30),
+    filename VARCHAR(255),
+
+    -- Row counts
+    rows_total INTEGER NOT NULL DEFAULT 0,
+    rows_imported INTEGER NOT NULL DEFAULT 0,
+    rows_duplicate INTEGER NOT NULL DEFAULT 0,
+
+    -- Statement period covered
+    start_date DATE,
+    end_date DATE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_statement_imports_user ON statement_imports(user_id, created_at DESC);
+
+-- Which import a transaction came from (so an import can be undone)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS import_id INTEGER REFERENCES statement_imports(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_import ON transactions(import_id);
+
+COMMENT ON COLUMN accounts.is_manual IS 'Maintained by the user (statement imports, manual balances) rather than a bank data provider';
+COMMENT ON TABLE statement_imports IS 'CSV/OFX/QFX statement files imported by the user';
+COMMENT ON COLUMN transactions.import_id IS 'Statement import the transaction came from (NULL for provider-synced rows)';
@@ -0,0 +1,31 @@
+-- Migration: Watchdog duplicate charge flags
+-- Description: Stores likely double charges found by the watchdog so users can dispute or dismiss them
+
+CREATE TABLE IF NOT EXISTS duplicate_charge_flags (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fingerprint VARCHAR(255) NOT NULL,         -- "<original tx id>:<duplicate tx id>"
+    merchant_key VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL,
+    original_transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+    duplicate_transaction_id INTEGER REFERENCES transactions(id) ON DELETE CASCADE,
+    original_date DATE NOT NULL,
+    duplicate_date DATE NOT NULL,
+    same_account BOOLEAN DEFAULT TRUE,
+    confidence DECIMAL(3, 2),
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'flagged'
+        CHECK (status IN ('flagged', 'disputed', 'dismissed')),
+    status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_charge_flags_user_status ON duplicate_charge_flags(user_id, status);
+
+COMMENT ON TABLE duplicate_charge_flags IS 'Likely double charges (same merchant and amount within a few days) found by the watchdog';
+COMMENT ON COLUMN duplicate_charge_flags.same_account IS 'FALSE when the two charges hit different accounts';
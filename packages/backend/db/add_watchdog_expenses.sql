@@ -0,0 +1,51 @@
+-- Migration: Watchdog recurring expense lifecycle
+-- Description: Persists detected recurring expenses per user with a status and an action history
+
+-- Table 1: Recurring Expenses
+-- One row per user + normalized merchant; detection fields are refreshed on every analysis
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    merchant_key VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(50) DEFAULT 'Other',
+    cadence VARCHAR(20) NOT NULL,
+    average_amount DECIMAL(15, 2) NOT NULL,
+    monthly_amount DECIMAL(15, 2) NOT NULL,
+    confidence DECIMAL(3, 2),
+    suggested_action VARCHAR(20) DEFAULT 'active',
+    last_charge_date DATE,
+    next_expected_date DATE,
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'flagged', 'cancelling', 'cancelled', 'negotiated', 'ignored')),
+    status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, merchant_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_user_status ON recurring_expenses(user_id, status);
+
+-- Table 2: Recurring Expense Actions
+-- Audit trail of every status change, whether user-initiated or automatic
+CREATE TABLE IF NOT EXISTS recurring_expense_actions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recurring_expense_id INTEGER NOT NULL REFERENCES recurring_expenses(id) ON DELETE CASCADE,
+    action VARCHAR(30) NOT NULL,               -- 'stop', 'negotiate', 'ignore', 'recharged', ...
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    source VARCHAR(20) DEFAULT 'user',         -- 'user' or 'system'
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_expense_actions_expense ON recurring_expense_actions(recurring_expense_id, created_at DESC);
+
+COMMENT ON TABLE recurring_expenses IS 'Recurring charges detected by the watchdog, with the user-managed lifecycle status';
+COMMENT ON TABLE recurring_expense_actions IS 'History of watchdog actions and automatic re-flags';
+COMMENT ON COLUMN recurring_expenses.merchant_key IS 'Normalized merchant name produced by WatchdogService.normalizeMerchant';
+COMMENT ON COLUMN recurring_expenses.status_changed_at IS 'Used to re-flag cancelled expenses that charge again';
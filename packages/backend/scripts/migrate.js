@@ -2,6 +2,7 @@ const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const tokenEncryption = require('../src/services/token_encryption');
 
 const pool = new Pool(
     process.env.DATABASE_URL
@@ -27,9 +28,54 @@ const MIGRATIONS = [
     'add_user_dob.sql',
     'add_ai_insights.sql',
     'add_ai_categorization.sql',
-    'add_account_alias.sql'
+    'add_account_alias.sql',
+    'add_watchdog_expenses.sql',
+    'add_watchdog_duplicates.sql',
+    'add_bank_fee_rules.sql',
+    'add_free_trials.sql',
+    'add_plaid_sync_cursor.sql',
+    'add_plaid_backfills.sql',
+    'add_plaid_item_status.sql',
+    'add_plaid_items.sql',
+    'add_plaid_token_encryption.sql',
+    'add_bank_providers.sql',
+    'add_statement_imports.sql',
+    'add_manual_accounts.sql',
+    'add_pending_reconciliation.sql',
+    'add_investments.sql',
+    'add_debt_promotions.sql',
+    'add_debt_snapshots.sql',
+    'add_debt_plans.sql',
+    'add_bank_fee_rule_boundaries.sql',
+    'add_custom_debt_mortgage_terms.sql',
+    'add_debt_snapshot_mortgage_terms.sql'
 ];
 
+// Data migrations, run after the SQL files and tracked in the same table
+const DATA_MIGRATIONS = [
+    { name: 'encrypt_plaid_tokens', run: encryptPlaidTokens }
+];
+
+// Encrypt Plaid access tokens stored before add_plaid_token_encryption.sql
+// Needs PLAID_TOKEN_KEYS only when there are plaintext tokens to encrypt
+async function encryptPlaidTokens(client) {
+    const result = await client.query(
+        'SELECT item_id, access_token FROM plaid_items WHERE access_token_key_id IS NULL'
+    );
+
+    for (const row of result.rows) {
+        const envelope = tokenEncryption.encrypt(row.access_token, row.item_id);
+        await client.query(
+            `UPDATE plaid_items
+             SET access_token = $1, access_token_data_key = $2, access_token_key_id = $3, updated_at = NOW()
+             WHERE item_id = $4 AND access_token_key_id IS NULL`,
+            [envelope.ciphertext, envelope.dataKey, envelope.keyId, row.item_id]
+        );
+    }
+
+    console.log(`  🔐 Encrypted ${result.rows.length} Plaid access token(s)`);
+}
+
 async function migrate() {
     console.log('Running database migrations...');
     const client = await pool.connect();
@@ -76,6 +122,29 @@ async function migrate() {
             console.log(`✓ Completed: ${migrationFile}`);
         }
 
+        for (const migration of DATA_MIGRATIONS) {
+            if (executedMigrations.has(migration.name)) {
+                console.log(`✓ Skipping ${migration.name} (already executed)`);
+                continue;
+            }
+
+            console.log(`→ Executing migration: ${migration.name}...`);
+            await client.query('BEGIN');
+            try {
+                await migration.run(client);
+                await client.query(
+                    'INSERT INTO schema_migrations (migration_name) VALUES ($1)',
+                    [migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            }
+
+            console.log(`✓ Completed: ${migration.name}`);
+        }
+
         console.log('\n✓ All migrations completed successfully.');
     } catch (err) {
         console.error('✗ Migration failed:', err);
@@ -0,0 +1,57 @@
+/**
+ * Rotate the Plaid access token master key
+ *
+ * Usage:
+ *   node scripts/rotate_plaid_token_key.js --generate   Print a new key entry for PLAID_TOKEN_KEYS
+ *   node scripts/rotate_plaid_token_key.js              Re-wrap every stored token under PLAID_TOKEN_KEY_ID
+ *
+ * Rotation steps:
+ * 1. Generate a key and add it to PLAID_TOKEN_KEYS (keep the old key listed)
+ * 2. Point PLAID_TOKEN_KEY_ID at the new key and run this script
+ * 3. Once it reports nothing left on the old key, remove the old key from PLAID_TOKEN_KEYS
+ *
+ * Tokens still stored in plaintext are encrypted along the way.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+function generateKey() {
+    const keyId = `k${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+    const key = crypto.randomBytes(32).toString('base64');
+
+    console.log('Add this entry to PLAID_TOKEN_KEYS and set PLAID_TOKEN_KEY_ID to its ID:\n');
+    console.log(`  ${keyId}:${key}\n`);
+}
+
+async function rotate() {
+    const { pool } = require('../src/services/db');
+    const bankProviders = require('../src/services/bank_providers');
+
+    console.log('🔐 Re-wrapping Plaid access tokens...');
+
+    try {
+        const result = await bankProviders.encryptStoredTokens();
+
+        console.log(`✓ Active key: ${result.keyId}`);
+        console.log(`✓ Re-wrapped: ${result.rewrapped}`);
+        console.log(`✓ Encrypted (were plaintext): ${result.encrypted}`);
+
+        const remaining = await pool.query(
+            'SELECT COUNT(*) FROM plaid_items WHERE access_token_key_id IS DISTINCT FROM $1',
+            [result.keyId]
+        );
+        console.log(`\n${remaining.rows[0].count} token(s) left on other keys.`);
+    } catch (err) {
+        console.error('✗ Rotation failed:', err.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (process.argv.includes('--generate')) {
+    generateKey();
+} else {
+    rotate();
+}
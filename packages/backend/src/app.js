@@ -24,7 +24,14 @@ app.use(helmet());
 
 // CORS
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for Plaid webhooks - the signature covers the exact bytes sent
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/plaid/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 
 // Request ID middleware - must be early in chain
 app.use(requestIdMiddleware);
@@ -84,6 +91,8 @@ app.use('/transactions', transactionsRoutes);
 app.use('/plaid', require('./routes/plaid'));
 app.use('/debt', require('./routes/debt'));
 app.use('/accounts', require('./routes/accounts'));
+app.use('/imports', require('./routes/imports'));
+app.use('/investments', require('./routes/investments'));
 app.use('/watchdog', require('./routes/watchdog'));
 app.use('/users', require('./routes/users'));
 app.use('/analytics', require('./routes/analytics'));
@@ -83,7 +83,6 @@ const authenticateToken = async (req, res, next) => {
             id: decoded.userId,
             email: decoded.email,
             name: decoded.name,
-            plaidAccessToken: user.plaid_access_token,
         };
 
         logger.debug('User authenticated', { ...ctx, userId: req.user.id });
@@ -120,7 +119,6 @@ const optionalAuth = async (req, res, next) => {
                         id: decoded.userId,
                         email: decoded.email,
                         name: decoded.name,
-                        plaidAccessToken: user.plaid_access_token,
                     };
                     logger.debug('Optional auth: user authenticated', { ...ctx, userId: req.user.id });
                 }
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/db');
+const manualAccountService = require('../services/manual_accounts');
 const { authenticateToken } = require('../middleware/auth');
 const { createLogger } = require('../services/logger');
+const { ValidationError, NotFoundError } = require('../errors/AppError');
 const { DATA_SOURCES, createMeta, successResponse } = require('../utils/responseHelper');
 
 const logger = createLogger('ACCOUNTS');
@@ -41,6 +43,11 @@ router.get('/', authenticateToken, async (req, res, next) => {
         // Calculate total balance (all accounts)
         const totalBalance = accounts.reduce((sum, acc) => sum + parseFloat(acc.current_balance || 0), 0);
 
+        // Manual accounts and assets (cash, property, vehicles...) are part of the total
+        const manualTotal = accounts
+            .filter(acc => acc.is_manual)
+            .reduce((sum, acc) => sum + parseFloat(acc.current_balance || 0), 0);
+
         // Calculate liquid cash (only checking, savings, and depository accounts)
         const liquidAccountTypes = ['checking', 'savings', 'depository'];
         const liquidCash = accounts
@@ -114,7 +121,10 @@ router.get('/', authenticateToken, async (req, res, next) => {
                 subtype: acc.subtype,
                 mask: acc.mask,
                 balance: parseFloat(acc.current_balance || 0),
-                bank: acc.name.split(' ')[0], // Extract bank name from account name
+                bank: acc.institution_name || acc.name.split(' ')[0], // Fall back to the first word of the account name
+                itemId: acc.item_id,
+                isManual: acc.is_manual,
+                kind: acc.is_manual ? manualAccountService.kindOf(acc) : null,
             }))
         ];
 
@@ -126,6 +136,7 @@ router.get('/', authenticateToken, async (req, res, next) => {
         successResponse(res, {
             accounts: formattedAccounts,
             total_balance: totalBalance,
+            manual_total: manualTotal,
             liquid_cash: liquidCash,
             change_percent: changePercent,
             monthly_savings: monthlySavings
@@ -194,4 +205,132 @@ router.put('/:plaidAccountId/alias', authenticateToken, async (req, res, next) =
     }
 });
 
+// ==================== MANUAL ACCOUNTS & ASSETS ====================
+
+// GET /accounts/manual/kinds
+// Asset kinds a manual account can be
+router.get('/manual/kinds', authenticateToken, (req, res) => {
+    successResponse(res, { kinds: manualAccountService.getKinds() }, {
+        source: DATA_SOURCES.DATABASE,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// POST /accounts/manual
+// Creates a manual account or asset
+// Body: { name, kind, balance, as_of?, currency? }
+// Requires authentication
+router.post('/manual', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    logger.info('Creating manual account', { ...ctx, kind: req.body.kind });
+
+    try {
+        const account = await manualAccountService.create(req.user.id, req.body);
+
+        logger.info('Manual account created', { ...ctx, plaidAccountId: account.plaid_account_id });
+
+        successResponse(res, { account: formatManualAccount(account) }, {
+            source: DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to create manual account', { ...ctx, error });
+        next(error);
+    }
+});
+
+// PUT /accounts/manual/:accountId
+// Renames a manual account and/or records a new balance
+// Body: { name?, balance?, as_of?, note? }
+// Requires authentication
+router.put('/manual/:accountId', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, accountId: req.params.accountId };
+    logger.info('Updating manual account', ctx);
+
+    try {
+        const { name, balance } = req.body;
+        if (name === undefined && balance === undefined) {
+            throw new ValidationError('Nothing to update', { fields: ['name', 'balance'] });
+        }
+
+        const account = await manualAccountService.update(req.user.id, req.params.accountId, req.body);
+
+        logger.info('Manual account updated', ctx);
+
+        successResponse(res, { account: formatManualAccount(account) }, {
+            source: DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to update manual account', { ...ctx, error });
+        next(error);
+    }
+});
+
+// GET /accounts/manual/:accountId/history?days=365
+// Balance history of a manual account (all of it when days is omitted)
+// Requires authentication
+router.get('/manual/:accountId/history', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, accountId: req.params.accountId };
+
+    try {
+        let sinceDate = null;
+        if (req.query.days !== undefined) {
+            const days = parseInt(req.query.days, 10);
+            if (isNaN(days) || days < 1) {
+                throw new ValidationError('days must be a positive number', { field: 'days' });
+            }
+            sinceDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        }
+
+        const { account, history } = await manualAccountService.getHistory(req.user.id, req.params.accountId, sinceDate);
+
+        successResponse(res, { account: formatManualAccount(account), history }, {
+            source: DATA_SOURCES.DATABASE,
+            count: history.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to fetch manual account history', { ...ctx, error });
+        next(error);
+    }
+});
+
+// DELETE /accounts/manual/:accountId
+// Deletes a manual account with its balance history and transactions
+// Requires authentication
+router.delete('/manual/:accountId', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, accountId: req.params.accountId };
+    logger.info('Deleting manual account', ctx);
+
+    try {
+        const deleted = await db.deleteManualAccount(req.user.id, req.params.accountId);
+        if (deleted === 0) {
+            throw new NotFoundError('Manual account');
+        }
+
+        logger.info('Manual account deleted', ctx);
+
+        res.json({ success: true, message: 'Account deleted', requestId: req.requestId });
+    } catch (error) {
+        logger.error('Failed to delete manual account', { ...ctx, error });
+        next(error);
+    }
+});
+
+function formatManualAccount(account) {
+    return {
+        id: account.plaid_account_id,
+        name: account.name,
+        alias: account.alias,
+        type: account.type,
+        subtype: account.subtype,
+        kind: manualAccountService.kindOf(account),
+        balance: parseFloat(account.current_balance || 0),
+        currency: account.iso_currency_code,
+        isManual: true,
+        updatedAt: account.updated_at
+    };
+}
+
 module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/db');
-const plaidService = require('../services/plaid');
+const bankProviders = require('../services/bank_providers');
+const transactionSyncService = require('../services/transaction_sync');
+const investmentService = require('../services/investments');
 const { authenticateToken } = require('../middleware/auth');
 const { categorizeTransaction, getCategoryBreakdown, batchCategorizeWithAI } = require('../services/categorization');
 const { createLogger } = require('../services/logger');
@@ -136,22 +138,34 @@ const generateAiTip = (surplus, netCashFlow, totalExpenses) => {
 };
 
 // Helper: Generate wealth narrative
-const generateWealthNarrative = (accounts, netCashFlow, periodDays) => {
-    // Calculate total assets (all positive balances)
+// manualChange is how much manual accounts/assets (property, vehicles, pensions...) changed in value over the period
+const generateWealthNarrative = (accounts, netCashFlow, periodDays, manualChange = 0) => {
+    const debtTypes = ['credit', 'loan'];
+    const isDebt = acc => debtTypes.includes(acc.type) || debtTypes.includes(acc.subtype);
+
+    // Calculate total assets (positive balances on non-debt accounts, including manual assets)
     const totalAssets = accounts
-        .filter(acc => parseFloat(acc.current_balance || 0) > 0)
+        .filter(acc => !isDebt(acc) && parseFloat(acc.current_balance || 0) > 0)
+        .reduce((sum, acc) => sum + parseFloat(acc.current_balance || 0), 0);
+
+    const manualAssets = accounts
+        .filter(acc => acc.is_manual && !isDebt(acc) && parseFloat(acc.current_balance || 0) > 0)
+        .reduce((sum, acc) => sum + parseFloat(acc.current_balance || 0), 0);
+
+    // Brokerage/TFSA/RRSP accounts (valued from holdings where available)
+    const investmentAssets = accounts
+        .filter(acc => acc.type === 'investment' && parseFloat(acc.current_balance || 0) > 0)
         .reduce((sum, acc) => sum + parseFloat(acc.current_balance || 0), 0);
 
     // Calculate total debts (credit card balances, loans)
-    const debtTypes = ['credit', 'loan'];
     const totalDebt = accounts
-        .filter(acc => debtTypes.includes(acc.type) || debtTypes.includes(acc.subtype))
+        .filter(isDebt)
         .reduce((sum, acc) => sum + Math.abs(parseFloat(acc.current_balance || 0)), 0);
 
     const netWorth = totalAssets - totalDebt;
 
-    // Simulate change based on net cash flow (extrapolated)
-    const changeAmount = netCashFlow;
+    // Cash flow (extrapolated) plus revaluation of manual assets
+    const changeAmount = netCashFlow + manualChange;
     const changePercent = netWorth !== 0 ? Math.round((changeAmount / (netWorth - changeAmount)) * 1000) / 10 : 0;
 
     // Generate narrative text
@@ -170,6 +184,8 @@ const generateWealthNarrative = (accounts, netCashFlow, periodDays) => {
         netWorthChangeAmount: Math.round(changeAmount * 100) / 100,
         narrative,
         totalAssets: Math.round(totalAssets * 100) / 100,
+        manualAssets: Math.round(manualAssets * 100) / 100,
+        investmentAssets: Math.round(investmentAssets * 100) / 100,
         totalDebt: Math.round(totalDebt * 100) / 100
     };
 };
@@ -194,25 +210,21 @@ router.get('/', authenticateToken, async (req, res, next) => {
 
         if (needsSync) {
             logger.info('Syncing transactions from Plaid for analytics', { ...ctx, forceRefresh });
-            const accessToken = req.user.plaidAccessToken || process.env.PLAID_ACCESS_TOKEN_OVERRIDE;
+            const items = await bankProviders.getItems(userId);
 
-            if (accessToken) {
+            if (items.length > 0) {
                 try {
-                    const plaidTransactions = await plaidService.getTransactions(accessToken);
-                    await db.upsertTransactions(userId, plaidTransactions);
-
-                    // Also refresh accounts
-                    try {
-                        const plaidAccounts = await plaidService.getAccounts(accessToken);
-                        await db.upsertAccounts(userId, plaidAccounts);
-                    } catch (accErr) {
-                        logger.warn('Could not fetch accounts', { ...ctx, error: accErr });
-                    }
+                    const syncResult = await transactionSyncService.syncUser(userId);
 
                     await db.updateSyncTime(userId, 'last_transaction_sync');
                     dataSource = DATA_SOURCES.PLAID_API;
                     plaidStatus = PLAID_STATUS.SUCCESS;
-                    logger.info('Synced transactions from Plaid for analytics', { ...ctx, count: plaidTransactions.length });
+                    logger.info('Synced transactions from Plaid for analytics', {
+                        ...ctx,
+                        added: syncResult.added,
+                        modified: syncResult.modified,
+                        removed: syncResult.removed
+                    });
                 } catch (plaidError) {
                     plaidStatus = getPlaidStatusFromError(plaidError);
                     logger.warn('Plaid sync failed for analytics', { ...ctx, error: plaidError });
@@ -223,11 +235,15 @@ router.get('/', authenticateToken, async (req, res, next) => {
         }
 
         // Get transactions and accounts
-        const [transactions, accounts] = await Promise.all([
+        const [transactions, storedAccounts, holdingValues] = await Promise.all([
             db.getTransactions(userId, 1000),
             db.getAccounts(userId),
+            db.getHoldingValuesByAccount(userId),
         ]);
 
+        // Value investment accounts from their actual holdings
+        const accounts = investmentService.applyHoldingValues(storedAccounts, holdingValues);
+
         // Filter transactions by period
         const periodDays = parseInt(period);
         const startDate = new Date();
@@ -352,7 +368,8 @@ router.get('/', authenticateToken, async (req, res, next) => {
         // ============ NEW ANALYTICS DATA ============
 
         // 1. Wealth Narrative
-        const wealthNarrative = generateWealthNarrative(accounts, netCashFlow, periodDays);
+        const manualChange = await db.getManualBalanceChange(userId, startDate.toISOString().split('T')[0]);
+        const wealthNarrative = generateWealthNarrative(accounts, netCashFlow, periodDays, manualChange);
 
         // 2. Burn Rate
         const monthProgress = getMonthProgress();
@@ -385,14 +402,14 @@ router.get('/', authenticateToken, async (req, res, next) => {
 
         // 6. Net Worth Trend (simulated daily data)
         const netWorthTrend = [];
-        const baseNetWorth = wealthNarrative.netWorth - netCashFlow;
+        const baseNetWorth = wealthNarrative.netWorth - netCashFlow - manualChange;
         let runningTotal = baseNetWorth;
         for (let i = periodDays; i >= 0; i--) {
             const date = new Date();
             date.setDate(date.getDate() - i);
             const dateStr = date.toISOString().split('T')[0];
             const dailyChange = dailySpendingMap[dateStr] || 0;
-            runningTotal += (netCashFlow / periodDays) - (dailyChange * 0.3);
+            runningTotal += ((netCashFlow + manualChange) / periodDays) - (dailyChange * 0.3);
             netWorthTrend.push({
                 date: dateStr,
                 value: Math.round(runningTotal)
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const plaidService = require('../services/plaid');
+const bankProviders = require('../services/bank_providers');
 const debtCalculator = require('../services/debt_calculator');
+const debtProgress = require('../services/debt_progress');
+const debtPlans = require('../services/debt_plans');
 const { authenticateToken } = require('../middleware/auth');
 const db = require('../db');
 const { createLogger } = require('../services/logger');
@@ -16,6 +18,7 @@ const DEFAULT_APRS = {
     'line_of_credit': 11.00,
     'personal_loan': 10.00,
     'student_loan': 6.00,
+    'mortgage': 5.00,
     'other': 15.00
 };
 
@@ -25,6 +28,219 @@ const getDefaultApr = (type) => {
     return DEFAULT_APRS[normalizedType] || DEFAULT_APRS['other'];
 };
 
+// custom_debts columns with the promo end and renewal dates as YYYY-MM-DD
+const CUSTOM_DEBT_COLUMNS = `id, user_id, name, debt_type, balance, apr, min_payment,
+    promo_apr, TO_CHAR(promo_end_date, 'YYYY-MM-DD') AS promo_end_date, deferred_interest,
+    compounding, payment_frequency, TO_CHAR(renewal_date, 'YYYY-MM-DD') AS renewal_date,
+    created_at, updated_at`;
+
+// custom_debts row → calculator input
+const toCustomDebt = (d) => ({
+    id: `custom_${d.id}`,
+    name: d.name,
+    balance: parseFloat(d.balance),
+    apr: parseFloat(d.apr),
+    min_payment: parseFloat(d.min_payment) || 0,
+    debt_type: d.debt_type,
+    promo_apr: d.promo_apr === null ? null : parseFloat(d.promo_apr),
+    promo_end_date: d.promo_end_date,
+    deferred_interest: d.deferred_interest,
+    compounding: d.compounding,
+    payment_frequency: d.payment_frequency,
+    renewal_date: d.renewal_date,
+    is_custom: true
+});
+
+// YYYY-MM-DD that is a real calendar date (Date would roll 02-31 over into March)
+const isIsoDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Validate the promo fields of a custom debt create/update body; only fields present are returned
+const parsePromoFields = (body) => {
+    const fields = {};
+
+    if (body.promo_apr !== undefined) {
+        if (body.promo_apr !== null && (typeof body.promo_apr !== 'number' || body.promo_apr < 0 || body.promo_apr > 100)) {
+            throw new ValidationError('promo_apr must be a number between 0 and 100', { field: 'promo_apr' });
+        }
+        fields.promo_apr = body.promo_apr;
+    }
+
+    if (body.promo_end_date !== undefined) {
+        if (body.promo_end_date !== null && !isIsoDate(body.promo_end_date)) {
+            throw new ValidationError('promo_end_date must be a date (YYYY-MM-DD)', { field: 'promo_end_date' });
+        }
+        fields.promo_end_date = body.promo_end_date;
+    }
+
+    if (body.deferred_interest !== undefined) {
+        if (typeof body.deferred_interest !== 'boolean') {
+            throw new ValidationError('deferred_interest must be true or false', { field: 'deferred_interest' });
+        }
+        fields.deferred_interest = body.deferred_interest;
+    }
+
+    return fields;
+};
+
+// Validate the mortgage terms of a custom debt create/update body; only fields present are returned (null clears them)
+const parseMortgageFields = (body) => {
+    const fields = {};
+    const { compounding, payment_frequencies } = debtCalculator.getMortgageTerms();
+
+    if (body.compounding !== undefined) {
+        if (body.compounding !== null && !compounding.includes(body.compounding)) {
+            throw new ValidationError('Invalid compounding', { field: 'compounding', allowed: compounding });
+        }
+        fields.compounding = body.compounding;
+    }
+
+    if (body.payment_frequency !== undefined) {
+        if (body.payment_frequency !== null && !payment_frequencies.includes(body.payment_frequency)) {
+            throw new ValidationError('Invalid payment_frequency', { field: 'payment_frequency', allowed: payment_frequencies });
+        }
+        fields.payment_frequency = body.payment_frequency;
+    }
+
+    if (body.renewal_date !== undefined) {
+        if (body.renewal_date !== null && !isIsoDate(body.renewal_date)) {
+            throw new ValidationError('renewal_date must be a date (YYYY-MM-DD)', { field: 'renewal_date' });
+        }
+        fields.renewal_date = body.renewal_date;
+    }
+
+    return fields;
+};
+
+// Fetch liabilities from every linked item and merge them
+// Items that fail are skipped and counted in failed; the status reflects the first failure when nothing succeeded.
+// An institution without the liabilities product has no debts to miss, so it isn't counted.
+const fetchLiabilities = async (userId, ctx) => {
+    const liabilities = { credit: [], student: [], mortgage: [] };
+    const items = await bankProviders.getItems(userId);
+    if (items.length === 0) {
+        logger.debug('No Plaid items linked', ctx);
+        return { liabilities, plaidStatus: PLAID_STATUS.NO_TOKEN, fetched: 0, failed: 0 };
+    }
+
+    let fetched = 0;
+    let failed = 0;
+    let failedStatus = null;
+    for (const item of items) {
+        try {
+            const itemLiabilities = await bankProviders.getLiabilities(item);
+            liabilities.credit.push(...(itemLiabilities.credit || []));
+            liabilities.student.push(...(itemLiabilities.student || []));
+            liabilities.mortgage.push(...(itemLiabilities.mortgage || []));
+            fetched++;
+        } catch (plaidError) {
+            const errorCode = plaidError.response?.data?.error_code;
+            const itemCtx = { ...ctx, itemId: item.item_id, errorCode };
+            failedStatus = failedStatus || getPlaidStatusFromError(plaidError);
+
+            if (errorCode === 'ITEM_LOGIN_REQUIRED') {
+                logger.warn('User needs to re-authenticate via Plaid Link update mode', itemCtx);
+            } else if (errorCode === 'PRODUCTS_NOT_SUPPORTED') {
+                logger.info('Liabilities product not supported for this institution', itemCtx);
+            } else {
+                logger.warn('Plaid liabilities error', { ...itemCtx, error: plaidError });
+            }
+            if (errorCode !== 'PRODUCTS_NOT_SUPPORTED') failed++;
+        }
+    }
+
+    return {
+        liabilities,
+        plaidStatus: fetched > 0 ? PLAID_STATUS.SUCCESS : failedStatus,
+        fetched,
+        failed
+    };
+};
+
+// Liabilities and custom debts for a calculation: taken from the request body when the
+// client already has them (from GET /debt), otherwise fetched
+const resolveDebtInputs = async (userId, body, ctx) => {
+    let debtsData = body.liabilities;
+    if (!debtsData) {
+        logger.debug('No liabilities provided, fetching from Plaid', ctx);
+        ({ liabilities: debtsData } = await fetchLiabilities(userId, ctx));
+    }
+
+    let customDebtsArray = body.custom_debts;
+    if (!customDebtsArray) {
+        logger.debug('No custom debts provided, fetching from database', ctx);
+        try {
+            const result = await db.query(
+                `SELECT ${CUSTOM_DEBT_COLUMNS} FROM custom_debts WHERE user_id = $1`,
+                [userId]
+            );
+            customDebtsArray = result.rows.map(toCustomDebt);
+            logger.debug('Fetched custom debts', { ...ctx, count: customDebtsArray.length });
+        } catch (err) {
+            logger.warn('Could not fetch custom debts', { ...ctx, error: err });
+            customDebtsArray = [];
+        }
+    }
+
+    return { debtsData, customDebtsArray };
+};
+
+// Strategy options shared by /calculate and /schedule:
+// payoff_order (debt ids, for custom), hybrid_threshold, snowflakes [{ date: 'YYYY-MM', amount }], snowflake_base
+const parseStrategyOptions = (body, strategies) => {
+    const { payoff_order, hybrid_threshold, snowflakes, snowflake_base } = body;
+
+    if (payoff_order !== undefined && (!Array.isArray(payoff_order) || payoff_order.some(id => typeof id !== 'string'))) {
+        throw new ValidationError('payoff_order must be an array of debt ids', { field: 'payoff_order' });
+    }
+    if (strategies.includes('custom') && !(payoff_order?.length > 0)) {
+        throw new ValidationError('payoff_order is required for the custom strategy', { field: 'payoff_order' });
+    }
+
+    if (hybrid_threshold !== undefined && (typeof hybrid_threshold !== 'number' || hybrid_threshold < 0)) {
+        throw new ValidationError('hybrid_threshold must be a positive number', { field: 'hybrid_threshold' });
+    }
+
+    const currentMonth = new Date().toISOString().slice(0, 7);
+    if (snowflakes !== undefined) {
+        const valid = Array.isArray(snowflakes) && snowflakes.every(f =>
+            f && /^\d{4}-(0[1-9]|1[0-2])$/.test(f.date) && f.date >= currentMonth &&
+            typeof f.amount === 'number' && f.amount > 0
+        );
+        if (!valid) {
+            throw new ValidationError('snowflakes must be [{ date: YYYY-MM (this month or later), amount > 0 }]', { field: 'snowflakes' });
+        }
+    }
+    if (strategies.includes('snowflake') && !(snowflakes?.length > 0)) {
+        throw new ValidationError('snowflakes are required for the snowflake strategy', { field: 'snowflakes' });
+    }
+
+    const bases = debtCalculator.getStrategies().filter(s => !['status_quo', 'snowflake'].includes(s));
+    if (snowflake_base !== undefined && !bases.includes(snowflake_base)) {
+        throw new ValidationError('Invalid snowflake_base', { field: 'snowflake_base', allowed: bases });
+    }
+    if (snowflake_base === 'custom' && !(payoff_order?.length > 0)) {
+        throw new ValidationError('payoff_order is required for a custom snowflake_base', { field: 'payoff_order' });
+    }
+
+    return {
+        strategies,
+        payoffOrder: payoff_order,
+        hybridThreshold: hybrid_threshold,
+        snowflakes,
+        snowflakeBase: snowflake_base
+    };
+};
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 // GET /debt
 // Fetches liabilities from Plaid + custom debts, runs calculation
 router.get('/', authenticateToken, async (req, res, next) => {
@@ -35,38 +251,23 @@ router.get('/', authenticateToken, async (req, res, next) => {
         const userId = req.user.id;
 
         // 1. Fetch Plaid Liabilities (gracefully handle errors)
-        let plaidLiabilities = { credit: [], student: [], mortgage: [] };
-        let plaidStatus = PLAID_STATUS.NO_TOKEN;
-        let dataSource = DATA_SOURCES.DATABASE;
-        const accessToken = req.user.plaidAccessToken || process.env.PLAID_ACCESS_TOKEN_OVERRIDE;
+        const {
+            liabilities: plaidLiabilities,
+            plaidStatus,
+            fetched,
+            failed
+        } = await fetchLiabilities(userId, ctx);
+        const dataSource = fetched > 0 ? DATA_SOURCES.PLAID_API : DATA_SOURCES.DATABASE;
 
-        if (accessToken) {
-            logger.debug('Access token available, fetching Plaid liabilities', ctx);
-            try {
-                plaidLiabilities = await plaidService.getLiabilities(accessToken);
-                plaidStatus = PLAID_STATUS.SUCCESS;
-                dataSource = DATA_SOURCES.PLAID_API;
-                logger.info('Plaid liabilities fetched', {
-                    ...ctx,
-                    creditCount: plaidLiabilities.credit?.length || 0,
-                    studentCount: plaidLiabilities.student?.length || 0,
-                    mortgageCount: plaidLiabilities.mortgage?.length || 0,
-                    dataSource: DATA_SOURCES.PLAID_API
-                });
-            } catch (plaidError) {
-                plaidStatus = getPlaidStatusFromError(plaidError);
-                const errorCode = plaidError.response?.data?.error_code;
-
-                if (errorCode === 'ITEM_LOGIN_REQUIRED') {
-                    logger.warn('User needs to re-authenticate via Plaid Link update mode', { ...ctx, errorCode });
-                } else if (errorCode === 'PRODUCTS_NOT_SUPPORTED') {
-                    logger.info('Liabilities product not supported for this institution', { ...ctx, errorCode });
-                } else {
-                    logger.warn('Plaid liabilities error', { ...ctx, errorCode, error: plaidError });
-                }
-            }
-        } else {
-            logger.debug('No Plaid access token available', ctx);
+        if (fetched > 0) {
+            logger.info('Plaid liabilities fetched', {
+                ...ctx,
+                itemCount: fetched,
+                creditCount: plaidLiabilities.credit.length,
+                studentCount: plaidLiabilities.student.length,
+                mortgageCount: plaidLiabilities.mortgage.length,
+                dataSource: DATA_SOURCES.PLAID_API
+            });
         }
 
         // 2. Fetch APR overrides for Plaid accounts
@@ -88,18 +289,10 @@ router.get('/', authenticateToken, async (req, res, next) => {
         let customDebts = [];
         try {
             const customDebtsResult = await db.query(
-                'SELECT * FROM custom_debts WHERE user_id = $1 ORDER BY created_at DESC',
+                `SELECT ${CUSTOM_DEBT_COLUMNS} FROM custom_debts WHERE user_id = $1 ORDER BY created_at DESC`,
                 [userId]
             );
-            customDebts = customDebtsResult.rows.map(d => ({
-                id: `custom_${d.id}`,
-                name: d.name,
-                balance: parseFloat(d.balance),
-                apr: parseFloat(d.apr),
-                min_payment: parseFloat(d.min_payment) || 0,
-                debt_type: d.debt_type,
-                is_custom: true
-            }));
+            customDebts = customDebtsResult.rows.map(toCustomDebt);
             logger.debug('Fetched custom debts', { ...ctx, count: customDebts.length });
         } catch (err) {
             logger.debug('Could not fetch custom debts (table might be missing)', { ...ctx, error: err.message });
@@ -116,6 +309,15 @@ router.get('/', authenticateToken, async (req, res, next) => {
                     effective_apr: overrideApr ?? plaidApr ?? getDefaultApr('credit_card'),
                     apr_source: overrideApr ? 'user_override' : (plaidApr ? 'plaid' : 'default')
                 };
+            }),
+            mortgage: (plaidLiabilities.mortgage || []).map(mortgage => {
+                const plaidRate = mortgage.interest_rate?.percentage;
+                const overrideApr = aprOverrides[mortgage.account_id];
+                return {
+                    ...mortgage,
+                    effective_apr: overrideApr ?? plaidRate ?? getDefaultApr('mortgage'),
+                    apr_source: overrideApr ? 'user_override' : (plaidRate ? 'plaid' : 'default')
+                };
             })
         };
 
@@ -123,6 +325,22 @@ router.get('/', authenticateToken, async (req, res, next) => {
         logger.debug('Running debt calculator', ctx);
         const analysis = debtCalculator.calculate(mergedLiabilities, 0, customDebts);
 
+        // 6. Record today's balances for progress tracking
+        // Skipped when any linked item failed, so its debts don't look paid off
+        let milestones = [];
+        if (failed > 0) {
+            logger.info('Skipping debt snapshot, some linked items failed', { ...ctx, failedItems: failed });
+        } else {
+            try {
+                milestones = await debtProgress.recordSnapshot(userId, debtCalculator.listDebts(mergedLiabilities, customDebts));
+                if (milestones.length > 0) {
+                    logger.info('Debt milestones reached', { ...ctx, milestones: milestones.map(m => m.milestone) });
+                }
+            } catch (err) {
+                logger.warn('Could not record debt snapshot', { ...ctx, error: err });
+            }
+        }
+
         const meta = await createMeta(userId, dataSource, {
             plaidStatus,
             count: analysis.debt_count
@@ -141,7 +359,8 @@ router.get('/', authenticateToken, async (req, res, next) => {
             analysis: analysis,
             raw_liabilities: mergedLiabilities,
             custom_debts: customDebts,
-            default_aprs: DEFAULT_APRS
+            default_aprs: DEFAULT_APRS,
+            milestones
         }, meta);
     } catch (error) {
         logger.error('Failed to fetch debt overview', { ...ctx, error });
@@ -149,8 +368,58 @@ router.get('/', authenticateToken, async (req, res, next) => {
     }
 });
 
+// GET /debt/progress?days=&strategy=&extra_payment=
+// Balance history from the daily snapshots, actual vs planned trajectory for the strategy
+// (planned from the first snapshot in the window) and milestones reached
+// Without strategy, the active saved plan's strategy and extra payment are used (avalanche, 0 if none)
+// Requires authentication
+router.get('/progress', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+
+    try {
+        const days = req.query.days === undefined ? null : parseInt(req.query.days, 10);
+        if (days !== null && (isNaN(days) || days < 1 || days > 3650)) {
+            throw new ValidationError('days must be between 1 and 3650', { field: 'days' });
+        }
+
+        // custom and snowflake need options that only a saved plan carries
+        const strategies = debtCalculator.getStrategies().filter(s => !['custom', 'snowflake'].includes(s));
+        if (req.query.strategy !== undefined && !strategies.includes(req.query.strategy)) {
+            throw new ValidationError('Invalid strategy', { field: 'strategy', allowed: strategies });
+        }
+
+        const extraPayment = req.query.extra_payment === undefined ? null : parseFloat(req.query.extra_payment);
+        if (extraPayment !== null && (isNaN(extraPayment) || extraPayment < 0)) {
+            throw new ValidationError('extra_payment must be a positive number', { field: 'extra_payment' });
+        }
+
+        const plan = req.query.strategy ? null : await debtPlans.getActive(req.user.id);
+        const progress = await debtProgress.getProgress(req.user.id, plan
+            ? {
+                days,
+                strategy: plan.strategy,
+                extraPayment: extraPayment ?? plan.extra_payment,
+                strategyOptions: debtPlans.strategyOptions(plan)
+            }
+            : { days, strategy: req.query.strategy || 'avalanche', extraPayment: extraPayment ?? 0 });
+        progress.plan_id = plan ? plan.id : null;
+
+        successResponse(res, progress, {
+            source: DATA_SOURCES.DATABASE,
+            count: progress.timeline.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to fetch debt progress', { ...ctx, error });
+        next(error);
+    }
+});
+
 // POST /debt/calculate
 // Recalculates based on user input (Extra Payment)
+// Optional prepayment_privileges: { lump_sum_percent, payment_increase_percent } for the mortgage scenarios
+// Optional strategies to compare alongside avalanche and snowball: highest_interest, hybrid, custom, snowflake
+// (with payoff_order, hybrid_threshold, snowflakes and snowflake_base as needed)
 router.post('/calculate', authenticateToken, async (req, res, next) => {
     const ctx = { requestId: req.requestId, userId: req.user.id };
     const extraPayment = req.body.extra_payment;
@@ -158,61 +427,38 @@ router.post('/calculate', authenticateToken, async (req, res, next) => {
 
     try {
         const userId = req.user.id;
-        const { extra_payment, liabilities, custom_debts } = req.body;
-
-        // Use provided liabilities or fetch fresh
-        let debtsData = liabilities;
-        if (!debtsData) {
-            logger.debug('No liabilities provided, fetching from Plaid', ctx);
-            const accessToken = req.user.plaidAccessToken || process.env.PLAID_ACCESS_TOKEN_OVERRIDE;
-            if (accessToken) {
-                try {
-                    debtsData = await plaidService.getLiabilities(accessToken);
-                    logger.debug('Fetched liabilities from Plaid', ctx);
-                } catch (err) {
-                    logger.warn('Plaid fetch failed, using empty liabilities', { ...ctx, error: err });
-                    debtsData = { credit: [], student: [], mortgage: [] };
-                }
-            } else {
-                logger.debug('No access token, using empty liabilities', ctx);
-                debtsData = { credit: [], student: [], mortgage: [] };
-            }
+        const { extra_payment, prepayment_privileges, strategies } = req.body;
+
+        const available = debtCalculator.getStrategies();
+        if (strategies !== undefined && (!Array.isArray(strategies) || strategies.some(s => !available.includes(s)))) {
+            throw new ValidationError('Invalid strategies', { field: 'strategies', allowed: available });
         }
+        const strategyOptions = parseStrategyOptions(req.body, strategies || []);
 
-        // Fetch custom debts if not provided
-        let customDebtsArray = custom_debts;
-        if (!customDebtsArray) {
-            logger.debug('No custom debts provided, fetching from database', ctx);
-            try {
-                const result = await db.query(
-                    'SELECT * FROM custom_debts WHERE user_id = $1',
-                    [userId]
-                );
-                customDebtsArray = result.rows.map(d => ({
-                    id: `custom_${d.id}`,
-                    name: d.name,
-                    balance: parseFloat(d.balance),
-                    apr: parseFloat(d.apr),
-                    min_payment: parseFloat(d.min_payment) || 0,
-                    debt_type: d.debt_type,
-                    is_custom: true
-                }));
-                logger.debug('Fetched custom debts', { ...ctx, count: customDebtsArray.length });
-            } catch (err) {
-                logger.warn('Could not fetch custom debts', { ...ctx, error: err });
-                customDebtsArray = [];
+        const privileges = {};
+        for (const field of ['lump_sum_percent', 'payment_increase_percent']) {
+            const value = prepayment_privileges?.[field];
+            if (value === undefined || value === null) continue;
+            if (typeof value !== 'number' || value < 0 || value > 100) {
+                throw new ValidationError(`${field} must be a number between 0 and 100`, { field: `prepayment_privileges.${field}` });
             }
+            privileges[field] = value;
         }
 
-        const analysis = debtCalculator.calculate(debtsData, extra_payment || 0, customDebtsArray);
+        // Use provided liabilities and custom debts or fetch fresh
+        const { debtsData, customDebtsArray } = await resolveDebtInputs(userId, req.body, ctx);
+
+        const analysis = debtCalculator.calculate(debtsData, extra_payment || 0, customDebtsArray, strategyOptions);
+        const mortgageScenarios = debtCalculator.calculateMortgageScenarios(debtsData, customDebtsArray, privileges);
 
         logger.info('Debt calculation complete', {
             ...ctx,
             extraPayment: extra_payment,
-            totalDebt: analysis.total_debt
+            totalDebt: analysis.total_debt,
+            mortgageCount: mortgageScenarios.length
         });
 
-        successResponse(res, { analysis }, {
+        successResponse(res, { analysis, mortgage_scenarios: mortgageScenarios }, {
             source: DATA_SOURCES.COMPUTED,
             timestamp: new Date().toISOString()
         });
@@ -222,6 +468,507 @@ router.post('/calculate', authenticateToken, async (req, res, next) => {
     }
 });
 
+// POST /debt/schedule
+// Month-by-month amortization schedule per debt (opening balance, interest, minimum, extra, closing balance)
+// Body: same as /debt/calculate; strategies defaults to ['status_quo', 'avalanche', 'snowball']
+// Query: format=csv for a spreadsheet export (one row per debt per month)
+router.post('/schedule', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    logger.info('Building debt schedule', { ...ctx, extraPayment: req.body.extra_payment, format: req.query.format });
+
+    try {
+        const userId = req.user.id;
+        const { extra_payment, strategies } = req.body;
+        const format = req.query.format || 'json';
+
+        if (!['json', 'csv'].includes(format)) {
+            throw new ValidationError('format must be json or csv', { field: 'format' });
+        }
+
+        const available = debtCalculator.getStrategies();
+        const selected = strategies || ['status_quo', 'avalanche', 'snowball'];
+        if (!Array.isArray(selected) || selected.length === 0 || selected.some(s => !available.includes(s))) {
+            throw new ValidationError('Invalid strategies', { field: 'strategies', allowed: available });
+        }
+        const strategyOptions = parseStrategyOptions(req.body, selected);
+
+        const { debtsData, customDebtsArray } = await resolveDebtInputs(userId, req.body, ctx);
+        const result = debtCalculator.calculateSchedule(debtsData, extra_payment || 0, customDebtsArray, selected, strategyOptions);
+
+        if (format === 'csv') {
+            const lines = [[
+                'strategy', 'month', 'date', 'debt_id', 'debt_name',
+                'opening_balance', 'interest', 'minimum_payment', 'extra_payment', 'closing_balance'
+            ].join(',')];
+
+            for (const [strategy, plan] of Object.entries(result.strategies)) {
+                for (const debt of plan.schedule.debts) {
+                    for (const row of debt.rows) {
+                        lines.push([
+                            strategy, row.month, row.date, debt.id, debt.name,
+                            row.opening_balance, row.interest, row.minimum_payment, row.extra_payment, row.closing_balance
+                        ].map(csvField).join(','));
+                    }
+                }
+            }
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="debt-schedule.csv"');
+            return res.send(lines.join('\n') + '\n');
+        }
+
+        successResponse(res, result, {
+            source: DATA_SOURCES.COMPUTED,
+            count: result.debts.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to build debt schedule', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /debt/goal-seek
+// Either target_date (YYYY-MM): the smallest extra monthly payment that makes the user debt-free by then,
+// or monthly_budget (total for all debts, minimums included): the earliest debt-free date
+// Body also takes strategy (default avalanche) and the /debt/calculate inputs and strategy options
+router.post('/goal-seek', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const { target_date, monthly_budget } = req.body;
+    const strategy = req.body.strategy || 'avalanche';
+    logger.info('Running debt goal-seek', { ...ctx, targetDate: target_date, monthlyBudget: monthly_budget, strategy });
+
+    try {
+        const userId = req.user.id;
+
+        if ((target_date === undefined) === (monthly_budget === undefined)) {
+            throw new ValidationError('Provide either target_date or monthly_budget', { fields: ['target_date', 'monthly_budget'] });
+        }
+        if (target_date !== undefined) {
+            const currentMonth = new Date().toISOString().slice(0, 7);
+            if (typeof target_date !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(target_date) || target_date <= currentMonth) {
+                throw new ValidationError('target_date must be a month (YYYY-MM) after the current month', { field: 'target_date' });
+            }
+            const maxTargetDate = debtCalculator.getMaxTargetDate();
+            if (target_date > maxTargetDate) {
+                throw new ValidationError(`target_date must be no later than ${maxTargetDate}`, { field: 'target_date', max: maxTargetDate });
+            }
+        }
+        if (monthly_budget !== undefined && (typeof monthly_budget !== 'number' || monthly_budget <= 0)) {
+            throw new ValidationError('monthly_budget must be a positive number', { field: 'monthly_budget' });
+        }
+
+        const available = debtCalculator.getStrategies().filter(s => s !== 'status_quo');
+        if (!available.includes(strategy)) {
+            throw new ValidationError('Invalid strategy', { field: 'strategy', allowed: available });
+        }
+        const strategyOptions = parseStrategyOptions(req.body, [strategy]);
+
+        const { debtsData, customDebtsArray } = await resolveDebtInputs(userId, req.body, ctx);
+
+        const result = target_date !== undefined
+            ? debtCalculator.solveExtraPaymentForDate(debtsData, customDebtsArray, target_date, strategy, strategyOptions)
+            : debtCalculator.solveEarliestPayoff(debtsData, customDebtsArray, monthly_budget, strategy, strategyOptions);
+
+        if (!result.feasible) {
+            throw new ValidationError('monthly_budget does not cover the minimum payments', {
+                field: 'monthly_budget',
+                total_min_payment: result.total_min_payment
+            });
+        }
+
+        logger.info('Debt goal-seek complete', {
+            ...ctx,
+            extraPayment: result.extra_payment,
+            payoffDate: result.payoff_date
+        });
+
+        successResponse(res, { goal: result }, {
+            source: DATA_SOURCES.COMPUTED,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to run debt goal-seek', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /debt/balance-transfer
+// Whether moving a debt's balance to a promotional offer saves money once the transfer fee is paid
+// Body: debt_id, offer: { promo_apr, promo_months, fee_percent, fee_minimum, regular_apr, deferred_interest },
+//       amount (default: full balance), monthly_payment (default: current minimum), plus /debt/calculate inputs
+router.post('/balance-transfer', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const { debt_id, offer, amount, monthly_payment } = req.body;
+    logger.info('Comparing balance transfer', { ...ctx, debtId: debt_id });
+
+    try {
+        const userId = req.user.id;
+
+        if (!debt_id || typeof debt_id !== 'string') {
+            throw new ValidationError('debt_id is required', { field: 'debt_id' });
+        }
+        if (!offer || typeof offer !== 'object') {
+            throw new ValidationError('offer is required', { field: 'offer' });
+        }
+        if (!Number.isInteger(offer.promo_months) || offer.promo_months < 1 || offer.promo_months > 60) {
+            throw new ValidationError('offer.promo_months must be a whole number of months (1-60)', { field: 'offer.promo_months' });
+        }
+        for (const field of ['promo_apr', 'fee_percent', 'regular_apr']) {
+            const value = offer[field];
+            if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0 || value > 100)) {
+                throw new ValidationError(`offer.${field} must be a number between 0 and 100`, { field: `offer.${field}` });
+            }
+        }
+        for (const [field, value] of [['offer.fee_minimum', offer.fee_minimum], ['amount', amount], ['monthly_payment', monthly_payment]]) {
+            if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+                throw new ValidationError(`${field} must be a positive number`, { field });
+            }
+        }
+        if (offer.deferred_interest !== undefined && typeof offer.deferred_interest !== 'boolean') {
+            throw new ValidationError('offer.deferred_interest must be true or false', { field: 'offer.deferred_interest' });
+        }
+
+        const { debtsData, customDebtsArray } = await resolveDebtInputs(userId, req.body, ctx);
+        const comparison = debtCalculator.compareBalanceTransfer(debtsData, customDebtsArray, debt_id, offer, {
+            amount: amount ?? undefined,
+            monthlyPayment: monthly_payment ?? undefined
+        });
+
+        if (!comparison) {
+            throw new NotFoundError('Debt');
+        }
+
+        logger.info('Balance transfer compared', {
+            ...ctx,
+            debtId: debt_id,
+            savings: comparison.savings,
+            recommended: comparison.recommended
+        });
+
+        successResponse(res, { comparison }, {
+            source: DATA_SOURCES.COMPUTED,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to compare balance transfer', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /debt/consolidation
+// Compare consolidating some debts into a loan against the current avalanche plan
+// Body: debt_ids, offers: [{ name, apr, term_months, fee_percent, fee, fee_financed }], extra_payment,
+//       plus /debt/calculate inputs
+router.post('/consolidation', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const { debt_ids, offers, extra_payment } = req.body;
+    logger.info('Comparing consolidation offers', { ...ctx, debtCount: debt_ids?.length, offerCount: offers?.length });
+
+    try {
+        const userId = req.user.id;
+
+        if (!Array.isArray(debt_ids) || debt_ids.length === 0 || debt_ids.some(id => typeof id !== 'string')) {
+            throw new ValidationError('debt_ids must be a non-empty array of debt ids', { field: 'debt_ids' });
+        }
+        if (!Array.isArray(offers) || offers.length === 0 || offers.length > 10) {
+            throw new ValidationError('offers must be an array of 1 to 10 loan offers', { field: 'offers' });
+        }
+        offers.forEach((offer, idx) => {
+            const field = `offers[${idx}]`;
+            if (!offer || typeof offer.apr !== 'number' || offer.apr < 0 || offer.apr > 100) {
+                throw new ValidationError(`${field}.apr must be a number between 0 and 100`, { field: `${field}.apr` });
+            }
+            if (!Number.isInteger(offer.term_months) || offer.term_months < 1 || offer.term_months > 360) {
+                throw new ValidationError(`${field}.term_months must be a whole number of months (1-360)`, { field: `${field}.term_months` });
+            }
+            if (offer.fee_percent !== undefined && (typeof offer.fee_percent !== 'number' || offer.fee_percent < 0 || offer.fee_percent > 100)) {
+                throw new ValidationError(`${field}.fee_percent must be a number between 0 and 100`, { field: `${field}.fee_percent` });
+            }
+            if (offer.fee !== undefined && (typeof offer.fee !== 'number' || offer.fee < 0)) {
+                throw new ValidationError(`${field}.fee must be a positive number`, { field: `${field}.fee` });
+            }
+        });
+        if (extra_payment !== undefined && (typeof extra_payment !== 'number' || extra_payment < 0)) {
+            throw new ValidationError('extra_payment must be a positive number', { field: 'extra_payment' });
+        }
+
+        const { debtsData, customDebtsArray } = await resolveDebtInputs(userId, req.body, ctx);
+        const comparison = debtCalculator.compareConsolidation(
+            debtsData,
+            customDebtsArray,
+            [...new Set(debt_ids)],
+            offers,
+            extra_payment || 0
+        );
+
+        if (!comparison) {
+            throw new NotFoundError('Debt');
+        }
+
+        logger.info('Consolidation offers compared', { ...ctx, bestOffer: comparison.best_offer });
+
+        successResponse(res, { comparison }, {
+            source: DATA_SOURCES.COMPUTED,
+            count: comparison.offers.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to compare consolidation offers', { ...ctx, error });
+        next(error);
+    }
+});
+
+// ==================== PAYOFF PLANS ====================
+
+// Plan id from the route, owned by the user
+const loadPlan = async (req) => {
+    const planId = parseInt(req.params.id, 10);
+    if (isNaN(planId)) {
+        throw new ValidationError('Invalid plan ID', { field: 'id' });
+    }
+    return debtPlans.get(req.user.id, planId);
+};
+
+// GET /debt/plans/calendar/:token.ics
+// iCalendar feed of a plan's payments for calendar subscriptions (the token in the URL is the credential)
+// Read-only: shows the stored payment marks without matching transactions, since anyone with the link can fetch it
+router.get('/plans/calendar/:token.ics', async (req, res, next) => {
+    try {
+        const found = await debtPlans.getByCalendarToken(req.params.token);
+        if (!found) {
+            throw new NotFoundError('Calendar');
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.send(await debtPlans.buildCalendar(found.userId, found.plan, { match: false }));
+    } catch (error) {
+        logger.error('Failed to build debt plan calendar feed', { requestId: req.requestId, error });
+        next(error);
+    }
+});
+
+// GET /debt/plans
+// Saved payoff plans, active one first
+// Requires authentication
+router.get('/plans', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+
+    try {
+        const plans = await debtPlans.list(req.user.id);
+        successResponse(res, { plans }, {
+            source: DATA_SOURCES.DATABASE,
+            count: plans.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to fetch debt plans', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /debt/plans
+// Commit to a plan: the schedule is fixed from the current debts and the plan becomes the active one
+// Body: strategy, extra_payment, start_month (YYYY-MM, default this month), payment_day (1-28, default 1), name,
+//       the strategy's options (payoff_order, hybrid_threshold, snowflakes, snowflake_base) and /debt/calculate inputs
+// Requires authentication
+router.post('/plans', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const { name, strategy, extra_payment, start_month, payment_day } = req.body;
+    logger.info('Saving debt plan', { ...ctx, strategy, extraPayment: extra_payment, startMonth: start_month });
+
+    try {
+        const userId = req.user.id;
+
+        const strategies = debtCalculator.getStrategies();
+        if (!strategies.includes(strategy)) {
+            throw new ValidationError('Invalid strategy', { field: 'strategy', allowed: strategies });
+        }
+        if (extra_payment !== undefined && (typeof extra_payment !== 'number' || extra_payment < 0)) {
+            throw new ValidationError('extra_payment must be a positive number', { field: 'extra_payment' });
+        }
+
+        const currentMonth = new Date().toISOString().slice(0, 7);
+        const startMonth = start_month || currentMonth;
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(startMonth) || startMonth < currentMonth) {
+            throw new ValidationError('start_month must be YYYY-MM, this month or later', { field: 'start_month' });
+        }
+
+        const paymentDay = payment_day ?? 1;
+        if (!Number.isInteger(paymentDay) || paymentDay < 1 || paymentDay > 28) {
+            throw new ValidationError('payment_day must be a day of the month (1-28)', { field: 'payment_day' });
+        }
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            throw new ValidationError('name must be a non-empty string', { field: 'name' });
+        }
+
+        const strategyOptions = parseStrategyOptions(req.body, [strategy]);
+        const { debtsData, customDebtsArray } = await resolveDebtInputs(userId, req.body, ctx);
+        const debts = debtCalculator.listDebts(debtsData, customDebtsArray, startMonth);
+        if (!debts.some(d => d.balance > 0)) {
+            throw new ValidationError('There are no debts to plan for', { field: 'debts' });
+        }
+
+        const plan = await debtPlans.create(userId, {
+            name: name ? name.trim().substring(0, 255) : null,
+            strategy,
+            extraPayment: extra_payment || 0,
+            startMonth,
+            paymentDay,
+            options: {
+                payoff_order: strategyOptions.payoffOrder,
+                hybrid_threshold: strategyOptions.hybridThreshold,
+                snowflakes: strategyOptions.snowflakes,
+                snowflake_base: strategyOptions.snowflakeBase
+            },
+            debts
+        });
+
+        logger.info('Debt plan saved', { ...ctx, planId: plan.id, payoffMonth: plan.payoff_month });
+
+        res.status(201);
+        successResponse(res, { plan }, {
+            source: DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to save debt plan', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /debt/plans/:id/activate
+// Switch the active plan
+// Requires authentication
+router.post('/plans/:id/activate', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, planId: req.params.id };
+
+    try {
+        const { id } = await loadPlan(req);
+        const plan = await debtPlans.activate(req.user.id, id);
+
+        logger.info('Debt plan activated', ctx);
+        successResponse(res, { plan }, {
+            source: DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to activate debt plan', { ...ctx, error });
+        next(error);
+    }
+});
+
+// DELETE /debt/plans/:id
+// Requires authentication
+router.delete('/plans/:id', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, planId: req.params.id };
+
+    try {
+        const { id } = await loadPlan(req);
+        await debtPlans.remove(req.user.id, id);
+
+        logger.info('Debt plan deleted', ctx);
+        res.json({ success: true, message: 'Plan deleted', requestId: req.requestId });
+    } catch (error) {
+        logger.error('Failed to delete debt plan', { ...ctx, error });
+        next(error);
+    }
+});
+
+// GET /debt/plans/:id/checklist?from=YYYY-MM&to=YYYY-MM
+// Month-by-month "pay X to Y" checklist with each payment's status (done, missed, due, upcoming)
+// Unmarked payments are matched to settled transactions first
+// Requires authentication
+router.get('/plans/:id/checklist', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, planId: req.params.id };
+
+    try {
+        const { from, to } = req.query;
+        for (const [field, value] of Object.entries({ from, to })) {
+            if (value !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+                throw new ValidationError(`${field} must be YYYY-MM`, { field });
+            }
+        }
+
+        const plan = await loadPlan(req);
+        const checklist = await debtPlans.getChecklist(req.user.id, plan, { from, to });
+
+        successResponse(res, { plan_id: plan.id, ...checklist }, {
+            source: DATA_SOURCES.COMPUTED,
+            count: checklist.months.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to build debt plan checklist', { ...ctx, error });
+        next(error);
+    }
+});
+
+// PUT /debt/plans/:id/payments
+// Mark a planned payment done or not done
+// Body: month (YYYY-MM), debt_id, done (boolean), paid_amount and paid_on (YYYY-MM-DD) optional when done
+// Requires authentication
+router.put('/plans/:id/payments', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, planId: req.params.id };
+    const { month, debt_id, done, paid_amount, paid_on } = req.body;
+
+    try {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+            throw new ValidationError('month must be YYYY-MM', { field: 'month' });
+        }
+        if (typeof debt_id !== 'string' || !debt_id) {
+            throw new ValidationError('debt_id is required', { field: 'debt_id' });
+        }
+        if (typeof done !== 'boolean') {
+            throw new ValidationError('done must be true or false', { field: 'done' });
+        }
+        if (paid_amount !== undefined && paid_amount !== null && (typeof paid_amount !== 'number' || paid_amount <= 0)) {
+            throw new ValidationError('paid_amount must be a positive number', { field: 'paid_amount' });
+        }
+        if (paid_on !== undefined && paid_on !== null &&
+            (!/^\d{4}-\d{2}-\d{2}$/.test(paid_on) || isNaN(new Date(`${paid_on}T00:00:00Z`).getTime()))) {
+            throw new ValidationError('paid_on must be a date (YYYY-MM-DD)', { field: 'paid_on' });
+        }
+
+        const plan = await loadPlan(req);
+        const payment = await debtPlans.markPayment(plan, {
+            month,
+            debtId: debt_id,
+            done,
+            paidAmount: paid_amount,
+            paidOn: paid_on
+        });
+
+        logger.info('Debt plan payment marked', { ...ctx, month, debtId: debt_id, done });
+        successResponse(res, { payment }, {
+            source: DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to mark debt plan payment', { ...ctx, error });
+        next(error);
+    }
+});
+
+// GET /debt/plans/:id/calendar
+// Download the plan's payments as an .ics file
+// Requires authentication
+router.get('/plans/:id/calendar', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, planId: req.params.id };
+
+    try {
+        const plan = await loadPlan(req);
+        const calendar = await debtPlans.buildCalendar(req.user.id, plan);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="debt-plan.ics"');
+        res.send(calendar);
+    } catch (error) {
+        logger.error('Failed to export debt plan calendar', { ...ctx, error });
+        next(error);
+    }
+});
+
 // ==================== CUSTOM DEBTS CRUD ====================
 
 // POST /debt/custom - Create a new custom debt
@@ -237,14 +984,26 @@ router.post('/custom', authenticateToken, async (req, res, next) => {
             throw new ValidationError('Name and balance are required', { fields: ['name', 'balance'] });
         }
 
+        const promo = parsePromoFields(req.body);
+        if ((promo.promo_apr ?? null) !== null && !promo.promo_end_date) {
+            throw new ValidationError('promo_end_date is required with promo_apr', { field: 'promo_end_date' });
+        }
+        const mortgage = parseMortgageFields(req.body);
+
         // Use default APR if not provided
         const effectiveApr = apr ?? getDefaultApr(debt_type);
 
         const result = await db.query(
-            `INSERT INTO custom_debts (user_id, name, balance, apr, min_payment, debt_type)
-             VALUES ($1, $2, $3, $4, $5, $6)
-             RETURNING *`,
-            [userId, name, balance, effectiveApr, min_payment || 0, debt_type || 'other']
+            `INSERT INTO custom_debts (user_id, name, balance, apr, min_payment, debt_type,
+                                       promo_apr, promo_end_date, deferred_interest,
+                                       compounding, payment_frequency, renewal_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING ${CUSTOM_DEBT_COLUMNS}`,
+            [
+                userId, name, balance, effectiveApr, min_payment || 0, debt_type || 'other',
+                promo.promo_apr ?? null, promo.promo_end_date ?? null, promo.deferred_interest ?? false,
+                mortgage.compounding ?? null, mortgage.payment_frequency ?? null, mortgage.renewal_date ?? null
+            ]
         );
 
         logger.info('Custom debt created', { ...ctx, debtId: result.rows[0].id });
@@ -272,6 +1031,10 @@ router.put('/custom/:id', authenticateToken, async (req, res, next) => {
         const debtId = req.params.id;
         const { name, balance, apr, min_payment, debt_type } = req.body;
 
+        // Promo and mortgage fields are set when present (null clears them), unlike the others which keep their value
+        const promo = parsePromoFields(req.body);
+        const mortgage = parseMortgageFields(req.body);
+
         const result = await db.query(
             `UPDATE custom_debts
              SET name = COALESCE($1, name),
@@ -279,10 +1042,24 @@ router.put('/custom/:id', authenticateToken, async (req, res, next) => {
                  apr = COALESCE($3, apr),
                  min_payment = COALESCE($4, min_payment),
                  debt_type = COALESCE($5, debt_type),
+                 promo_apr = CASE WHEN $8::boolean THEN $9::numeric ELSE promo_apr END,
+                 promo_end_date = CASE WHEN $10::boolean THEN $11::date ELSE promo_end_date END,
+                 deferred_interest = COALESCE($12, deferred_interest),
+                 compounding = CASE WHEN $13::boolean THEN $14::varchar ELSE compounding END,
+                 payment_frequency = CASE WHEN $15::boolean THEN $16::varchar ELSE payment_frequency END,
+                 renewal_date = CASE WHEN $17::boolean THEN $18::date ELSE renewal_date END,
                  updated_at = CURRENT_TIMESTAMP
              WHERE id = $6 AND user_id = $7
-             RETURNING *`,
-            [name, balance, apr, min_payment, debt_type, debtId, userId]
+             RETURNING ${CUSTOM_DEBT_COLUMNS}`,
+            [
+                name, balance, apr, min_payment, debt_type, debtId, userId,
+                'promo_apr' in promo, promo.promo_apr ?? null,
+                'promo_end_date' in promo, promo.promo_end_date ?? null,
+                promo.deferred_interest ?? null,
+                'compounding' in mortgage, mortgage.compounding ?? null,
+                'payment_frequency' in mortgage, mortgage.payment_frequency ?? null,
+                'renewal_date' in mortgage, mortgage.renewal_date ?? null
+            ]
         );
 
         if (result.rows.length === 0) {
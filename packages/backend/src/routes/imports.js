@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const statementImportService = require('../services/statement_import');
+const db = require('../services/db');
+const { authenticateToken } = require('../middleware/auth');
+const { createLogger } = require('../services/logger');
+const { ValidationError, NotFoundError } = require('../errors/AppError');
+const { DATA_SOURCES, successResponse } = require('../utils/responseHelper');
+
+const logger = createLogger('IMPORTS');
+
+// Statement files are sent as the raw request body
+const statementBody = express.text({
+    type: ['text/*', 'application/x-ofx', 'application/vnd.intu.qfx', 'application/octet-stream'],
+    limit: '5mb'
+});
+
+// GET /imports/presets
+// CSV layouts the importer understands
+router.get('/presets', authenticateToken, (req, res) => {
+    successResponse(res, {
+        formats: ['csv', 'ofx', 'qfx'],
+        presets: statementImportService.getPresets()
+    }, { source: DATA_SOURCES.DATABASE, timestamp: new Date().toISOString() });
+});
+
+// GET /imports
+// Import history, newest first
+// Requires authentication
+router.get('/', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+
+    try {
+        const imports = await db.getStatementImports(req.user.id);
+        successResponse(res, { imports }, {
+            source: DATA_SOURCES.DATABASE,
+            count: imports.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to fetch statement imports', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /imports
+// Import a CSV/OFX/QFX statement sent as the request body
+// Query: format (csv|ofx|qfx, detected if omitted), preset (CSV bank layout), date_order (MDY|DMY|YMD, for CSV
+//        dates that don't show it), account_id (existing account), account_name / account_type (for a new
+//        manual account), filename, dry_run=true (parse only)
+// Requires authentication
+router.post('/', authenticateToken, statementBody, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+
+    try {
+        const content = typeof req.body === 'string' ? req.body : '';
+        if (!content.trim()) {
+            throw new ValidationError('Statement file is required (send it as the request body)', { field: 'file' });
+        }
+
+        const { format, preset, date_order, account_id, account_name, account_type, filename, dry_run } = req.query;
+        if (account_type && !['depository', 'credit'].includes(account_type)) {
+            throw new ValidationError('account_type must be depository or credit', { field: 'account_type' });
+        }
+
+        logger.info('Importing statement', { ...ctx, format, preset, accountId: account_id, filename });
+
+        const result = await statementImportService.importStatement(req.user.id, content, {
+            format,
+            preset,
+            dateOrder: date_order,
+            accountId: account_id,
+            accountName: account_name,
+            accountType: account_type,
+            filename,
+            dryRun: dry_run === 'true'
+        });
+
+        successResponse(res, result, {
+            source: dry_run === 'true' ? DATA_SOURCES.COMPUTED : DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Statement import failed', { ...ctx, error });
+        next(error);
+    }
+});
+
+// DELETE /imports/:importId
+// Undo an import: removes the transactions it added
+// Requires authentication
+router.delete('/:importId', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+
+    try {
+        const importId = parseInt(req.params.importId, 10);
+        if (isNaN(importId)) {
+            throw new ValidationError('Invalid import ID', { field: 'importId' });
+        }
+
+        const removed = await db.deleteStatementImport(req.user.id, importId);
+        if (removed === null) {
+            throw new NotFoundError('Statement import');
+        }
+
+        logger.info('Statement import removed', { ...ctx, importId, transactionsRemoved: removed });
+        successResponse(res, { import_id: importId, transactions_removed: removed }, {
+            source: DATA_SOURCES.DATABASE,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to remove statement import', { ...ctx, error });
+        next(error);
+    }
+});
+
+module.exports = router;
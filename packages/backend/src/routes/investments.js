@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const bankProviders = require('../services/bank_providers');
+const investmentService = require('../services/investments');
+const db = require('../services/db');
+const { authenticateToken } = require('../middleware/auth');
+const { createLogger } = require('../services/logger');
+const { ValidationError } = require('../errors/AppError');
+const { DATA_SOURCES, PLAID_STATUS, createMeta, successResponse, getPlaidStatusFromError } = require('../utils/responseHelper');
+
+const logger = createLogger('INVESTMENTS');
+
+// GET /investments
+// Portfolio: positions, cost basis, unrealized gain and asset allocation
+// Syncs holdings from the bank when stale (12 hours) or with ?refresh=true
+// Requires authentication
+router.get('/', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    logger.info('Fetching investment portfolio', ctx);
+
+    try {
+        const userId = req.user.id;
+        const forceRefresh = req.query.refresh === 'true';
+
+        let dataSource = DATA_SOURCES.DATABASE;
+        let plaidStatus = PLAID_STATUS.CACHED;
+
+        const needsSync = forceRefresh || await db.shouldSync(userId, 'last_investment_sync', 12);
+
+        if (needsSync) {
+            const items = await bankProviders.getItems(userId);
+
+            if (items.length > 0) {
+                try {
+                    const syncResult = await investmentService.syncUser(userId);
+                    await db.updateSyncTime(userId, 'last_investment_sync');
+
+                    dataSource = DATA_SOURCES.PLAID_API;
+                    plaidStatus = syncResult.items.some(i => i.error_code === 'ITEM_LOGIN_REQUIRED')
+                        ? PLAID_STATUS.LOGIN_REQUIRED
+                        : syncResult.items.every(i => i.status === 'not_supported')
+                            ? PLAID_STATUS.NOT_SUPPORTED
+                            : PLAID_STATUS.SUCCESS;
+
+                    logger.info('Synced investments', { ...ctx, holdings: syncResult.holdings, transactions: syncResult.transactions });
+                } catch (plaidError) {
+                    plaidStatus = getPlaidStatusFromError(plaidError);
+                    logger.warn('Investment sync failed, falling back to database cache', { ...ctx, error: plaidError });
+                }
+            } else {
+                plaidStatus = PLAID_STATUS.NO_TOKEN;
+            }
+        }
+
+        const [holdings, accounts] = await Promise.all([
+            db.getHoldings(userId),
+            db.getAccounts(userId)
+        ]);
+        const portfolio = investmentService.buildPortfolio(holdings);
+
+        // Investment accounts without reported positions are still part of the total
+        const holdingValues = await db.getHoldingValuesByAccount(userId);
+        const investmentAccounts = investmentService.applyHoldingValues(accounts, holdingValues)
+            .filter(acc => acc.type === 'investment')
+            .map(acc => ({
+                id: acc.plaid_account_id,
+                name: acc.alias || acc.name,
+                subtype: acc.subtype,
+                registered: investmentService.registeredLabel(acc.subtype),
+                balance: parseFloat(acc.current_balance || 0),
+                has_holdings: holdingValues[acc.plaid_account_id] !== undefined
+            }));
+
+        const meta = await createMeta(userId, holdings.length > 0 ? dataSource : DATA_SOURCES.EMPTY, {
+            syncType: 'last_investment_sync',
+            plaidStatus,
+            count: portfolio.positions.length
+        });
+
+        successResponse(res, {
+            ...portfolio,
+            accounts: investmentAccounts,
+            total_balance: Math.round(investmentAccounts.reduce((sum, acc) => sum + acc.balance, 0) * 100) / 100,
+            plaid_status: plaidStatus
+        }, meta);
+    } catch (error) {
+        logger.error('Failed to fetch investment portfolio', { ...ctx, error });
+        next(error);
+    }
+});
+
+// GET /investments/transactions?days=90
+// Buys, sells, dividends, contributions and fees from stored investment transactions
+// Requires authentication
+router.get('/transactions', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+
+    try {
+        const days = req.query.days === undefined ? 90 : parseInt(req.query.days, 10);
+        if (isNaN(days) || days < 1 || days > 730) {
+            throw new ValidationError('days must be between 1 and 730', { field: 'days' });
+        }
+
+        const transactions = await db.getInvestmentTransactions(req.user.id, days);
+
+        const meta = await createMeta(req.user.id, DATA_SOURCES.DATABASE, {
+            syncType: 'last_investment_sync',
+            count: transactions.length
+        });
+
+        successResponse(res, { transactions }, meta);
+    } catch (error) {
+        logger.error('Failed to fetch investment transactions', { ...ctx, error });
+        next(error);
+    }
+});
+
+module.exports = router;
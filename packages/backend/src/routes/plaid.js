@@ -1,28 +1,59 @@
 const express = require('express');
 const router = express.Router();
 const plaidService = require('../services/plaid');
+const bankProviders = require('../services/bank_providers');
+const transactionSyncService = require('../services/transaction_sync');
+const plaidWebhookService = require('../services/plaid_webhooks');
 const db = require('../services/db');
 const { authenticateToken } = require('../middleware/auth');
 const { createLogger } = require('../services/logger');
-const { ValidationError, PlaidError } = require('../errors/AppError');
+const { ValidationError, PlaidError, AuthError, NotFoundError } = require('../errors/AppError');
 const { successResponse } = require('../utils/responseHelper');
 
 const logger = createLogger('PLAID');
 
+// Best-effort /item/remove; the local data is deleted either way
+const revokeItem = async (item, ctx) => {
+    if (!item.id) return;
+    try {
+        await bankProviders.removeItem(item);
+    } catch (error) {
+        logger.warn('Could not remove item at provider', { ...ctx, itemId: item.item_id, error });
+    }
+};
+
+// Item health for the app (never includes the access token)
+const formatItem = (item) => ({
+    item_id: item.item_id,
+    provider: item.provider,
+    institution_id: item.institution_id,
+    institution_name: item.institution_name,
+    status: item.status,
+    error_code: item.error_code,
+    status_changed_at: item.status_changed_at,
+    consent_expiration_time: item.consent_expiration_time,
+    last_synced_at: item.last_synced_at,
+    needs_reauth: plaidWebhookService.needsReauth(item.status)
+});
+
 // POST /plaid/create_link_token
-// Creates a Plaid Link token for the authenticated user
+// Creates a Plaid Link token (or Flinks Connect URL) for the authenticated user
+// Body: { provider } - 'plaid' (default) or 'flinks'
 router.post('/create_link_token', authenticateToken, async (req, res, next) => {
-    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const ctx = { requestId: req.requestId, userId: req.user.id, provider: req.body?.provider };
     logger.info('Creating Plaid link token', ctx);
 
     try {
         const userId = req.user.id;
-        const data = await plaidService.createLinkToken(userId.toString());
+        const data = await bankProviders.get(req.body?.provider).createLinkToken(userId.toString());
 
         logger.info('Link token created successfully', ctx);
 
         res.json(data);
     } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
         logger.error('Failed to create link token', { ...ctx, error });
         next(PlaidError.fromPlaidResponse(error));
     }
@@ -31,26 +62,30 @@ router.post('/create_link_token', authenticateToken, async (req, res, next) => {
 // POST /plaid/create_update_link_token
 // Creates a Plaid Link token in UPDATE MODE for re-authentication
 // Use this when ITEM_LOGIN_REQUIRED error occurs
+// Body: { item_id } - defaults to the first item that needs re-authentication
 router.post('/create_update_link_token', authenticateToken, async (req, res, next) => {
-    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const ctx = { requestId: req.requestId, userId: req.user.id, itemId: req.body?.item_id };
     logger.info('Creating Plaid update link token', ctx);
 
     try {
         const userId = req.user.id;
-        const accessToken = req.user.plaidAccessToken;
+        const items = await bankProviders.getItems(userId);
+        const item = req.body?.item_id
+            ? items.find(i => i.item_id === req.body.item_id)
+            : items.find(i => plaidWebhookService.needsReauth(i.status)) || items[0];
 
-        if (!accessToken) {
-            logger.warn('No Plaid access token found for user', ctx);
+        if (!item) {
+            logger.warn('No Plaid item found for user', ctx);
             throw new ValidationError('No bank connection found. Please link a bank account first.', {
                 code: 'NO_CONNECTION'
             });
         }
 
-        const data = await plaidService.createUpdateLinkToken(userId.toString(), accessToken);
+        const data = await bankProviders.createUpdateLinkToken(userId.toString(), item);
 
-        logger.info('Update link token created successfully', ctx);
+        logger.info('Update link token created successfully', { ...ctx, itemId: item.item_id });
 
-        successResponse(res, data, { timestamp: new Date().toISOString() });
+        successResponse(res, { ...data, item_id: item.item_id, provider: item.provider }, { timestamp: new Date().toISOString() });
     } catch (error) {
         if (error instanceof ValidationError) {
             return next(error);
@@ -61,28 +96,35 @@ router.post('/create_update_link_token', authenticateToken, async (req, res, nex
 });
 
 // POST /plaid/exchange_public_token
-// Exchanges Plaid public token for access token and saves to user
+// Exchanges Plaid public token (or Flinks LoginId) for access token and saves to user
+// Body: { public_token, provider }
 router.post('/exchange_public_token', authenticateToken, async (req, res, next) => {
-    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const ctx = { requestId: req.requestId, userId: req.user.id, provider: req.body?.provider };
     logger.info('Exchanging Plaid public token', ctx);
 
     try {
-        const { public_token } = req.body;
+        const { public_token, provider } = req.body;
         const userId = req.user.id;
 
         if (!public_token) {
             throw new ValidationError('Public token is required', { field: 'public_token' });
         }
 
-        const accessToken = await plaidService.exchangePublicToken(public_token);
-
         // Automatically save the connection for the user
-        await db.updateUserPlaidToken(userId, accessToken, null);
+        const item = await bankProviders.linkItem(userId, provider, public_token);
+        if (!item) {
+            throw new ValidationError('This bank connection is linked to another account', { code: 'ITEM_IN_USE' });
+        }
+
+        // Pull up to 24 months of history in the background
+        const backfill = await transactionSyncService.startBackfill(userId, item);
 
-        logger.info('Token exchanged and saved', ctx);
+        logger.info('Token exchanged and saved', { ...ctx, itemId: item.item_id, backfillId: backfill.id });
 
         successResponse(res, {
-            message: 'Bank connected successfully'
+            message: 'Bank connected successfully',
+            item: formatItem(item),
+            backfill
         }, { timestamp: new Date().toISOString() });
     } catch (error) {
         if (error instanceof ValidationError) {
@@ -101,18 +143,29 @@ router.post('/save_connection', authenticateToken, async (req, res, next) => {
 
     try {
         const userId = req.user.id;
-        const { access_token, item_id } = req.body;
+        const { access_token, item_id, provider } = req.body;
 
         if (!access_token) {
             throw new ValidationError('Access token is required', { field: 'access_token' });
         }
 
-        await db.updateUserPlaidToken(userId, access_token, item_id);
+        if (!item_id) {
+            throw new ValidationError('Item ID is required', { field: 'item_id' });
+        }
+
+        const item = await bankProviders.saveItem(userId, provider, access_token, item_id);
+        if (!item) {
+            throw new ValidationError('This bank connection is linked to another account', { code: 'ITEM_IN_USE' });
+        }
+
+        const backfill = await transactionSyncService.startBackfill(userId, item);
 
-        logger.info('Bank connection saved', ctx);
+        logger.info('Bank connection saved', { ...ctx, itemId: item_id, backfillId: backfill.id });
 
         successResponse(res, {
-            message: 'Bank connection saved successfully'
+            message: 'Bank connection saved successfully',
+            item: formatItem(item),
+            backfill
         }, { timestamp: new Date().toISOString() });
     } catch (error) {
         if (error instanceof ValidationError) {
@@ -123,8 +176,114 @@ router.post('/save_connection', authenticateToken, async (req, res, next) => {
     }
 });
 
+// GET /plaid/backfill_status
+// Progress of the historical transaction backfills started when each bank was linked
+// `backfill` is the one to show (a running one first, otherwise the most recent)
+router.get('/backfill_status', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    logger.debug('Fetching backfill status', ctx);
+
+    try {
+        const backfills = (await db.getBackfills(req.user.id)).map(b => transactionSyncService.formatBackfill(b));
+        const backfill = backfills.find(b => b.status === 'running') || backfills[0] || null;
+
+        successResponse(res, {
+            backfill: backfill || transactionSyncService.formatBackfill(null),
+            backfills
+        }, { timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to fetch backfill status', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /plaid/backfill
+// Restart the historical backfill (e.g. after it failed or stalled)
+// Body: { item_id } - defaults to the item whose backfill ran most recently
+router.post('/backfill', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, itemId: req.body?.item_id };
+    logger.info('Restarting historical backfill', ctx);
+
+    try {
+        const userId = req.user.id;
+        const backfills = await db.getBackfills(userId);
+        const itemId = req.body?.item_id || backfills[0]?.item_id;
+        const item = itemId ? await bankProviders.getItem(userId, itemId) : (await bankProviders.getItems(userId))[0];
+
+        if (!item) {
+            throw new ValidationError('No bank connection found. Please link a bank account first.', {
+                code: 'NO_CONNECTION'
+            });
+        }
+
+        const current = transactionSyncService.formatBackfill(backfills.find(b => b.item_id === item.item_id));
+        if (current.status === 'running') {
+            return successResponse(res, { backfill: current }, { timestamp: new Date().toISOString() });
+        }
+
+        const backfill = await transactionSyncService.startBackfill(userId, item);
+
+        successResponse(res, { backfill }, { timestamp: new Date().toISOString() });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return next(error);
+        }
+        logger.error('Failed to restart backfill', { ...ctx, error });
+        next(PlaidError.fromPlaidResponse(error));
+    }
+});
+
+// POST /plaid/webhook
+// Receives Plaid webhooks (no user auth - verified with the Plaid-Verification signature)
+// Acknowledges immediately and processes in the background so Plaid doesn't time out and retry
+router.post('/webhook', async (req, res, next) => {
+    const ctx = {
+        requestId: req.requestId,
+        type: req.body?.webhook_type,
+        code: req.body?.webhook_code,
+        itemId: req.body?.item_id
+    };
+    logger.info('Received Plaid webhook', ctx);
+
+    try {
+        const verified = await plaidService.verifyWebhook(req.rawBody, req.headers['plaid-verification']);
+        if (!verified) {
+            logger.warn('Rejected Plaid webhook with invalid signature', ctx);
+            throw new AuthError('Invalid webhook signature', 'WEBHOOK_SIGNATURE_INVALID');
+        }
+
+        res.json({ received: true });
+
+        plaidWebhookService.handle(req.body)
+            .then(result => logger.debug('Processed Plaid webhook', { ...ctx, ...result }))
+            .catch(error => logger.error('Failed to process Plaid webhook', { ...ctx, error }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /plaid/status
+// Health of each linked item, so the app can prompt for re-authentication
+router.get('/status', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    logger.debug('Fetching Plaid item status', ctx);
+
+    try {
+        const items = (await db.getPlaidItems(req.user.id)).map(formatItem);
+
+        successResponse(res, {
+            connected: items.length > 0,
+            items,
+            needs_reauth: items.some(i => i.needs_reauth)
+        }, { timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to fetch Plaid item status', { ...ctx, error });
+        next(error);
+    }
+});
+
 // DELETE /plaid/disconnect
-// Disconnect Plaid from user account and clear all data
+// Disconnect every linked bank and clear all data
 router.delete('/disconnect', authenticateToken, async (req, res, next) => {
     const ctx = { requestId: req.requestId, userId: req.user.id };
     logger.info('Disconnecting bank', ctx);
@@ -132,6 +291,12 @@ router.delete('/disconnect', authenticateToken, async (req, res, next) => {
     try {
         const userId = req.user.id;
 
+        // Revoke the tokens at the provider so the items stop billing and sending webhooks
+        const items = await bankProviders.getItems(userId);
+        for (const item of items) {
+            await revokeItem(item, ctx);
+        }
+
         // Delete all transactions first (due to foreign key constraints)
         const deletedTx = await db.deleteUserTransactions(userId);
         logger.debug('Deleted transactions', { ...ctx, count: deletedTx });
@@ -140,16 +305,17 @@ router.delete('/disconnect', authenticateToken, async (req, res, next) => {
         const deletedAccounts = await db.deleteUserAccounts(userId);
         logger.debug('Deleted accounts', { ...ctx, count: deletedAccounts });
 
-        // Clear Plaid tokens
-        await db.clearUserPlaidTokens(userId);
+        // Clear Plaid items
+        const deletedItems = await db.deleteUserPlaidItems(userId);
 
-        logger.info('Bank fully disconnected', { ...ctx, deletedTransactions: deletedTx, deletedAccounts });
+        logger.info('Bank fully disconnected', { ...ctx, deletedTransactions: deletedTx, deletedAccounts, deletedItems });
 
         successResponse(res, {
             message: 'Bank disconnected successfully',
             deleted: {
                 transactions: deletedTx,
-                accounts: deletedAccounts
+                accounts: deletedAccounts,
+                items: deletedItems
             }
         }, { timestamp: new Date().toISOString() });
     } catch (error) {
@@ -158,6 +324,38 @@ router.delete('/disconnect', authenticateToken, async (req, res, next) => {
     }
 });
 
+// DELETE /plaid/disconnect/:itemId
+// Disconnect one linked bank; its accounts and transactions are removed with it
+router.delete('/disconnect/:itemId', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, itemId: req.params.itemId };
+    logger.info('Disconnecting bank item', ctx);
+
+    try {
+        const userId = req.user.id;
+        const item = await bankProviders.getItem(userId, req.params.itemId);
+
+        if (!item) {
+            throw new NotFoundError('Bank connection');
+        }
+
+        await revokeItem(item, ctx);
+        await db.deletePlaidItem(userId, item.item_id);
+
+        logger.info('Bank item disconnected', ctx);
+
+        successResponse(res, {
+            message: 'Bank disconnected successfully',
+            deleted: { item_id: item.item_id }
+        }, { timestamp: new Date().toISOString() });
+    } catch (error) {
+        if (error instanceof NotFoundError) {
+            return next(error);
+        }
+        logger.error('Failed to disconnect bank item', { ...ctx, error });
+        next(error);
+    }
+});
+
 // DELETE /plaid/account/:accountId
 // Disconnect a single account and its transactions
 router.delete('/account/:accountId', authenticateToken, async (req, res, next) => {
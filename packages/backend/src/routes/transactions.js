@@ -1,16 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const plaidService = require('../services/plaid');
+const bankProviders = require('../services/bank_providers');
+const transactionSyncService = require('../services/transaction_sync');
 const watchdogService = require('../services/watchdog');
+const feeRuleService = require('../services/fee_rules');
 const db = require('../services/db');
 const { authenticateToken } = require('../middleware/auth');
 const { categorizeTransaction, getCategoryBreakdown, batchCategorizeWithAI } = require('../services/categorization');
 const { createLogger } = require('../services/logger');
-const { PlaidError } = require('../errors/AppError');
+const { PlaidError, ValidationError, NotFoundError } = require('../errors/AppError');
 const { DATA_SOURCES, PLAID_STATUS, createMeta, successResponse, getPlaidStatusFromError } = require('../utils/responseHelper');
 
 const logger = createLogger('TRANSACTIONS');
 
+// Per-item sync result that leaves the user needing Plaid Link update mode
+const needsLogin = (item) => item.status === 'login_required' || item.error_code === 'ITEM_LOGIN_REQUIRED';
+
 // GET /transactions
 // Fetches transactions from cache or Plaid (if stale)
 // Requires authentication
@@ -33,36 +38,29 @@ router.get('/', authenticateToken, async (req, res, next) => {
         if (needsSync) {
             logger.info('Cache stale or force refresh - syncing from Plaid', { ...ctx, forceRefresh });
 
-            // Get user's Plaid access token from the authenticated user
-            const accessToken = req.user.plaidAccessToken || process.env.PLAID_ACCESS_TOKEN_OVERRIDE;
+            const items = await bankProviders.getItems(userId);
 
-            if (accessToken) {
+            if (items.length > 0) {
                 try {
-                    // Fetch from Plaid
-                    const plaidTransactions = await plaidService.getTransactions(accessToken, forceRefresh);
-
-                    // Also fetch accounts for the account_id mapping
-                    try {
-                        const plaidAccounts = await plaidService.getAccounts(accessToken);
-                        await db.upsertAccounts(userId, plaidAccounts);
-                        logger.debug('Synced accounts from Plaid', { ...ctx, accountCount: plaidAccounts.length });
-                    } catch (accErr) {
-                        logger.warn('Could not fetch accounts', { ...ctx, error: accErr });
-                    }
-
-                    // Store in database
-                    await db.upsertTransactions(userId, plaidTransactions);
+                    // Pull and store everything that changed since each item's cursor
+                    // (items already known to need re-auth are skipped unless this is a forced refresh)
+                    const syncResult = await transactionSyncService.syncUser(userId, { forceRefresh });
 
                     // Update sync time
                     await db.updateSyncTime(userId, 'last_transaction_sync');
 
                     logger.info('Synced transactions from Plaid', {
                         ...ctx,
-                        count: plaidTransactions.length,
+                        added: syncResult.added,
+                        modified: syncResult.modified,
+                        removed: syncResult.removed,
+                        itemCount: items.length,
                         dataSource: DATA_SOURCES.PLAID_API
                     });
                     dataSource = DATA_SOURCES.PLAID_API;
-                    plaidStatus = PLAID_STATUS.SUCCESS;
+                    plaidStatus = syncResult.items.some(needsLogin)
+                        ? PLAID_STATUS.LOGIN_REQUIRED
+                        : PLAID_STATUS.SUCCESS;
                 } catch (plaidError) {
                     // Determine Plaid error status
                     plaidStatus = getPlaidStatusFromError(plaidError);
@@ -79,7 +77,7 @@ router.get('/', authenticateToken, async (req, res, next) => {
                     }
                 }
             } else {
-                logger.info('No Plaid access token available', ctx);
+                logger.info('No Plaid items linked', ctx);
                 plaidStatus = PLAID_STATUS.NO_TOKEN;
             }
         } else {
@@ -147,7 +145,7 @@ router.get('/', authenticateToken, async (req, res, next) => {
         const categoryBreakdown = await getCategoryBreakdown(categorizedTransactions);
 
         // Run Watchdog Analysis
-        const leakageAnalysis = watchdogService.analyze(categorizedTransactions);
+        const leakageAnalysis = watchdogService.analyze(categorizedTransactions, await feeRuleService.getRules());
 
         // Build response metadata
         const meta = await createMeta(userId, dataSource, {
@@ -176,4 +174,44 @@ router.get('/', authenticateToken, async (req, res, next) => {
     }
 });
 
+// PATCH /transactions/:transactionId
+// Saves the user's category and/or note for a transaction
+// Body: { category?, notes? } (null clears the edit). Edits survive syncs and carry over when a pending
+// transaction posts.
+// Requires authentication
+router.patch('/:transactionId', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, transactionId: req.params.transactionId };
+    logger.info('Updating transaction', ctx);
+
+    try {
+        const { category, notes } = req.body;
+
+        if (category === undefined && notes === undefined) {
+            throw new ValidationError('Nothing to update', { fields: ['category', 'notes'] });
+        }
+        if (category !== undefined && category !== null && (typeof category !== 'string' || !category.trim())) {
+            throw new ValidationError('Category must be a non-empty string or null', { field: 'category' });
+        }
+        if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+            throw new ValidationError('Notes must be a string or null', { field: 'notes' });
+        }
+
+        const transaction = await db.updateTransactionEdits(req.user.id, req.params.transactionId, {
+            category: typeof category === 'string' ? category.trim().substring(0, 255) : category,
+            notes: typeof notes === 'string' ? (notes.trim() || null) : notes
+        });
+
+        if (!transaction) {
+            throw new NotFoundError('Transaction');
+        }
+
+        logger.info('Transaction updated', ctx);
+
+        successResponse(res, { transaction }, { source: DATA_SOURCES.DATABASE, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to update transaction', { ...ctx, error });
+        next(error);
+    }
+});
+
 module.exports = router;
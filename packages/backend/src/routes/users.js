@@ -116,7 +116,7 @@ router.post('/login', async (req, res, next) => {
                 id: user.id,
                 email: user.email,
                 name: user.name,
-                hasPlaidLinked: !!user.plaid_access_token,
+                hasPlaidLinked: user.has_plaid_linked,
             },
             requestId: req.requestId
         });
@@ -148,7 +148,7 @@ router.get('/me', authenticateToken, async (req, res, next) => {
                 email: user.email,
                 name: user.name,
                 dateOfBirth: user.date_of_birth,
-                hasPlaidLinked: !!user.plaid_access_token,
+                hasPlaidLinked: user.has_plaid_linked,
                 createdAt: user.created_at,
             }
         }, { timestamp: new Date().toISOString() });
@@ -1,49 +1,109 @@
 const express = require('express');
 const router = express.Router();
 const watchdogService = require('../services/watchdog');
+const feeRuleService = require('../services/fee_rules');
+const db = require('../services/db');
 const { authenticateToken } = require('../middleware/auth');
 const { createLogger } = require('../services/logger');
+const { ValidationError, NotFoundError } = require('../errors/AppError');
 const { DATA_SOURCES, successResponse } = require('../utils/responseHelper');
 
 const logger = createLogger('WATCHDOG');
 
 // GET /watchdog
-// Returns recurring expense analysis for WatchdogScreen
+// Returns recurring expenses detected from the user's stored transactions,
+// merged with the lifecycle status the user has set on each one
 // Requires authentication
 router.get('/', authenticateToken, async (req, res, next) => {
     const ctx = { requestId: req.requestId, userId: req.user.id };
     logger.info('Fetching recurring expense analysis', ctx);
 
     try {
-        // TODO: In production, analyze user's transaction history to detect recurring patterns
-        // For now, return empty array until real pattern detection is implemented
-        const recurringExpenses = [];
+        const userId = req.user.id;
 
-        logger.debug('Recurring expense detection pending implementation', ctx);
+        // Mine ~2 years of stored transactions so annual charges have two occurrences
+        const transactions = await db.getTransactionsForAnalysis(userId);
+        const detected = watchdogService.detectRecurring(transactions);
 
-        // Calculate potential savings (items that can be stopped or negotiated)
-        const potentialSavings = recurringExpenses
-            .filter(e => e.action === 'stop' || e.action === 'negotiate')
-            .reduce((sum, e) => sum + e.amount, 0);
+        logger.debug('Recurring expense detection complete', {
+            ...ctx,
+            transactionCount: transactions.length,
+            recurringCount: detected.length
+        });
+
+        // Persist detection results (lifecycle status is preserved)
+        await db.upsertRecurringExpenses(userId, detected);
+        let storedExpenses = await db.getRecurringExpenses(userId);
+
+        // Cancelled expenses that charged again go back to flagged
+        const recharged = watchdogService.findRecharged(storedExpenses);
+        if (recharged.length > 0) {
+            for (const expense of recharged) {
+                await db.updateRecurringExpenseStatus(userId, expense.id, {
+                    action: 'recharged',
+                    toStatus: 'flagged',
+                    source: 'system',
+                    note: `Charged again on ${expense.last_charge_date} after cancellation`
+                });
+            }
+            logger.warn('Re-flagged cancelled expenses that charged again', {
+                ...ctx,
+                expenseIds: recharged.map(e => e.id)
+            });
+            storedExpenses = await db.getRecurringExpenses(userId);
+        }
+
+        // Double charges (same merchant + amount within a few days), excluding regular recurring cycles
+        const duplicates = watchdogService.detectDuplicates(transactions, detected);
+        await db.upsertDuplicateFlags(userId, duplicates);
+        const duplicateFlags = await db.getDuplicateFlags(userId);
 
-        const flagsFound = recurringExpenses.filter(e => e.action !== 'active').length;
+        // Free trials: record new $0/$1 authorizations, then mark trials whose first full charge has posted
+        const authorizations = await db.getTrialAuthorizations(userId);
+        await db.upsertFreeTrials(userId, watchdogService.detectTrials(authorizations, transactions, detected));
+        let storedTrials = await db.getFreeTrials(userId);
+
+        const conversions = watchdogService.findConvertedTrials(storedTrials, transactions);
+        if (conversions.length > 0) {
+            for (const { trial, transaction } of conversions) {
+                await db.markFreeTrialConverted(userId, trial.id, transaction);
+            }
+            logger.info('Marked free trials as converted', {
+                ...ctx,
+                trialIds: conversions.map(c => c.trial.id)
+            });
+            storedTrials = await db.getFreeTrials(userId);
+        }
+        const trialView = watchdogService.buildTrialView(storedTrials);
+
+        const view = watchdogService.buildWatchdogView(storedExpenses, detected, duplicateFlags);
+        const { expenses, analysis } = view;
+
+        // Bank fees from the editable fee rule catalogue
+        const fees = watchdogService.analyzeFees(transactions, await feeRuleService.getRules());
+        analysis.monthly_fees = fees.monthly_average;
+        analysis.annual_fees = fees.annual_total;
+        analysis.upcoming_trial_conversions = trialView.upcoming_count;
+        analysis.upcoming_trial_amount = trialView.upcoming_amount;
 
         logger.info('Returning watchdog analysis', {
             ...ctx,
-            expenseCount: recurringExpenses.length,
-            potentialSavings,
-            flagsFound
+            expenseCount: expenses.length,
+            duplicateCount: view.duplicates.length,
+            annualFees: fees.annual_total,
+            upcomingTrials: trialView.upcoming_count,
+            potentialSavings: analysis.potential_savings,
+            flagsFound: analysis.flags_found
         });
 
         successResponse(res, {
-            expenses: recurringExpenses,
-            analysis: {
-                potential_savings: potentialSavings,
-                flags_found: flagsFound,
-                total_monthly: recurringExpenses.reduce((sum, e) => sum + e.amount, 0),
-            },
+            expenses,
+            duplicates: view.duplicates,
+            trials: trialView.trials,
+            fees,
+            analysis,
             categories: ['All', 'Streaming', 'Utilities', 'Health', 'Other'],
-            needs_transaction_history: true
+            needs_transaction_history: transactions.length === 0
         }, {
             source: DATA_SOURCES.COMPUTED,
             timestamp: new Date().toISOString()
@@ -55,26 +115,218 @@ router.get('/', authenticateToken, async (req, res, next) => {
 });
 
 // POST /watchdog/action
-// Handle actions like negotiate, stop, etc.
+// Handle actions like negotiate, stop, ignore - persists the new status and logs it in the history
 // Requires authentication
 router.post('/action', authenticateToken, async (req, res, next) => {
     const ctx = { requestId: req.requestId, userId: req.user.id };
-    const { expenseId, action } = req.body;
+    const { expenseId, action, note } = req.body;
     logger.info('Processing watchdog action', { ...ctx, expenseId, action });
 
     try {
-        // In production, this would update the expense status in the database
-        logger.info('Watchdog action registered', { ...ctx, expenseId, action });
+        if (!expenseId || !action) {
+            throw new ValidationError('expenseId and action are required', { fields: ['expenseId', 'action'] });
+        }
+
+        if (!Number.isInteger(Number(expenseId))) {
+            throw new ValidationError('expenseId must be a recurring expense ID', { field: 'expenseId' });
+        }
+
+        const toStatus = watchdogService.resolveAction(action);
+        if (!toStatus) {
+            throw new ValidationError(`Unknown action '${action}'`, {
+                field: 'action',
+                allowed: watchdogService.getActions()
+            });
+        }
 
-        res.json({
-            success: true,
+        const expense = await db.updateRecurringExpenseStatus(req.user.id, expenseId, { action, toStatus, note });
+        if (!expense) {
+            throw new NotFoundError('Recurring expense');
+        }
+
+        const history = await db.getRecurringExpenseActions(req.user.id, expenseId);
+
+        logger.info('Watchdog action registered', { ...ctx, expenseId, action, status: toStatus });
+
+        successResponse(res, {
             message: `Action '${action}' registered for expense ${expenseId}`,
-            requestId: req.requestId
-        });
+            expense,
+            history
+        }, { source: DATA_SOURCES.DATABASE, timestamp: new Date().toISOString() });
     } catch (error) {
         logger.error('Failed to process watchdog action', { ...ctx, error });
         next(error);
     }
 });
 
+// POST /watchdog/duplicates/:flagId/action
+// Dispute or dismiss a flagged double charge
+// Requires authentication
+router.post('/duplicates/:flagId/action', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, flagId: req.params.flagId };
+    const { action } = req.body;
+    logger.info('Processing duplicate charge action', { ...ctx, action });
+
+    try {
+        if (!Number.isInteger(Number(req.params.flagId))) {
+            throw new ValidationError('flagId must be a duplicate charge flag ID', { field: 'flagId' });
+        }
+
+        const status = watchdogService.resolveDuplicateAction(action);
+        if (!status) {
+            throw new ValidationError(`Unknown action '${action}'`, {
+                field: 'action',
+                allowed: watchdogService.getDuplicateActions()
+            });
+        }
+
+        const flag = await db.updateDuplicateFlagStatus(req.user.id, req.params.flagId, status);
+        if (!flag) {
+            throw new NotFoundError('Duplicate charge');
+        }
+
+        logger.info('Duplicate charge action registered', { ...ctx, action, status });
+
+        successResponse(res, {
+            message: `Action '${action}' registered for duplicate charge ${flag.id}`,
+            duplicate: flag
+        }, { source: DATA_SOURCES.DATABASE, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to process duplicate charge action', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /watchdog/trials
+// Register a free trial so the watchdog can warn before it converts
+// Body: { name, startDate?, trialDays?, conversionDate?, expectedAmount? }
+// Requires authentication
+router.post('/trials', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id };
+    const { name, startDate, trialDays, conversionDate, expectedAmount } = req.body;
+    logger.info('Registering free trial', { ...ctx, name });
+
+    try {
+        if (!name || !String(name).trim()) {
+            throw new ValidationError('name is required', { field: 'name' });
+        }
+
+        const merchantKey = watchdogService.normalizeMerchant(name);
+        if (!merchantKey) {
+            throw new ValidationError('name must contain a merchant name', { field: 'name' });
+        }
+
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+        for (const [field, value] of [['startDate', startDate], ['conversionDate', conversionDate]]) {
+            if (value && (!dateRegex.test(value) || isNaN(new Date(value).getTime()))) {
+                throw new ValidationError('Invalid date format. Use YYYY-MM-DD', { field });
+            }
+        }
+
+        if (trialDays !== undefined && (!Number.isInteger(Number(trialDays)) || Number(trialDays) <= 0)) {
+            throw new ValidationError('trialDays must be a positive whole number', { field: 'trialDays' });
+        }
+
+        if (expectedAmount !== undefined && expectedAmount !== null
+            && (isNaN(parseFloat(expectedAmount)) || parseFloat(expectedAmount) < 0)) {
+            throw new ValidationError('expectedAmount must be a positive amount', { field: 'expectedAmount' });
+        }
+
+        const startedOn = startDate || new Date().toISOString().split('T')[0];
+        const conversionOn = conversionDate
+            || watchdogService.getTrialConversionDate(startedOn, trialDays ? Number(trialDays) : undefined);
+
+        if (conversionOn < startedOn) {
+            throw new ValidationError('conversionDate must be after startDate', { field: 'conversionDate' });
+        }
+
+        const trial = await db.createFreeTrial(req.user.id, {
+            merchant_key: merchantKey,
+            name: String(name).trim(),
+            started_on: startedOn,
+            conversion_date: conversionOn,
+            expected_amount: expectedAmount !== undefined && expectedAmount !== null ? parseFloat(expectedAmount) : null
+        });
+
+        logger.info('Free trial registered', { ...ctx, trialId: trial.id, conversionDate: trial.conversion_date });
+
+        res.status(201);
+        successResponse(res, {
+            message: `Tracking free trial for ${trial.name}`,
+            trial: watchdogService.buildTrialView([trial]).trials[0]
+        }, { source: DATA_SOURCES.DATABASE, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to register free trial', { ...ctx, error });
+        next(error);
+    }
+});
+
+// POST /watchdog/trials/:trialId/action
+// Cancel, keep or dismiss a tracked free trial
+// Requires authentication
+router.post('/trials/:trialId/action', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, trialId: req.params.trialId };
+    const { action } = req.body;
+    logger.info('Processing free trial action', { ...ctx, action });
+
+    try {
+        if (!Number.isInteger(Number(req.params.trialId))) {
+            throw new ValidationError('trialId must be a free trial ID', { field: 'trialId' });
+        }
+
+        const status = watchdogService.resolveTrialAction(action);
+        if (!status) {
+            throw new ValidationError(`Unknown action '${action}'`, {
+                field: 'action',
+                allowed: watchdogService.getTrialActions()
+            });
+        }
+
+        const trial = await db.updateFreeTrialStatus(req.user.id, req.params.trialId, status);
+        if (!trial) {
+            throw new NotFoundError('Free trial');
+        }
+
+        logger.info('Free trial action registered', { ...ctx, action, status });
+
+        successResponse(res, {
+            message: `Action '${action}' registered for free trial ${trial.id}`,
+            trial: watchdogService.buildTrialView([trial]).trials[0]
+        }, { source: DATA_SOURCES.DATABASE, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Failed to process free trial action', { ...ctx, error });
+        next(error);
+    }
+});
+
+// GET /watchdog/:expenseId/history
+// Returns the action history for one recurring expense
+// Requires authentication
+router.get('/:expenseId/history', authenticateToken, async (req, res, next) => {
+    const ctx = { requestId: req.requestId, userId: req.user.id, expenseId: req.params.expenseId };
+    logger.info('Fetching watchdog action history', ctx);
+
+    try {
+        if (!Number.isInteger(Number(req.params.expenseId))) {
+            throw new ValidationError('expenseId must be a recurring expense ID', { field: 'expenseId' });
+        }
+
+        const expense = await db.getRecurringExpenseById(req.user.id, req.params.expenseId);
+        if (!expense) {
+            throw new NotFoundError('Recurring expense');
+        }
+
+        const history = await db.getRecurringExpenseActions(req.user.id, req.params.expenseId);
+
+        successResponse(res, { expense, history }, {
+            source: DATA_SOURCES.DATABASE,
+            count: history.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to fetch watchdog action history', { ...ctx, error });
+        next(error);
+    }
+});
+
 module.exports = router;
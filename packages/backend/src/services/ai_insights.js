@@ -112,6 +112,8 @@ RULES:
 13. CRITICAL: NOT SUBSCRIPTIONS are restaurants, gas stations, groceries, coffee shops, transportation (Uber, Lyft), pharmacies, retail stores
 14. CRITICAL: If subscriptions data includes restaurants, gas, or transportation merchants, IGNORE them completely - they are NOT subscriptions
 15. Look at category field to identify investments - do not treat them as subscriptions to cancel
+16. If a subscription has a price_increase, call out the old and new price, the effective date and the annualized impact
+17. accounts.investments holds the user's actual TFSA/RRSP/non-registered holdings - base tax-advantaged account and allocation advice on them, not on assumptions
 
 SUBSCRIPTION IDENTIFICATION EXAMPLES:
 ✅ ACTUAL SUBSCRIPTIONS (can suggest reviewing/canceling):
@@ -0,0 +1,237 @@
+/**
+ * Bank Data Providers
+ * Routes and sync jobs talk to linked items through this service instead of a specific
+ * aggregator, so each item can come from whichever provider covers its institution.
+ *
+ * Every provider implements:
+ *   createLinkToken(userId)                     Start linking (Plaid Link token / Flinks Connect URL)
+ *   createUpdateLinkToken(userId, accessToken)  Re-authenticate an existing item
+ *   exchangePublicToken(publicToken)            → { accessToken, itemId }
+ *   getItemDetails(accessToken)                 → { institutionId, institutionName, consentExpirationTime }
+ *   getAccounts(accessToken)                    → Plaid-shaped accounts
+ *   syncTransactions(accessToken, cursor, forceRefresh) → { added, modified, removed, nextCursor }
+ *   syncTransactionsPage(accessToken, cursor)   → one /transactions/sync-shaped page (backfill)
+ *   getLiabilities(accessToken)                 → { credit, student, mortgage }
+ *   getInvestmentHoldings(accessToken)          → { accounts, holdings, securities }
+ *   getInvestmentTransactions(accessToken, startDate, endDate) → { investmentTransactions, securities }
+ *   refresh(accessToken)                        Ask the provider to pull fresh data from the bank
+ *   removeItem(accessToken)                     Revoke the connection at the provider
+ *
+ * Provider errors carry `error.response.data.error_code` in Plaid's vocabulary
+ * (e.g. ITEM_LOGIN_REQUIRED) so callers handle them the same way.
+ *
+ * Stored access tokens are encrypted and this is the only place they are decrypted: callers get
+ * items without a token and go through the item methods below, which decrypt just for the call.
+ */
+
+const db = require('./db');
+const tokenEncryption = require('./token_encryption');
+const plaidService = require('./plaid');
+const flinksService = require('./flinks');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('../errors/AppError');
+
+const logger = createLogger('BANK_PROVIDERS');
+
+const PROVIDERS = {
+    plaid: plaidService,
+    flinks: flinksService
+};
+
+const DEFAULT_PROVIDER = 'plaid';
+
+class BankProviderService {
+    constructor() {
+        // Stored token (encrypted envelope, or the plaintext override) of each item handed out
+        this._tokens = new WeakMap();
+    }
+
+    /**
+     * Provider implementation by name
+     * @param {string} [name] - 'plaid' or 'flinks' (defaults to Plaid)
+     */
+    get(name = DEFAULT_PROVIDER) {
+        const provider = PROVIDERS[name || DEFAULT_PROVIDER];
+        if (!provider) {
+            throw new ValidationError(`Unknown bank data provider: ${name}`, {
+                field: 'provider',
+                allowed: Object.keys(PROVIDERS)
+            });
+        }
+        return provider;
+    }
+
+    /**
+     * Provider implementation for a linked item
+     */
+    forItem(item) {
+        return this.get(item.provider);
+    }
+
+    /**
+     * Linked items for a user
+     * Falls back to PLAID_ACCESS_TOKEN_OVERRIDE (as a single unsaved item) when nothing is linked.
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Items for the item methods below
+     */
+    async getItems(userId) {
+        const items = await db.getPlaidItems(userId);
+
+        if (items.length === 0 && process.env.PLAID_ACCESS_TOKEN_OVERRIDE) {
+            const override = {
+                id: null,
+                item_id: 'override',
+                provider: 'plaid',
+                institution_name: 'Override',
+                status: 'good',
+                transactions_cursor: null
+            };
+            this._tokens.set(override, { plaintext: process.env.PLAID_ACCESS_TOKEN_OVERRIDE });
+            return [override];
+        }
+
+        return items.map(item => this._toItem(item));
+    }
+
+    /**
+     * Look up one of the user's items by item ID
+     * @returns {Promise<Object|null>} Item
+     */
+    async getItem(userId, itemId) {
+        const item = await db.getPlaidItem(userId, itemId);
+        return item ? this._toItem(item) : null;
+    }
+
+    /**
+     * Look up an item from a webhook (no user context)
+     * @returns {Promise<Object|null>} Item with `user_id`
+     */
+    async getItemForWebhook(itemId) {
+        const item = await db.getPlaidItemByItemId(itemId);
+        return item ? this._toItem(item) : null;
+    }
+
+    /**
+     * Exchange a Link public token (or Flinks LoginId) and store the new item with its token encrypted
+     * @param {number} userId - User ID
+     * @param {string} providerName - 'plaid' or 'flinks'
+     * @param {string} publicToken - Token from Link
+     * @returns {Promise<Object|null>} Saved item, or null if the connection belongs to another user
+     */
+    async linkItem(userId, providerName, publicToken) {
+        const { accessToken, itemId } = await this.get(providerName).exchangePublicToken(publicToken);
+        return this.saveItem(userId, providerName, accessToken, itemId);
+    }
+
+    /**
+     * Store an item whose access token was already exchanged, with its token encrypted
+     * @param {number} userId - User ID
+     * @param {string} providerName - 'plaid' or 'flinks'
+     * @param {string} accessToken - Plaintext access token
+     * @param {string} itemId - Provider item ID
+     * @returns {Promise<Object|null>} Saved item, or null if the connection belongs to another user
+     */
+    async saveItem(userId, providerName, accessToken, itemId) {
+        const provider = this.get(providerName);
+        const details = await provider.getItemDetails(accessToken).catch(error => {
+            // Institution details are cosmetic - don't fail the link over them
+            logger.warn('Could not fetch item details', { userId, itemId, error });
+            return {};
+        });
+
+        const saved = await db.upsertPlaidItem(userId, {
+            ...details,
+            provider: providerName || DEFAULT_PROVIDER,
+            itemId,
+            accessToken: tokenEncryption.encrypt(accessToken, itemId)
+        });
+        return saved ? this._toItem(saved) : null;
+    }
+
+    // Provider calls for an item; the token is decrypted for the call only
+
+    createUpdateLinkToken(userId, item) {
+        return this.forItem(item).createUpdateLinkToken(userId, this._accessToken(item));
+    }
+
+    getAccounts(item) {
+        return this.forItem(item).getAccounts(this._accessToken(item));
+    }
+
+    syncTransactions(item, cursor, forceRefresh) {
+        return this.forItem(item).syncTransactions(this._accessToken(item), cursor, forceRefresh);
+    }
+
+    syncTransactionsPage(item, cursor) {
+        return this.forItem(item).syncTransactionsPage(this._accessToken(item), cursor);
+    }
+
+    getLiabilities(item) {
+        return this.forItem(item).getLiabilities(this._accessToken(item));
+    }
+
+    getInvestmentHoldings(item) {
+        return this.forItem(item).getInvestmentHoldings(this._accessToken(item));
+    }
+
+    getInvestmentTransactions(item, startDate, endDate) {
+        return this.forItem(item).getInvestmentTransactions(this._accessToken(item), startDate, endDate);
+    }
+
+    removeItem(item) {
+        return this.forItem(item).removeItem(this._accessToken(item));
+    }
+
+    /**
+     * Bring every stored token onto the active master key
+     * Plaintext tokens are encrypted; tokens under an older key have their data key re-wrapped.
+     * @returns {Promise<Object>} { encrypted, rewrapped, keyId }
+     */
+    async encryptStoredTokens() {
+        const keyId = tokenEncryption.getActiveKeyId();
+        const items = await db.getPlaidItemsNotUsingKey(keyId);
+        const result = { encrypted: 0, rewrapped: 0, keyId };
+
+        for (const item of items) {
+            if (item.access_token_key_id) {
+                await db.updatePlaidItemToken(item.item_id, tokenEncryption.rewrap(this._envelope(item)));
+                result.rewrapped++;
+            } else {
+                await db.updatePlaidItemToken(item.item_id, tokenEncryption.encrypt(item.access_token, item.item_id));
+                result.encrypted++;
+            }
+        }
+
+        return result;
+    }
+
+    // Item without its token columns; the stored token stays in this service
+    _toItem(row) {
+        const { access_token, access_token_data_key, access_token_key_id, ...item } = row;
+        this._tokens.set(item, access_token_key_id
+            ? { envelope: this._envelope(row) }
+            // Not yet encrypted (npm run migrate encrypts these)
+            : { plaintext: access_token });
+        return item;
+    }
+
+    _accessToken(item) {
+        const stored = this._tokens.get(item);
+        if (!stored) {
+            throw new Error('Bank item was not loaded through bankProviders');
+        }
+        return stored.envelope
+            ? tokenEncryption.decrypt(stored.envelope, item.item_id)
+            : stored.plaintext;
+    }
+
+    _envelope(item) {
+        return {
+            ciphertext: item.access_token,
+            dataKey: item.access_token_data_key,
+            keyId: item.access_token_key_id
+        };
+    }
+}
+
+module.exports = new BankProviderService();
@@ -1,7 +1,7 @@
 /**
  * Transaction Categorization Utility
  *
- * Hybrid 4-layer categorization system:
+ * Hybrid 4-layer categorization system (a category the user set always wins):
  * Layer 1: Plaid category (from API)
  * Layer 2: Pattern matching (keyword-based)
  * Layer 3: AI cache lookup (merchant normalization)
@@ -172,6 +172,18 @@ const CATEGORY_PATTERNS = {
  * @returns {Promise<Object>} - { category, icon, color, source, needsAI }
  */
 const categorizeTransaction = async (transaction) => {
+    // Category the user picked for this transaction
+    if (transaction.user_category) {
+        const config = CATEGORY_PATTERNS[transaction.user_category];
+        return {
+            category: transaction.user_category,
+            icon: config?.icon || 'wallet-outline',
+            color: config?.color || '#8E8E93',
+            source: 'user',
+            needsAI: false
+        };
+    }
+
     // Layer 1: Pattern matching on transaction name (moved to top priority)
     const name = (transaction.name || '').toUpperCase();
     const merchantName = (transaction.merchant_name || '').toUpperCase();
@@ -79,6 +79,153 @@ const initDb = async () => {
             await pool.query(accountAliasSql);
         }
 
+        // Run watchdog expenses migration
+        const watchdogSqlPath = path.join(__dirname, '../../db/add_watchdog_expenses.sql');
+        if (fs.existsSync(watchdogSqlPath)) {
+            const watchdogSql = fs.readFileSync(watchdogSqlPath, 'utf8');
+            console.log('🔄 Running watchdog expenses migration...');
+            await pool.query(watchdogSql);
+        }
+
+        // Run watchdog duplicates migration
+        const duplicatesSqlPath = path.join(__dirname, '../../db/add_watchdog_duplicates.sql');
+        if (fs.existsSync(duplicatesSqlPath)) {
+            const duplicatesSql = fs.readFileSync(duplicatesSqlPath, 'utf8');
+            console.log('🔄 Running watchdog duplicates migration...');
+            await pool.query(duplicatesSql);
+        }
+
+        // Bank fee rules are created and seeded by npm run migrate only: it runs each file once,
+        // so rules deleted or edited in the database don't come back on the next restart
+
+        // Run free trials migration
+        const freeTrialsSqlPath = path.join(__dirname, '../../db/add_free_trials.sql');
+        if (fs.existsSync(freeTrialsSqlPath)) {
+            const freeTrialsSql = fs.readFileSync(freeTrialsSqlPath, 'utf8');
+            console.log('🔄 Running free trials migration...');
+            await pool.query(freeTrialsSql);
+        }
+
+        // Run Plaid sync cursor migration
+        const syncCursorSqlPath = path.join(__dirname, '../../db/add_plaid_sync_cursor.sql');
+        if (fs.existsSync(syncCursorSqlPath)) {
+            const syncCursorSql = fs.readFileSync(syncCursorSqlPath, 'utf8');
+            console.log('🔄 Running Plaid sync cursor migration...');
+            await pool.query(syncCursorSql);
+        }
+
+        // Run Plaid backfill migration
+        const backfillsSqlPath = path.join(__dirname, '../../db/add_plaid_backfills.sql');
+        if (fs.existsSync(backfillsSqlPath)) {
+            const backfillsSql = fs.readFileSync(backfillsSqlPath, 'utf8');
+            console.log('🔄 Running Plaid backfill migration...');
+            await pool.query(backfillsSql);
+        }
+
+        // Run Plaid item status migration
+        const itemStatusSqlPath = path.join(__dirname, '../../db/add_plaid_item_status.sql');
+        if (fs.existsSync(itemStatusSqlPath)) {
+            const itemStatusSql = fs.readFileSync(itemStatusSqlPath, 'utf8');
+            console.log('🔄 Running Plaid item status migration...');
+            await pool.query(itemStatusSql);
+        }
+
+        // Run Plaid items migration
+        const plaidItemsSqlPath = path.join(__dirname, '../../db/add_plaid_items.sql');
+        if (fs.existsSync(plaidItemsSqlPath)) {
+            const plaidItemsSql = fs.readFileSync(plaidItemsSqlPath, 'utf8');
+            console.log('🔄 Running Plaid items migration...');
+            await pool.query(plaidItemsSql);
+        }
+
+        // Run Plaid token encryption migration
+        const tokenEncryptionSqlPath = path.join(__dirname, '../../db/add_plaid_token_encryption.sql');
+        if (fs.existsSync(tokenEncryptionSqlPath)) {
+            const tokenEncryptionSql = fs.readFileSync(tokenEncryptionSqlPath, 'utf8');
+            console.log('🔄 Running Plaid token encryption migration...');
+            await pool.query(tokenEncryptionSql);
+        }
+
+        // Run bank providers migration
+        const bankProvidersSqlPath = path.join(__dirname, '../../db/add_bank_providers.sql');
+        if (fs.existsSync(bankProvidersSqlPath)) {
+            const bankProvidersSql = fs.readFileSync(bankProvidersSqlPath, 'utf8');
+            console.log('🔄 Running bank providers migration...');
+            await pool.query(bankProvidersSql);
+        }
+
+        // Run statement imports migration
+        const statementImportsSqlPath = path.join(__dirname, '../../db/add_statement_imports.sql');
+        if (fs.existsSync(statementImportsSqlPath)) {
+            const statementImportsSql = fs.readFileSync(statementImportsSqlPath, 'utf8');
+            console.log('🔄 Running statement imports migration...');
+            await pool.query(statementImportsSql);
+        }
+
+        // Run manual accounts migration
+        const manualAccountsSqlPath = path.join(__dirname, '../../db/add_manual_accounts.sql');
+        if (fs.existsSync(manualAccountsSqlPath)) {
+            const manualAccountsSql = fs.readFileSync(manualAccountsSqlPath, 'utf8');
+            console.log('🔄 Running manual accounts migration...');
+            await pool.query(manualAccountsSql);
+        }
+
+        // Run pending reconciliation migration
+        const pendingReconciliationSqlPath = path.join(__dirname, '../../db/add_pending_reconciliation.sql');
+        if (fs.existsSync(pendingReconciliationSqlPath)) {
+            const pendingReconciliationSql = fs.readFileSync(pendingReconciliationSqlPath, 'utf8');
+            console.log('🔄 Running pending reconciliation migration...');
+            await pool.query(pendingReconciliationSql);
+        }
+
+        // Run investments migration
+        const investmentsSqlPath = path.join(__dirname, '../../db/add_investments.sql');
+        if (fs.existsSync(investmentsSqlPath)) {
+            const investmentsSql = fs.readFileSync(investmentsSqlPath, 'utf8');
+            console.log('🔄 Running investments migration...');
+            await pool.query(investmentsSql);
+        }
+
+        // Run debt promotions migration
+        const debtPromotionsSqlPath = path.join(__dirname, '../../db/add_debt_promotions.sql');
+        if (fs.existsSync(debtPromotionsSqlPath)) {
+            const debtPromotionsSql = fs.readFileSync(debtPromotionsSqlPath, 'utf8');
+            console.log('🔄 Running debt promotions migration...');
+            await pool.query(debtPromotionsSql);
+        }
+
+        // Run custom debt mortgage terms migration
+        const mortgageTermsSqlPath = path.join(__dirname, '../../db/add_custom_debt_mortgage_terms.sql');
+        if (fs.existsSync(mortgageTermsSqlPath)) {
+            const mortgageTermsSql = fs.readFileSync(mortgageTermsSqlPath, 'utf8');
+            console.log('🔄 Running custom debt mortgage terms migration...');
+            await pool.query(mortgageTermsSql);
+        }
+
+        // Run debt snapshots migration
+        const debtSnapshotsSqlPath = path.join(__dirname, '../../db/add_debt_snapshots.sql');
+        if (fs.existsSync(debtSnapshotsSqlPath)) {
+            const debtSnapshotsSql = fs.readFileSync(debtSnapshotsSqlPath, 'utf8');
+            console.log('🔄 Running debt snapshots migration...');
+            await pool.query(debtSnapshotsSql);
+        }
+
+        // Run debt snapshot mortgage terms migration
+        const snapshotTermsSqlPath = path.join(__dirname, '../../db/add_debt_snapshot_mortgage_terms.sql');
+        if (fs.existsSync(snapshotTermsSqlPath)) {
+            const snapshotTermsSql = fs.readFileSync(snapshotTermsSqlPath, 'utf8');
+            console.log('🔄 Running debt snapshot mortgage terms migration...');
+            await pool.query(snapshotTermsSql);
+        }
+
+        // Run debt plans migration
+        const debtPlansSqlPath = path.join(__dirname, '../../db/add_debt_plans.sql');
+        if (fs.existsSync(debtPlansSqlPath)) {
+            const debtPlansSql = fs.readFileSync(debtPlansSqlPath, 'utf8');
+            console.log('🔄 Running debt plans migration...');
+            await pool.query(debtPlansSql);
+        }
+
         console.log('✅ Database initialized successfully');
     } catch (error) {
         console.error('❌ Failed to initialize database:', error);
@@ -106,7 +253,8 @@ const createUser = async (email, passwordHash, name) => {
 
 const getUserByEmail = async (email) => {
     const result = await pool.query(
-        `SELECT id, email, password_hash, name, date_of_birth, plaid_access_token, plaid_item_id, created_at
+        `SELECT id, email, password_hash, name, date_of_birth, created_at,
+                EXISTS(SELECT 1 FROM plaid_items WHERE user_id = users.id) as has_plaid_linked
          FROM users WHERE email = $1`,
         [email]
     );
@@ -115,25 +263,185 @@ const getUserByEmail = async (email) => {
 
 const getUserById = async (userId) => {
     const result = await pool.query(
-        `SELECT id, email, name, date_of_birth, plaid_access_token, plaid_item_id, created_at
+        `SELECT id, email, name, date_of_birth, created_at,
+                EXISTS(SELECT 1 FROM plaid_items WHERE user_id = users.id) as has_plaid_linked
          FROM users WHERE id = $1`,
         [userId]
     );
     return result.rows[0];
 };
 
-const updateUserPlaidToken = async (userId, accessToken, itemId) => {
+// ============ PLAID ITEM OPERATIONS ============
+
+// access_token columns hold the encrypted envelope - only bank_providers decrypts them
+const PLAID_ITEM_COLUMNS = `id, user_id, item_id, provider, institution_id, institution_name,
+    access_token, access_token_data_key, access_token_key_id, status, error_code,
+    status_changed_at, consent_expiration_time, transactions_cursor, last_synced_at, created_at`;
+
+// Save a linked item; re-linking the same item refreshes its token and health
+const upsertPlaidItem = async (userId, item) => {
+    const result = await pool.query(
+        `INSERT INTO plaid_items (user_id, item_id, access_token, access_token_data_key, access_token_key_id,
+                                  institution_id, institution_name, consent_expiration_time, provider)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (item_id)
+         DO UPDATE SET access_token = EXCLUDED.access_token,
+                       access_token_data_key = EXCLUDED.access_token_data_key,
+                       access_token_key_id = EXCLUDED.access_token_key_id,
+                       institution_id = COALESCE(EXCLUDED.institution_id, plaid_items.institution_id),
+                       institution_name = COALESCE(EXCLUDED.institution_name, plaid_items.institution_name),
+                       consent_expiration_time = EXCLUDED.consent_expiration_time,
+                       status = 'good', error_code = NULL, status_changed_at = NOW(), updated_at = NOW()
+         WHERE plaid_items.user_id = EXCLUDED.user_id
+         RETURNING ${PLAID_ITEM_COLUMNS}`,
+        [
+            userId, item.itemId, item.accessToken.ciphertext, item.accessToken.dataKey, item.accessToken.keyId,
+            item.institutionId, item.institutionName, item.consentExpirationTime, item.provider
+        ]
+    );
+    return result.rows[0] || null;
+};
+
+const getPlaidItems = async (userId) => {
+    const result = await pool.query(
+        `SELECT ${PLAID_ITEM_COLUMNS} FROM plaid_items WHERE user_id = $1 ORDER BY created_at`,
+        [userId]
+    );
+    return result.rows;
+};
+
+const getPlaidItem = async (userId, itemId) => {
+    const result = await pool.query(
+        `SELECT ${PLAID_ITEM_COLUMNS} FROM plaid_items WHERE user_id = $1 AND item_id = $2`,
+        [userId, itemId]
+    );
+    return result.rows[0] || null;
+};
+
+// Webhooks identify the item, not the user
+const getPlaidItemByItemId = async (itemId) => {
+    const result = await pool.query(
+        `SELECT ${PLAID_ITEM_COLUMNS} FROM plaid_items WHERE item_id = $1`,
+        [itemId]
+    );
+    return result.rows[0] || null;
+};
+
+const updatePlaidItemStatus = async (itemId, status, errorCode = null, consentExpirationTime) => {
+    await pool.query(
+        `UPDATE plaid_items
+         SET status = $1, error_code = $2, status_changed_at = NOW(), updated_at = NOW(),
+             consent_expiration_time = COALESCE($3, consent_expiration_time)
+         WHERE item_id = $4`,
+        [status, errorCode, consentExpirationTime || null, itemId]
+    );
+};
+
+const updatePlaidItemCursor = async (itemId, cursor) => {
+    await pool.query(
+        `UPDATE plaid_items SET transactions_cursor = $1, last_synced_at = NOW(), updated_at = NOW() WHERE item_id = $2`,
+        [cursor, itemId]
+    );
+};
+
+// Items whose token isn't encrypted under the given master key (including plaintext rows)
+const getPlaidItemsNotUsingKey = async (keyId) => {
+    const result = await pool.query(
+        `SELECT ${PLAID_ITEM_COLUMNS} FROM plaid_items
+         WHERE access_token_key_id IS DISTINCT FROM $1
+         ORDER BY id`,
+        [keyId]
+    );
+    return result.rows;
+};
+
+// Replace an item's stored token envelope
+const updatePlaidItemToken = async (itemId, { ciphertext, dataKey, keyId }) => {
+    await pool.query(
+        `UPDATE plaid_items
+         SET access_token = $1, access_token_data_key = $2, access_token_key_id = $3, updated_at = NOW()
+         WHERE item_id = $4`,
+        [ciphertext, dataKey, keyId, itemId]
+    );
+};
+
+// Deleting an item cascades to its accounts and their transactions
+const deletePlaidItem = async (userId, itemId) => {
+    await pool.query(`DELETE FROM plaid_backfills WHERE user_id = $1 AND item_id = $2`, [userId, itemId]);
+    const result = await pool.query(
+        `DELETE FROM plaid_items WHERE user_id = $1 AND item_id = $2`,
+        [userId, itemId]
+    );
+    return result.rowCount;
+};
+
+const deleteUserPlaidItems = async (userId) => {
+    await pool.query(`DELETE FROM plaid_backfills WHERE user_id = $1`, [userId]);
+    const result = await pool.query(`DELETE FROM plaid_items WHERE user_id = $1`, [userId]);
+    return result.rowCount;
+};
+
+// ============ BACKFILL OPERATIONS ============
+
+const BACKFILL_COLUMNS = `id, item_id, status, months_requested, pages_fetched, transactions_stored,
+    TO_CHAR(oldest_transaction_date, 'YYYY-MM-DD') as oldest_transaction_date, plaid_update_status, error_code,
+    started_at, completed_at, updated_at`;
+
+// Start (or restart) the backfill for an item
+const startBackfill = async (userId, itemId, monthsRequested) => {
+    const result = await pool.query(
+        `INSERT INTO plaid_backfills (user_id, item_id, status, months_requested)
+         VALUES ($1, $2, 'running', $3)
+         ON CONFLICT (user_id, item_id)
+         DO UPDATE SET status = 'running', months_requested = EXCLUDED.months_requested,
+                       pages_fetched = 0, transactions_stored = 0, oldest_transaction_date = NULL,
+                       plaid_update_status = NULL, error_code = NULL,
+                       started_at = NOW(), completed_at = NULL, updated_at = NOW()
+         RETURNING ${BACKFILL_COLUMNS}`,
+        [userId, itemId, monthsRequested]
+    );
+    return result.rows[0];
+};
+
+// Record one stored page of backfill results
+const updateBackfillProgress = async (backfillId, { transactionsStored, oldestDate, plaidUpdateStatus }) => {
+    await pool.query(
+        `UPDATE plaid_backfills
+         SET pages_fetched = pages_fetched + 1,
+             transactions_stored = transactions_stored + $1,
+             oldest_transaction_date = LEAST(COALESCE(oldest_transaction_date, $2::date), $2::date),
+             plaid_update_status = COALESCE($3, plaid_update_status),
+             updated_at = NOW()
+         WHERE id = $4`,
+        [transactionsStored, oldestDate, plaidUpdateStatus, backfillId]
+    );
+};
+
+const finishBackfill = async (backfillId, status, errorCode = null) => {
     await pool.query(
-        `UPDATE users SET plaid_access_token = $1, plaid_item_id = $2, updated_at = NOW() 
+        `UPDATE plaid_backfills
+         SET status = $1, error_code = $2, completed_at = NOW(), updated_at = NOW()
          WHERE id = $3`,
-        [accessToken, itemId, userId]
+        [status, errorCode, backfillId]
+    );
+};
+
+// Backfills for each of the user's items, most recent first
+const getBackfills = async (userId) => {
+    const result = await pool.query(
+        `SELECT ${BACKFILL_COLUMNS}
+         FROM plaid_backfills
+         WHERE user_id = $1
+         ORDER BY started_at DESC`,
+        [userId]
     );
+    return result.rows;
 };
 
 // ============ SYNC LOG OPERATIONS ============
 
 // Whitelist of valid sync type columns to prevent SQL injection
-const VALID_SYNC_TYPES = ['last_transaction_sync', 'last_account_sync', 'last_balance_sync'];
+const VALID_SYNC_TYPES = ['last_transaction_sync', 'last_account_sync', 'last_balance_sync', 'last_investment_sync'];
 
 const validateSyncType = (syncType) => {
     if (!VALID_SYNC_TYPES.includes(syncType)) {
@@ -172,16 +480,17 @@ const shouldSync = async (userId, syncType = 'last_transaction_sync', maxAgeHour
 
 // ============ ACCOUNT OPERATIONS ============
 
-const upsertAccounts = async (userId, accounts) => {
+const upsertAccounts = async (userId, accounts, plaidItemId = null) => {
     for (const account of accounts) {
         await pool.query(
-            `INSERT INTO accounts (user_id, plaid_account_id, name, official_name, type, subtype, mask, current_balance, available_balance, iso_currency_code)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `INSERT INTO accounts (user_id, plaid_account_id, name, official_name, type, subtype, mask, current_balance, available_balance, iso_currency_code, plaid_item_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
              ON CONFLICT (user_id, plaid_account_id)
              DO UPDATE SET 
                 name = EXCLUDED.name,
                 current_balance = EXCLUDED.current_balance,
                 available_balance = EXCLUDED.available_balance,
+                plaid_item_id = COALESCE(EXCLUDED.plaid_item_id, accounts.plaid_item_id),
                 updated_at = NOW()`,
             [
                 userId,
@@ -193,7 +502,8 @@ const upsertAccounts = async (userId, accounts) => {
                 account.mask,
                 account.balances?.current,
                 account.balances?.available,
-                account.balances?.iso_currency_code || 'CAD'
+                account.balances?.iso_currency_code || 'CAD',
+                plaidItemId
             ]
         );
     }
@@ -201,40 +511,37 @@ const upsertAccounts = async (userId, accounts) => {
 
 const getAccounts = async (userId) => {
     const result = await pool.query(
-        `SELECT id, plaid_account_id, name, alias, official_name, type, subtype, mask,
-                current_balance, available_balance, iso_currency_code, updated_at
-         FROM accounts WHERE user_id = $1 ORDER BY name`,
+        `SELECT a.id, a.plaid_account_id, a.name, a.alias, a.official_name, a.type, a.subtype, a.mask,
+                a.current_balance, a.available_balance, a.iso_currency_code, a.is_manual, a.updated_at,
+                pi.item_id, pi.provider, pi.institution_name
+         FROM accounts a
+         LEFT JOIN plaid_items pi ON a.plaid_item_id = pi.id
+         WHERE a.user_id = $1 ORDER BY a.name`,
         [userId]
     );
     return result.rows;
 };
 
-// Delete all accounts for a user
+// Delete all provider-synced accounts for a user (manual accounts are kept)
 const deleteUserAccounts = async (userId) => {
     const result = await pool.query(
-        `DELETE FROM accounts WHERE user_id = $1`,
+        `DELETE FROM accounts WHERE user_id = $1 AND NOT is_manual`,
         [userId]
     );
     return result.rowCount;
 };
 
-// Delete all transactions for a user
+// Delete all provider-synced transactions for a user (rows on manual accounts are kept)
 const deleteUserTransactions = async (userId) => {
     const result = await pool.query(
-        `DELETE FROM transactions WHERE user_id = $1`,
+        `DELETE FROM transactions t
+         WHERE t.user_id = $1
+           AND NOT EXISTS (SELECT 1 FROM accounts a WHERE a.id = t.account_id AND a.is_manual)`,
         [userId]
     );
     return result.rowCount;
 };
 
-// Clear Plaid tokens for a user
-const clearUserPlaidTokens = async (userId) => {
-    await pool.query(
-        `UPDATE users SET plaid_access_token = NULL, plaid_item_id = NULL, updated_at = NOW() WHERE id = $1`,
-        [userId]
-    );
-};
-
 // Delete a single account by plaid_account_id
 const deleteAccount = async (userId, plaidAccountId) => {
     const result = await pool.query(
@@ -266,6 +573,19 @@ const deleteAccountTransactions = async (userId, plaidAccountId) => {
 
 // ============ TRANSACTION OPERATIONS ============
 
+// The user's category (if set) replaces the provider's
+const TRANSACTION_COLUMNS = `t.id, t.plaid_transaction_id as transaction_id, t.name, t.merchant_name,
+                t.amount, TO_CHAR(t.date, 'YYYY-MM-DD') as date,
+                CASE WHEN t.user_category IS NOT NULL THEN ARRAY[t.user_category] ELSE t.category END as category,
+                t.user_category, t.notes, t.pending, t.iso_currency_code,
+                a.name as account_name, a.plaid_account_id as account_id, pi.institution_name`;
+
+/**
+ * Store synced transactions
+ * Posted transactions that replace a pending one are reconciled first, so the
+ * pending row (and anything the user changed on it) becomes the posted row.
+ * @returns {Promise<number>} How many pending rows were reconciled
+ */
 const upsertTransactions = async (userId, transactions) => {
     // Get account ID mapping
     const accountsResult = await pool.query(
@@ -275,17 +595,28 @@ const upsertTransactions = async (userId, transactions) => {
     const accountMap = {};
     accountsResult.rows.forEach(a => accountMap[a.plaid_account_id] = a.id);
 
+    let reconciled = 0;
+
     for (const tx of transactions) {
         const accountId = accountMap[tx.account_id] || null;
 
+        if (!tx.pending && tx.pending_transaction_id) {
+            reconciled += await reconcilePendingTransaction(userId, tx.pending_transaction_id, tx.transaction_id);
+        }
+
         await pool.query(
-            `INSERT INTO transactions (user_id, account_id, plaid_transaction_id, name, merchant_name, amount, date, category, pending, iso_currency_code)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `INSERT INTO transactions (user_id, account_id, plaid_transaction_id, name, merchant_name, amount, date, category, pending, iso_currency_code, pending_transaction_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
              ON CONFLICT (user_id, plaid_transaction_id)
              DO UPDATE SET 
+                account_id = COALESCE(EXCLUDED.account_id, transactions.account_id),
                 name = EXCLUDED.name,
+                merchant_name = EXCLUDED.merchant_name,
                 amount = EXCLUDED.amount,
-                pending = EXCLUDED.pending`,
+                date = EXCLUDED.date,
+                category = EXCLUDED.category,
+                pending = EXCLUDED.pending,
+                pending_transaction_id = COALESCE(EXCLUDED.pending_transaction_id, transactions.pending_transaction_id)`,
             [
                 userId,
                 accountId,
@@ -296,19 +627,99 @@ const upsertTransactions = async (userId, transactions) => {
                 tx.date,
                 tx.category || [],
                 tx.pending || false,
-                tx.iso_currency_code || 'CAD'
+                tx.iso_currency_code || 'CAD',
+                tx.pending_transaction_id || null
             ]
         );
     }
+
+    return reconciled;
+};
+
+/**
+ * Link a posted transaction to the pending row it replaces
+ * If the posted row isn't stored yet, the pending row is re-keyed to the posted ID (keeping its
+ * id, user edits and watchdog references). If both exist, user edits are copied onto the posted
+ * row and the stale pending row is deleted.
+ * @returns {Promise<number>} 1 if a pending row was reconciled, otherwise 0
+ */
+const reconcilePendingTransaction = async (userId, pendingTransactionId, postedTransactionId) => {
+    const pendingResult = await pool.query(
+        `SELECT id, user_category, notes FROM transactions
+         WHERE user_id = $1 AND plaid_transaction_id = $2`,
+        [userId, pendingTransactionId]
+    );
+    const pendingRow = pendingResult.rows[0];
+    if (!pendingRow) return 0;
+
+    const postedResult = await pool.query(
+        `UPDATE transactions
+         SET user_category = COALESCE(user_category, $3),
+             notes = COALESCE(notes, $4),
+             pending_transaction_id = $5
+         WHERE user_id = $1 AND plaid_transaction_id = $2
+         RETURNING id`,
+        [userId, postedTransactionId, pendingRow.user_category, pendingRow.notes, pendingTransactionId]
+    );
+
+    if (postedResult.rows.length > 0) {
+        await pool.query(`DELETE FROM transactions WHERE id = $1`, [pendingRow.id]);
+    } else {
+        await pool.query(
+            `UPDATE transactions SET plaid_transaction_id = $2, pending_transaction_id = $3 WHERE id = $1`,
+            [pendingRow.id, postedTransactionId, pendingTransactionId]
+        );
+    }
+
+    return 1;
+};
+
+/**
+ * Save the user's edits to a transaction
+ * @param {number} userId - User ID
+ * @param {string} plaidTransactionId - Provider transaction ID
+ * @param {Object} edits - { category, notes } (null clears, undefined leaves as-is)
+ * @returns {Promise<Object|null>} Updated transaction, or null if not found
+ */
+const updateTransactionEdits = async (userId, plaidTransactionId, { category, notes }) => {
+    const result = await pool.query(
+        `UPDATE transactions
+         SET user_category = CASE WHEN $3 THEN $4 ELSE user_category END,
+             notes = CASE WHEN $5 THEN $6 ELSE notes END
+         WHERE user_id = $1 AND plaid_transaction_id = $2
+         RETURNING id`,
+        [userId, plaidTransactionId, category !== undefined, category ?? null, notes !== undefined, notes ?? null]
+    );
+    if (result.rows.length === 0) return null;
+
+    const transaction = await pool.query(
+        `SELECT ${TRANSACTION_COLUMNS}
+         FROM transactions t
+         LEFT JOIN accounts a ON t.account_id = a.id
+         LEFT JOIN plaid_items pi ON a.plaid_item_id = pi.id
+         WHERE t.id = $1`,
+        [result.rows[0].id]
+    );
+    return transaction.rows[0];
+};
+
+// Delete transactions Plaid reported as removed
+const deleteTransactionsByPlaidIds = async (userId, plaidTransactionIds) => {
+    if (plaidTransactionIds.length === 0) return 0;
+
+    const result = await pool.query(
+        `DELETE FROM transactions WHERE user_id = $1 AND plaid_transaction_id = ANY($2)`,
+        [userId, plaidTransactionIds]
+    );
+    return result.rowCount;
 };
 
 const getTransactions = async (userId, limit = 100) => {
     const result = await pool.query(
-        `SELECT t.id, t.plaid_transaction_id as transaction_id, t.name, t.merchant_name, 
-                t.amount, TO_CHAR(t.date, 'YYYY-MM-DD') as date, t.category, t.pending, t.iso_currency_code,
-                a.name as account_name, a.plaid_account_id as account_id
+        `SELECT ${TRANSACTION_COLUMNS}
          FROM transactions t
          LEFT JOIN accounts a ON t.account_id = a.id
+         LEFT JOIN plaid_items pi ON a.plaid_item_id = pi.id
          WHERE t.user_id = $1
          ORDER BY t.date DESC, t.id DESC
          LIMIT $2`,
@@ -320,11 +731,10 @@ const getTransactions = async (userId, limit = 100) => {
 // Get transactions for a specific account
 const getTransactionsByAccount = async (userId, accountId, limit = 100) => {
     const result = await pool.query(
-        `SELECT t.id, t.plaid_transaction_id as transaction_id, t.name, t.merchant_name, 
-                t.amount, TO_CHAR(t.date, 'YYYY-MM-DD') as date, t.category, t.pending, t.iso_currency_code,
-                a.name as account_name, a.plaid_account_id as account_id
+        `SELECT ${TRANSACTION_COLUMNS}
          FROM transactions t
          LEFT JOIN accounts a ON t.account_id = a.id
+         LEFT JOIN plaid_items pi ON a.plaid_item_id = pi.id
          WHERE t.user_id = $1 AND a.plaid_account_id = $2
          ORDER BY t.date DESC, t.id DESC
          LIMIT $3`,
@@ -333,6 +743,40 @@ const getTransactionsByAccount = async (userId, accountId, limit = 100) => {
     return result.rows;
 };
 
+// Get outgoing transactions over a trailing window for recurring-charge analysis
+const getTransactionsForAnalysis = async (userId, days = 800) => {
+    const result = await pool.query(
+        `SELECT t.id, t.plaid_transaction_id as transaction_id, t.name, t.merchant_name,
+                t.amount, TO_CHAR(t.date, 'YYYY-MM-DD') as date,
+                CASE WHEN t.user_category IS NOT NULL THEN ARRAY[t.user_category] ELSE t.category END as category,
+                t.user_category, t.pending,
+                a.plaid_account_id as account_id, COALESCE(a.alias, a.name) as account_name, pi.institution_name
+         FROM transactions t
+         LEFT JOIN accounts a ON t.account_id = a.id
+         LEFT JOIN plaid_items pi ON a.plaid_item_id = pi.id
+         WHERE t.user_id = $1
+           AND t.amount > 0
+           AND t.date >= CURRENT_DATE - INTERVAL '1 day' * $2
+         ORDER BY t.date ASC, t.id ASC`,
+        [userId, days]
+    );
+    return result.rows;
+};
+
+// Small authorizations ($0-$1) that may start a free trial
+const getTrialAuthorizations = async (userId, days = 60, maxAmount = 1) => {
+    const result = await pool.query(
+        `SELECT t.id, t.name, t.merchant_name, t.amount, TO_CHAR(t.date, 'YYYY-MM-DD') as date, t.category
+         FROM transactions t
+         WHERE t.user_id = $1
+           AND t.amount >= 0 AND t.amount <= $3
+           AND t.date >= CURRENT_DATE - INTERVAL '1 day' * $2
+         ORDER BY t.date ASC, t.id ASC`,
+        [userId, days, maxAmount]
+    );
+    return result.rows;
+};
+
 // Get spending by category for analytics
 const getCategorySpending = async (userId, days = 30, offsetDays = 0) => {
     const result = await pool.query(
@@ -400,6 +844,951 @@ const getMonthlySpending = async (userId, months = 6) => {
     return result.rows;
 };
 
+// ============ STATEMENT IMPORT OPERATIONS ============
+
+// Account a statement belongs to: an explicit account, else a manual account with the same mask or name
+const findAccountForImport = async (userId, { plaidAccountId, mask, name }) => {
+    const result = await pool.query(
+        `SELECT id, plaid_account_id, name, mask, type, subtype, is_manual
+         FROM accounts
+         WHERE user_id = $1
+           AND (plaid_account_id = $2
+                OR (is_manual AND $2::text IS NULL AND (
+                    ($3::text IS NOT NULL AND mask = $3) OR ($4::text IS NOT NULL AND LOWER(name) = LOWER($4))
+                )))
+         ORDER BY (plaid_account_id = $2) DESC NULLS LAST, (mask = $3) DESC NULLS LAST
+         LIMIT 1`,
+        [userId, plaidAccountId || null, mask || null, name || null]
+    );
+    return result.rows[0] || null;
+};
+
+// Existing rows on an account in a date range, for de-duplicating an import
+const getAccountTransactionKeys = async (accountId, startDate, endDate) => {
+    const result = await pool.query(
+        `SELECT plaid_transaction_id, TO_CHAR(date, 'YYYY-MM-DD') as date, amount
+         FROM transactions
+         WHERE account_id = $1 AND date BETWEEN $2 AND $3`,
+        [accountId, startDate, endDate]
+    );
+    return result.rows;
+};
+
+const createStatementImport = async (userId, data) => {
+    const result = await pool.query(
+        `INSERT INTO statement_imports (user_id, account_id, format, preset, filename,
+                                        rows_total, rows_imported, rows_duplicate, start_date, end_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+            userId, data.accountId, data.format, data.preset, data.filename,
+            data.rowsTotal, data.rowsImported, data.rowsDuplicate, data.startDate, data.endDate
+        ]
+    );
+    return result.rows[0];
+};
+
+const updateStatementImportCounts = async (importId, { rowsImported, rowsDuplicate }) => {
+    const result = await pool.query(
+        `UPDATE statement_imports SET rows_imported = $1, rows_duplicate = $2 WHERE id = $3 RETURNING *`,
+        [rowsImported, rowsDuplicate, importId]
+    );
+    return result.rows[0];
+};
+
+// Insert imported rows; returns how many were new
+const insertImportedTransactions = async (userId, accountId, importId, transactions) => {
+    let inserted = 0;
+    for (const tx of transactions) {
+        const result = await pool.query(
+            `INSERT INTO transactions (user_id, account_id, plaid_transaction_id, name, merchant_name, amount,
+                                       date, category, pending, iso_currency_code, import_id)
+             VALUES ($1, $2, $3, $4, NULL, $5, $6, $7, FALSE, $8, $9)
+             ON CONFLICT (user_id, plaid_transaction_id) DO NOTHING`,
+            [userId, accountId, tx.transaction_id, tx.name, tx.amount, tx.date, tx.category || [], tx.iso_currency_code || 'CAD', importId]
+        );
+        inserted += result.rowCount;
+    }
+    return inserted;
+};
+
+const getStatementImports = async (userId) => {
+    const result = await pool.query(
+        `SELECT si.id, si.format, si.preset, si.filename, si.rows_total, si.rows_imported, si.rows_duplicate,
+                TO_CHAR(si.start_date, 'YYYY-MM-DD') as start_date, TO_CHAR(si.end_date, 'YYYY-MM-DD') as end_date,
+                si.created_at, a.plaid_account_id as account_id, a.name as account_name
+         FROM statement_imports si
+         LEFT JOIN accounts a ON si.account_id = a.id
+         WHERE si.user_id = $1
+         ORDER BY si.created_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+// Undo an import: remove its transactions and the import record
+const deleteStatementImport = async (userId, importId) => {
+    const found = await pool.query(
+        `SELECT id FROM statement_imports WHERE user_id = $1 AND id = $2`,
+        [userId, importId]
+    );
+    if (found.rows.length === 0) return null;
+
+    const deleted = await pool.query(
+        `DELETE FROM transactions WHERE user_id = $1 AND import_id = $2`,
+        [userId, importId]
+    );
+    await pool.query(`DELETE FROM statement_imports WHERE id = $1`, [importId]);
+    return deleted.rowCount;
+};
+
+// ============ MANUAL ACCOUNT OPERATIONS ============
+
+const MANUAL_ACCOUNT_COLUMNS = `id, plaid_account_id, name, alias, type, subtype, mask, current_balance,
+                iso_currency_code, is_manual, updated_at`;
+
+/**
+ * Create a user-maintained account or asset
+ * The starting balance (if any) becomes its first balance history entry.
+ * @param {number} userId - User ID
+ * @param {Object} account - { plaidAccountId, name, type, subtype, mask, balance, currency, asOf }
+ */
+const createManualAccount = async (userId, account) => {
+    const result = await pool.query(
+        `INSERT INTO accounts (user_id, plaid_account_id, name, official_name, type, subtype, mask,
+                               current_balance, available_balance, iso_currency_code, is_manual)
+         VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $7, $8, TRUE)
+         RETURNING ${MANUAL_ACCOUNT_COLUMNS}`,
+        [
+            userId,
+            account.plaidAccountId,
+            account.name,
+            account.type,
+            account.subtype,
+            account.mask || null,
+            account.balance ?? null,
+            account.currency || 'CAD'
+        ]
+    );
+
+    const created = result.rows[0];
+    if (account.balance != null) {
+        await updateAccountBalance(created.id, account.balance, { asOf: account.asOf });
+    }
+    return created;
+};
+
+const getManualAccount = async (userId, plaidAccountId) => {
+    const result = await pool.query(
+        `SELECT ${MANUAL_ACCOUNT_COLUMNS}
+         FROM accounts WHERE user_id = $1 AND plaid_account_id = $2 AND is_manual`,
+        [userId, plaidAccountId]
+    );
+    return result.rows[0] || null;
+};
+
+const renameManualAccount = async (userId, plaidAccountId, name) => {
+    const result = await pool.query(
+        `UPDATE accounts SET name = $1, official_name = $1, updated_at = NOW()
+         WHERE user_id = $2 AND plaid_account_id = $3 AND is_manual
+         RETURNING ${MANUAL_ACCOUNT_COLUMNS}`,
+        [name, userId, plaidAccountId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Record a balance for a manual account
+ * The account's current balance only moves when the entry is the most recent one,
+ * so back-filling older values doesn't overwrite today's.
+ * @param {number} accountId - accounts.id
+ * @param {number} balance - Balance on that date
+ * @param {Object} options - { asOf (YYYY-MM-DD, default today), note }
+ */
+const updateAccountBalance = async (accountId, balance, { asOf = null, note = null } = {}) => {
+    await pool.query(
+        `INSERT INTO account_balance_history (user_id, account_id, balance, recorded_on, note)
+         SELECT user_id, id, $2, COALESCE($3::date, CURRENT_DATE), $4 FROM accounts WHERE id = $1
+         ON CONFLICT (account_id, recorded_on)
+         DO UPDATE SET balance = EXCLUDED.balance, note = EXCLUDED.note, updated_at = NOW()`,
+        [accountId, balance, asOf, note]
+    );
+
+    await pool.query(
+        `UPDATE accounts a
+         SET current_balance = h.balance, available_balance = h.balance, updated_at = NOW()
+         FROM (
+             SELECT balance FROM account_balance_history
+             WHERE account_id = $1 ORDER BY recorded_on DESC LIMIT 1
+         ) h
+         WHERE a.id = $1`,
+        [accountId]
+    );
+};
+
+const getAccountBalanceHistory = async (accountId, sinceDate = null) => {
+    const result = await pool.query(
+        `SELECT TO_CHAR(recorded_on, 'YYYY-MM-DD') as date, balance, note
+         FROM account_balance_history
+         WHERE account_id = $1 AND ($2::date IS NULL OR recorded_on >= $2)
+         ORDER BY recorded_on`,
+        [accountId, sinceDate]
+    );
+    return result.rows;
+};
+
+/**
+ * How much the user's manual accounts changed in value since a date
+ * Accounts added after that date count from their first recorded balance, so adding
+ * an asset isn't reported as growth.
+ */
+const getManualBalanceChange = async (userId, sinceDate) => {
+    const result = await pool.query(
+        `SELECT COALESCE(SUM(a.current_balance - COALESCE(
+                    (SELECT h.balance FROM account_balance_history h
+                     WHERE h.account_id = a.id AND h.recorded_on <= $2
+                     ORDER BY h.recorded_on DESC LIMIT 1),
+                    (SELECT h.balance FROM account_balance_history h
+                     WHERE h.account_id = a.id
+                     ORDER BY h.recorded_on LIMIT 1),
+                    a.current_balance
+                )), 0) as change
+         FROM accounts a
+         WHERE a.user_id = $1 AND a.is_manual AND a.current_balance IS NOT NULL`,
+        [userId, sinceDate]
+    );
+    return parseFloat(result.rows[0].change);
+};
+
+const deleteManualAccount = async (userId, plaidAccountId) => {
+    const result = await pool.query(
+        `DELETE FROM accounts WHERE user_id = $1 AND plaid_account_id = $2 AND is_manual`,
+        [userId, plaidAccountId]
+    );
+    return result.rowCount;
+};
+
+// ============ INVESTMENT OPERATIONS ============
+
+const upsertSecurities = async (securities) => {
+    for (const security of securities) {
+        await pool.query(
+            `INSERT INTO securities (security_id, name, ticker_symbol, type, close_price, close_price_as_of,
+                                     iso_currency_code, is_cash_equivalent)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (security_id)
+             DO UPDATE SET
+                name = EXCLUDED.name,
+                ticker_symbol = EXCLUDED.ticker_symbol,
+                type = EXCLUDED.type,
+                close_price = COALESCE(EXCLUDED.close_price, securities.close_price),
+                close_price_as_of = COALESCE(EXCLUDED.close_price_as_of, securities.close_price_as_of),
+                iso_currency_code = EXCLUDED.iso_currency_code,
+                is_cash_equivalent = EXCLUDED.is_cash_equivalent,
+                updated_at = NOW()`,
+            [
+                security.security_id,
+                security.name,
+                security.ticker_symbol,
+                security.type,
+                security.close_price,
+                security.close_price_as_of,
+                security.iso_currency_code || 'CAD',
+                security.is_cash_equivalent || false
+            ]
+        );
+    }
+};
+
+/**
+ * Replace the holdings of the given accounts with the latest snapshot
+ * Positions no longer reported (sold out) are removed.
+ * @param {number} userId - User ID
+ * @param {Array<string>} plaidAccountIds - Accounts the snapshot covers
+ * @param {Array} holdings - Plaid holdings
+ */
+const replaceHoldings = async (userId, plaidAccountIds, holdings) => {
+    const accountsResult = await pool.query(
+        `SELECT id, plaid_account_id FROM accounts WHERE user_id = $1 AND plaid_account_id = ANY($2)`,
+        [userId, plaidAccountIds]
+    );
+    const accountMap = {};
+    accountsResult.rows.forEach(a => accountMap[a.plaid_account_id] = a.id);
+
+    for (const holding of holdings) {
+        const accountId = accountMap[holding.account_id];
+        if (!accountId) continue;
+
+        await pool.query(
+            `INSERT INTO investment_holdings (user_id, account_id, security_id, quantity, institution_price,
+                                              institution_price_as_of, institution_value, cost_basis, iso_currency_code)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             ON CONFLICT (account_id, security_id)
+             DO UPDATE SET
+                quantity = EXCLUDED.quantity,
+                institution_price = EXCLUDED.institution_price,
+                institution_price_as_of = EXCLUDED.institution_price_as_of,
+                institution_value = EXCLUDED.institution_value,
+                cost_basis = EXCLUDED.cost_basis,
+                iso_currency_code = EXCLUDED.iso_currency_code,
+                updated_at = NOW()`,
+            [
+                userId,
+                accountId,
+                holding.security_id,
+                holding.quantity,
+                holding.institution_price,
+                holding.institution_price_as_of || null,
+                holding.institution_value,
+                holding.cost_basis ?? null,
+                holding.iso_currency_code || 'CAD'
+            ]
+        );
+    }
+
+    // Drop positions that weren't in this snapshot
+    const current = holdings.map(h => `${accountMap[h.account_id]}:${h.security_id}`);
+    await pool.query(
+        `DELETE FROM investment_holdings
+         WHERE user_id = $1 AND account_id = ANY($2) AND NOT ((account_id || ':' || security_id) = ANY($3))`,
+        [userId, Object.values(accountMap), current]
+    );
+};
+
+// Returns how many were new
+const upsertInvestmentTransactions = async (userId, transactions) => {
+    const accountsResult = await pool.query(
+        `SELECT id, plaid_account_id FROM accounts WHERE user_id = $1`,
+        [userId]
+    );
+    const accountMap = {};
+    accountsResult.rows.forEach(a => accountMap[a.plaid_account_id] = a.id);
+
+    let inserted = 0;
+    for (const tx of transactions) {
+        const result = await pool.query(
+            `INSERT INTO investment_transactions (user_id, account_id, plaid_investment_transaction_id, security_id, date,
+                                                  name, type, subtype, quantity, price, amount, fees, iso_currency_code)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             ON CONFLICT (user_id, plaid_investment_transaction_id)
+             DO UPDATE SET
+                security_id = EXCLUDED.security_id,
+                date = EXCLUDED.date,
+                name = EXCLUDED.name,
+                type = EXCLUDED.type,
+                subtype = EXCLUDED.subtype,
+                quantity = EXCLUDED.quantity,
+                price = EXCLUDED.price,
+                amount = EXCLUDED.amount,
+                fees = EXCLUDED.fees
+             RETURNING (xmax = 0) as inserted`,
+            [
+                userId,
+                accountMap[tx.account_id] || null,
+                tx.investment_transaction_id,
+                tx.security_id || null,
+                tx.date,
+                tx.name,
+                tx.type,
+                tx.subtype,
+                tx.quantity,
+                tx.price,
+                tx.amount,
+                tx.fees,
+                tx.iso_currency_code || 'CAD'
+            ]
+        );
+        if (result.rows[0]?.inserted) inserted++;
+    }
+    return inserted;
+};
+
+// Most recent investment transaction stored for an item's accounts
+const getLatestInvestmentTransactionDate = async (userId, plaidItemId) => {
+    const result = await pool.query(
+        `SELECT TO_CHAR(MAX(it.date), 'YYYY-MM-DD') as latest
+         FROM investment_transactions it
+         JOIN accounts a ON it.account_id = a.id
+         WHERE it.user_id = $1 AND a.plaid_item_id IS NOT DISTINCT FROM $2`,
+        [userId, plaidItemId]
+    );
+    return result.rows[0]?.latest || null;
+};
+
+const getHoldings = async (userId) => {
+    const result = await pool.query(
+        `SELECT h.security_id, h.quantity, h.institution_price, TO_CHAR(h.institution_price_as_of, 'YYYY-MM-DD') as price_as_of,
+                h.institution_value, h.cost_basis, h.iso_currency_code,
+                s.name as security_name, s.ticker_symbol, s.type as security_type, s.is_cash_equivalent,
+                a.plaid_account_id as account_id, COALESCE(a.alias, a.name) as account_name, a.subtype as account_subtype
+         FROM investment_holdings h
+         JOIN accounts a ON h.account_id = a.id
+         LEFT JOIN securities s ON h.security_id = s.security_id
+         WHERE h.user_id = $1
+         ORDER BY h.institution_value DESC NULLS LAST`,
+        [userId]
+    );
+    return result.rows;
+};
+
+const getInvestmentTransactions = async (userId, days = 90) => {
+    const result = await pool.query(
+        `SELECT it.plaid_investment_transaction_id as investment_transaction_id, TO_CHAR(it.date, 'YYYY-MM-DD') as date,
+                it.name, it.type, it.subtype, it.quantity, it.price, it.amount, it.fees, it.iso_currency_code,
+                s.name as security_name, s.ticker_symbol,
+                a.plaid_account_id as account_id, COALESCE(a.alias, a.name) as account_name
+         FROM investment_transactions it
+         LEFT JOIN accounts a ON it.account_id = a.id
+         LEFT JOIN securities s ON it.security_id = s.security_id
+         WHERE it.user_id = $1 AND it.date >= CURRENT_DATE - INTERVAL '1 day' * $2
+         ORDER BY it.date DESC, it.id DESC`,
+        [userId, days]
+    );
+    return result.rows;
+};
+
+// Market value of each investment account's holdings, keyed by plaid_account_id
+const getHoldingValuesByAccount = async (userId) => {
+    const result = await pool.query(
+        `SELECT a.plaid_account_id, SUM(h.institution_value) as value
+         FROM investment_holdings h
+         JOIN accounts a ON h.account_id = a.id
+         WHERE h.user_id = $1
+         GROUP BY a.plaid_account_id`,
+        [userId]
+    );
+    const values = {};
+    result.rows.forEach(row => values[row.plaid_account_id] = parseFloat(row.value || 0));
+    return values;
+};
+
+// ============ DEBT SNAPSHOT OPERATIONS ============
+
+/**
+ * Record each debt's balance, APR and minimum for a day (re-recording the same day overwrites it)
+ * @param {number} userId - User ID
+ * @param {string} snapshotDate - YYYY-MM-DD
+ * @param {Array} debts - [{ id, name, debt_type, balance, apr, min_payment }]
+ */
+const upsertDebtSnapshots = async (userId, snapshotDate, debts) => {
+    for (const debt of debts) {
+        await pool.query(
+            `INSERT INTO debt_snapshots (user_id, debt_id, snapshot_date, name, debt_type, balance, apr, min_payment, mortgage_terms)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             ON CONFLICT (user_id, debt_id, snapshot_date)
+             DO UPDATE SET
+                name = EXCLUDED.name,
+                debt_type = EXCLUDED.debt_type,
+                balance = EXCLUDED.balance,
+                apr = EXCLUDED.apr,
+                min_payment = EXCLUDED.min_payment,
+                mortgage_terms = EXCLUDED.mortgage_terms`,
+            [
+                userId, debt.id, snapshotDate, debt.name, debt.debt_type, debt.balance, debt.apr, debt.min_payment,
+                debt.mortgage_terms ? JSON.stringify(debt.mortgage_terms) : null
+            ]
+        );
+    }
+};
+
+const getDebtSnapshots = async (userId, sinceDate = null) => {
+    const result = await pool.query(
+        `SELECT debt_id, TO_CHAR(snapshot_date, 'YYYY-MM-DD') as date, name, debt_type, balance, apr, min_payment,
+                mortgage_terms
+         FROM debt_snapshots
+         WHERE user_id = $1 AND ($2::date IS NULL OR snapshot_date >= $2)
+         ORDER BY snapshot_date, debt_id`,
+        [userId, sinceDate]
+    );
+    return result.rows;
+};
+
+// Balance in each debt's earliest snapshot, keyed by debt id
+const getFirstDebtBalances = async (userId) => {
+    const result = await pool.query(
+        `SELECT DISTINCT ON (debt_id) debt_id, balance
+         FROM debt_snapshots
+         WHERE user_id = $1
+         ORDER BY debt_id, snapshot_date`,
+        [userId]
+    );
+    const balances = {};
+    result.rows.forEach(row => balances[row.debt_id] = parseFloat(row.balance));
+    return balances;
+};
+
+/**
+ * Store milestones not reached before
+ * @returns {Promise<Array>} The milestones that were new
+ */
+const insertDebtMilestones = async (userId, milestones) => {
+    const inserted = [];
+    for (const m of milestones) {
+        const result = await pool.query(
+            `INSERT INTO debt_milestones (user_id, debt_id, name, milestone, reached_on, start_balance, balance)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (user_id, debt_id, milestone) DO NOTHING
+             RETURNING debt_id, name, milestone, TO_CHAR(reached_on, 'YYYY-MM-DD') as reached_on, start_balance, balance`,
+            [userId, m.debt_id, m.name, m.milestone, m.reached_on, m.start_balance, m.balance]
+        );
+        if (result.rows[0]) inserted.push(result.rows[0]);
+    }
+    return inserted;
+};
+
+const getDebtMilestones = async (userId) => {
+    const result = await pool.query(
+        `SELECT debt_id, name, milestone, TO_CHAR(reached_on, 'YYYY-MM-DD') as reached_on, start_balance, balance
+         FROM debt_milestones
+         WHERE user_id = $1
+         ORDER BY reached_on DESC, id DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+// ============ DEBT PLAN OPERATIONS ============
+
+const DEBT_PLAN_COLUMNS = `id, name, strategy, extra_payment, start_month, payment_day, options, debts,
+    is_active, calendar_token, created_at, updated_at`;
+
+/**
+ * Save a plan as the user's active plan (any other plan is deactivated)
+ * @param {number} userId - User ID
+ * @param {Object} plan - { name, strategy, extraPayment, startMonth, paymentDay, options, debts, calendarToken }
+ */
+const createDebtPlan = async (userId, plan) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            'UPDATE debt_plans SET is_active = FALSE, updated_at = NOW() WHERE user_id = $1 AND is_active',
+            [userId]
+        );
+        const result = await client.query(
+            `INSERT INTO debt_plans (user_id, name, strategy, extra_payment, start_month, payment_day, options, debts, calendar_token)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING ${DEBT_PLAN_COLUMNS}`,
+            [
+                userId, plan.name, plan.strategy, plan.extraPayment, plan.startMonth, plan.paymentDay,
+                JSON.stringify(plan.options), JSON.stringify(plan.debts), plan.calendarToken
+            ]
+        );
+        await client.query('COMMIT');
+        return result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const getDebtPlans = async (userId) => {
+    const result = await pool.query(
+        `SELECT ${DEBT_PLAN_COLUMNS} FROM debt_plans WHERE user_id = $1 ORDER BY is_active DESC, created_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+const getDebtPlan = async (userId, planId) => {
+    const result = await pool.query(
+        `SELECT ${DEBT_PLAN_COLUMNS} FROM debt_plans WHERE user_id = $1 AND id = $2`,
+        [userId, planId]
+    );
+    return result.rows[0] || null;
+};
+
+const getActiveDebtPlan = async (userId) => {
+    const result = await pool.query(
+        `SELECT ${DEBT_PLAN_COLUMNS} FROM debt_plans WHERE user_id = $1 AND is_active`,
+        [userId]
+    );
+    return result.rows[0] || null;
+};
+
+// Plan (with its owner) for a calendar feed token
+const getDebtPlanByCalendarToken = async (token) => {
+    const result = await pool.query(
+        `SELECT user_id, ${DEBT_PLAN_COLUMNS} FROM debt_plans WHERE calendar_token = $1`,
+        [token]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Make a plan the active one
+ * @returns {Object|null} The plan, or null if it doesn't belong to the user
+ */
+const activateDebtPlan = async (userId, planId) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            'UPDATE debt_plans SET is_active = FALSE, updated_at = NOW() WHERE user_id = $1 AND is_active AND id <> $2',
+            [userId, planId]
+        );
+        const result = await client.query(
+            `UPDATE debt_plans SET is_active = TRUE, updated_at = NOW()
+             WHERE user_id = $1 AND id = $2
+             RETURNING ${DEBT_PLAN_COLUMNS}`,
+            [userId, planId]
+        );
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        await client.query('COMMIT');
+        return result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const deleteDebtPlan = async (userId, planId) => {
+    const result = await pool.query(
+        'DELETE FROM debt_plans WHERE user_id = $1 AND id = $2 RETURNING id',
+        [userId, planId]
+    );
+    return result.rowCount > 0;
+};
+
+const getDebtPlanPayments = async (planId) => {
+    const result = await pool.query(
+        `SELECT month, debt_id, status, source, transaction_id, paid_amount, TO_CHAR(paid_on, 'YYYY-MM-DD') as paid_on
+         FROM debt_plan_payments
+         WHERE plan_id = $1
+         ORDER BY month, debt_id`,
+        [planId]
+    );
+    return result.rows;
+};
+
+/**
+ * Mark a planned payment done or not done
+ * @param {Object} payment - { month, debtId, status, source, transactionId, paidAmount, paidOn }
+ * @param {boolean} overwrite - false leaves an existing mark alone (auto-matching never overrides the user)
+ * @returns {Object|null} The stored row, or null when it was left alone
+ */
+const upsertDebtPlanPayment = async (planId, payment, overwrite = true) => {
+    const result = await pool.query(
+        `INSERT INTO debt_plan_payments (plan_id, month, debt_id, status, source, transaction_id, paid_amount, paid_on)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (plan_id, month, debt_id)
+         ${overwrite ? `DO UPDATE SET
+            status = EXCLUDED.status,
+            source = EXCLUDED.source,
+            transaction_id = EXCLUDED.transaction_id,
+            paid_amount = EXCLUDED.paid_amount,
+            paid_on = EXCLUDED.paid_on,
+            updated_at = NOW()` : 'DO NOTHING'}
+         RETURNING month, debt_id, status, source, transaction_id, paid_amount, TO_CHAR(paid_on, 'YYYY-MM-DD') as paid_on`,
+        [
+            planId, payment.month, payment.debtId, payment.status, payment.source,
+            payment.transactionId ?? null, payment.paidAmount ?? null, payment.paidOn ?? null
+        ]
+    );
+    return result.rows[0] || null;
+};
+
+// Settled transactions in a date range, with their account, for matching plan payments
+const getPaymentCandidates = async (userId, startDate, endDate) => {
+    const result = await pool.query(
+        `SELECT t.id, t.name, t.merchant_name, t.amount, TO_CHAR(t.date, 'YYYY-MM-DD') as date,
+                CASE WHEN t.user_category IS NOT NULL THEN ARRAY[t.user_category] ELSE t.category END as category,
+                a.plaid_account_id as account_id, a.type as account_type
+         FROM transactions t
+         LEFT JOIN accounts a ON t.account_id = a.id
+         WHERE t.user_id = $1
+           AND t.pending = FALSE
+           AND t.date BETWEEN $2 AND $3
+         ORDER BY t.date ASC, t.id ASC`,
+        [userId, startDate, endDate]
+    );
+    return result.rows;
+};
+
+// ============ WATCHDOG OPERATIONS ============
+
+/**
+ * Store the latest detection results, keeping each expense's lifecycle status
+ * New expenses start as 'flagged' when the watchdog suggests an action, otherwise 'active'
+ */
+const upsertRecurringExpenses = async (userId, expenses) => {
+    for (const expense of expenses) {
+        const initialStatus = expense.action === 'stop' || expense.action === 'negotiate' ? 'flagged' : 'active';
+
+        await pool.query(
+            `INSERT INTO recurring_expenses
+                (user_id, merchant_key, name, category, cadence, average_amount, monthly_amount, confidence,
+                 suggested_action, last_charge_date, next_expected_date, status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             ON CONFLICT (user_id, merchant_key)
+             DO UPDATE SET
+                name = EXCLUDED.name,
+                category = EXCLUDED.category,
+                cadence = EXCLUDED.cadence,
+                average_amount = EXCLUDED.average_amount,
+                monthly_amount = EXCLUDED.monthly_amount,
+                confidence = EXCLUDED.confidence,
+                suggested_action = EXCLUDED.suggested_action,
+                last_charge_date = EXCLUDED.last_charge_date,
+                next_expected_date = EXCLUDED.next_expected_date,
+                updated_at = NOW()`,
+            [
+                userId,
+                expense.merchant_key,
+                expense.name,
+                expense.category,
+                expense.cadence,
+                expense.average_amount,
+                expense.monthly_amount,
+                expense.confidence,
+                expense.action,
+                expense.last_charge_date,
+                expense.next_expected_date,
+                initialStatus
+            ]
+        );
+    }
+};
+
+const RECURRING_EXPENSE_COLUMNS = `id, merchant_key, name, category, cadence, average_amount, monthly_amount, confidence,
+                suggested_action, TO_CHAR(last_charge_date, 'YYYY-MM-DD') as last_charge_date,
+                TO_CHAR(next_expected_date, 'YYYY-MM-DD') as next_expected_date, status, status_changed_at`;
+
+const getRecurringExpenses = async (userId) => {
+    const result = await pool.query(
+        `SELECT ${RECURRING_EXPENSE_COLUMNS}
+         FROM recurring_expenses WHERE user_id = $1
+         ORDER BY monthly_amount DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+const getRecurringExpenseById = async (userId, expenseId) => {
+    const result = await pool.query(
+        `SELECT ${RECURRING_EXPENSE_COLUMNS}
+         FROM recurring_expenses WHERE user_id = $1 AND id = $2`,
+        [userId, expenseId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Change an expense's status and record the change in its action history
+ * @param {number} userId - User ID
+ * @param {number} expenseId - recurring_expenses.id
+ * @param {Object} change - { action, toStatus, source, note }
+ * @returns {Object|null} Updated expense row, or null if it doesn't belong to the user
+ */
+const updateRecurringExpenseStatus = async (userId, expenseId, { action, toStatus, source = 'user', note = null }) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query(
+            `SELECT status FROM recurring_expenses WHERE user_id = $1 AND id = $2 FOR UPDATE`,
+            [userId, expenseId]
+        );
+        if (current.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        await client.query(
+            `UPDATE recurring_expenses
+             SET status = $1, status_changed_at = NOW(), updated_at = NOW()
+             WHERE user_id = $2 AND id = $3`,
+            [toStatus, userId, expenseId]
+        );
+
+        await client.query(
+            `INSERT INTO recurring_expense_actions
+                (user_id, recurring_expense_id, action, from_status, to_status, source, note)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [userId, expenseId, action, current.rows[0].status, toStatus, source, note]
+        );
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return getRecurringExpenseById(userId, expenseId);
+};
+
+const getRecurringExpenseActions = async (userId, expenseId) => {
+    const result = await pool.query(
+        `SELECT id, action, from_status, to_status, source, note, created_at
+         FROM recurring_expense_actions
+         WHERE user_id = $1 AND recurring_expense_id = $2
+         ORDER BY created_at DESC, id DESC`,
+        [userId, expenseId]
+    );
+    return result.rows;
+};
+
+/**
+ * Store newly detected duplicate charges; existing flags keep their status
+ */
+const upsertDuplicateFlags = async (userId, duplicates) => {
+    for (const dup of duplicates) {
+        await pool.query(
+            `INSERT INTO duplicate_charge_flags
+                (user_id, fingerprint, merchant_key, name, amount, original_transaction_id, duplicate_transaction_id,
+                 original_date, duplicate_date, same_account, confidence)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             ON CONFLICT (user_id, fingerprint)
+             DO UPDATE SET confidence = EXCLUDED.confidence, updated_at = NOW()`,
+            [
+                userId,
+                dup.fingerprint,
+                dup.merchant_key,
+                dup.name,
+                dup.amount,
+                dup.original_transaction_id,
+                dup.duplicate_transaction_id,
+                dup.original_date,
+                dup.duplicate_date,
+                dup.same_account,
+                dup.confidence
+            ]
+        );
+    }
+};
+
+const getDuplicateFlags = async (userId) => {
+    const result = await pool.query(
+        `SELECT id, merchant_key, name, amount, original_transaction_id, duplicate_transaction_id,
+                TO_CHAR(original_date, 'YYYY-MM-DD') as original_date,
+                TO_CHAR(duplicate_date, 'YYYY-MM-DD') as duplicate_date,
+                same_account, confidence, status, status_changed_at
+         FROM duplicate_charge_flags
+         WHERE user_id = $1 AND status != 'dismissed'
+         ORDER BY duplicate_date DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+const updateDuplicateFlagStatus = async (userId, flagId, status) => {
+    const result = await pool.query(
+        `UPDATE duplicate_charge_flags
+         SET status = $1, status_changed_at = NOW(), updated_at = NOW()
+         WHERE user_id = $2 AND id = $3
+         RETURNING id, name, amount, status, status_changed_at`,
+        [status, userId, flagId]
+    );
+    return result.rows[0] || null;
+};
+
+// Detected trials are inserted once; existing rows keep their status and user edits
+const upsertFreeTrials = async (userId, trials) => {
+    for (const trial of trials) {
+        await pool.query(
+            `INSERT INTO free_trials
+                (user_id, merchant_key, name, source, trial_transaction_id, trial_amount, started_on,
+                 conversion_date, expected_amount)
+             VALUES ($1, $2, $3, 'detected', $4, $5, $6, $7, $8)
+             ON CONFLICT (user_id, merchant_key, started_on)
+             DO UPDATE SET expected_amount = COALESCE(free_trials.expected_amount, EXCLUDED.expected_amount),
+                           updated_at = NOW()`,
+            [
+                userId,
+                trial.merchant_key,
+                trial.name,
+                trial.trial_transaction_id,
+                trial.trial_amount,
+                trial.started_on,
+                trial.conversion_date,
+                trial.expected_amount
+            ]
+        );
+    }
+};
+
+const FREE_TRIAL_COLUMNS = `id, merchant_key, name, source, trial_transaction_id, trial_amount,
+    TO_CHAR(started_on, 'YYYY-MM-DD') as started_on, TO_CHAR(conversion_date, 'YYYY-MM-DD') as conversion_date,
+    expected_amount, converted_transaction_id, converted_amount, TO_CHAR(converted_on, 'YYYY-MM-DD') as converted_on,
+    status, status_changed_at`;
+
+// User-registered trial; registering the same merchant and start date again updates it
+const createFreeTrial = async (userId, trial) => {
+    const result = await pool.query(
+        `INSERT INTO free_trials
+            (user_id, merchant_key, name, source, trial_amount, started_on, conversion_date, expected_amount)
+         VALUES ($1, $2, $3, 'manual', 0, $4, $5, $6)
+         ON CONFLICT (user_id, merchant_key, started_on)
+         DO UPDATE SET name = EXCLUDED.name,
+                       source = 'manual',
+                       conversion_date = EXCLUDED.conversion_date,
+                       expected_amount = COALESCE(EXCLUDED.expected_amount, free_trials.expected_amount),
+                       updated_at = NOW()
+         RETURNING ${FREE_TRIAL_COLUMNS}`,
+        [userId, trial.merchant_key, trial.name, trial.started_on, trial.conversion_date, trial.expected_amount]
+    );
+    return result.rows[0];
+};
+
+const getFreeTrials = async (userId) => {
+    const result = await pool.query(
+        `SELECT ${FREE_TRIAL_COLUMNS}
+         FROM free_trials
+         WHERE user_id = $1
+           AND status != 'dismissed'
+           AND (status != 'converted' OR converted_on >= CURRENT_DATE - INTERVAL '30 days')
+         ORDER BY conversion_date ASC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+const markFreeTrialConverted = async (userId, trialId, transaction) => {
+    const result = await pool.query(
+        `UPDATE free_trials
+         SET status = 'converted', converted_transaction_id = $1, converted_amount = $2, converted_on = $3,
+             status_changed_at = NOW(), updated_at = NOW()
+         WHERE user_id = $4 AND id = $5
+         RETURNING ${FREE_TRIAL_COLUMNS}`,
+        [transaction.id, transaction.amount, transaction.date, userId, trialId]
+    );
+    return result.rows[0] || null;
+};
+
+const updateFreeTrialStatus = async (userId, trialId, status) => {
+    const result = await pool.query(
+        `UPDATE free_trials
+         SET status = $1, status_changed_at = NOW(), updated_at = NOW()
+         WHERE user_id = $2 AND id = $3
+         RETURNING ${FREE_TRIAL_COLUMNS}`,
+        [status, userId, trialId]
+    );
+    return result.rows[0] || null;
+};
+
+// Enabled fee rules, institution-specific rules first
+const getBankFeeRules = async () => {
+    const result = await pool.query(
+        `SELECT id, institution, fee_type, pattern, description, priority
+         FROM bank_fee_rules
+         WHERE enabled = TRUE
+         ORDER BY (institution = 'ANY') ASC, priority ASC, id ASC`
+    );
+    return result.rows;
+};
+
 // ===================
 // AI Categorization Operations
 // ===================
@@ -497,7 +1886,22 @@ module.exports = {
     createUser,
     getUserByEmail,
     getUserById,
-    updateUserPlaidToken,
+    // Plaid item operations
+    upsertPlaidItem,
+    getPlaidItems,
+    getPlaidItem,
+    getPlaidItemByItemId,
+    updatePlaidItemStatus,
+    updatePlaidItemCursor,
+    getPlaidItemsNotUsingKey,
+    updatePlaidItemToken,
+    deletePlaidItem,
+    deleteUserPlaidItems,
+    // Backfill operations
+    startBackfill,
+    updateBackfillProgress,
+    finishBackfill,
+    getBackfills,
     // Sync operations
     getLastSyncTime,
     updateSyncTime,
@@ -507,18 +1911,78 @@ module.exports = {
     getAccounts,
     deleteUserAccounts,
     deleteUserTransactions,
-    clearUserPlaidTokens,
     deleteAccount,
     deleteAccountTransactions,
+    // Statement import operations
+    findAccountForImport,
+    getAccountTransactionKeys,
+    createStatementImport,
+    updateStatementImportCounts,
+    insertImportedTransactions,
+    getStatementImports,
+    deleteStatementImport,
+    // Manual account operations
+    createManualAccount,
+    getManualAccount,
+    renameManualAccount,
+    updateAccountBalance,
+    getAccountBalanceHistory,
+    getManualBalanceChange,
+    deleteManualAccount,
+    // Investment operations
+    upsertSecurities,
+    replaceHoldings,
+    upsertInvestmentTransactions,
+    getLatestInvestmentTransactionDate,
+    getHoldings,
+    getInvestmentTransactions,
+    getHoldingValuesByAccount,
+    // Debt snapshot operations
+    upsertDebtSnapshots,
+    getDebtSnapshots,
+    getFirstDebtBalances,
+    insertDebtMilestones,
+    getDebtMilestones,
+    // Debt plan operations
+    createDebtPlan,
+    getDebtPlans,
+    getDebtPlan,
+    getActiveDebtPlan,
+    getDebtPlanByCalendarToken,
+    activateDebtPlan,
+    deleteDebtPlan,
+    getDebtPlanPayments,
+    upsertDebtPlanPayment,
+    getPaymentCandidates,
     // Transaction operations
     upsertTransactions,
+    reconcilePendingTransaction,
+    updateTransactionEdits,
+    deleteTransactionsByPlaidIds,
     getTransactions,
     getTransactionsByAccount,
+    getTransactionsForAnalysis,
+    getTrialAuthorizations,
     // Analytics operations
     getCategorySpending,
     getDailySpending,
     getIncomeVsExpenses,
     getMonthlySpending,
+    // Watchdog operations
+    upsertRecurringExpenses,
+    getRecurringExpenses,
+    getRecurringExpenseById,
+    updateRecurringExpenseStatus,
+    getRecurringExpenseActions,
+    upsertDuplicateFlags,
+    getDuplicateFlags,
+    updateDuplicateFlagStatus,
+    upsertFreeTrials,
+    createFreeTrial,
+    getFreeTrials,
+    markFreeTrialConverted,
+    updateFreeTrialStatus,
+    getBankFeeRules,
     // AI Categorization operations
     getMerchantCategory,
     storeMerchantCategories,
@@ -2,6 +2,9 @@
  * Debt Calculator Service
  * Calculates debt payoff timelines using Snowball and Avalanche strategies
  * Supports both Plaid liabilities and custom user-entered debts
+ *
+ * The simulation steps month by month. Mortgages paid weekly or bi-weekly are modelled with
+ * their monthly-equivalent payment, and Canadian fixed-rate mortgages with semi-annual compounding.
  */
 
 // Default APRs by account type
@@ -14,14 +17,65 @@ const DEFAULT_APRS = {
     'other': 15.00
 };
 
+// Payoff strategies: which debt the extra payment targets first, and whether the extra payment applies
+// custom follows the user's payoff order; snowflake is another strategy plus irregular one-off payments
+const STRATEGIES = {
+    status_quo: { sortMethod: 'APR_DESC', useExtra: false },
+    avalanche: { sortMethod: 'APR_DESC', useExtra: true },
+    snowball: { sortMethod: 'BALANCE_ASC', useExtra: true },
+    highest_interest: { sortMethod: 'INTEREST_DESC', useExtra: true },
+    hybrid: { sortMethod: 'HYBRID', useExtra: true },
+    custom: { sortMethod: 'CUSTOM', useExtra: true },
+    snowflake: { sortMethod: null, useExtra: true, useSnowflakes: true }
+};
+
+// Strategies every calculation includes
+const DEFAULT_STRATEGIES = ['status_quo', 'avalanche', 'snowball'];
+
+// Simulations give up after this many months, when the payments can't keep up with the interest
+const MAX_SIMULATION_MONTHS = 600;
+
+// Hybrid: balances at or under this are cleared smallest-first, then the rest highest-APR-first
+const DEFAULT_HYBRID_THRESHOLD = 2000;
+
+// Mortgage payment frequencies: payments per year, and whether the payment is "accelerated"
+// (the monthly payment split in two or four, which adds one extra monthly payment a year)
+const PAYMENT_FREQUENCIES = {
+    monthly: { per_year: 12, accelerated: false },
+    semi_monthly: { per_year: 24, accelerated: false },
+    biweekly: { per_year: 26, accelerated: false },
+    accelerated_biweekly: { per_year: 26, accelerated: true },
+    weekly: { per_year: 52, accelerated: false },
+    accelerated_weekly: { per_year: 52, accelerated: true }
+};
+
+// How a mortgage's nominal rate compounds
+const COMPOUNDING_PERIODS = ['monthly', 'semi_annual'];
+
+// Mortgage terms longer than this are the full amortization (US-style), not a renewable term
+const MAX_RENEWABLE_TERM_MONTHS = 120;
+
+// Amortization assumed when a mortgage reports neither a payment nor a maturity date
+const DEFAULT_AMORTIZATION_MONTHS = 300;
+
+// Typical Canadian prepayment privileges when the lender's aren't known:
+// yearly lump sum as a percent of the original principal, payment increase as a percent of the payment
+const DEFAULT_PREPAYMENT_PRIVILEGES = {
+    lump_sum_percent: 15,
+    payment_increase_percent: 15
+};
+
 class DebtCalculator {
     /**
      * Main calculation entry point
      * @param {Object} liabilities - Plaid liabilities object
      * @param {number} extraMonthlyPayment - Extra payment amount
      * @param {Array} customDebts - Array of custom debt objects
+     * @param {Object} options - { strategies, payoffOrder, hybridThreshold, snowflakes, snowflakeBase }
+     *   strategies: extra strategies to compare (highest_interest, hybrid, custom, snowflake)
+     *   payoffOrder: debt ids for the custom strategy; snowflakes: [{ date: 'YYYY-MM', amount }]
      */
-    calculate(liabilities, extraMonthlyPayment = 0, customDebts = []) {
+    calculate(liabilities, extraMonthlyPayment = 0, customDebts = [], options = {}) {
         // 1. Normalize all debts into unified format
         const debts = this._normalizeDebts(liabilities, customDebts)
             .filter(d => d.balance > 0); // Only active debts
@@ -39,7 +93,27 @@ class DebtCalculator {
         // 4. Calculate Snowball (Extra Payment to Lowest Balance)
         const snowball = this._simulateRepayment(debts, extraMonthlyPayment, 'BALANCE_ASC');
 
-        // 5. Get per-debt payoff info for display
+        // 5. Any additional strategies requested, then every strategy side by side against status quo
+        const strategies = { status_quo: statusQuo, avalanche, snowball };
+        for (const name of options.strategies || []) {
+            if (!strategies[name]) {
+                strategies[name] = this._runStrategy(debts, name, extraMonthlyPayment, options);
+            }
+        }
+
+        const comparison = Object.entries(strategies)
+            .filter(([name]) => name !== 'status_quo')
+            .map(([name, result]) => ({
+                strategy: name,
+                total_interest: result.total_interest,
+                months_to_payoff: result.months_to_payoff,
+                payoff_date: result.payoff_date,
+                interest_saved: Math.round(statusQuo.total_interest - result.total_interest),
+                months_saved: statusQuo.months_to_payoff - result.months_to_payoff
+            }))
+            .sort((a, b) => a.total_interest - b.total_interest || a.months_to_payoff - b.months_to_payoff);
+
+        // 6. Get per-debt payoff info for display
         const debtDetails = debts.map(d => ({
             id: d.id,
             name: d.name,
@@ -49,7 +123,9 @@ class DebtCalculator {
             is_custom: d.is_custom || false,
             debt_type: d.debt_type || 'other',
             // Individual payoff without extra payments
-            solo_payoff_months: this._calculateSoloPayoff(d)
+            solo_payoff_months: this._calculateSoloPayoff(d),
+            promo: d.promo || null,
+            mortgage: d.mortgage || null
         }));
 
         return {
@@ -57,11 +133,8 @@ class DebtCalculator {
             total_min_payment: debts.reduce((sum, d) => sum + d.min_payment_calc, 0),
             debt_count: debts.length,
             debts: debtDetails,
-            strategies: {
-                status_quo: statusQuo,
-                avalanche: avalanche,
-                snowball: snowball
-            },
+            strategies,
+            comparison,
             savings: {
                 interest_saved_avalanche: Math.round(statusQuo.total_interest - avalanche.total_interest),
                 months_saved_avalanche: statusQuo.months_to_payoff - avalanche.months_to_payoff,
@@ -71,27 +144,529 @@ class DebtCalculator {
         };
     }
 
+    /**
+     * Month-by-month amortization schedule for each strategy
+     * @param {Object} liabilities - Plaid liabilities object
+     * @param {number} extraMonthlyPayment - Extra payment amount
+     * @param {Array} customDebts - Array of custom debt objects
+     * @param {Array} strategies - Strategy names (defaults to status quo, avalanche and snowball)
+     * @param {Object} options - Strategy options, as for calculate(), plus startMonth: the YYYY-MM that
+     *   schedule month 1 falls in (default: next month). Snowflake and promo months count from it.
+     * @returns {Object} { debts, strategies: { <name>: { ...totals, schedule: { totals, debts } } } }
+     */
+    calculateSchedule(liabilities, extraMonthlyPayment = 0, customDebts = [], strategies = DEFAULT_STRATEGIES, options = {}) {
+        const debts = this._normalizeDebts(liabilities, customDebts, options.startMonth)
+            .filter(d => d.balance > 0);
+
+        const result = {};
+        for (const name of strategies) {
+            result[name] = this._runStrategy(debts, name, extraMonthlyPayment, options, { schedule: true });
+        }
+
+        return {
+            debts: debts.map(d => ({ id: d.id, name: d.name, balance: d.balance, apr: d.apr, debt_type: d.debt_type || 'other' })),
+            strategies: result
+        };
+    }
+
+    /**
+     * Every debt with its current balance, paid-off ones (zero balance) included
+     * The result can be passed back in as custom debts to recalculate from these balances; mortgages
+     * carry their terms (monthly_payment is before any acceleration) so they get the same rate and payment.
+     * @param {string|null} startMonth - Month a schedule would start in; promos over by then are left out
+     * @returns {Array} [{ id, name, debt_type, balance, apr, min_payment, promo_apr?, promo_end_date?, deferred_interest?,
+     *   monthly_payment?, compounding?, payment_frequency?, renewal_date?, rate_type?, currency? }]
+     */
+    listDebts(liabilities, customDebts = [], startMonth = null) {
+        return this._normalizeDebts(liabilities, customDebts, startMonth).map(d => ({
+            id: d.id,
+            name: d.name,
+            debt_type: d.debt_type || 'other',
+            balance: this._cents(Math.max(d.balance, 0)),
+            apr: d.apr,
+            min_payment: this._cents(d.balance > 0 ? d.min_payment_calc : 0),
+            ...(d.promo && {
+                promo_apr: d.promo.apr,
+                promo_end_date: d.promo.end_date,
+                deferred_interest: d.promo.deferred_interest
+            }),
+            ...(d.mortgage && {
+                monthly_payment: d.mortgage.monthly_payment,
+                compounding: d.mortgage.compounding,
+                payment_frequency: d.mortgage.payment_frequency,
+                renewal_date: d.mortgage.renewal_date,
+                rate_type: d.mortgage.rate_type,
+                currency: d.mortgage.currency
+            })
+        }));
+    }
+
+    getStrategies() {
+        return Object.keys(STRATEGIES);
+    }
+
+    // Accepted mortgage compounding and payment frequency values
+    getMortgageTerms() {
+        return { compounding: COMPOUNDING_PERIODS, payment_frequencies: Object.keys(PAYMENT_FREQUENCIES) };
+    }
+
+    /**
+     * Schedule months a promo ending in the given month runs for (0 once it has ended)
+     * @param {string} promoEndDate - YYYY-MM-DD
+     * @param {string|null} startMonth - YYYY-MM of schedule month 1 (default: next month)
+     */
+    promoMonths(promoEndDate, startMonth = null) {
+        return Math.max(0, this._simulationMonth(String(promoEndDate).slice(0, 7), startMonth));
+    }
+
+    /**
+     * Latest target month goal-seek can solve for (YYYY-MM): the last month before the simulation gives up
+     */
+    getMaxTargetDate() {
+        return this._monthLabel(MAX_SIMULATION_MONTHS - 1);
+    }
+
+    /**
+     * Goal-seek: smallest extra monthly payment (whole dollars) that clears every debt by the target month
+     * @param {string} targetDate - YYYY-MM, after the current month and no later than getMaxTargetDate()
+     * @param {string} strategy - Strategy the extra payment follows
+     * @param {Object} options - Strategy options, as for calculate()
+     */
+    solveExtraPaymentForDate(liabilities, customDebts, targetDate, strategy = 'avalanche', options = {}) {
+        const debts = this._normalizeDebts(liabilities, customDebts)
+            .filter(d => d.balance > 0);
+        const targetMonths = Math.min(this._simulationMonth(targetDate), MAX_SIMULATION_MONTHS - 1);
+        const simulate = extra => this._runStrategy(debts, strategy, extra, options);
+        // A run that hit the month cap still has a balance left, whatever the target
+        const meetsTarget = extra => {
+            const months = simulate(extra).months_to_payoff;
+            return months < MAX_SIMULATION_MONTHS && months <= targetMonths;
+        };
+
+        let required = 0;
+        if (debts.length > 0 && !meetsTarget(0)) {
+            // Double until the target is met, then narrow down to the dollar
+            let low = 0;
+            let high = Math.max(1, Math.ceil(debts.reduce((sum, d) => sum + d.balance, 0) / targetMonths));
+            while (!meetsTarget(high)) {
+                low = high;
+                high *= 2;
+            }
+            while (high - low > 1) {
+                const mid = Math.floor((low + high) / 2);
+                if (meetsTarget(mid)) high = mid; else low = mid;
+            }
+            required = high;
+        }
+
+        return {
+            target_date: targetDate,
+            ...this._goalResult(debts, strategy, required, options)
+        };
+    }
+
+    /**
+     * Inverse goal-seek: earliest debt-free month for a total monthly budget (minimums included)
+     * @returns {Object} Result, or { feasible: false, total_min_payment } when the budget doesn't cover the minimums
+     */
+    solveEarliestPayoff(liabilities, customDebts, monthlyBudget, strategy = 'avalanche', options = {}) {
+        const debts = this._normalizeDebts(liabilities, customDebts)
+            .filter(d => d.balance > 0);
+        const totalMinPayment = debts.reduce((sum, d) => sum + d.min_payment_calc, 0);
+
+        if (monthlyBudget < totalMinPayment) {
+            return { feasible: false, total_min_payment: this._cents(totalMinPayment) };
+        }
+
+        return {
+            monthly_budget: monthlyBudget,
+            ...this._goalResult(debts, strategy, monthlyBudget - totalMinPayment, options)
+        };
+    }
+
+    _goalResult(debts, strategy, extraPayment, options) {
+        const totalMinPayment = debts.reduce((sum, d) => sum + d.min_payment_calc, 0);
+        const result = debts.length > 0
+            ? this._runStrategy(debts, strategy, extraPayment, options)
+            : { total_interest: 0, months_to_payoff: 0, payoff_date: null, payoff_order: [] };
+        const statusQuo = debts.length > 0
+            ? this._runStrategy(debts, 'status_quo', 0)
+            : result;
+
+        return {
+            feasible: true,
+            strategy,
+            extra_payment: this._cents(extraPayment),
+            total_min_payment: this._cents(totalMinPayment),
+            total_monthly_payment: this._cents(totalMinPayment + extraPayment),
+            ...result,
+            interest_saved: Math.round(statusQuo.total_interest - result.total_interest),
+            months_saved: statusQuo.months_to_payoff - result.months_to_payoff
+        };
+    }
+
+    /**
+     * Simulate one named strategy
+     * @param {Array} debts - Normalized debts
+     * @param {Object} simulation - Extra _simulateRepayment options (e.g. { schedule: true })
+     */
+    _runStrategy(debts, name, extraMonthlyPayment, options = {}, simulation = {}) {
+        const strategy = STRATEGIES[name];
+        const sortMethod = strategy.useSnowflakes
+            ? STRATEGIES[options.snowflakeBase || 'avalanche'].sortMethod
+            : strategy.sortMethod;
+
+        return this._simulateRepayment(debts, strategy.useExtra ? extraMonthlyPayment : 0, sortMethod, {
+            ...simulation,
+            startMonth: options.startMonth,
+            payoffOrder: options.payoffOrder || [],
+            hybridThreshold: options.hybridThreshold ?? DEFAULT_HYBRID_THRESHOLD,
+            oneOffPayments: strategy.useSnowflakes ? this._snowflakesByMonth(options.snowflakes || [], options.startMonth) : null
+        });
+    }
+
+    // One-off payments keyed by simulation month (earlier ones go into month 1), same-month amounts combined
+    _snowflakesByMonth(snowflakes, startMonth = null) {
+        const byMonth = new Map();
+        for (const { date, amount } of snowflakes) {
+            const index = Math.max(1, this._simulationMonth(date, startMonth));
+            byMonth.set(index, (byMonth.get(index) || 0) + amount);
+        }
+        return byMonth;
+    }
+
+    // Simulation month of a YYYY-MM date: 1 is startMonth, by default next month (so the current month is 0)
+    _simulationMonth(date, startMonth = null) {
+        const [year, month] = date.split('-').map(Number);
+        const [startYear, startMon] = this._startMonthParts(startMonth);
+        return (year - startYear) * 12 + (month - startMon) + 1;
+    }
+
+    // [year, month] of simulation month 1 (month may run past 12), in UTC like _monthLabel
+    _startMonthParts(startMonth) {
+        if (startMonth) return startMonth.split('-').map(Number);
+        const now = new Date();
+        return [now.getUTCFullYear(), now.getUTCMonth() + 2];
+    }
+
+    /**
+     * Order debts so the extra payment goes to the first one with a balance
+     * Rates are the ones in effect this month, so a card on a promo rate drops down the avalanche.
+     */
+    _compareDebts(a, b, sortMethod, options, month) {
+        const aprDesc = () => this._currentApr(b, month) - this._currentApr(a, month);
+
+        if (sortMethod === 'APR_DESC') return aprDesc();
+        if (sortMethod === 'BALANCE_ASC') return a.balance - b.balance;
+        if (sortMethod === 'INTEREST_DESC') {
+            return b.balance * this._currentMonthlyRate(b, month) - a.balance * this._currentMonthlyRate(a, month);
+        }
+        if (sortMethod === 'HYBRID') {
+            const aSmall = a.balance <= options.hybridThreshold;
+            const bSmall = b.balance <= options.hybridThreshold;
+            if (aSmall && bSmall) return a.balance - b.balance;
+            if (aSmall !== bSmall) return aSmall ? -1 : 1;
+            return aprDesc();
+        }
+        if (sortMethod === 'CUSTOM') {
+            // Debts left out of the payoff order come after it, highest APR first
+            const rank = d => {
+                const index = options.payoffOrder.indexOf(d.id);
+                return index === -1 ? options.payoffOrder.length : index;
+            };
+            return rank(a) - rank(b) || aprDesc();
+        }
+        return 0;
+    }
+
+    // Deferred-interest plans keep accruing at the regular rate, so they rank by it
+    _currentApr(d, month) {
+        return d.promo && month <= d.promo.months && !d.promo.deferred_interest ? d.promo.apr : d.apr;
+    }
+
+    _currentMonthlyRate(d, month) {
+        return d.promo && month <= d.promo.months && !d.promo.deferred_interest ? d.promo.monthly_rate : d.monthly_rate;
+    }
+
+    /**
+     * Add this month's interest to a debt and return it
+     * During a promo the promo rate applies; a deferred-interest plan also accrues the regular rate
+     * on the side and charges all of it in the first month after the promo if a balance is left.
+     */
+    _accrueInterest(d, month) {
+        let interest;
+        if (d.promo && month <= d.promo.months) {
+            interest = d.balance * d.promo.monthly_rate;
+            if (d.promo.deferred_interest) {
+                d.deferred_interest = (d.deferred_interest || 0) + d.balance * d.monthly_rate;
+            }
+        } else {
+            interest = d.balance * d.monthly_rate + (d.deferred_interest || 0);
+            d.deferred_interest = 0;
+        }
+
+        d.balance += interest;
+        return interest;
+    }
+
+    /**
+     * Balance transfer: does moving a debt's balance to a promotional offer save money after the fee?
+     * Both sides are paid with the same monthly payment (at least the minimums).
+     * @param {string} debtId - Debt whose balance would move
+     * @param {Object} offer - { promo_apr, promo_months, fee_percent, fee_minimum, regular_apr, deferred_interest }
+     * @param {Object} options - { amount (default: full balance), monthlyPayment (default: current minimum) }
+     * @returns {Object|null} Comparison, or null when the debt isn't found
+     */
+    compareBalanceTransfer(liabilities, customDebts, debtId, offer, { amount, monthlyPayment } = {}) {
+        const debt = this._normalizeDebts(liabilities, customDebts).find(d => d.id === debtId && d.balance > 0);
+        if (!debt) return null;
+
+        const moved = Math.min(amount ?? debt.balance, debt.balance);
+        const fee = this._cents(Math.max(moved * (offer.fee_percent || 0) / 100, offer.fee_minimum || 0));
+        const regularApr = offer.regular_apr ?? debt.apr;
+        const promoApr = offer.promo_apr || 0;
+        const transferredBalance = moved + fee;
+
+        const transferred = {
+            id: 'balance_transfer',
+            name: 'Balance transfer',
+            balance: transferredBalance,
+            apr: regularApr,
+            monthly_rate: regularApr / 100 / 12,
+            min_payment_calc: Math.max(transferredBalance * 0.02, 25),
+            debt_type: 'credit_card',
+            promo: {
+                apr: promoApr,
+                monthly_rate: promoApr / 100 / 12,
+                months: offer.promo_months,
+                end_date: this._monthLabel(offer.promo_months),
+                deferred_interest: Boolean(offer.deferred_interest)
+            }
+        };
+        const transferDebts = moved < debt.balance
+            ? [transferred, { ...debt, balance: debt.balance - moved }]
+            : [transferred];
+
+        const payment = monthlyPayment ?? debt.min_payment_calc;
+        const paymentFor = debts => Math.max(payment, debts.reduce((sum, d) => sum + d.min_payment_calc, 0));
+        const simulate = debts => this._simulateRepayment(
+            debts,
+            paymentFor(debts) - debts.reduce((sum, d) => sum + d.min_payment_calc, 0),
+            'APR_DESC',
+            { schedule: true }
+        );
+
+        const current = simulate([debt]);
+        const transfer = simulate(transferDebts);
+
+        // Left on the new card when the promo ends (0 if paid off before)
+        const transferRows = transfer.schedule.debts.find(d => d.id === 'balance_transfer').rows;
+        const promoEndRow = transferRows.find(r => r.month === offer.promo_months);
+        const balanceAfterPromo = promoEndRow ? promoEndRow.closing_balance : 0;
+
+        const currentCost = current.total_interest;
+        const transferCost = Math.round(transfer.total_interest + fee);
+
+        // The simulation gives up after MAX_SIMULATION_MONTHS when the payment can't keep up with the interest
+        const currentPaysOff = current.months_to_payoff < MAX_SIMULATION_MONTHS;
+        const transferPaysOff = transfer.months_to_payoff < MAX_SIMULATION_MONTHS;
+
+        return {
+            debt: { id: debt.id, name: debt.name, balance: debt.balance, apr: debt.apr },
+            amount_transferred: this._cents(moved),
+            offer: {
+                promo_apr: promoApr,
+                promo_months: offer.promo_months,
+                regular_apr: regularApr,
+                deferred_interest: Boolean(offer.deferred_interest),
+                fee
+            },
+            current: {
+                monthly_payment: this._cents(paymentFor([debt])),
+                total_interest: current.total_interest,
+                months_to_payoff: current.months_to_payoff,
+                payoff_date: current.payoff_date,
+                total_cost: currentCost,
+                pays_off: currentPaysOff
+            },
+            transfer: {
+                monthly_payment: this._cents(paymentFor(transferDebts)),
+                fee,
+                total_interest: transfer.total_interest,
+                months_to_payoff: transfer.months_to_payoff,
+                payoff_date: transfer.payoff_date,
+                total_cost: transferCost,
+                pays_off: transferPaysOff,
+                balance_after_promo: balanceAfterPromo,
+                paid_off_during_promo: balanceAfterPromo === 0
+            },
+            // Monthly payment that clears the new balance before the promo ends
+            payment_to_clear_during_promo: this._cents(
+                this._amortizedPayment(transferredBalance, transferred.promo.monthly_rate, offer.promo_months)
+            ),
+            savings: currentCost - transferCost,
+            recommended: transferPaysOff && (!currentPaysOff || currentCost - transferCost > 0)
+        };
+    }
+
+    /**
+     * Consolidation: replace a subset of debts with a fixed-term loan and compare each offer
+     * against the current avalanche plan, with the same extra payment on top of the minimums
+     * @param {Array} debtIds - Debts the loan would pay off
+     * @param {Array} offers - [{ name, apr, term_months, fee_percent, fee, fee_financed }]
+     * @returns {Object|null} Comparison, or null when a debt isn't found
+     */
+    compareConsolidation(liabilities, customDebts, debtIds, offers, extraMonthlyPayment = 0) {
+        const debts = this._normalizeDebts(liabilities, customDebts)
+            .filter(d => d.balance > 0);
+        const chosen = debts.filter(d => debtIds.includes(d.id));
+        if (chosen.length !== debtIds.length) return null;
+
+        const rest = debts.filter(d => !debtIds.includes(d.id));
+        const consolidated = chosen.reduce((sum, d) => sum + d.balance, 0);
+        const summarize = (plan, planDebts, fee = 0) => {
+            const minimums = planDebts.reduce((sum, d) => sum + d.min_payment_calc, 0);
+            return {
+                monthly_payment: this._cents(minimums + extraMonthlyPayment),
+                total_interest: plan.total_interest,
+                fees: fee,
+                total_cost: Math.round(plan.total_interest + fee),
+                months_to_payoff: plan.months_to_payoff,
+                payoff_date: plan.payoff_date
+            };
+        };
+
+        const current = summarize(this._simulateRepayment(debts, extraMonthlyPayment, 'APR_DESC'), debts);
+
+        const results = offers.map((offer, idx) => {
+            const fee = this._cents((offer.fee || 0) + consolidated * (offer.fee_percent || 0) / 100);
+            const principal = consolidated + (offer.fee_financed ? fee : 0);
+            const monthlyRate = offer.apr / 100 / 12;
+            const loanPayment = this._amortizedPayment(principal, monthlyRate, offer.term_months);
+
+            const loan = {
+                id: 'consolidation_loan',
+                name: offer.name || `Offer ${idx + 1}`,
+                balance: principal,
+                apr: offer.apr,
+                monthly_rate: monthlyRate,
+                min_payment_calc: loanPayment,
+                debt_type: 'personal_loan'
+            };
+            const planDebts = [loan, ...rest];
+            const plan = this._simulateRepayment(planDebts, extraMonthlyPayment, 'APR_DESC');
+
+            // A financed fee is paid through the loan (it's in the principal), not up front
+            const result = summarize(plan, planDebts, offer.fee_financed ? 0 : fee);
+            return {
+                name: loan.name,
+                apr: offer.apr,
+                term_months: offer.term_months,
+                fee,
+                fee_financed: Boolean(offer.fee_financed),
+                loan_amount: this._cents(principal),
+                loan_payment: this._cents(loanPayment),
+                loan_payoff_month: plan.payoff_order.find(p => p.id === 'consolidation_loan')?.month ?? null,
+                ...result,
+                savings: current.total_cost - result.total_cost,
+                monthly_payment_change: this._cents(result.monthly_payment - current.monthly_payment),
+                months_saved: current.months_to_payoff - plan.months_to_payoff
+            };
+        });
+
+        const best = results.filter(r => r.savings > 0).sort((a, b) => b.savings - a.savings)[0];
+
+        return {
+            consolidated_debts: chosen.map(d => ({ id: d.id, name: d.name, balance: d.balance, apr: d.apr })),
+            consolidated_balance: this._cents(consolidated),
+            extra_payment: extraMonthlyPayment,
+            current,
+            offers: results,
+            best_offer: best ? best.name : null
+        };
+    }
+
+    /**
+     * Prepayment-privilege scenarios for each mortgage: how much an accelerated schedule,
+     * the lender's payment increase allowance and its yearly lump sum allowance would save
+     * @param {Object} liabilities - Plaid liabilities object
+     * @param {Array} customDebts - Array of custom debt objects
+     * @param {Object} privileges - { lump_sum_percent, payment_increase_percent }
+     */
+    calculateMortgageScenarios(liabilities, customDebts = [], privileges = {}) {
+        const limits = { ...DEFAULT_PREPAYMENT_PRIVILEGES, ...privileges };
+
+        return this._normalizeDebts(liabilities, customDebts)
+            .filter(d => d.debt_type === 'mortgage' && d.balance > 0)
+            .map(d => {
+                const { mortgage } = d;
+                const baseline = this._simulateMortgage(d);
+                const principal = mortgage.original_principal || d.balance;
+                const lumpSum = Math.round(principal * limits.lump_sum_percent) / 100;
+                const increase = Math.round(mortgage.monthly_payment * limits.payment_increase_percent) / 100;
+
+                const options = [
+                    { id: 'payment_increase', label: `Increase payment by ${limits.payment_increase_percent}%`, extraMonthly: increase },
+                    { id: 'annual_lump_sum', label: `Yearly lump sum of ${limits.lump_sum_percent}% of the original principal`, annualLumpSum: lumpSum },
+                    { id: 'maximum_privileges', label: 'Payment increase and yearly lump sum', extraMonthly: increase, annualLumpSum: lumpSum }
+                ];
+                if (!PAYMENT_FREQUENCIES[mortgage.payment_frequency].accelerated) {
+                    // Half the monthly payment every two weeks is 13 monthly payments a year
+                    options.unshift({
+                        id: 'accelerated_biweekly',
+                        label: 'Switch to accelerated bi-weekly payments',
+                        extraMonthly: mortgage.monthly_payment / 12
+                    });
+                }
+
+                const scenarios = options
+                    .filter(o => (o.extraMonthly || 0) > 0 || (o.annualLumpSum || 0) > 0)
+                    .map(o => {
+                        const result = this._simulateMortgage(d, o);
+                        return {
+                            id: o.id,
+                            label: o.label,
+                            extra_monthly_payment: Math.round((o.extraMonthly || 0) * 100) / 100,
+                            annual_lump_sum: o.annualLumpSum || 0,
+                            ...result,
+                            interest_saved: baseline.total_interest - result.total_interest,
+                            months_saved: baseline.months_to_payoff - result.months_to_payoff
+                        };
+                    });
+
+                return {
+                    id: d.id,
+                    name: d.name,
+                    balance: d.balance,
+                    apr: d.apr,
+                    mortgage,
+                    privileges: limits,
+                    baseline,
+                    scenarios
+                };
+            });
+    }
+
     /**
      * Calculate payoff months for a single debt with just minimum payments
      */
     _calculateSoloPayoff(debt) {
         if (debt.balance <= 0) return 0;
 
-        let balance = debt.balance;
+        const d = { ...debt };
         let months = 0;
-        const monthlyRate = debt.apr / 100 / 12;
         const minPayment = debt.min_payment_calc;
 
         // Safety limit
-        while (balance > 0 && months < 600) {
+        while (d.balance > 0 && months < MAX_SIMULATION_MONTHS) {
             months++;
-            const interest = balance * monthlyRate;
-            balance += interest;
-            const payment = Math.min(balance, minPayment);
-            balance -= payment;
+            const regularInterest = d.balance * d.monthly_rate;
+            this._accrueInterest(d, months);
+            const payment = Math.min(d.balance, minPayment);
+            d.balance -= payment;
 
             // Check if payment is less than interest (will never pay off)
-            if (minPayment <= interest && months > 12) {
+            if (minPayment <= regularInterest && months > 12) {
                 return 999; // Indicates "never" at minimum payments
             }
         }
@@ -102,7 +677,7 @@ class DebtCalculator {
     /**
      * Normalize debts from various sources into unified format
      */
-    _normalizeDebts(liabilities, customDebts = []) {
+    _normalizeDebts(liabilities, customDebts = [], startMonth = null) {
         let all = [];
 
         // Process Plaid credit cards
@@ -119,6 +694,7 @@ class DebtCalculator {
                     name: d.name || 'Credit Card',
                     balance: balance,
                     apr: apr,
+                    monthly_rate: apr / 100 / 12,
                     min_payment: d.minimum_payment_amount || 0,
                     min_payment_calc: d.minimum_payment_amount || Math.max(balance * 0.02, 25),
                     debt_type: 'credit_card',
@@ -130,70 +706,306 @@ class DebtCalculator {
 
         // Process Plaid student loans
         if (liabilities?.student) {
-            all = all.concat(liabilities.student.map((d, idx) => ({
-                id: d.account_id || `plaid_student_${idx}`,
-                name: d.name || 'Student Loan',
-                balance: d.outstanding_interest_amount + (d.principal_balance || 0),
-                apr: d.interest_rate_percentage || DEFAULT_APRS['student_loan'],
-                min_payment: d.minimum_payment_amount || 0,
-                min_payment_calc: d.minimum_payment_amount || 200,
-                debt_type: 'student_loan',
-                is_custom: false
-            })));
+            all = all.concat(liabilities.student.map((d, idx) => {
+                const apr = d.interest_rate_percentage || DEFAULT_APRS['student_loan'];
+                return {
+                    id: d.account_id || `plaid_student_${idx}`,
+                    name: d.name || 'Student Loan',
+                    balance: d.outstanding_interest_amount + (d.principal_balance || 0),
+                    apr: apr,
+                    monthly_rate: apr / 100 / 12,
+                    min_payment: d.minimum_payment_amount || 0,
+                    min_payment_calc: d.minimum_payment_amount || 200,
+                    debt_type: 'student_loan',
+                    is_custom: false
+                };
+            }));
+        }
+
+        // Process Plaid mortgages
+        // Balance, name and currency come from the account (attached by the provider)
+        if (liabilities?.mortgage) {
+            all = all.concat(liabilities.mortgage.map((d, idx) => {
+                const plaidRate = d.interest_rate?.percentage;
+                const apr = d.effective_apr ?? plaidRate ?? DEFAULT_APRS['mortgage'];
+                const balance = Math.abs(d.current_balance || 0);
+
+                return {
+                    id: d.account_id || `plaid_mortgage_${idx}`,
+                    name: d.name || 'Mortgage',
+                    balance: balance,
+                    apr: apr,
+                    min_payment: d.next_monthly_payment || 0,
+                    debt_type: 'mortgage',
+                    is_custom: false,
+                    apr_source: d.apr_source || (plaidRate != null ? 'plaid' : 'default'),
+                    ...this._normalizeMortgage(balance, apr, {
+                        monthlyPayment: d.next_monthly_payment,
+                        rateType: d.interest_rate?.type,
+                        currency: d.iso_currency_code,
+                        compounding: d.compounding,
+                        paymentFrequency: d.payment_frequency,
+                        loanTerm: d.loan_term,
+                        originationDate: d.origination_date,
+                        maturityDate: d.maturity_date,
+                        renewalDate: d.renewal_date,
+                        originalPrincipal: d.origination_principal_amount,
+                        hasPrepaymentPenalty: d.has_prepayment_penalty
+                    })
+                };
+            }));
         }
 
         // Process custom debts
         if (customDebts && customDebts.length > 0) {
-            all = all.concat(customDebts.map(d => ({
-                id: d.id,
-                name: d.name,
-                balance: parseFloat(d.balance),
-                apr: parseFloat(d.apr),
-                min_payment: parseFloat(d.min_payment) || 0,
-                min_payment_calc: parseFloat(d.min_payment) || Math.max(parseFloat(d.balance) * 0.02, 25),
-                debt_type: d.debt_type || 'other',
-                is_custom: true
-            })));
+            all = all.concat(customDebts.map(d => {
+                const balance = parseFloat(d.balance);
+                const apr = parseFloat(d.apr);
+                const debt = {
+                    id: d.id,
+                    name: d.name,
+                    balance: balance,
+                    apr: apr,
+                    monthly_rate: apr / 100 / 12,
+                    min_payment: parseFloat(d.min_payment) || 0,
+                    min_payment_calc: parseFloat(d.min_payment) || Math.max(balance * 0.02, 25),
+                    debt_type: d.debt_type || 'other',
+                    is_custom: true
+                };
+
+                const promo = this._normalizePromo(d, startMonth);
+                if (promo) {
+                    debt.promo = promo;
+                }
+
+                if (debt.debt_type === 'mortgage') {
+                    Object.assign(debt, this._normalizeMortgage(balance, apr, {
+                        monthlyPayment: d.monthly_payment ?? debt.min_payment,
+                        rateType: d.rate_type,
+                        currency: d.currency,
+                        compounding: d.compounding,
+                        paymentFrequency: d.payment_frequency,
+                        renewalDate: d.renewal_date
+                    }));
+                }
+                return debt;
+            }));
         }
 
         return all;
     }
 
+    /**
+     * Promotional rate period from promo_apr / promo_end_date (YYYY-MM-DD), or null when none is left
+     * The promo covers every simulated month up to and including the month it ends.
+     * A saved plan's debts carry promo_months, counted when the plan was made.
+     */
+    _normalizePromo(d, startMonth = null) {
+        if (d.promo_apr === null || d.promo_apr === undefined || !d.promo_end_date) return null;
+
+        const months = d.promo_months ?? this.promoMonths(d.promo_end_date, startMonth);
+        if (months < 1) return null;
+
+        const apr = parseFloat(d.promo_apr);
+        return {
+            apr,
+            monthly_rate: apr / 100 / 12,
+            months,
+            end_date: d.promo_end_date,
+            deferred_interest: Boolean(d.deferred_interest)
+        };
+    }
+
+    /**
+     * Mortgage rate, payment, term, amortization and renewal in the calculator's terms
+     * Canadian fixed-rate mortgages compound semi-annually by convention; variable-rate
+     * and non-CAD mortgages compound monthly.
+     * @param {number} balance - Outstanding principal
+     * @param {number} apr - Nominal annual rate (percent)
+     * @param {Object} terms - Mortgage details as reported (all optional)
+     * @returns {Object} { monthly_rate, min_payment_calc, mortgage }
+     */
+    _normalizeMortgage(balance, apr, terms) {
+        const currency = terms.currency || 'CAD';
+        const compounding = COMPOUNDING_PERIODS.includes(terms.compounding)
+            ? terms.compounding
+            : (currency === 'CAD' && terms.rateType !== 'variable' ? 'semi_annual' : 'monthly');
+        const monthlyRate = compounding === 'semi_annual'
+            ? Math.pow(1 + apr / 200, 1 / 6) - 1
+            : apr / 100 / 12;
+
+        const paymentFrequency = PAYMENT_FREQUENCIES[terms.paymentFrequency] ? terms.paymentFrequency : 'monthly';
+        const frequency = PAYMENT_FREQUENCIES[paymentFrequency];
+
+        // A short loan term is the renewable term; a long one is the full amortization
+        const loanTermMonths = this._parseTermMonths(terms.loanTerm);
+        const termMonths = loanTermMonths && loanTermMonths <= MAX_RENEWABLE_TERM_MONTHS ? loanTermMonths : null;
+
+        // Without a reported payment, amortize over what's left until maturity (or 25 years)
+        let monthlyPayment = terms.monthlyPayment > 0 ? terms.monthlyPayment : null;
+        if (!monthlyPayment) {
+            const monthsToMaturity = !termMonths && terms.maturityDate
+                ? this._monthsUntil(terms.maturityDate)
+                : null;
+            monthlyPayment = this._amortizedPayment(balance, monthlyRate, monthsToMaturity > 0 ? monthsToMaturity : DEFAULT_AMORTIZATION_MONTHS);
+        }
+        monthlyPayment = Math.round(monthlyPayment * 100) / 100;
+
+        // Accelerated payments are the monthly payment split, so they pay 13 monthly payments a year
+        const periodicPayment = frequency.accelerated
+            ? monthlyPayment * 13 / frequency.per_year
+            : monthlyPayment * 12 / frequency.per_year;
+        const monthlyEquivalent = periodicPayment * frequency.per_year / 12;
+
+        return {
+            monthly_rate: monthlyRate,
+            min_payment_calc: monthlyEquivalent,
+            mortgage: {
+                rate_type: terms.rateType || null,
+                currency,
+                compounding,
+                effective_annual_rate: Math.round((Math.pow(1 + monthlyRate, 12) - 1) * 100000) / 1000,
+                payment_frequency: paymentFrequency,
+                periodic_payment: Math.round(periodicPayment * 100) / 100,
+                monthly_payment: monthlyPayment,
+                term_months: termMonths,
+                amortization_months_remaining: this._amortizationMonths(balance, monthlyRate, monthlyEquivalent),
+                renewal_date: this._renewalDate(terms, termMonths),
+                maturity_date: terms.maturityDate || null,
+                original_principal: terms.originalPrincipal || null,
+                has_prepayment_penalty: terms.hasPrepaymentPenalty ?? null
+            }
+        };
+    }
+
+    // "5 year", "25 years", "60 months" → months
+    _parseTermMonths(loanTerm) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(year|yr|month|mo)/i.exec(loanTerm || '');
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        return Math.round(/^y/i.test(match[2]) ? value * 12 : value);
+    }
+
+    // Next renewal: reported date, else origination rolled forward by whole terms, else a maturity inside the term
+    _renewalDate(terms, termMonths) {
+        if (terms.renewalDate) return terms.renewalDate;
+        if (!termMonths) return null;
+
+        const today = new Date().toISOString().split('T')[0];
+        if (terms.originationDate) {
+            const date = new Date(`${terms.originationDate}T00:00:00Z`);
+            if (!isNaN(date.getTime())) {
+                do {
+                    date.setUTCMonth(date.getUTCMonth() + termMonths);
+                } while (date.toISOString().split('T')[0] <= today);
+                return date.toISOString().split('T')[0];
+            }
+        }
+
+        if (terms.maturityDate && terms.maturityDate > today && this._monthsUntil(terms.maturityDate) <= termMonths) {
+            return terms.maturityDate;
+        }
+        return null;
+    }
+
+    _amortizedPayment(balance, monthlyRate, months) {
+        if (monthlyRate === 0) return balance / months;
+        return balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+    }
+
+    // Months left at the current payment, or null if the payment doesn't cover the interest
+    _amortizationMonths(balance, monthlyRate, payment) {
+        if (balance <= 0) return 0;
+        if (monthlyRate === 0) return Math.ceil(balance / payment);
+        if (payment <= balance * monthlyRate) return null;
+        return Math.ceil(-Math.log(1 - (monthlyRate * balance) / payment) / Math.log(1 + monthlyRate));
+    }
+
+    _monthsUntil(isoDate) {
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        if (isNaN(date.getTime())) return null;
+        const now = new Date();
+        return (date.getUTCFullYear() - now.getUTCFullYear()) * 12 + (date.getUTCMonth() - now.getUTCMonth());
+    }
+
+    /**
+     * Pay down one mortgage with optional extra monthly payments and a lump sum every 12 months
+     * @returns {Object} { total_interest, months_to_payoff, payoff_date, balance_at_renewal }
+     */
+    _simulateMortgage(debt, { extraMonthly = 0, annualLumpSum = 0 } = {}) {
+        const renewalMonth = debt.mortgage.renewal_date ? this._monthsUntil(debt.mortgage.renewal_date) : null;
+        const payment = debt.min_payment_calc + extraMonthly;
+        let balance = debt.balance;
+        let totalInterest = 0;
+        let balanceAtRenewal = null;
+        let months = 0;
+
+        while (balance > 0 && months < MAX_SIMULATION_MONTHS) {
+            months++;
+            const interest = balance * debt.monthly_rate;
+            totalInterest += interest;
+            balance = Math.max(0, balance + interest - payment);
+            if (months % 12 === 0) {
+                balance = Math.max(0, balance - annualLumpSum);
+            }
+            if (months === renewalMonth) {
+                balanceAtRenewal = Math.round(balance);
+            }
+        }
+
+        // Paid off before the renewal comes up
+        if (renewalMonth > months) {
+            balanceAtRenewal = 0;
+        }
+
+        return {
+            total_interest: Math.round(totalInterest),
+            months_to_payoff: months,
+            payoff_date: this._monthLabel(months), // YYYY-MM
+            balance_at_renewal: balanceAtRenewal
+        };
+    }
+
     /**
      * Simulate debt repayment over time
+     * With options.schedule, also returns each month's rows per debt and the monthly totals.
+     * options.oneOffPayments (month → amount) adds to that month's extra payment.
      */
-    _simulateRepayment(initialDebts, extraPayment, sortMethod) {
+    _simulateRepayment(initialDebts, extraPayment, sortMethod, options = {}) {
         // Deep copy to avoid mutation during simulation
         let debts = JSON.parse(JSON.stringify(initialDebts));
         let totalInterest = 0;
         let months = 0;
         const payoffOrder = []; // Track in which month each debt gets paid off
+        const rowsByDebt = options.schedule ? new Map(debts.map(d => [d.id, []])) : null;
+        const monthTotals = [];
 
         // Safety break to prevent infinite loops
-        while (debts.some(d => d.balance > 0) && months < 600) {
+        while (debts.some(d => d.balance > 0) && months < MAX_SIMULATION_MONTHS) {
             months++;
-            let monthlyExtraAvailable = extraPayment;
+            let monthlyExtraAvailable = extraPayment + (options.oneOffPayments?.get(months) || 0);
+            const monthRows = new Map();
 
             // Sort debts for this month's target
-            debts.sort((a, b) => {
-                if (sortMethod === 'APR_DESC') return b.apr - a.apr;
-                if (sortMethod === 'BALANCE_ASC') return a.balance - b.balance;
-                return 0;
-            });
+            debts.sort((a, b) => this._compareDebts(a, b, sortMethod, options, months));
 
             // 1. Apply Minimum Payments & Accrue Interest
             debts.forEach(d => {
                 if (d.balance <= 0) return;
+                const openingBalance = d.balance;
 
                 // Interest for this month
-                const interest = d.balance * (d.apr / 100 / 12);
-                d.balance += interest;
+                const interest = this._accrueInterest(d, months);
                 totalInterest += interest;
 
                 // Pay Minimum
                 let payment = Math.min(d.balance, d.min_payment_calc);
                 d.balance -= payment;
 
+                if (rowsByDebt) {
+                    monthRows.set(d.id, { openingBalance, interest, minimum: payment, extra: 0 });
+                }
+
                 // Track if paid off
                 if (d.balance <= 0 && !payoffOrder.find(p => p.id === d.id)) {
                     payoffOrder.push({ id: d.id, name: d.name, month: months });
@@ -206,6 +1018,9 @@ class DebtCalculator {
                     let payment = Math.min(d.balance, monthlyExtraAvailable);
                     d.balance -= payment;
                     monthlyExtraAvailable -= payment;
+                    if (rowsByDebt) {
+                        monthRows.get(d.id).extra += payment;
+                    }
 
                     // Track if paid off
                     if (d.balance <= 0 && !payoffOrder.find(p => p.id === d.id)) {
@@ -213,17 +1028,61 @@ class DebtCalculator {
                     }
                 }
             }
-        }
 
-        const today = new Date();
-        today.setMonth(today.getMonth() + months);
+            if (rowsByDebt) {
+                const date = this._monthLabel(months, options.startMonth);
+                const total = { month: months, date, interest: 0, payment: 0, balance: 0 };
+                for (const d of debts) {
+                    const row = monthRows.get(d.id);
+                    if (!row) continue;
+                    rowsByDebt.get(d.id).push({
+                        month: months,
+                        date,
+                        opening_balance: this._cents(row.openingBalance),
+                        interest: this._cents(row.interest),
+                        minimum_payment: this._cents(row.minimum),
+                        extra_payment: this._cents(row.extra),
+                        closing_balance: this._cents(Math.max(d.balance, 0))
+                    });
+                    total.interest += row.interest;
+                    total.payment += row.minimum + row.extra;
+                    total.balance += Math.max(d.balance, 0);
+                }
+                monthTotals.push({
+                    ...total,
+                    interest: this._cents(total.interest),
+                    payment: this._cents(total.payment),
+                    balance: this._cents(total.balance)
+                });
+            }
+        }
 
-        return {
+        const result = {
             total_interest: Math.round(totalInterest),
             months_to_payoff: months,
-            payoff_date: today.toISOString().slice(0, 7), // YYYY-MM
+            payoff_date: this._monthLabel(months, options.startMonth), // YYYY-MM
             payoff_order: payoffOrder
         };
+
+        if (rowsByDebt) {
+            result.schedule = {
+                totals: monthTotals,
+                debts: initialDebts.map(d => ({ id: d.id, name: d.name, rows: rowsByDebt.get(d.id) }))
+            };
+        }
+
+        return result;
+    }
+
+    // YYYY-MM of simulation month `months` (by default the month that is `months` from now)
+    // Month arithmetic on the 1st in UTC, so running on the 29th-31st doesn't skip short months
+    _monthLabel(months, startMonth = null) {
+        const [year, month] = this._startMonthParts(startMonth);
+        return new Date(Date.UTC(year, month - 2 + months, 1)).toISOString().slice(0, 7);
+    }
+
+    _cents(value) {
+        return Math.round(value * 100) / 100;
     }
 
     _emptyResult() {
@@ -237,6 +1096,7 @@ class DebtCalculator {
                 avalanche: { total_interest: 0, months_to_payoff: 0, payoff_date: null, payoff_order: [] },
                 snowball: { total_interest: 0, months_to_payoff: 0, payoff_date: null, payoff_order: [] }
             },
+            comparison: [],
             savings: {
                 interest_saved_avalanche: 0,
                 months_saved_avalanche: 0,
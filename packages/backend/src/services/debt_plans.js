@@ -0,0 +1,443 @@
+/**
+ * Debt Plan Service
+ * Saved payoff plans: the strategy, extra payment and start month the user committed to, with the
+ * debts as they stood at the time. The monthly "pay X to Y" checklist and the iCalendar feed are
+ * generated from the plan's schedule; payments are marked done by the user or matched to transactions.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const debtCalculator = require('./debt_calculator');
+const { NotFoundError } = require('../errors/AppError');
+
+// Payments made up to this many days before the month starts count for that month
+const MATCH_GRACE_DAYS = 7;
+
+// A transaction this much below the planned amount still counts as the payment
+const MATCH_TOLERANCE = 1;
+
+// Transaction names/categories that look like a bill or loan payment
+const PAYMENT_PATTERN = /payment|pymt|pmt|bill ?pay|transfer/i;
+const PAYMENT_CATEGORIES = ['Payment', 'Transfer', 'Loan Payments', 'Credit Card'];
+
+// Words in debt names too common to identify the payee
+const GENERIC_NAME_WORDS = ['the', 'and', 'card', 'credit', 'loan', 'line', 'account', 'debt', 'student', 'mortgage', 'bank'];
+
+class DebtPlanService {
+    /**
+     * Save a plan from the current debts; it becomes the active plan
+     * @param {number} userId - User ID
+     * @param {Object} plan - { name, strategy, extraPayment, startMonth, paymentDay, options, debts }
+     *   options: { payoff_order, hybrid_threshold, snowflakes, snowflake_base } as the strategy needs
+     *   debts: from debtCalculator.listDebts(); paid-off debts are left out, and promos are saved as
+     *   a number of schedule months so the committed schedule doesn't shift later
+     */
+    async create(userId, { name, strategy, extraPayment, startMonth, paymentDay, options, debts }) {
+        const saved = await db.createDebtPlan(userId, {
+            name: name || `${this._strategyName(strategy)} plan from ${startMonth}`,
+            strategy,
+            extraPayment,
+            startMonth,
+            paymentDay,
+            options,
+            debts: debts.filter(d => d.balance > 0).map(d => this._withPromoMonths(d, startMonth)),
+            calendarToken: crypto.randomBytes(24).toString('hex')
+        });
+        return this._withSummary(this._formatPlan(saved));
+    }
+
+    async list(userId) {
+        const plans = await db.getDebtPlans(userId);
+        return plans.map(p => this._withSummary(this._formatPlan(p)));
+    }
+
+    async get(userId, planId) {
+        const plan = await db.getDebtPlan(userId, planId);
+        if (!plan) {
+            throw new NotFoundError('Debt plan');
+        }
+        return this._formatPlan(plan);
+    }
+
+    async getActive(userId) {
+        const plan = await db.getActiveDebtPlan(userId);
+        return plan ? this._formatPlan(plan) : null;
+    }
+
+    async activate(userId, planId) {
+        const plan = await db.activateDebtPlan(userId, planId);
+        if (!plan) {
+            throw new NotFoundError('Debt plan');
+        }
+        return this._withSummary(this._formatPlan(plan));
+    }
+
+    async remove(userId, planId) {
+        const deleted = await db.deleteDebtPlan(userId, planId);
+        if (!deleted) {
+            throw new NotFoundError('Debt plan');
+        }
+    }
+
+    /**
+     * Month-by-month payment checklist, after matching unmarked payments that are due to transactions
+     * @param {number} userId - User ID
+     * @param {Object} plan - From get()
+     * @param {Object} options - { from, to } YYYY-MM, both optional; match: false reads the stored marks
+     *   without matching transactions or writing anything
+     * @returns {Promise<Object>} { months: [{ month, due_date, total, items }], summary }
+     */
+    async getChecklist(userId, plan, { from = null, to = null, match = true } = {}) {
+        const schedule = this.buildPayments(plan);
+        if (match) {
+            await this._matchPayments(userId, plan, schedule);
+        }
+
+        const marks = new Map((await db.getDebtPlanPayments(plan.id)).map(m => [`${m.month}|${m.debt_id}`, m]));
+        const today = this._today();
+        const items = schedule.map(item => this._applyMark(item, marks.get(`${item.month}|${item.debt_id}`), today));
+
+        const months = [];
+        for (const item of items) {
+            let month = months[months.length - 1];
+            if (!month || month.month !== item.month) {
+                month = { month: item.month, due_date: item.due_date, total: 0, done_count: 0, items: [] };
+                months.push(month);
+            }
+            month.items.push(item);
+            month.total = this._round(month.total + item.amount);
+            if (item.status === 'done') month.done_count++;
+        }
+
+        const nextDue = months.find(m => m.due_date >= today && m.done_count < m.items.length);
+
+        return {
+            months: months.filter(m => (!from || m.month >= from) && (!to || m.month <= to)),
+            summary: {
+                payments: items.length,
+                done: items.filter(i => i.status === 'done').length,
+                missed: items.filter(i => i.status === 'missed').length,
+                paid_total: this._round(items.reduce((sum, i) => sum + (i.status === 'done' ? i.paid_amount ?? i.amount : 0), 0)),
+                next_due: nextDue ? { month: nextDue.month, due_date: nextDue.due_date, total: nextDue.total } : null
+            }
+        };
+    }
+
+    /**
+     * Mark a planned payment done (optionally with what was actually paid) or not done
+     * A payment marked not done is never auto-matched.
+     */
+    async markPayment(plan, { month, debtId, done, paidAmount, paidOn }) {
+        const item = this.buildPayments(plan).find(i => i.month === month && i.debt_id === debtId);
+        if (!item) {
+            throw new NotFoundError('Planned payment');
+        }
+
+        const mark = await db.upsertDebtPlanPayment(plan.id, {
+            month,
+            debtId,
+            status: done ? 'done' : 'not_done',
+            source: 'user',
+            paidAmount: done ? paidAmount ?? item.amount : null,
+            paidOn: done ? paidOn ?? this._today() : null
+        });
+        return this._applyMark(item, mark, this._today());
+    }
+
+    /**
+     * Every planned payment, in month order: minimum plus extra per debt per month
+     * Month 1 of the schedule is the plan's start month, whenever this runs, so months
+     * already marked keep their amounts.
+     */
+    buildPayments(plan) {
+        const result = debtCalculator.calculateSchedule(
+            null,
+            plan.extra_payment,
+            plan.debts,
+            [plan.strategy],
+            { ...this.strategyOptions(plan), startMonth: plan.start_month }
+        ).strategies[plan.strategy];
+
+        const debtsById = new Map(plan.debts.map(d => [d.id, d]));
+        const payments = [];
+        for (const debt of result.schedule.debts) {
+            for (const row of debt.rows) {
+                const amount = this._round(row.minimum_payment + row.extra_payment);
+                if (amount <= 0) continue;
+
+                const month = this._addMonths(plan.start_month, row.month - 1);
+                payments.push({
+                    month,
+                    due_date: `${month}-${String(plan.payment_day).padStart(2, '0')}`,
+                    debt_id: debt.id,
+                    debt_name: debt.name,
+                    debt_type: debtsById.get(debt.id)?.debt_type || 'other',
+                    amount,
+                    minimum_payment: row.minimum_payment,
+                    extra_payment: row.extra_payment,
+                    closing_balance: row.closing_balance
+                });
+            }
+        }
+
+        return payments.sort((a, b) => a.month.localeCompare(b.month) || b.amount - a.amount);
+    }
+
+    // Stored plan options → calculator options
+    strategyOptions(plan) {
+        return {
+            strategies: [plan.strategy],
+            payoffOrder: plan.options.payoff_order,
+            hybridThreshold: plan.options.hybrid_threshold,
+            snowflakes: plan.options.snowflakes,
+            snowflakeBase: plan.options.snowflake_base
+        };
+    }
+
+    /**
+     * The plan's payments as an iCalendar feed, one all-day event per payment
+     * with a reminder the day before for those not yet done
+     * @param {Object} options - { match } passed to getChecklist(); the public feed builds it read-only
+     */
+    async buildCalendar(userId, plan, { match = true } = {}) {
+        const { months } = await this.getChecklist(userId, plan, { match });
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//IndusWealth//Debt Plan//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this._icsText(plan.name)}`
+        ];
+
+        for (const month of months) {
+            for (const item of month.items) {
+                const day = item.due_date.replace(/-/g, '');
+                const next = new Date(`${item.due_date}T00:00:00Z`);
+                next.setUTCDate(next.getUTCDate() + 1);
+
+                const description = [
+                    `Minimum: $${item.minimum_payment.toFixed(2)}`,
+                    `Extra: $${item.extra_payment.toFixed(2)}`,
+                    `Balance after payment: $${item.closing_balance.toFixed(2)}`
+                ];
+                if (item.status === 'done') {
+                    description.push(`Paid${item.paid_on ? ` on ${item.paid_on}` : ''}`);
+                }
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:debt-plan-${plan.id}-${item.month}-${item.debt_id}@induswealth`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${day}`,
+                    `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`,
+                    `SUMMARY:${this._icsText(`${item.status === 'done' ? '✓ ' : ''}Pay $${item.amount.toFixed(2)} to ${item.debt_name}`)}`,
+                    `DESCRIPTION:${this._icsText(description.join('\n'))}`,
+                    'TRANSP:TRANSPARENT'
+                );
+                if (item.status !== 'done') {
+                    lines.push(
+                        'BEGIN:VALARM',
+                        'ACTION:DISPLAY',
+                        'TRIGGER:-P1D',
+                        `DESCRIPTION:${this._icsText(`Pay $${item.amount.toFixed(2)} to ${item.debt_name}`)}`,
+                        'END:VALARM'
+                    );
+                }
+                lines.push('END:VEVENT');
+            }
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this._icsFold(line)).join('\r\n') + '\r\n';
+    }
+
+    async getByCalendarToken(token) {
+        const plan = await db.getDebtPlanByCalendarToken(token);
+        return plan ? { userId: plan.user_id, plan: this._formatPlan(plan) } : null;
+    }
+
+    /**
+     * Match unmarked payments whose month has started to a settled transaction:
+     * a payment received on the debt's own account, or a payment-like outflow naming the debt
+     */
+    async _matchPayments(userId, plan, payments) {
+        const today = this._today();
+        const due = payments.filter(p => this._matchWindow(p.month).start <= today);
+        if (due.length === 0) return;
+
+        const existing = await db.getDebtPlanPayments(plan.id);
+        const marked = new Set(existing.map(m => `${m.month}|${m.debt_id}`));
+        const used = new Set(existing.map(m => m.transaction_id).filter(Boolean));
+
+        const pending = due.filter(p => !marked.has(`${p.month}|${p.debt_id}`));
+        if (pending.length === 0) return;
+
+        const transactions = await db.getPaymentCandidates(
+            userId,
+            this._matchWindow(pending[0].month).start,
+            today
+        );
+
+        for (const payment of pending) {
+            const window = this._matchWindow(payment.month);
+            const nameWords = this._nameWords(payment.debt_name);
+
+            const candidates = transactions
+                .filter(tx => !used.has(tx.id) && tx.date >= window.start && tx.date <= window.end)
+                .filter(tx => Math.abs(parseFloat(tx.amount)) >= payment.amount - MATCH_TOLERANCE)
+                .map(tx => ({ tx, ownAccount: this._isOwnAccountPayment(tx, payment) }))
+                .filter(({ tx, ownAccount }) => ownAccount || this._isNamedPayment(tx, nameWords))
+                .sort((a, b) => (b.ownAccount - a.ownAccount) ||
+                    Math.abs(this._daysBetween(a.tx.date, payment.due_date)) - Math.abs(this._daysBetween(b.tx.date, payment.due_date)));
+
+            if (candidates.length === 0) continue;
+
+            const { tx } = candidates[0];
+            const stored = await db.upsertDebtPlanPayment(plan.id, {
+                month: payment.month,
+                debtId: payment.debt_id,
+                status: 'done',
+                source: 'auto',
+                transactionId: tx.id,
+                paidAmount: Math.abs(parseFloat(tx.amount)),
+                paidOn: tx.date
+            }, false);
+            if (stored) used.add(tx.id);
+        }
+    }
+
+    // Plaid amounts are positive for money out, so a payment shows up negative on the debt's own account
+    _isOwnAccountPayment(tx, payment) {
+        return tx.account_id === payment.debt_id && parseFloat(tx.amount) < 0;
+    }
+
+    _isNamedPayment(tx, nameWords) {
+        if (parseFloat(tx.amount) <= 0 || tx.account_type === 'credit' || nameWords.length === 0) return false;
+
+        const text = `${tx.name} ${tx.merchant_name || ''}`.toLowerCase();
+        const looksLikePayment = PAYMENT_PATTERN.test(text) ||
+            (tx.category || []).some(c => PAYMENT_CATEGORIES.includes(c));
+        return looksLikePayment && nameWords.some(word => text.includes(word));
+    }
+
+    _nameWords(name) {
+        return String(name || '').toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 3 && !GENERIC_NAME_WORDS.includes(word));
+    }
+
+    _matchWindow(month) {
+        const start = new Date(`${month}-01T00:00:00Z`);
+        start.setUTCDate(start.getUTCDate() - MATCH_GRACE_DAYS);
+        const end = new Date(`${this._addMonths(month, 1)}-01T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() - 1);
+        return { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+    }
+
+    // done, or by due date: missed (past), due (this month) or upcoming
+    _applyMark(item, mark, today) {
+        const done = mark?.status === 'done';
+        let status = 'upcoming';
+        if (done) status = 'done';
+        else if (item.due_date < today) status = 'missed';
+        else if (item.month === today.slice(0, 7)) status = 'due';
+
+        return {
+            ...item,
+            status,
+            marked_by: mark?.source || null,
+            paid_amount: done && mark.paid_amount !== null ? parseFloat(mark.paid_amount) : null,
+            paid_on: done ? mark.paid_on : null,
+            transaction_id: done ? mark.transaction_id : null
+        };
+    }
+
+    _withPromoMonths(debt, startMonth) {
+        if (!debt.promo_end_date || debt.promo_months !== undefined) return debt;
+        return { ...debt, promo_months: debtCalculator.promoMonths(debt.promo_end_date, startMonth) };
+    }
+
+    _withSummary(plan) {
+        const payments = this.buildPayments(plan);
+        const last = payments[payments.length - 1];
+        return {
+            ...plan,
+            total_debt: this._round(plan.debts.reduce((sum, d) => sum + d.balance, 0)),
+            monthly_payment: this._round(payments.filter(p => p.month === plan.start_month).reduce((sum, p) => sum + p.amount, 0)),
+            payoff_month: last ? last.month : null
+        };
+    }
+
+    _formatPlan(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            strategy: row.strategy,
+            extra_payment: parseFloat(row.extra_payment),
+            start_month: row.start_month,
+            payment_day: row.payment_day,
+            options: row.options || {},
+            debts: row.debts,
+            is_active: row.is_active,
+            calendar_path: `/debt/plans/calendar/${row.calendar_token}.ics`,
+            created_at: row.created_at,
+            updated_at: row.updated_at
+        };
+    }
+
+    // highest_interest → Highest interest
+    _strategyName(strategy) {
+        const words = strategy.replace(/_/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    // Escape text for an iCalendar property value
+    _icsText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold lines longer than 75 octets (RFC 5545 §3.1), without splitting a character
+    _icsFold(line) {
+        if (Buffer.byteLength(line) <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (Buffer.byteLength(current + char) > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // YYYY-MM plus a number of months
+    _addMonths(month, count) {
+        const [year, mon] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, mon - 1 + count, 1)).toISOString().slice(0, 7);
+    }
+
+    _daysBetween(from, to) {
+        return (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000;
+    }
+
+    _today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = new DebtPlanService();
@@ -0,0 +1,274 @@
+/**
+ * Debt Progress Service
+ * Records a daily snapshot of every debt (balance, APR, minimum and mortgage terms) when the debt overview is computed,
+ * detects payoff milestones, and compares the actual balance trajectory with the one a payoff
+ * strategy planned from the first snapshot.
+ */
+
+const db = require('./db');
+const debtCalculator = require('./debt_calculator');
+
+// Share of the first recorded balance paid down → milestone
+const PAID_DOWN_MILESTONES = [
+    { percent: 25, milestone: 'paid_25' },
+    { percent: 50, milestone: 'paid_50' },
+    { percent: 75, milestone: 'paid_75' }
+];
+
+// Actual balance within this much of the plan counts as on track
+const ON_TRACK_TOLERANCE = 50;
+
+// Mortgage fields of debtCalculator.listDebts() kept with a snapshot, so the plan uses the same rate and payment
+const MORTGAGE_TERM_FIELDS = ['monthly_payment', 'compounding', 'payment_frequency', 'renewal_date', 'rate_type', 'currency'];
+
+class DebtProgressService {
+    /**
+     * Store today's snapshot and any milestones it reaches
+     * @param {number} userId - User ID
+     * @param {Array} debts - From debtCalculator.listDebts()
+     * @returns {Promise<Array>} Milestones reached for the first time
+     */
+    async recordSnapshot(userId, debts) {
+        if (debts.length === 0) return [];
+
+        const today = this._today();
+        await db.upsertDebtSnapshots(userId, today, debts.map(d => ({ ...d, mortgage_terms: this._mortgageTerms(d) })));
+
+        const startBalances = await db.getFirstDebtBalances(userId);
+        const milestones = [];
+
+        for (const debt of debts) {
+            const start = startBalances[debt.id];
+            if (!start || start <= 0) continue;
+
+            const reached = PAID_DOWN_MILESTONES
+                .filter(m => (start - debt.balance) / start * 100 >= m.percent)
+                .map(m => m.milestone);
+            if (debt.balance <= 0) {
+                reached.push('paid_off');
+            }
+
+            for (const milestone of reached) {
+                milestones.push({
+                    debt_id: debt.id,
+                    name: debt.name,
+                    milestone,
+                    reached_on: today,
+                    start_balance: start,
+                    balance: debt.balance
+                });
+            }
+        }
+
+        if (milestones.length === 0) return [];
+        return (await db.insertDebtMilestones(userId, milestones)).map(m => this._formatMilestone(m));
+    }
+
+    /**
+     * Progress since the first snapshot in the window, against a strategy planned from that snapshot
+     * @param {number} userId - User ID
+     * @param {Object} options - { days (null for all history), strategy, extraPayment, strategyOptions }
+     * @returns {Promise<Object>} { start_date, summary, timeline, debts, plan, milestones }
+     */
+    async getProgress(userId, { days = null, strategy = 'avalanche', extraPayment = 0, strategyOptions = {} } = {}) {
+        const sinceDate = days ? this._isoDate(-days) : null;
+        const [snapshots, milestones] = await Promise.all([
+            db.getDebtSnapshots(userId, sinceDate),
+            db.getDebtMilestones(userId)
+        ]);
+
+        const rows = snapshots.map(s => ({
+            ...s,
+            balance: parseFloat(s.balance),
+            apr: s.apr === null ? null : parseFloat(s.apr),
+            min_payment: s.min_payment === null ? null : parseFloat(s.min_payment)
+        }));
+
+        const result = {
+            start_date: null,
+            summary: null,
+            timeline: [],
+            debts: [],
+            plan: null,
+            milestones: milestones.map(m => this._formatMilestone(m))
+        };
+        if (rows.length === 0) return result;
+
+        // Total balance per snapshot day
+        const byDate = new Map();
+        for (const row of rows) {
+            if (!byDate.has(row.date)) byDate.set(row.date, []);
+            byDate.get(row.date).push(row);
+        }
+        result.timeline = [...byDate.entries()].map(([date, dayRows]) => ({
+            date,
+            total_balance: this._round(dayRows.reduce((sum, r) => sum + r.balance, 0)),
+            debt_count: dayRows.filter(r => r.balance > 0).length
+        }));
+
+        // Each debt's history, from the first day it was seen
+        const byDebt = new Map();
+        for (const row of rows) {
+            if (!byDebt.has(row.debt_id)) byDebt.set(row.debt_id, []);
+            byDebt.get(row.debt_id).push(row);
+        }
+        result.debts = [...byDebt.entries()].map(([id, history]) => {
+            const first = history[0];
+            const last = history[history.length - 1];
+            const paidDown = first.balance - last.balance;
+            return {
+                id,
+                name: last.name,
+                debt_type: last.debt_type,
+                apr: last.apr,
+                min_payment: last.min_payment,
+                start_balance: first.balance,
+                current_balance: last.balance,
+                paid_down: this._round(paidDown),
+                percent_paid: first.balance > 0 ? this._round(paidDown / first.balance * 100) : null,
+                paid_off: first.balance > 0 && last.balance <= 0,
+                history: history.map(r => ({ date: r.date, balance: r.balance, apr: r.apr, min_payment: r.min_payment }))
+            };
+        });
+
+        const start = result.timeline[0];
+        const latest = result.timeline[result.timeline.length - 1];
+        result.start_date = start.date;
+
+        result.plan = this._planTrajectory(
+            byDate.get(start.date),
+            result.timeline,
+            { strategy, extraPayment, strategyOptions }
+        );
+
+        const currentPlanned = result.plan.comparison.length > 0
+            ? result.plan.comparison[result.plan.comparison.length - 1].planned_balance
+            : start.total_balance;
+
+        result.summary = {
+            start_balance: start.total_balance,
+            current_balance: latest.total_balance,
+            paid_down: this._round(start.total_balance - latest.total_balance),
+            percent_paid: start.total_balance > 0
+                ? this._round((start.total_balance - latest.total_balance) / start.total_balance * 100)
+                : null,
+            planned_balance: currentPlanned,
+            ...this._variance(latest.total_balance, currentPlanned),
+            debts_paid_off: result.debts.filter(d => d.paid_off).length
+        };
+
+        return result;
+    }
+
+    /**
+     * Planned month-end balances for the debts in the first snapshot, and how each month
+     * actually ended (the last snapshot of the month) compared with them
+     */
+    _planTrajectory(startRows, timeline, { strategy, extraPayment, strategyOptions }) {
+        const startDebts = startRows
+            .filter(r => r.balance > 0)
+            .map(r => ({
+                id: r.debt_id,
+                name: r.name,
+                debt_type: r.debt_type,
+                balance: r.balance,
+                apr: r.apr ?? 0,
+                min_payment: r.min_payment,
+                ...r.mortgage_terms
+            }));
+
+        // Month 0 is the first snapshot's month, so the schedule (and its snowflakes) starts the month after
+        const startMonth = timeline[0].date.slice(0, 7);
+        const schedule = debtCalculator.calculateSchedule(
+            null,
+            extraPayment,
+            startDebts,
+            [strategy],
+            { ...strategyOptions, strategies: [strategy], startMonth: this._addMonths(startMonth, 1) }
+        ).strategies[strategy];
+
+        const trajectory = [{ month: 0, date: startMonth, balance: timeline[0].total_balance }]
+            .concat(schedule.schedule.totals.map(t => ({
+                month: t.month,
+                date: this._addMonths(startMonth, t.month),
+                balance: t.balance
+            })));
+
+        const actualByMonth = new Map();
+        for (const point of timeline) {
+            actualByMonth.set(point.date.slice(0, 7), point.total_balance);
+        }
+
+        // Past the planned payoff the plan stays at zero
+        const comparison = [...actualByMonth.entries()].map(([month, actual]) => {
+            const index = this._monthsBetween(startMonth, month);
+            const planned = index < trajectory.length ? trajectory[index].balance : 0;
+            return { date: month, actual_balance: actual, planned_balance: planned, ...this._variance(actual, planned) };
+        });
+
+        return {
+            strategy,
+            extra_payment: extraPayment,
+            total_interest: schedule.total_interest,
+            months_to_payoff: schedule.months_to_payoff,
+            payoff_date: schedule.months_to_payoff > 0 ? this._addMonths(startMonth, schedule.months_to_payoff) : null,
+            trajectory,
+            comparison
+        };
+    }
+
+    // Snapshot column for a mortgage's terms; null for other debts
+    _mortgageTerms(debt) {
+        if (debt.debt_type !== 'mortgage') return null;
+        return Object.fromEntries(MORTGAGE_TERM_FIELDS.filter(f => debt[f] !== undefined).map(f => [f, debt[f]]));
+    }
+
+    // Positive difference: more debt left than planned
+    _variance(actual, planned) {
+        const difference = this._round(actual - planned);
+        let status = 'on_track';
+        if (difference > ON_TRACK_TOLERANCE) status = 'behind';
+        else if (difference < -ON_TRACK_TOLERANCE) status = 'ahead';
+        return { difference, status };
+    }
+
+    _formatMilestone(m) {
+        return {
+            debt_id: m.debt_id,
+            name: m.name,
+            milestone: m.milestone,
+            reached_on: m.reached_on,
+            start_balance: m.start_balance === null ? null : parseFloat(m.start_balance),
+            balance: m.balance === null ? null : parseFloat(m.balance)
+        };
+    }
+
+    // YYYY-MM plus a number of months
+    _addMonths(month, count) {
+        const [year, mon] = month.split('-').map(Number);
+        const date = new Date(Date.UTC(year, mon - 1 + count, 1));
+        return date.toISOString().slice(0, 7);
+    }
+
+    _monthsBetween(from, to) {
+        const [fromYear, fromMonth] = from.split('-').map(Number);
+        const [toYear, toMonth] = to.split('-').map(Number);
+        return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+    }
+
+    _today() {
+        return this._isoDate(0);
+    }
+
+    _isoDate(offsetDays, from = new Date()) {
+        const date = new Date(from);
+        date.setDate(date.getDate() + offsetDays);
+        return date.toISOString().split('T')[0];
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = new DebtProgressService();
@@ -0,0 +1,273 @@
+/**
+ * Fake Plaid Client
+ * In-process stand-in for the Plaid SDK client, serving data from fixtures/plaid/*.json,
+ * so the backend runs and can be exercised fully offline.
+ *
+ * Enable with PLAID_ENV=fake. Pick the fixture linked items use with PLAID_FAKE_FIXTURE
+ * (default: "default"), or per item by exchanging the public token `public-fake-<fixture>`.
+ * PLAID_ACCESS_TOKEN_OVERRIDE=access-fake-default works too.
+ *
+ * Fixtures:
+ *   institution, accounts, liabilities   Returned as-is
+ *   investments                          { holdings, securities, transactions } for investment accounts
+ *   transactions                         Initial history, paged through /transactions/sync
+ *   updates                              Batches of { added, modified, removed (ids) }, one per later sync
+ *   errors                               { "<method>" | "*": "<Plaid error code>" }
+ *   extends                              Name of a fixture to inherit from
+ * Dates can be relative: `days_ago` becomes `date`, and `<field>_days_ahead` becomes `<field>`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '../../fixtures/plaid');
+const DEFAULT_FIXTURE = process.env.PLAID_FAKE_FIXTURE || 'default';
+const DEFAULT_PAGE_SIZE = 100;
+
+// Plaid error types by code (subset the app handles)
+const ERROR_TYPES = {
+    ITEM_LOGIN_REQUIRED: 'ITEM_ERROR',
+    PRODUCTS_NOT_SUPPORTED: 'ITEM_ERROR',
+    NO_INVESTMENT_ACCOUNTS: 'ITEM_ERROR',
+    INVALID_ACCESS_TOKEN: 'INVALID_INPUT',
+    INVALID_PUBLIC_TOKEN: 'INVALID_INPUT',
+    INSTITUTION_DOWN: 'INSTITUTION_ERROR',
+    INSTITUTION_NOT_RESPONDING: 'INSTITUTION_ERROR',
+    RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+    TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION: 'TRANSACTIONS_ERROR',
+    INTERNAL_SERVER_ERROR: 'API_ERROR'
+};
+
+class FakePlaidClient {
+    constructor() {
+        this._fixtures = new Map();
+    }
+
+    async linkTokenCreate() {
+        return this._respond({
+            link_token: `link-fake-${this._randomId()}`,
+            expiration: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString()
+        });
+    }
+
+    async itemPublicTokenExchange({ public_token }) {
+        if (!public_token || !public_token.startsWith('public-fake')) {
+            throw this._error('INVALID_PUBLIC_TOKEN', 'Fake Plaid only accepts public-fake-<fixture> tokens');
+        }
+
+        const fixtureName = public_token.slice('public-fake-'.length) || DEFAULT_FIXTURE;
+        this._loadFixture(fixtureName);
+
+        const suffix = this._randomId();
+        return this._respond({
+            access_token: `access-fake-${fixtureName}-${suffix}`,
+            item_id: `item-fake-${fixtureName}-${suffix}`
+        });
+    }
+
+    async itemGet({ access_token }) {
+        const { fixture, itemId } = this._resolve(access_token, 'itemGet');
+        return this._respond({
+            item: {
+                item_id: itemId,
+                institution_id: fixture.institution?.institution_id || null,
+                available_products: [],
+                billed_products: ['transactions'],
+                consent_expiration_time: fixture.consent_expiration_time || null,
+                error: null
+            }
+        });
+    }
+
+    async institutionsGetById({ institution_id }) {
+        const fixture = [...this._fixtures.values()].find(f => f.institution?.institution_id === institution_id)
+            || this._loadFixture(DEFAULT_FIXTURE);
+        return this._respond({ institution: fixture.institution });
+    }
+
+    async itemRemove({ access_token }) {
+        this._resolve(access_token, 'itemRemove');
+        return this._respond({});
+    }
+
+    async accountsGet({ access_token }) {
+        const { fixture } = this._resolve(access_token, 'accountsGet');
+        return this._respond({ accounts: fixture.accounts || [] });
+    }
+
+    async transactionsRefresh({ access_token }) {
+        this._resolve(access_token, 'transactionsRefresh');
+        return this._respond({});
+    }
+
+    /**
+     * Cursor is `<history offset>.<updates applied>`: the initial history is paged out first,
+     * then each later call returns the next batch from `updates` (or nothing once they run out).
+     */
+    async transactionsSync({ access_token, cursor, count }) {
+        const { fixture } = this._resolve(access_token, 'transactionsSync');
+        const history = fixture.transactions || [];
+        const updates = fixture.updates || [];
+        const pageSize = count || DEFAULT_PAGE_SIZE;
+        const [offset, applied] = (cursor || '0.0').split('.').map(n => parseInt(n, 10) || 0);
+
+        if (offset < history.length) {
+            const page = history.slice(offset, offset + pageSize);
+            const nextOffset = offset + page.length;
+            return this._respond({
+                added: page,
+                modified: [],
+                removed: [],
+                next_cursor: `${nextOffset}.${applied}`,
+                has_more: nextOffset < history.length,
+                transactions_update_status: 'HISTORICAL_UPDATE_COMPLETE'
+            });
+        }
+
+        const batch = updates[applied];
+        return this._respond({
+            added: batch?.added || [],
+            modified: batch?.modified || [],
+            removed: (batch?.removed || []).map(id => ({ transaction_id: id })),
+            next_cursor: `${offset}.${batch ? applied + 1 : applied}`,
+            has_more: false,
+            transactions_update_status: 'HISTORICAL_UPDATE_COMPLETE'
+        });
+    }
+
+    async liabilitiesGet({ access_token }) {
+        const { fixture } = this._resolve(access_token, 'liabilitiesGet');
+        return this._respond({
+            accounts: fixture.accounts || [],
+            liabilities: fixture.liabilities || { credit: [], student: [], mortgage: [] }
+        });
+    }
+
+    async investmentsHoldingsGet({ access_token }) {
+        const { fixture } = this._resolve(access_token, 'investmentsHoldingsGet');
+        const investments = this._investments(fixture);
+        return this._respond({
+            accounts: (fixture.accounts || []).filter(a => a.type === 'investment'),
+            holdings: investments.holdings || [],
+            securities: investments.securities || []
+        });
+    }
+
+    async investmentsTransactionsGet({ access_token, start_date, end_date, options = {} }) {
+        const { fixture } = this._resolve(access_token, 'investmentsTransactionsGet');
+        const investments = this._investments(fixture);
+        const matching = (investments.transactions || []).filter(t => t.date >= start_date && t.date <= end_date);
+        const offset = options.offset || 0;
+
+        return this._respond({
+            accounts: (fixture.accounts || []).filter(a => a.type === 'investment'),
+            investment_transactions: matching.slice(offset, offset + (options.count || DEFAULT_PAGE_SIZE)),
+            securities: investments.securities || [],
+            total_investment_transactions: matching.length
+        });
+    }
+
+    async webhookVerificationKeyGet() {
+        // Nothing offline sends signed webhooks
+        throw this._error('INVALID_WEBHOOK_VERIFICATION_KEY_ID', 'Fake Plaid does not sign webhooks');
+    }
+
+    // Find the fixture behind an access token and apply any configured error for this method
+    _resolve(accessToken, method) {
+        const match = /^access-fake-(.+?)(?:-([a-f0-9]{16}))?$/.exec(accessToken || '');
+        if (!match) {
+            throw this._error('INVALID_ACCESS_TOKEN', 'Fake Plaid only accepts access-fake-<fixture> tokens');
+        }
+
+        const fixture = this._loadFixture(match[1]);
+        const errorCode = fixture.errors?.[method] || fixture.errors?.['*'];
+        if (errorCode) {
+            throw this._error(errorCode, `Fake Plaid fixture "${match[1]}" returns ${errorCode} for ${method}`);
+        }
+
+        return { fixture, itemId: `item-fake-${match[1]}-${match[2] || 'override'}` };
+    }
+
+    // Like Plaid, an item without investment accounts can't use the investments product
+    _investments(fixture) {
+        if (!fixture.investments) {
+            throw this._error('NO_INVESTMENT_ACCOUNTS', 'Fake Plaid fixture has no investment accounts');
+        }
+        return fixture.investments;
+    }
+
+    _loadFixture(name) {
+        if (this._fixtures.has(name)) return this._fixtures.get(name);
+
+        const file = path.join(FIXTURE_DIR, `${path.basename(name)}.json`);
+        if (!fs.existsSync(file)) {
+            throw this._error('INVALID_ACCESS_TOKEN', `Unknown fake Plaid fixture "${name}"`);
+        }
+
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const fixture = raw.extends
+            ? { ...this._loadFixture(raw.extends), ...raw }
+            : raw;
+        const resolved = this._resolveDates(fixture);
+
+        this._fixtures.set(name, resolved);
+        return resolved;
+    }
+
+    // days_ago → date, <field>_days_ahead → <field>, relative to today
+    _resolveDates(value) {
+        if (Array.isArray(value)) return value.map(v => this._resolveDates(v));
+        if (!value || typeof value !== 'object') return value;
+
+        const result = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (key === 'days_ago') {
+                result.date = this._isoDate(-v);
+                result.authorized_date = result.date;
+            } else if (key.endsWith('_days_ahead')) {
+                result[key.slice(0, -'_days_ahead'.length)] = this._isoDate(v);
+            } else {
+                result[key] = this._resolveDates(v);
+            }
+        }
+        if ('transaction_id' in result) {
+            result.pending = result.pending || false;
+            result.iso_currency_code = result.iso_currency_code || 'CAD';
+        }
+        return result;
+    }
+
+    _isoDate(offsetDays) {
+        const date = new Date();
+        date.setDate(date.getDate() + offsetDays);
+        return date.toISOString().split('T')[0];
+    }
+
+    _randomId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    // Same shape as an axios response from the SDK
+    _respond(data) {
+        return { data: { ...data, request_id: `fake-${this._randomId()}` } };
+    }
+
+    // Same shape as an axios error from the SDK
+    _error(errorCode, message) {
+        const error = new Error(message);
+        error.response = {
+            status: 400,
+            data: {
+                error_type: ERROR_TYPES[errorCode] || 'API_ERROR',
+                error_code: errorCode,
+                error_message: message,
+                display_message: null,
+                request_id: `fake-${this._randomId()}`
+            }
+        };
+        return error;
+    }
+}
+
+module.exports = new FakePlaidClient();
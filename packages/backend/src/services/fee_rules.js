@@ -0,0 +1,105 @@
+/**
+ * Bank Fee Rules Service
+ * Loads the bank fee catalogue from the database and matches transactions against it.
+ * Rules are cached in memory and reloaded periodically, so edits to bank_fee_rules
+ * take effect without a deploy.
+ */
+
+const db = require('./db');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('FEE_RULES');
+
+const CACHE_MINUTES = parseInt(process.env.FEE_RULES_CACHE_MINUTES || '10');
+
+// Human-readable labels for fee types
+const FEE_TYPE_LABELS = {
+    nsf: 'NSF / Returned Item',
+    overdraft: 'Overdraft',
+    monthly_plan: 'Monthly Plan',
+    fx: 'Foreign Exchange',
+    atm: 'ATM',
+    etransfer: 'e-Transfer',
+    account_maintenance: 'Account Maintenance'
+};
+
+class FeeRuleService {
+    constructor() {
+        this._rules = null;
+        this._loadedAt = 0;
+    }
+
+    /**
+     * Get compiled fee rules (cached)
+     * @param {boolean} forceReload - Bypass the in-memory cache
+     * @returns {Promise<Array>} Rules with a compiled `regex`, in match order
+     */
+    async getRules(forceReload = false) {
+        const isFresh = this._rules && (Date.now() - this._loadedAt) < CACHE_MINUTES * 60 * 1000;
+        if (isFresh && !forceReload) {
+            return this._rules;
+        }
+
+        try {
+            const rows = await db.getBankFeeRules();
+            this._rules = this.compile(rows);
+            this._loadedAt = Date.now();
+            logger.debug('Loaded bank fee rules', { count: this._rules.length });
+        } catch (error) {
+            // Keep serving the last good catalogue if the reload fails
+            logger.warn('Could not load bank fee rules', { error });
+            this._rules = this._rules || [];
+        }
+
+        return this._rules;
+    }
+
+    /**
+     * Compile rule rows into regexes, skipping (and logging) invalid patterns
+     * An institution-specific rule applies to items whose institution name contains its
+     * institution as a whole word ("TD" → "TD Canada Trust").
+     * @param {Array} rows - Rows from bank_fee_rules
+     * @returns {Array} Compiled rules
+     */
+    compile(rows) {
+        return rows.reduce((compiled, row) => {
+            try {
+                compiled.push({
+                    ...row,
+                    regex: new RegExp(row.pattern, 'i'),
+                    institutionRegex: row.institution === 'ANY'
+                        ? null
+                        : new RegExp(`\\b${row.institution.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i')
+                });
+            } catch (error) {
+                logger.warn('Skipping invalid bank fee pattern', { ruleId: row.id, pattern: row.pattern });
+            }
+            return compiled;
+        }, []);
+    }
+
+    /**
+     * Find the first rule matching a transaction
+     * Only generic rules and those for the institution the transaction's account is linked
+     * through are tried; transactions without an institution get the generic rules.
+     * @param {Object} tx - Transaction with name / merchant_name / institution_name
+     * @param {Array} rules - Compiled rules from getRules()
+     * @returns {Object|null} Matching rule
+     */
+    match(tx, rules) {
+        const text = `${tx.name || ''} ${tx.merchant_name || ''}`.trim();
+        if (!text) return null;
+
+        return rules.find(rule => this._appliesTo(rule, tx.institution_name) && rule.regex.test(text)) || null;
+    }
+
+    getFeeTypeLabel(feeType) {
+        return FEE_TYPE_LABELS[feeType] || feeType;
+    }
+
+    _appliesTo(rule, institutionName) {
+        return !rule.institutionRegex || Boolean(institutionName && rule.institutionRegex.test(institutionName));
+    }
+}
+
+module.exports = new FeeRuleService();
@@ -1,59 +1,315 @@
-// Mock Flinks Service
-// In a real scenario, this would connect to the Flinks API
-
-const MOCK_ACCOUNTS = [
-    {
-        id: 'acc_01',
-        institution: 'Royal Bank Test',
-        type: 'Chequing',
-        balance: 5432.10,
-        currency: 'CAD'
-    },
-    {
-        id: 'acc_02',
-        institution: 'TD Test',
-        type: 'Savings',
-        balance: 12500.00,
-        currency: 'CAD'
-    }
-];
-
-const MOCK_TRANSACTIONS = [
-    {
-        id: 'tx_01',
-        accountId: 'acc_01',
-        date: '2025-12-24', // Recent mock date
-        amount: -45.50,
-        description: 'WALMART STORE #1234',
-        category: 'Groceries'
-    },
-    {
-        id: 'tx_02',
-        accountId: 'acc_01',
-        date: '2025-12-23',
-        amount: -12.99,
-        description: 'NETFLIX.COM',
-        category: 'Subscription'
-    },
-    {
-        id: 'tx_03',
-        accountId: 'acc_02',
-        date: '2025-12-20',
-        amount: 3000.00,
-        description: 'Payroll Deposit',
-        category: 'Income'
-    }
-];
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Flinks bank data provider
+ * Covers Canadian institutions Plaid handles poorly. Flinks Connect (an embedded web flow)
+ * hands the app a LoginId, which is what we store as the item's access token.
+ *
+ * Flinks has no incremental sync, so syncTransactions re-reads recent history and relies on
+ * the transaction upsert to de-duplicate. Results are mapped onto Plaid's shapes so the rest
+ * of the backend doesn't care which provider an item came from.
+ */
+
+const FLINKS_INSTANCE = process.env.FLINKS_INSTANCE || 'toolbox';
+const FLINKS_CUSTOMER_ID = process.env.FLINKS_CUSTOMER_ID;
+const API_URL = process.env.FLINKS_API_URL || `https://${FLINKS_INSTANCE}-api.private.fin.ag/v3`;
+const CONNECT_URL = process.env.FLINKS_CONNECT_URL || `https://${FLINKS_INSTANCE}-iframe.private.fin.ag/v2/`;
+
+// Flinks answers 202 while it is still pulling from the bank
+const POLL_INTERVAL_MS = 5000;
+const MAX_POLLS = 24;
+
+// Account details are reused across the accounts/transactions calls of one sync
+const DETAIL_CACHE_MS = 60 * 1000;
+
+// Days of history read on the first sync vs. later ones
+const HISTORY_DAYS = 'Days365';
+const RECENT_DAYS = 'Days90';
+
+// Flinks codes that mean the user has to log in again
+const LOGIN_REQUIRED_CODES = new Set([
+    'INVALID_LOGIN',
+    'INVALID_USERNAME',
+    'INVALID_PASSWORD',
+    'INVALID_SECURITY_RESPONSE',
+    'QUESTION_NOT_FOUND',
+    'SESSION_NONEXISTENT',
+    'SESSION_EXPIRED',
+    'DISABLED_LOGIN',
+    'UNAUTHORIZED'
+]);
+
+// Flinks account type → Plaid subtype
+const SUBTYPES = {
+    chequing: 'checking',
+    savings: 'savings',
+    creditcard: 'credit card',
+    lineofcredit: 'line of credit',
+    mortgage: 'mortgage',
+    loan: 'loan',
+    tfsa: 'tfsa',
+    rrsp: 'rrsp'
+};
 
 class FlinksService {
-    async getAccounts() {
-        return Promise.resolve(MOCK_ACCOUNTS);
+    constructor() {
+        this._detailCache = new Map();
+    }
+
+    /**
+     * Flinks Connect URL for the app to open; it redirects back with ?loginId=
+     */
+    async createLinkToken(userId) {
+        if (!FLINKS_CUSTOMER_ID) throw new Error('Missing Flinks customer ID');
+
+        const params = new URLSearchParams({ tag: String(userId), consentEnable: 'true', daysOfTransactions: HISTORY_DAYS });
+        if (process.env.FLINKS_REDIRECT_URL) {
+            params.set('redirectUrl', process.env.FLINKS_REDIRECT_URL);
+            params.set('innerRedirect', 'true');
+        }
+
+        return { provider: 'flinks', link_url: `${CONNECT_URL}?${params}` };
+    }
+
+    /**
+     * Flinks reconnects a login by running Connect again
+     */
+    async createUpdateLinkToken(userId) {
+        return this.createLinkToken(userId);
+    }
+
+    /**
+     * Confirm the LoginId returned by Flinks Connect
+     * The item ID is derived from the LoginId so the LoginId itself is only stored encrypted.
+     * @returns {Promise<Object>} { accessToken, itemId }
+     */
+    async exchangePublicToken(loginId) {
+        await this._authorize(loginId, true);
+        return {
+            accessToken: loginId,
+            itemId: `flinks-${crypto.createHash('sha256').update(loginId).digest('hex').slice(0, 32)}`
+        };
+    }
+
+    async getItemDetails(loginId) {
+        const detail = await this._getAccountsDetail(loginId, RECENT_DAYS);
+        return {
+            institutionId: detail.Institution || null,
+            institutionName: detail.InstitutionName || detail.Institution || null,
+            consentExpirationTime: null
+        };
+    }
+
+    async getAccounts(loginId) {
+        const detail = await this._getAccountsDetail(loginId, RECENT_DAYS);
+        return (detail.Accounts || []).map(account => this._mapAccount(account));
+    }
+
+    /**
+     * Re-read recent transactions (full history when there's no cursor yet)
+     * The cursor is just the time of the last successful sync.
+     * @returns {Promise<Object>} { added, modified, removed, nextCursor }
+     */
+    async syncTransactions(loginId, cursor = null, forceRefresh = false) {
+        if (forceRefresh) {
+            await this.refresh(loginId);
+        }
+
+        const detail = await this._getAccountsDetail(loginId, cursor ? RECENT_DAYS : HISTORY_DAYS);
+        const added = (detail.Accounts || []).flatMap(account =>
+            (account.Transactions || []).map(tx => this._mapTransaction(account, tx))
+        );
+
+        console.log(`   📊 [Flinks] Read ${added.length} transactions from ${(detail.Accounts || []).length} account(s)`);
+
+        return { added, modified: [], removed: [], nextCursor: new Date().toISOString() };
     }
 
-    async getTransactions(days = 30) {
-        // Return mock transactions
-        // Real implementation would fetch based on date range
-        return Promise.resolve(MOCK_TRANSACTIONS);
+    /**
+     * Single "page" for the backfill job - Flinks returns all history in one response
+     */
+    async syncTransactionsPage(loginId, cursor = null) {
+        const { added, nextCursor } = await this.syncTransactions(loginId, cursor);
+        return {
+            added,
+            modified: [],
+            removed: [],
+            next_cursor: nextCursor,
+            has_more: false,
+            transactions_update_status: 'HISTORICAL_UPDATE_COMPLETE'
+        };
+    }
+
+    /**
+     * Credit cards, lines of credit and mortgages as Plaid-style liabilities
+     * Flinks doesn't report APRs, minimum payments or mortgage terms; the debt route fills in defaults.
+     */
+    async getLiabilities(loginId) {
+        const accounts = await this.getAccounts(loginId);
+        const credit = accounts
+            .filter(a => a.type === 'credit')
+            .map(a => ({
+                account_id: a.account_id,
+                last_statement_balance: Math.abs(a.balances.current || 0),
+                minimum_payment_amount: null,
+                aprs: []
+            }));
+        const mortgage = accounts
+            .filter(a => a.subtype === 'mortgage')
+            .map(a => ({
+                account_id: a.account_id,
+                name: a.name,
+                current_balance: Math.abs(a.balances.current || 0),
+                iso_currency_code: a.balances.iso_currency_code,
+                interest_rate: { percentage: null, type: null },
+                next_monthly_payment: null
+            }));
+
+        return { credit, student: [], mortgage };
+    }
+
+    /**
+     * Flinks reports investment account balances but not positions, so accounts come back
+     * without holdings and are valued from their balance
+     */
+    async getInvestmentHoldings(loginId) {
+        const accounts = await this.getAccounts(loginId);
+        return { accounts: accounts.filter(a => a.type === 'investment'), holdings: [], securities: [] };
+    }
+
+    async getInvestmentTransactions() {
+        return { investmentTransactions: [], securities: [] };
+    }
+
+    /**
+     * Ask Flinks to log in to the bank again instead of serving its cached copy
+     */
+    async refresh(loginId) {
+        try {
+            this._detailCache.delete(loginId);
+            await this._authorize(loginId, false);
+            console.log('✅ [Flinks] Live refresh authorized');
+        } catch (error) {
+            console.warn(`⚠️ [Flinks] Refresh failed: ${error.response?.data?.error_code || error.message}`);
+        }
+    }
+
+    async removeItem(loginId) {
+        this._detailCache.delete(loginId);
+        await this._request('DELETE', `/BankingServices/DeleteCard/${encodeURIComponent(loginId)}`);
+    }
+
+    async _authorize(loginId, mostRecentCached) {
+        const data = await this._request('POST', '/BankingServices/Authorize', {
+            LoginId: loginId,
+            MostRecentCached: mostRecentCached
+        });
+        return data.RequestId;
+    }
+
+    async _getAccountsDetail(loginId, daysOfTransactions) {
+        const cached = this._detailCache.get(loginId);
+        if (cached && cached.days === daysOfTransactions && Date.now() - cached.at < DETAIL_CACHE_MS) {
+            return cached.detail;
+        }
+
+        const requestId = await this._authorize(loginId, true);
+        let detail = await this._request('POST', '/BankingServices/GetAccountsDetail', {
+            RequestId: requestId,
+            WithTransactions: true,
+            WithBalance: true,
+            DaysOfTransactions: daysOfTransactions
+        });
+
+        for (let polls = 0; detail.HttpStatusCode === 202; polls++) {
+            if (polls >= MAX_POLLS) {
+                throw this._error('INSTITUTION_NOT_RESPONDING', 'Flinks did not finish reading the account');
+            }
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+            detail = await this._request('GET', `/BankingServices/GetAccountsDetailAsync/${requestId}`);
+        }
+
+        this._detailCache.set(loginId, { detail, days: daysOfTransactions, at: Date.now() });
+        return detail;
+    }
+
+    async _request(method, path, body) {
+        if (!FLINKS_CUSTOMER_ID) throw new Error('Missing Flinks customer ID');
+
+        const response = await fetch(`${API_URL}/${FLINKS_CUSTOMER_ID}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.FLINKS_AUTH_KEY && { 'flinks-auth-key': process.env.FLINKS_AUTH_KEY })
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 202) {
+            return { ...data, HttpStatusCode: 202 };
+        }
+        if (!response.ok) {
+            const flinksCode = data.FlinksCode || `HTTP_${response.status}`;
+            console.error('Error from Flinks:', flinksCode, data.Message || '');
+            throw this._error(
+                LOGIN_REQUIRED_CODES.has(flinksCode) ? 'ITEM_LOGIN_REQUIRED' : 'INTERNAL_SERVER_ERROR',
+                data.Message || `Flinks request failed (${flinksCode})`,
+                flinksCode
+            );
+        }
+
+        return data;
+    }
+
+    // Plaid-shaped error so callers can treat providers the same
+    _error(errorCode, message, flinksCode = null) {
+        const error = new Error(message);
+        error.response = { data: { error_code: errorCode, error_message: message, flinks_code: flinksCode } };
+        return error;
+    }
+
+    _mapAccount(account) {
+        const flinksType = (account.Type || '').toLowerCase().replace(/\s+/g, '');
+        let type = 'depository';
+        if (account.Category === 'Credits') {
+            type = ['mortgage', 'loan'].includes(flinksType) ? 'loan' : 'credit';
+        } else if (account.Category === 'Investments') {
+            type = 'investment';
+        }
+
+        return {
+            account_id: account.Id,
+            name: account.Title,
+            official_name: account.Title,
+            type,
+            subtype: SUBTYPES[flinksType] || flinksType || null,
+            mask: account.AccountNumber ? String(account.AccountNumber).slice(-4) : null,
+            balances: {
+                current: account.Balance?.Current ?? null,
+                available: account.Balance?.Available ?? null,
+                limit: account.Balance?.Limit ?? null,
+                iso_currency_code: account.Currency || 'CAD'
+            }
+        };
+    }
+
+    _mapTransaction(account, tx) {
+        // Flinks splits money out (Debit) and in (Credit); Plaid amounts are positive for money out
+        const amount = tx.Debit != null ? tx.Debit : -(tx.Credit || 0);
+
+        return {
+            transaction_id: tx.Id,
+            account_id: account.Id,
+            name: tx.Description,
+            merchant_name: null,
+            amount,
+            date: String(tx.Date).replace(/\//g, '-'),
+            category: [],
+            pending: false,
+            iso_currency_code: account.Currency || 'CAD'
+        };
     }
 }
 
@@ -3,7 +3,9 @@
  * Aggregates user financial data into a compact summary for AI analysis
  */
 
-const { pool } = require('./db');
+const { pool, getHoldings } = require('./db');
+const watchdogService = require('./watchdog');
+const investmentService = require('./investments');
 
 /**
  * Main entry point: Get complete financial summary for a user
@@ -94,16 +96,20 @@ async function _getUserProfile(userId) {
  * Get account balances organized by type
  */
 async function _getAccountsData(userId) {
-    const result = await pool.query(
-        `SELECT type, subtype, current_balance, available_balance
-         FROM accounts WHERE user_id = $1`,
-        [userId]
-    );
+    const [result, holdings] = await Promise.all([
+        pool.query(
+            `SELECT plaid_account_id, type, subtype, current_balance, available_balance
+             FROM accounts WHERE user_id = $1`,
+            [userId]
+        ),
+        getHoldings(userId)
+    ]);
 
     const accounts = {
         checking: { balance: 0, avg_balance_90d: 0, min_balance_90d: 0 },
         savings: { balance: 0, avg_balance_90d: 0 },
-        credit_cards: []
+        credit_cards: [],
+        investments: _summarizeInvestments(result.rows, holdings)
     };
 
     // Aggregate by account type
@@ -142,6 +148,52 @@ async function _getAccountsData(userId) {
     return accounts;
 }
 
+/**
+ * Summarize investment accounts by account type (TFSA, RRSP, non-registered) from actual holdings
+ * Accounts whose institution doesn't report positions fall back to the account balance.
+ */
+function _summarizeInvestments(accountRows, holdings) {
+    const portfolio = investmentService.buildPortfolio(holdings);
+    const byType = {};
+
+    const groupFor = (label) => {
+        if (!byType[label]) {
+            byType[label] = { value: 0, cost_basis: 0, unrealized_gain: 0, top_holdings: [] };
+        }
+        return byType[label];
+    };
+
+    portfolio.positions.forEach(position => {
+        const group = groupFor(position.account_type);
+        group.value += position.market_value;
+        if (position.cost_basis !== null) {
+            group.cost_basis += position.cost_basis;
+            group.unrealized_gain += position.unrealized_gain;
+        }
+        group.top_holdings.push({ name: position.ticker || position.name, type: position.type, value: Math.round(position.market_value) });
+    });
+
+    const accountsWithHoldings = new Set(portfolio.positions.map(p => p.account_id));
+    accountRows
+        .filter(acc => acc.type === 'investment' && !accountsWithHoldings.has(acc.plaid_account_id))
+        .forEach(acc => {
+            groupFor(investmentService.registeredLabel(acc.subtype) || 'Non-registered').value += parseFloat(acc.current_balance || 0);
+        });
+
+    Object.values(byType).forEach(group => {
+        group.value = Math.round(group.value);
+        group.cost_basis = Math.round(group.cost_basis);
+        group.unrealized_gain = Math.round(group.unrealized_gain);
+        group.top_holdings = group.top_holdings.sort((a, b) => b.value - a.value).slice(0, 3);
+    });
+
+    return {
+        total_value: Math.round(Object.values(byType).reduce((sum, group) => sum + group.value, 0)),
+        by_account_type: byType,
+        allocation: portfolio.allocation.by_type.map(({ name, percent }) => ({ name, percent }))
+    };
+}
+
 /**
  * Get spending summary by category for the analysis period
  */
@@ -289,15 +341,45 @@ async function _getSubscriptions(userId) {
         [userId]
     );
 
-    return result.rows.map(row => ({
-        name: row.merchant_name,
-        amount: parseFloat(row.avg_amount),
-        frequency: 'monthly',
-        category: row.primary_category,
-        last_charge: row.last_charge,
-        usage_detected: true, // Simplified - would need more analysis
-        occurrence_count: row.occurrence_count
-    }));
+    if (result.rows.length === 0) {
+        return [];
+    }
+
+    // Run the watchdog detector over these merchants' charges for cadence and price increases
+    const historyResult = await pool.query(
+        `SELECT name, merchant_name, amount, TO_CHAR(date, 'YYYY-MM-DD') as date, category, pending
+         FROM transactions
+         WHERE user_id = $1
+           AND amount > 0
+           AND merchant_name = ANY($2)
+           AND date >= CURRENT_DATE - INTERVAL '13 months'
+         ORDER BY date ASC`,
+        [userId, result.rows.map(row => row.merchant_name)]
+    );
+    const detectedByKey = new Map(
+        watchdogService.detectRecurring(historyResult.rows).map(d => [d.merchant_key, d])
+    );
+
+    return result.rows.map(row => {
+        const detected = detectedByKey.get(watchdogService.normalizeMerchant(row.merchant_name));
+        const priceIncrease = detected?.price_increase;
+
+        return {
+            name: row.merchant_name,
+            amount: detected ? detected.amount : parseFloat(row.avg_amount),
+            frequency: detected?.cadence || 'monthly',
+            category: row.primary_category,
+            last_charge: row.last_charge,
+            usage_detected: true, // Simplified - would need more analysis
+            occurrence_count: row.occurrence_count,
+            price_increase: priceIncrease ? {
+                old_amount: priceIncrease.old_amount,
+                new_amount: priceIncrease.new_amount,
+                effective_date: priceIncrease.effective_date,
+                annualized_impact: priceIncrease.annualized_impact
+            } : null
+        };
+    });
 }
 
 /**
@@ -0,0 +1,207 @@
+/**
+ * Investment Service
+ * Syncs holdings, securities and investment transactions from each linked item and
+ * turns stored holdings into a portfolio view (positions, cost basis, gains, allocation).
+ */
+
+const bankProviders = require('./bank_providers');
+const db = require('./db');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('INVESTMENTS');
+
+// Days of investment transactions read the first time an item is synced (Plaid maximum is 730)
+const HISTORY_DAYS = 730;
+
+// Re-read this many days before the newest stored transaction to pick up late corrections
+const OVERLAP_DAYS = 30;
+
+// Provider errors meaning the item simply has no investments to read
+const NOT_SUPPORTED_CODES = ['PRODUCTS_NOT_SUPPORTED', 'NO_INVESTMENT_ACCOUNTS', 'INVALID_PRODUCT', 'PRODUCT_NOT_ENABLED'];
+
+// Registered account subtypes reported separately (TFSA/RRSP room matters for advice)
+const REGISTERED_SUBTYPES = {
+    tfsa: 'TFSA',
+    rrsp: 'RRSP',
+    fhsa: 'FHSA',
+    resp: 'RESP',
+    rrif: 'RRIF',
+    lira: 'LIRA'
+};
+
+class InvestmentService {
+    /**
+     * Sync investments for every linked item
+     * Items needing re-auth are skipped; items without investment support are reported, not failed.
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { holdings, transactions, items: [{ item_id, status, error_code }] }
+     */
+    async syncUser(userId) {
+        const items = await bankProviders.getItems(userId);
+        const result = { holdings: 0, transactions: 0, items: [] };
+
+        for (const item of items) {
+            if (item.status === 'login_required') {
+                result.items.push({ item_id: item.item_id, status: 'skipped', error_code: 'ITEM_LOGIN_REQUIRED' });
+                continue;
+            }
+
+            try {
+                const itemResult = await this.syncItem(userId, item);
+                result.holdings += itemResult.holdings;
+                result.transactions += itemResult.transactions;
+                result.items.push({ item_id: item.item_id, status: 'synced', error_code: null });
+            } catch (error) {
+                const errorCode = error.response?.data?.error_code || null;
+                if (NOT_SUPPORTED_CODES.includes(errorCode)) {
+                    result.items.push({ item_id: item.item_id, status: 'not_supported', error_code: errorCode });
+                    continue;
+                }
+
+                logger.warn('Investment sync failed for item', { userId, itemId: item.item_id, errorCode, error });
+                result.items.push({ item_id: item.item_id, status: 'error', error_code: errorCode });
+            }
+        }
+
+        if (items.length > 0 && result.items.every(i => i.status === 'error')) {
+            throw new Error('Investment sync failed for every linked item');
+        }
+
+        return result;
+    }
+
+    /**
+     * Sync one item's holdings snapshot and recent investment transactions
+     * @returns {Promise<Object>} { holdings, transactions } counts
+     */
+    async syncItem(userId, item) {
+        const { accounts, holdings, securities } = await bankProviders.getInvestmentHoldings(item);
+        await db.upsertAccounts(userId, accounts, item.id);
+        await db.upsertSecurities(securities);
+        await db.replaceHoldings(userId, accounts.map(a => a.account_id), holdings);
+
+        const latest = await db.getLatestInvestmentTransactionDate(userId, item.id);
+        const endDate = this._isoDate(0);
+        const startDate = latest
+            ? this._isoDate(-OVERLAP_DAYS, new Date(`${latest}T00:00:00Z`))
+            : this._isoDate(-HISTORY_DAYS);
+
+        const { investmentTransactions, securities: txSecurities } = await bankProviders.getInvestmentTransactions(
+            item,
+            startDate,
+            endDate
+        );
+        await db.upsertSecurities(txSecurities);
+        const inserted = await db.upsertInvestmentTransactions(userId, investmentTransactions);
+
+        logger.info('Synced investments', {
+            userId,
+            itemId: item.item_id,
+            accounts: accounts.length,
+            holdings: holdings.length,
+            transactions: investmentTransactions.length,
+            newTransactions: inserted
+        });
+
+        return { holdings: holdings.length, transactions: inserted };
+    }
+
+    /**
+     * Portfolio view from stored holdings
+     * @param {Array} holdings - Rows from db.getHoldings()
+     * @returns {Object} { positions, totals, allocation: { by_type, by_account } }
+     */
+    buildPortfolio(holdings) {
+        const positions = holdings.map(h => {
+            const marketValue = parseFloat(h.institution_value || 0);
+            const costBasis = h.cost_basis === null ? null : parseFloat(h.cost_basis);
+            const gain = costBasis === null ? null : marketValue - costBasis;
+
+            return {
+                security_id: h.security_id,
+                name: h.security_name,
+                ticker: h.ticker_symbol,
+                type: h.is_cash_equivalent ? 'cash' : (h.security_type || 'other'),
+                account_id: h.account_id,
+                account_name: h.account_name,
+                account_type: REGISTERED_SUBTYPES[h.account_subtype] || 'Non-registered',
+                quantity: parseFloat(h.quantity),
+                price: h.institution_price === null ? null : parseFloat(h.institution_price),
+                price_as_of: h.price_as_of,
+                market_value: this._round(marketValue),
+                cost_basis: costBasis === null ? null : this._round(costBasis),
+                unrealized_gain: gain === null ? null : this._round(gain),
+                unrealized_gain_percent: gain === null || costBasis === 0 ? null : this._round((gain / costBasis) * 100),
+                currency: h.iso_currency_code
+            };
+        });
+
+        const marketValue = positions.reduce((sum, p) => sum + p.market_value, 0);
+
+        // Gains only over positions that report a cost basis
+        const withCost = positions.filter(p => p.cost_basis !== null);
+        const costBasis = withCost.reduce((sum, p) => sum + p.cost_basis, 0);
+        const gain = withCost.reduce((sum, p) => sum + p.unrealized_gain, 0);
+
+        return {
+            positions,
+            totals: {
+                market_value: this._round(marketValue),
+                cost_basis: this._round(costBasis),
+                unrealized_gain: this._round(gain),
+                unrealized_gain_percent: costBasis > 0 ? this._round((gain / costBasis) * 100) : null,
+                positions_without_cost_basis: positions.length - withCost.length
+            },
+            allocation: {
+                by_type: this._allocate(positions, p => p.type, marketValue),
+                by_account: this._allocate(positions, p => p.account_type, marketValue)
+            }
+        };
+    }
+
+    /**
+     * Use holdings market value as the balance of investment accounts that have holdings
+     * (account balances from the bank can lag the positions)
+     * @param {Array} accounts - Rows from db.getAccounts()
+     * @param {Object} holdingValues - From db.getHoldingValuesByAccount()
+     */
+    applyHoldingValues(accounts, holdingValues) {
+        return accounts.map(acc => (
+            acc.type === 'investment' && holdingValues[acc.plaid_account_id] !== undefined
+                ? { ...acc, current_balance: holdingValues[acc.plaid_account_id] }
+                : acc
+        ));
+    }
+
+    registeredLabel(subtype) {
+        return REGISTERED_SUBTYPES[subtype] || null;
+    }
+
+    _allocate(positions, keyOf, total) {
+        const groups = {};
+        for (const position of positions) {
+            const key = keyOf(position);
+            groups[key] = (groups[key] || 0) + position.market_value;
+        }
+
+        return Object.entries(groups)
+            .map(([name, value]) => ({
+                name,
+                value: this._round(value),
+                percent: total > 0 ? this._round((value / total) * 100) : 0
+            }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    _isoDate(offsetDays, from = new Date()) {
+        const date = new Date(from);
+        date.setDate(date.getDate() + offsetDays);
+        return date.toISOString().split('T')[0];
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = new InvestmentService();
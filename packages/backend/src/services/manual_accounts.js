@@ -0,0 +1,123 @@
+/**
+ * Manual Account Service
+ * Accounts and assets the user maintains by hand (cash, vehicle, property, pension, crypto wallet).
+ * They are stored in the accounts table with is_manual = TRUE and a Plaid-style type/subtype,
+ * so balance totals and net worth pick them up like linked accounts.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const { ValidationError, NotFoundError } = require('../errors/AppError');
+
+// Asset kind → Plaid-style type/subtype stored on the account
+const MANUAL_ACCOUNT_KINDS = {
+    cash: { label: 'Cash', type: 'depository', subtype: 'cash' },
+    vehicle: { label: 'Vehicle', type: 'other', subtype: 'vehicle' },
+    property: { label: 'Property', type: 'other', subtype: 'property' },
+    pension: { label: 'Pension', type: 'investment', subtype: 'pension' },
+    crypto: { label: 'Crypto wallet', type: 'investment', subtype: 'crypto wallet' },
+    other: { label: 'Other asset', type: 'other', subtype: 'other' }
+};
+
+class ManualAccountService {
+    getKinds() {
+        return Object.entries(MANUAL_ACCOUNT_KINDS).map(([id, kind]) => ({ id, label: kind.label }));
+    }
+
+    /**
+     * Kind of a manual account from its stored subtype (statement-import accounts fall back to their type)
+     */
+    kindOf(account) {
+        const match = Object.entries(MANUAL_ACCOUNT_KINDS).find(([, kind]) => kind.subtype === account.subtype);
+        return match ? match[0] : account.type;
+    }
+
+    /**
+     * @param {number} userId - User ID
+     * @param {Object} input - { name, kind, balance, as_of, currency }
+     */
+    async create(userId, { name, kind, balance, as_of, currency }) {
+        const assetKind = MANUAL_ACCOUNT_KINDS[kind];
+        if (!assetKind) {
+            throw new ValidationError('Invalid account kind', { field: 'kind', allowed: Object.keys(MANUAL_ACCOUNT_KINDS) });
+        }
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new ValidationError('Name is required', { field: 'name' });
+        }
+
+        return db.createManualAccount(userId, {
+            plaidAccountId: `manual-${crypto.randomUUID()}`,
+            name: name.trim().substring(0, 255),
+            type: assetKind.type,
+            subtype: assetKind.subtype,
+            balance: this._parseBalance(balance),
+            currency,
+            asOf: this._parseDate(as_of)
+        });
+    }
+
+    /**
+     * Rename a manual account and/or record a new balance
+     * @param {Object} input - { name, balance, as_of, note }
+     */
+    async update(userId, plaidAccountId, { name, balance, as_of, note }) {
+        let account = await db.getManualAccount(userId, plaidAccountId);
+        if (!account) {
+            throw new NotFoundError('Manual account');
+        }
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                throw new ValidationError('Name must be a non-empty string', { field: 'name' });
+            }
+            account = await db.renameManualAccount(userId, plaidAccountId, name.trim().substring(0, 255));
+        }
+
+        if (balance !== undefined) {
+            await db.updateAccountBalance(account.id, this._parseBalance(balance), {
+                asOf: this._parseDate(as_of),
+                note: note ? String(note).substring(0, 255) : null
+            });
+            account = await db.getManualAccount(userId, plaidAccountId);
+        }
+
+        return account;
+    }
+
+    async getHistory(userId, plaidAccountId, sinceDate = null) {
+        const account = await db.getManualAccount(userId, plaidAccountId);
+        if (!account) {
+            throw new NotFoundError('Manual account');
+        }
+
+        const history = await db.getAccountBalanceHistory(account.id, sinceDate);
+        return {
+            account,
+            history: history.map(entry => ({ ...entry, balance: parseFloat(entry.balance) }))
+        };
+    }
+
+    _parseBalance(value) {
+        const balance = typeof value === 'string' ? parseFloat(value) : value;
+        if (typeof balance !== 'number' || !isFinite(balance)) {
+            throw new ValidationError('Balance must be a number', { field: 'balance' });
+        }
+        return Math.round(balance * 100) / 100;
+    }
+
+    // Optional YYYY-MM-DD, not in the future
+    _parseDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const date = new Date(`${value}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(date.getTime())) {
+            throw new ValidationError('as_of must be a date (YYYY-MM-DD)', { field: 'as_of' });
+        }
+        if (value > new Date().toISOString().split('T')[0]) {
+            throw new ValidationError('as_of cannot be in the future', { field: 'as_of' });
+        }
+        return value;
+    }
+}
+
+module.exports = new ManualAccountService();
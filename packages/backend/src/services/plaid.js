@@ -1,6 +1,11 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 require('dotenv').config();
 
+// PLAID_ENV=fake swaps in the offline fixture-backed client (see fake_plaid.js)
+const USE_FAKE_PLAID = process.env.PLAID_ENV === 'fake';
+
 const configuration = new Configuration({
     basePath: PlaidEnvironments[process.env.PLAID_ENV || 'sandbox'],
     baseOptions: {
@@ -11,11 +16,36 @@ const configuration = new Configuration({
     },
 });
 
-const client = new PlaidApi(configuration);
+const client = USE_FAKE_PLAID ? require('./fake_plaid') : new PlaidApi(configuration);
+
+if (USE_FAKE_PLAID) {
+    console.log(`🧪 [Plaid] Using fake Plaid client (fixture: ${process.env.PLAID_FAKE_FIXTURE || 'default'})`);
+}
+
+// /transactions/sync page size (Plaid maximum is 500)
+const SYNC_PAGE_SIZE = 500;
+const SYNC_MAX_RESTARTS = 3;
+
+// Days of history requested when an item is linked (Plaid maximum is 730)
+const HISTORY_DAYS_REQUESTED = 730;
+
+// /investments/transactions/get page size (Plaid maximum is 500)
+const INVESTMENT_PAGE_SIZE = 500;
+
+// Plaid webhooks older than this are rejected (replay protection)
+const WEBHOOK_MAX_AGE = '5m';
+
+// Cached webhook verification keys are fetched again after this long, so a key Plaid has since expired stops verifying
+const WEBHOOK_KEY_CACHE_TTL_MS = 60 * 60 * 1000;
 
 class PlaidService {
+    constructor() {
+        // Webhook verification keys by key ID: { key, fetchedAt }
+        this._webhookKeys = new Map();
+    }
+
     async createLinkToken(userId) {
-        if (!process.env.PLAID_CLIENT_ID) throw new Error("Missing Plaid Keys");
+        if (!process.env.PLAID_CLIENT_ID && !USE_FAKE_PLAID) throw new Error("Missing Plaid Keys");
         try {
             console.log('🔧 Creating link token for user:', userId, '| PLAID_ENV:', process.env.PLAID_ENV);
 
@@ -23,8 +53,13 @@ class PlaidService {
                 user: { client_user_id: userId || 'test_user' },
                 client_name: 'IndusWealth',
                 products: ['transactions'],
+                // Brokerage/TFSA/RRSP holdings where the institution supports them
+                optional_products: ['investments'],
                 country_codes: ['CA'],
                 language: 'en',
+                // Ask for the full 24 months so the first-link backfill has history to pull
+                transactions: { days_requested: HISTORY_DAYS_REQUESTED },
+                ...(process.env.PLAID_WEBHOOK_URL && { webhook: process.env.PLAID_WEBHOOK_URL }),
             });
 
             console.log('✅ Link token created successfully');
@@ -41,7 +76,7 @@ class PlaidService {
      * @param {string} user* @param {string} accessToken - Existing Plaid access token that needs refresh
      */
     async createUpdateLinkToken(userId, accessToken) {
-        if (!process.env.PLAID_CLIENT_ID) throw new Error("Missing Plaid Keys");
+        if (!process.env.PLAID_CLIENT_ID && !USE_FAKE_PLAID) throw new Error("Missing Plaid Keys");
         if (!accessToken) throw new Error("Access token required for update mode");
 
         try {
@@ -67,12 +102,56 @@ class PlaidService {
         }
     }
 
+    /**
+     * Institution and consent details for a newly linked item
+     * @returns {Promise<Object>} { institutionId, institutionName, consentExpirationTime }
+     */
+    async getItemDetails(accessToken) {
+        const response = await client.itemGet({ access_token: accessToken });
+        const item = response.data.item;
+
+        let institutionName = null;
+        if (item.institution_id) {
+            try {
+                const institution = await client.institutionsGetById({
+                    institution_id: item.institution_id,
+                    country_codes: ['CA'],
+                });
+                institutionName = institution.data.institution.name;
+            } catch (error) {
+                console.warn('⚠️ [Plaid] Could not fetch institution name:', error.response?.data?.error_code || error.message);
+            }
+        }
+
+        return {
+            institutionId: item.institution_id,
+            institutionName,
+            consentExpirationTime: item.consent_expiration_time
+        };
+    }
+
+    /**
+     * Revoke an item's access token at Plaid
+     */
+    async removeItem(accessToken) {
+        try {
+            await client.itemRemove({ access_token: accessToken });
+        } catch (error) {
+            console.error('Error removing Plaid item:', error.response ? error.response.data : error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Exchange a Link public token
+     * @returns {Promise<Object>} { accessToken, itemId }
+     */
     async exchangePublicToken(publicToken) {
         try {
             const response = await client.itemPublicTokenExchange({
                 public_token: publicToken,
             });
-            return response.data.access_token;
+            return { accessToken: response.data.access_token, itemId: response.data.item_id };
         } catch (error) {
             console.error('Error exchanging public token:', error.response ? error.response.data : error.message);
             throw error;
@@ -89,15 +168,107 @@ class PlaidService {
             const response = await client.liabilitiesGet({
                 access_token: accessToken,
             });
-            return response.data.liabilities;
+            const { liabilities, accounts } = response.data;
+
+            // Mortgage liabilities don't carry the outstanding balance; take it from the account
+            const accountsById = new Map((accounts || []).map(a => [a.account_id, a]));
+            const mortgage = (liabilities.mortgage || []).map(m => {
+                const account = accountsById.get(m.account_id);
+                return {
+                    ...m,
+                    name: account?.name || null,
+                    current_balance: account?.balances?.current ?? null,
+                    iso_currency_code: account?.balances?.iso_currency_code || null
+                };
+            });
+
+            return { ...liabilities, mortgage };
         } catch (error) {
             console.error('Error fetching liabilities from Plaid:', error.response ? error.response.data : error.message);
             throw error;
         }
     }
 
-    async getTransactions(accessToken, forceRefresh = false) {
-        console.log(`🔍 [Plaid] getTransactions called with forceRefresh=${forceRefresh}`);
+    /**
+     * Current investment positions
+     * @returns {Promise<Object>} { accounts, holdings, securities }
+     */
+    async getInvestmentHoldings(accessToken) {
+        try {
+            const response = await client.investmentsHoldingsGet({ access_token: accessToken });
+            const { accounts, holdings, securities } = response.data;
+            return { accounts, holdings, securities };
+        } catch (error) {
+            console.error('Error fetching investment holdings from Plaid:', error.response ? error.response.data : error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Investment transactions (buys, sells, dividends, contributions) in a date range, all pages
+     * @param {string} accessToken - Plaid access token
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<Object>} { investmentTransactions, securities }
+     */
+    async getInvestmentTransactions(accessToken, startDate, endDate) {
+        const investmentTransactions = [];
+        const securities = new Map();
+        let total = Infinity;
+
+        try {
+            while (investmentTransactions.length < total) {
+                const response = await client.investmentsTransactionsGet({
+                    access_token: accessToken,
+                    start_date: startDate,
+                    end_date: endDate,
+                    options: { count: INVESTMENT_PAGE_SIZE, offset: investmentTransactions.length }
+                });
+                const data = response.data;
+
+                investmentTransactions.push(...data.investment_transactions);
+                data.securities.forEach(security => securities.set(security.security_id, security));
+                total = data.total_investment_transactions;
+
+                if (data.investment_transactions.length === 0) break;
+            }
+        } catch (error) {
+            console.error('Error fetching investment transactions from Plaid:', error.response ? error.response.data : error.message);
+            throw error;
+        }
+
+        return { investmentTransactions, securities: [...securities.values()] };
+    }
+
+    /**
+     * Ask Plaid to pull fresh transactions from the bank (best effort)
+     */
+    async refresh(accessToken) {
+        try {
+            console.log('🔄 [Plaid] Force refresh requested - dispatching transactions/refresh');
+            await client.transactionsRefresh({ access_token: accessToken });
+            console.log('✅ [Plaid] transactions/refresh successful');
+        } catch (refreshError) {
+            const errCode = refreshError.response?.data?.error_code || refreshError.message;
+            if (errCode === 'INVALID_PRODUCT') {
+                console.warn(`⚠️ [Plaid] Auto-refresh not supported by this bank (INVALID_PRODUCT). Data may be stale until nightly sync.`);
+            } else {
+                console.warn(`⚠️ [Plaid] transactions/refresh failed: ${errCode}`);
+            }
+        }
+    }
+
+    /**
+     * Incremental transaction sync via /transactions/sync
+     * Pages through every update since `cursor` until has_more is false.
+     * A null cursor returns the item's full available history.
+     * @param {string} accessToken - Plaid access token
+     * @param {string|null} cursor - Cursor saved from the previous sync
+     * @param {boolean} forceRefresh - Ask Plaid to pull fresh data from the bank first
+     * @returns {Promise<Object>} { added, modified, removed, nextCursor }
+     */
+    async syncTransactions(accessToken, cursor = null, forceRefresh = false) {
+        console.log(`🔍 [Plaid] syncTransactions called with forceRefresh=${forceRefresh}, cursor=${cursor ? 'saved' : 'none'}`);
         if (!accessToken) {
             console.log('Debug: No Access Token Passed. Env Override:', process.env.PLAID_ACCESS_TOKEN_OVERRIDE ? 'FOUND' : 'MISSING');
             console.warn('No Access Token provided. Please link a bank account or set PLAID_ACCESS_TOKEN_OVERRIDE.');
@@ -105,72 +276,69 @@ class PlaidService {
             if (process.env.PLAID_ACCESS_TOKEN_OVERRIDE && process.env.PLAID_CLIENT_ID) {
                 accessToken = process.env.PLAID_ACCESS_TOKEN_OVERRIDE;
             } else {
-                return []; // Return empty if no token, rather than mock
+                return { added: [], modified: [], removed: [], nextCursor: cursor };
             }
         }
 
-        try {
-            // If forced refresh is requested, explicitly tell Plaid to sync with the bank
-            if (forceRefresh) {
-                try {
-                    console.log('🔄 [Plaid] Force refresh requested - dispatching transactions/refresh');
-                    await client.transactionsRefresh({ access_token: accessToken });
-                    console.log('✅ [Plaid] transactions/refresh successful');
-                } catch (refreshError) {
-                    const errCode = refreshError.response?.data?.error_code || refreshError.message;
-                    if (errCode === 'INVALID_PRODUCT') {
-                        console.warn(`⚠️ [Plaid] Auto-refresh not supported by this bank (INVALID_PRODUCT). Data may be stale until nightly sync.`);
-                    } else {
-                        console.warn(`⚠️ [Plaid] transactions/refresh failed: ${errCode}`);
-                    }
+        // If forced refresh is requested, explicitly tell Plaid to sync with the bank
+        if (forceRefresh) {
+            await this.refresh(accessToken);
+        }
+
+        // Plaid can mutate the update set mid-pagination; when it does, restart from the original cursor
+        for (let attempt = 1; attempt <= SYNC_MAX_RESTARTS; attempt++) {
+            try {
+                return await this._syncAllPages(accessToken, cursor);
+            } catch (error) {
+                const errCode = error.response?.data?.error_code;
+                if (errCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && attempt < SYNC_MAX_RESTARTS) {
+                    console.warn(`⚠️ [Plaid] Transactions changed during pagination - restarting sync (attempt ${attempt + 1})`);
+                    continue;
                 }
+                console.error('Error syncing from Plaid:', error.response ? error.response.data : error.message);
+                throw error;
             }
+        }
+    }
 
-            // Fetch data for the last 30 days
-            // extend endDate to tomorrow to ensure we capture all transactions from "today" 
-            // regardless of server timezone (UTC) vs user timezone (EST/PST)
-            const today = new Date();
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-
-            const endDate = tomorrow.toISOString().slice(0, 10);
-            const startDate = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
-
-            console.log(`   📅 [Plaid] Querying transactions from ${startDate} to ${endDate}`);
+    async _syncAllPages(accessToken, cursor) {
+        const added = [];
+        const modified = [];
+        const removed = [];
+        let nextCursor = cursor;
+        let hasMore = true;
+        let pages = 0;
 
-            const response = await client.transactionsGet({
-                access_token: accessToken,
-                start_date: startDate,
-                end_date: endDate,
-                options: {
-                    count: 500
-                }
-            });
+        while (hasMore) {
+            const data = await this.syncTransactionsPage(accessToken, nextCursor);
 
-            const transactions = response.data.transactions;
+            added.push(...data.added);
+            modified.push(...data.modified);
+            removed.push(...data.removed);
+            nextCursor = data.next_cursor;
+            hasMore = data.has_more;
+            pages++;
+        }
 
-            // Log the date range of returned transactions
-            if (transactions.length > 0) {
-                const dates = transactions.map(t => t.date).sort();
-                const pendingCount = transactions.filter(t => t.pending).length;
-                const postedCount = transactions.length - pendingCount;
+        const pendingCount = added.filter(t => t.pending).length;
+        console.log(`   📊 [Plaid] Sync complete in ${pages} page(s): ${added.length} added (Pending: ${pendingCount}), ${modified.length} modified, ${removed.length} removed`);
 
-                // Determine latest transaction for debugging
-                const sortedByDate = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
-                const latestTx = sortedByDate[0];
+        return { added, modified, removed, nextCursor };
+    }
 
-                console.log(`   📊 [Plaid] Returned ${transactions.length} transactions (Posted: ${postedCount}, Pending: ${pendingCount})`);
-                console.log(`   📊 [Plaid] Date range: ${dates[0]} to ${dates[dates.length - 1]}`);
-                console.log(`   🧐 [Plaid] LATEST Transaction: ${latestTx.date} - ${latestTx.name} ($${latestTx.amount}) [Pending: ${latestTx.pending}]`);
-            } else {
-                console.log(`   📊 [Plaid] Returned 0 transactions`);
-            }
+    /**
+     * Fetch a single /transactions/sync page
+     * Used by the backfill job, which stores each page as it arrives
+     * @param {string} accessToken - Plaid access token
+     * @param {string|null} cursor - Cursor to continue from
+     * @returns {Promise<Object>} Raw sync response (added, modified, removed, next_cursor, has_more, transactions_update_status)
+     */
+    async syncTransactionsPage(accessToken, cursor = null) {
+        const request = { access_token: accessToken, count: SYNC_PAGE_SIZE };
+        if (cursor) request.cursor = cursor;
 
-            return transactions;
-        } catch (error) {
-            console.error('Error fetching from Plaid:', error.response ? error.response.data : error.message);
-            throw error; // Throw error instead of returning match
-        }
+        const response = await client.transactionsSync(request);
+        return response.data;
     }
 
     async getAccounts(accessToken) {
@@ -193,6 +361,58 @@ class PlaidService {
             throw error;
         }
     }
+
+    /**
+     * Verify a Plaid webhook
+     * The Plaid-Verification header is an ES256 JWT signed with a key fetched from Plaid;
+     * its request_body_sha256 claim must match the raw request body.
+     * @param {Buffer|string} rawBody - Exact request body bytes
+     * @param {string} verificationHeader - Plaid-Verification header value
+     * @returns {Promise<boolean>} True if the webhook came from Plaid
+     */
+    async verifyWebhook(rawBody, verificationHeader) {
+        if (!rawBody || !verificationHeader) return false;
+
+        const decoded = jwt.decode(verificationHeader, { complete: true });
+        if (!decoded || decoded.header.alg !== 'ES256' || !decoded.header.kid) return false;
+
+        try {
+            const key = await this._getWebhookKey(decoded.header.kid);
+            if (!key) return false;
+
+            const payload = jwt.verify(verificationHeader, key, { algorithms: ['ES256'], maxAge: WEBHOOK_MAX_AGE });
+
+            const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+            const claimedHash = String(payload.request_body_sha256 || '');
+            return claimedHash.length === bodyHash.length
+                && crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(claimedHash));
+        } catch (error) {
+            console.warn('⚠️ [Plaid] Webhook verification failed:', error.message);
+            return false;
+        }
+    }
+
+    async _getWebhookKey(keyId) {
+        const cached = this._webhookKeys.get(keyId);
+        if (cached && Date.now() - cached.fetchedAt < WEBHOOK_KEY_CACHE_TTL_MS) {
+            return cached.key;
+        }
+
+        const response = await client.webhookVerificationKeyGet({ key_id: keyId });
+        const jwk = response.data.key;
+        // Rotated-out keys must not verify new webhooks
+        if (jwk.expired_at) {
+            this._webhookKeys.delete(keyId);
+            return null;
+        }
+
+        const key = crypto.createPublicKey({
+            key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+            format: 'jwk'
+        });
+        this._webhookKeys.set(keyId, { key, fetchedAt: Date.now() });
+        return key;
+    }
 }
 
 module.exports = new PlaidService();
@@ -0,0 +1,138 @@
+/**
+ * Plaid Webhook Service
+ * Reacts to verified Plaid webhooks: syncs transactions and investments as soon as Plaid has updates,
+ * refreshes balances when liabilities change, and tracks item health for re-auth prompts
+ */
+
+const bankProviders = require('./bank_providers');
+const transactionSyncService = require('./transaction_sync');
+const investmentService = require('./investments');
+const db = require('./db');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('PLAID_WEBHOOK');
+
+// ITEM webhook codes → item status
+const ITEM_STATUS_BY_CODE = {
+    PENDING_EXPIRATION: 'pending_expiration',
+    PENDING_DISCONNECT: 'pending_expiration',
+    USER_PERMISSION_REVOKED: 'revoked',
+    USER_ACCOUNT_REVOKED: 'revoked',
+    LOGIN_REPAIRED: 'good'
+};
+
+// Statuses that need the user to go through Link update mode
+const REAUTH_STATUSES = ['login_required', 'pending_expiration', 'revoked'];
+
+class PlaidWebhookService {
+    /**
+     * Handle a verified webhook
+     * @param {Object} webhook - Parsed webhook body
+     * @returns {Promise<Object>} What was done, for logging
+     */
+    async handle(webhook) {
+        const { webhook_type: type, webhook_code: code, item_id: itemId } = webhook;
+
+        const item = itemId ? await bankProviders.getItemForWebhook(itemId) : null;
+        if (!item) {
+            logger.warn('Webhook for unknown item', { type, code, itemId });
+            return { handled: false, reason: 'unknown_item' };
+        }
+
+        const ctx = { userId: item.user_id, itemId, type, code };
+
+        switch (type) {
+            case 'TRANSACTIONS':
+                return this._handleTransactions(webhook, item, ctx);
+            case 'ITEM':
+                return this._handleItem(webhook, item, ctx);
+            case 'LIABILITIES':
+                return this._handleLiabilities(webhook, item, ctx);
+            case 'HOLDINGS':
+            case 'INVESTMENTS_TRANSACTIONS':
+                return this._handleInvestments(webhook, item, ctx);
+            default:
+                logger.debug('Ignoring webhook type', ctx);
+                return { handled: false, reason: 'unsupported_type' };
+        }
+    }
+
+    async _handleTransactions(webhook, item, ctx) {
+        // Legacy /transactions/get codes (DEFAULT_UPDATE etc.) are covered by SYNC_UPDATES_AVAILABLE
+        if (webhook.webhook_code !== 'SYNC_UPDATES_AVAILABLE') {
+            logger.debug('Ignoring transactions webhook code', ctx);
+            return { handled: false, reason: 'unsupported_code' };
+        }
+
+        const backfill = (await db.getBackfills(item.user_id)).find(b => b.item_id === item.item_id);
+        if (transactionSyncService.isBackfillActive(backfill)) {
+            // The backfill polls Plaid itself and will pick these updates up
+            logger.debug('Backfill running, leaving updates to it', ctx);
+            return { handled: true, action: 'none', skipped: true };
+        }
+
+        const result = await transactionSyncService.syncItem(item.user_id, item);
+        await db.updateSyncTime(item.user_id, 'last_transaction_sync');
+
+        logger.info('Synced transactions from webhook', { ...ctx, ...result });
+        return { handled: true, action: 'sync', ...result };
+    }
+
+    async _handleItem(webhook, item, ctx) {
+        let status;
+        let errorCode = null;
+
+        if (webhook.webhook_code === 'ERROR') {
+            errorCode = webhook.error?.error_code || 'UNKNOWN';
+            status = errorCode === 'ITEM_LOGIN_REQUIRED' ? 'login_required' : 'error';
+        } else {
+            status = ITEM_STATUS_BY_CODE[webhook.webhook_code];
+        }
+
+        if (!status) {
+            logger.debug('Ignoring item webhook code', ctx);
+            return { handled: false, reason: 'unsupported_code' };
+        }
+
+        await db.updatePlaidItemStatus(item.item_id, status, errorCode, webhook.consent_expiration_time);
+
+        if (this.needsReauth(status)) {
+            logger.warn('Plaid item needs re-authentication', { ...ctx, status, errorCode });
+        } else {
+            logger.info('Updated Plaid item status from webhook', { ...ctx, status, errorCode });
+        }
+
+        return { handled: true, action: 'item_status', status, errorCode };
+    }
+
+    async _handleLiabilities(webhook, item, ctx) {
+        // Liabilities are read live by /debt; refresh balances so account totals match
+        const plaidAccounts = await bankProviders.getAccounts(item);
+        await db.upsertAccounts(item.user_id, plaidAccounts, item.id);
+        await db.updateSyncTime(item.user_id, 'last_balance_sync');
+
+        const updatedAccounts = Object.keys(webhook.account_ids_with_updated_liabilities || {}).length;
+        logger.info('Refreshed balances from liabilities webhook', { ...ctx, updatedAccounts });
+
+        return { handled: true, action: 'refresh_balances', updatedAccounts };
+    }
+
+    async _handleInvestments(webhook, item, ctx) {
+        if (webhook.webhook_code !== 'DEFAULT_UPDATE') {
+            logger.debug('Ignoring investments webhook code', ctx);
+            return { handled: false, reason: 'unsupported_code' };
+        }
+
+        const result = await investmentService.syncItem(item.user_id, item);
+        await db.updateSyncTime(item.user_id, 'last_investment_sync');
+
+        logger.info('Synced investments from webhook', { ...ctx, ...result });
+        return { handled: true, action: 'sync_investments', ...result };
+    }
+
+    needsReauth(status) {
+        return REAUTH_STATUSES.includes(status);
+    }
+}
+
+module.exports = new PlaidWebhookService();
@@ -0,0 +1,641 @@
+/**
+ * Statement Import Service
+ * Imports CSV, OFX and QFX statements for banks no aggregator supports.
+ * Rows are stored in the regular transactions table (amounts positive for money out,
+ * like Plaid) against a manual account, so they show up everywhere synced rows do.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const { categorizeTransaction } = require('./categorization');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('../errors/AppError');
+
+const logger = createLogger('IMPORT');
+
+const FORMATS = ['csv', 'ofx', 'qfx'];
+
+// Day/month/year orders of CSV dates
+const DATE_ORDERS = ['MDY', 'DMY', 'YMD'];
+
+// Skipped rows listed in an import summary (the count covers all of them)
+const MAX_SKIPPED_LISTED = 20;
+
+/**
+ * CSV column mappings for Canadian bank exports
+ * Columns are header names, or indexes for exports without a header row.
+ * `amount` is signed (negative = money out); `debit`/`credit` are unsigned columns.
+ */
+const CSV_PRESETS = {
+    rbc: {
+        label: 'RBC Royal Bank',
+        header: 'Transaction Date',
+        date: 'Transaction Date',
+        dateOrder: 'MDY',
+        description: ['Description 1', 'Description 2'],
+        amount: 'CAD$',
+        mask: 'Account Number'
+    },
+    td: {
+        label: 'TD Canada Trust',
+        date: 0,
+        dateOrder: 'MDY',
+        description: [1],
+        debit: 2,
+        credit: 3,
+        balance: 4
+    },
+    scotiabank: {
+        label: 'Scotiabank',
+        date: 0,
+        dateOrder: 'MDY',
+        amount: 1,
+        description: [3, 4]
+    },
+    bmo: {
+        label: 'BMO',
+        header: 'Date Posted',
+        date: 'Date Posted',
+        dateOrder: 'YMD',
+        description: ['Description'],
+        amount: 'Transaction Amount',
+        mask: 'First Bank Card'
+    },
+    cibc: {
+        label: 'CIBC',
+        date: 0,
+        dateOrder: 'YMD',
+        description: [1],
+        debit: 2,
+        credit: 3
+    },
+    tangerine: {
+        label: 'Tangerine',
+        header: 'Transaction',
+        date: 'Date',
+        dateOrder: 'MDY',
+        description: ['Name', 'Memo'],
+        amount: 'Amount'
+    },
+    // Any export with a header row - columns are detected by name
+    generic: {
+        label: 'Other (detect columns)',
+        detect: true
+    }
+};
+
+// OFX account types → Plaid type/subtype
+const OFX_ACCOUNT_TYPES = {
+    CHECKING: { type: 'depository', subtype: 'checking' },
+    SAVINGS: { type: 'depository', subtype: 'savings' },
+    MONEYMRKT: { type: 'depository', subtype: 'money market' },
+    CREDITLINE: { type: 'credit', subtype: 'line of credit' },
+    CREDITCARD: { type: 'credit', subtype: 'credit card' }
+};
+
+// OFX transaction types that are bank fees
+const OFX_FEE_TYPES = ['FEE', 'SRVCHG'];
+
+class StatementImportService {
+    /**
+     * Presets the app can offer for CSV files
+     */
+    getPresets() {
+        return Object.entries(CSV_PRESETS).map(([id, preset]) => ({ id, label: preset.label }));
+    }
+
+    /**
+     * Parse and store a statement
+     * @param {number} userId - User ID
+     * @param {string} content - File contents
+     * @param {Object} options - { format, preset, dateOrder, accountId, accountName, accountType, filename, dryRun }
+     *   dateOrder: MDY, DMY or YMD for CSV dates the preset doesn't fix and the file doesn't show
+     * @returns {Promise<Object>} Import summary (and the parsed rows on a dry run)
+     */
+    async importStatement(userId, content, options = {}) {
+        const format = (options.format || this.detectFormat(content)).toLowerCase();
+        if (!FORMATS.includes(format)) {
+            throw new ValidationError(`Unsupported statement format: ${format}`, { field: 'format', allowed: FORMATS });
+        }
+
+        const parsed = format === 'csv'
+            ? this.parseCsv(content, options.preset, options.dateOrder)
+            : this.parseOfx(content);
+
+        if (parsed.transactions.length === 0) {
+            throw new ValidationError('No transactions found in the statement', {
+                field: 'file',
+                format,
+                rows_skipped: parsed.skipped.length,
+                skipped: parsed.skipped.slice(0, MAX_SKIPPED_LISTED)
+            });
+        }
+
+        const dates = parsed.transactions.map(t => t.date).sort();
+        const period = { start_date: dates[0], end_date: dates[dates.length - 1] };
+        const skipped = { rows_skipped: parsed.skipped.length, skipped: parsed.skipped.slice(0, MAX_SKIPPED_LISTED) };
+
+        if (options.dryRun) {
+            return {
+                format,
+                preset: options.preset || null,
+                account: parsed.account,
+                ...period,
+                ...skipped,
+                transactions: parsed.transactions
+            };
+        }
+
+        const account = await this._resolveAccount(userId, parsed.account, options);
+        const rows = this._assignIds(account, parsed.transactions, format, parsed.account.currency);
+        const { fresh, duplicates } = await this._dedupe(account, rows, period);
+
+        // Same categorization as synced rows; uncategorized rows are left for the AI pass
+        for (const tx of fresh) {
+            const categoryInfo = await categorizeTransaction(tx);
+            tx.category = categoryInfo.source === 'default' ? [] : [categoryInfo.category];
+        }
+
+        const record = await db.createStatementImport(userId, {
+            accountId: account.id,
+            format,
+            preset: format === 'csv' ? options.preset || 'generic' : null,
+            filename: options.filename || null,
+            rowsTotal: rows.length,
+            rowsImported: 0,
+            rowsDuplicate: duplicates,
+            startDate: period.start_date,
+            endDate: period.end_date
+        });
+
+        const inserted = await db.insertImportedTransactions(userId, account.id, record.id, fresh);
+        const updated = await db.updateStatementImportCounts(record.id, {
+            rowsImported: inserted,
+            rowsDuplicate: rows.length - inserted
+        });
+
+        if (parsed.account.balance != null && account.is_manual) {
+            await db.updateAccountBalance(account.id, parsed.account.balance, {
+                asOf: period.end_date,
+                note: 'Statement import'
+            });
+        }
+
+        logger.info('Statement imported', {
+            userId,
+            importId: record.id,
+            format,
+            accountId: account.plaid_account_id,
+            total: rows.length,
+            imported: inserted,
+            skipped: parsed.skipped.length
+        });
+
+        return {
+            import_id: updated.id,
+            format,
+            preset: updated.preset,
+            account: { id: account.plaid_account_id, name: account.name, is_manual: account.is_manual, created: !!account.created },
+            rows_total: updated.rows_total,
+            rows_imported: updated.rows_imported,
+            rows_duplicate: updated.rows_duplicate,
+            ...skipped,
+            ...period
+        };
+    }
+
+    detectFormat(content) {
+        const head = content.slice(0, 500).toUpperCase();
+        if (head.includes('<OFX>') || head.includes('OFXHEADER')) {
+            return head.includes('INTU.BID') ? 'qfx' : 'ofx';
+        }
+        return 'csv';
+    }
+
+    /**
+     * Parse a CSV export using a bank preset
+     * Without a preset date order, the order is read from the whole date column (see _detectDateOrder).
+     * Rows that aren't a dated transaction with an amount are returned in skipped with their
+     * 1-based position among the data rows.
+     * @returns {Object} { account: { mask, balance }, transactions: [{ date, name, amount }], skipped: [{ row, reason, text }] }
+     */
+    parseCsv(content, presetId = 'generic', dateOrder = null) {
+        const preset = CSV_PRESETS[presetId || 'generic'];
+        if (!preset) {
+            throw new ValidationError(`Unknown CSV preset: ${presetId}`, {
+                field: 'preset',
+                allowed: Object.keys(CSV_PRESETS)
+            });
+        }
+        if (dateOrder && !DATE_ORDERS.includes(dateOrder)) {
+            throw new ValidationError(`Unknown date order: ${dateOrder}`, { field: 'date_order', allowed: DATE_ORDERS });
+        }
+
+        let rows = this._parseCsvRows(content);
+        let columns = preset;
+
+        if (preset.header || preset.detect) {
+            const headerIndex = preset.detect
+                ? rows.findIndex(row => row.some(cell => /date/i.test(cell)))
+                : rows.findIndex(row => row.some(cell => cell.trim() === preset.header));
+            if (headerIndex === -1) {
+                throw new ValidationError(`Could not find the ${preset.label} header row - check the preset`, { field: 'preset' });
+            }
+
+            const header = rows[headerIndex].map(cell => cell.trim());
+            columns = preset.detect ? this._detectColumns(header) : this._indexColumns(preset, header);
+            rows = rows.slice(headerIndex + 1);
+        }
+
+        const order = dateOrder || columns.dateOrder || this._detectDateOrder(rows.map(row => row[columns.date]));
+
+        const transactions = [];
+        const skipped = [];
+        let mask = null;
+        let balance = null;
+        let balanceDate = null;
+
+        for (const [index, row] of rows.entries()) {
+            const skip = (reason) => skipped.push({ row: index + 1, reason, text: row.join(',').trim() });
+
+            const date = this._parseDate(row[columns.date], order);
+            if (!date) {
+                // Footers, headers of headerless exports, and dates that don't exist
+                skip('invalid_date');
+                continue;
+            }
+
+            let amount;
+            if (columns.amount != null) {
+                const signed = this._parseAmount(row[columns.amount]);
+                amount = signed == null ? null : -signed;
+            } else {
+                const debit = this._parseAmount(row[columns.debit]);
+                const credit = this._parseAmount(row[columns.credit]);
+                amount = debit != null ? Math.abs(debit) : credit != null ? -Math.abs(credit) : null;
+            }
+            if (amount == null) {
+                skip('missing_amount');
+                continue;
+            }
+
+            const name = columns.description
+                .map(index => (row[index] || '').trim())
+                .filter(Boolean)
+                .join(' ')
+                .replace(/\s+/g, ' ');
+
+            transactions.push({ date, name: name || 'Imported transaction', amount: Math.round(amount * 100) / 100 });
+
+            if (columns.mask != null && row[columns.mask]) {
+                mask = String(row[columns.mask]).replace(/\D/g, '').slice(-4) || mask;
+            }
+            if (columns.balance != null) {
+                // Running balance of the most recent row
+                const rowBalance = this._parseAmount(row[columns.balance]);
+                if (rowBalance != null && (!balanceDate || date >= balanceDate)) {
+                    balance = rowBalance;
+                    balanceDate = date;
+                }
+            }
+        }
+
+        return { account: { mask, balance }, transactions, skipped };
+    }
+
+    /**
+     * Parse an OFX/QFX statement (SGML 1.x or XML 2.x)
+     * @returns {Object} { account: { mask, name, type, subtype, currency, balance }, transactions }
+     */
+    parseOfx(content) {
+        const bankAccount = this._ofxBlock(content, 'BANKACCTFROM');
+        const cardAccount = this._ofxBlock(content, 'CCACCTFROM');
+        const accountBlock = bankAccount || cardAccount || '';
+        const accountId = this._ofxValue(accountBlock, 'ACCTID');
+        const accountType = cardAccount
+            ? OFX_ACCOUNT_TYPES.CREDITCARD
+            : OFX_ACCOUNT_TYPES[(this._ofxValue(accountBlock, 'ACCTTYPE') || '').toUpperCase()] || OFX_ACCOUNT_TYPES.CHECKING;
+
+        const balanceAmount = this._parseAmount(this._ofxValue(this._ofxBlock(content, 'LEDGERBAL') || '', 'BALAMT'));
+        const institution = this._ofxValue(this._ofxBlock(content, 'FI') || '', 'ORG');
+
+        const transactions = [];
+        const skipped = [];
+        const pattern = /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            const block = match[1];
+            const date = this._parseDate((this._ofxValue(block, 'DTPOSTED') || '').slice(0, 8), 'YMD');
+            const amount = this._parseAmount(this._ofxValue(block, 'TRNAMT'));
+            if (!date || amount == null) {
+                skipped.push({
+                    row: transactions.length + skipped.length + 1,
+                    reason: date ? 'missing_amount' : 'invalid_date',
+                    text: this._ofxValue(block, 'FITID') || block.trim().slice(0, 80)
+                });
+                continue;
+            }
+
+            const name = [this._ofxValue(block, 'NAME'), this._ofxValue(block, 'MEMO')]
+                .filter(Boolean)
+                .filter((part, i, parts) => i === 0 || part !== parts[0])
+                .join(' ');
+            const trnType = (this._ofxValue(block, 'TRNTYPE') || '').toUpperCase();
+
+            transactions.push({
+                date,
+                name: name || trnType || 'Imported transaction',
+                // OFX amounts are negative for money out
+                amount: Math.round(-amount * 100) / 100,
+                fitid: this._ofxValue(block, 'FITID'),
+                category: OFX_FEE_TYPES.includes(trnType) ? ['Bank Fees'] : []
+            });
+        }
+
+        return {
+            account: {
+                mask: accountId ? accountId.replace(/\D/g, '').slice(-4) || null : null,
+                name: institution ? `${institution} ${accountType.subtype}` : null,
+                ...accountType,
+                currency: this._ofxValue(content, 'CURDEF') || 'CAD',
+                // Credit card statements report what's owed as a negative balance
+                balance: balanceAmount == null ? null : (cardAccount ? Math.abs(balanceAmount) : balanceAmount)
+            },
+            transactions,
+            skipped
+        };
+    }
+
+    // Explicit account, else a manual account with the same mask/name, else a new manual account
+    async _resolveAccount(userId, parsedAccount, options) {
+        const name = options.accountName || parsedAccount.name;
+
+        const existing = await db.findAccountForImport(userId, {
+            plaidAccountId: options.accountId,
+            mask: parsedAccount.mask,
+            name
+        });
+        if (existing) return existing;
+
+        if (options.accountId) {
+            throw new ValidationError('Account not found', { field: 'account_id' });
+        }
+
+        const presetLabel = CSV_PRESETS[options.preset]?.detect ? null : CSV_PRESETS[options.preset]?.label;
+        const created = await db.createManualAccount(userId, {
+            plaidAccountId: `manual-${crypto.randomUUID()}`,
+            name: name || `${presetLabel || 'Imported'} account${parsedAccount.mask ? ` ${parsedAccount.mask}` : ''}`,
+            type: parsedAccount.type || (options.accountType === 'credit' ? 'credit' : 'depository'),
+            subtype: parsedAccount.subtype || (options.accountType === 'credit' ? 'credit card' : 'checking'),
+            mask: parsedAccount.mask,
+            // Balance is recorded as of the statement date once the rows are in
+            balance: null,
+            currency: parsedAccount.currency
+        });
+
+        return { ...created, created: true };
+    }
+
+    // Stable IDs so re-importing the same file is a no-op
+    _assignIds(account, transactions, format, currency) {
+        const seen = new Map();
+
+        return transactions.map(tx => {
+            let key = tx.fitid;
+            if (!key) {
+                // Identical rows in one file are distinct purchases - number them
+                const base = `${tx.date}|${tx.amount.toFixed(2)}|${tx.name.toUpperCase()}`;
+                const occurrence = (seen.get(base) || 0) + 1;
+                seen.set(base, occurrence);
+                key = crypto.createHash('sha1').update(`${base}|${occurrence}`).digest('hex').slice(0, 24);
+            }
+
+            return {
+                transaction_id: `import-${account.plaid_account_id}-${format === 'csv' ? 'c' : 'o'}-${key}`,
+                account_id: account.plaid_account_id,
+                name: tx.name.slice(0, 255),
+                merchant_name: null,
+                amount: tx.amount,
+                date: tx.date,
+                category: tx.category || [],
+                iso_currency_code: currency || 'CAD'
+            };
+        });
+    }
+
+    /**
+     * Drop rows already on the account
+     * Matches on ID first (same file imported again), then on date + amount so overlapping
+     * statements in different formats, or rows a provider already synced, aren't doubled.
+     */
+    async _dedupe(account, rows, period) {
+        const existing = await db.getAccountTransactionKeys(account.id, period.start_date, period.end_date);
+        const existingIds = new Set(existing.map(r => r.plaid_transaction_id));
+
+        const unmatched = new Map();
+        for (const row of existing) {
+            const key = `${row.date}|${parseFloat(row.amount).toFixed(2)}`;
+            unmatched.set(key, (unmatched.get(key) || 0) + 1);
+        }
+
+        // Rows matched by ID use up their date/amount slot first
+        for (const row of rows) {
+            if (!existingIds.has(row.transaction_id)) continue;
+            const key = `${row.date}|${row.amount.toFixed(2)}`;
+            unmatched.set(key, (unmatched.get(key) || 0) - 1);
+        }
+
+        const fresh = [];
+        let duplicates = 0;
+        for (const row of rows) {
+            if (existingIds.has(row.transaction_id)) {
+                duplicates++;
+                continue;
+            }
+
+            const key = `${row.date}|${row.amount.toFixed(2)}`;
+            if ((unmatched.get(key) || 0) > 0) {
+                unmatched.set(key, unmatched.get(key) - 1);
+                duplicates++;
+                continue;
+            }
+
+            fresh.push(row);
+        }
+
+        return { fresh, duplicates };
+    }
+
+    // Map preset header names to indexes
+    _indexColumns(preset, header) {
+        const find = (name) => {
+            const index = header.findIndex(cell => cell.toLowerCase() === name.toLowerCase());
+            return index === -1 ? null : index;
+        };
+
+        const columns = {
+            date: find(preset.date),
+            dateOrder: preset.dateOrder,
+            description: preset.description.map(find).filter(i => i != null),
+            amount: preset.amount ? find(preset.amount) : null,
+            debit: preset.debit ? find(preset.debit) : null,
+            credit: preset.credit ? find(preset.credit) : null,
+            mask: preset.mask ? find(preset.mask) : null
+        };
+
+        if (columns.date == null || (columns.amount == null && columns.debit == null)) {
+            throw new ValidationError(`This file doesn't match the ${preset.label} layout`, { field: 'preset', header });
+        }
+        return columns;
+    }
+
+    // Guess columns from header names for the generic preset
+    _detectColumns(header) {
+        const find = (pattern) => {
+            const index = header.findIndex(cell => pattern.test(cell));
+            return index === -1 ? null : index;
+        };
+
+        const columns = {
+            date: find(/date/i),
+            dateOrder: null,
+            description: [find(/desc|payee|name|details|merchant/i), find(/memo/i)].filter(i => i != null),
+            amount: find(/^amount$|amount|montant/i),
+            debit: find(/debit|withdrawal/i),
+            credit: find(/credit|deposit/i),
+            balance: find(/balance/i)
+        };
+
+        if (columns.date == null || (columns.amount == null && columns.debit == null)) {
+            throw new ValidationError('Could not find date and amount columns in the CSV header', { field: 'file', header });
+        }
+        return columns;
+    }
+
+    // Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+    _parseCsvRows(content) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(cell => cell.trim())) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        if (row.some(cell => cell.trim())) rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Date order of a CSV date column without one: a first part over 12 can only be a day (DMY),
+     * a second part over 12 only a day (MDY). Year-first and compact dates need no order (null).
+     * Throws when the column mixes both, or when every date would read either way.
+     */
+    _detectDateOrder(values) {
+        let dayFirst = false;
+        let monthFirst = false;
+        let ambiguous = false;
+
+        for (const value of values) {
+            const text = String(value || '').trim();
+            const parts = text.split(/[\/\-.]/).map(p => parseInt(p, 10));
+            if (parts.length !== 3 || parts.some(p => isNaN(p)) || parts[0] > 999) continue;
+
+            if (parts[0] > 12) dayFirst = true;
+            else if (parts[1] > 12) monthFirst = true;
+            else ambiguous = true;
+        }
+
+        if (dayFirst && monthFirst) {
+            throw new ValidationError('The date column mixes day-first and month-first dates', { field: 'date_order' });
+        }
+        if (dayFirst) return 'DMY';
+        if (monthFirst) return 'MDY';
+        if (ambiguous) {
+            throw new ValidationError('Could not tell whether dates are day or month first - choose a date order', {
+                field: 'date_order',
+                allowed: DATE_ORDERS
+            });
+        }
+        return null;
+    }
+
+    // → YYYY-MM-DD, or null when it isn't a date that exists; order is 'MDY', 'DMY' or 'YMD' (null = year first when it looks like it)
+    _parseDate(value, order) {
+        const text = String(value || '').trim();
+        if (!text) return null;
+
+        let year, month, day;
+        const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+        const parts = text.split(/[\/\-.]/).map(p => parseInt(p, 10));
+
+        if (compact) {
+            [, year, month, day] = compact.map(Number);
+        } else if (parts.length === 3 && parts.every(p => !isNaN(p))) {
+            if (order === 'YMD' || (!order && parts[0] > 999)) {
+                [year, month, day] = parts;
+            } else if (order === 'DMY') {
+                [day, month, year] = parts;
+            } else {
+                [month, day, year] = parts;
+            }
+        } else {
+            return null;
+        }
+
+        if (year < 100) year += 2000;
+        if (month < 1 || month > 12 || day < 1) return null;
+        if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // "$1,234.50", "(12.00)", "-12" → number; blanks → null
+    _parseAmount(value) {
+        const text = String(value ?? '').trim();
+        if (!text || text === '-') return null;
+
+        const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+        const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+        if (isNaN(number)) return null;
+        return negative ? -number : number;
+    }
+
+    _ofxBlock(content, tag) {
+        const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'i').exec(content);
+        return match ? match[1] : null;
+    }
+
+    // Leaf value - SGML OFX leaves have no closing tag
+    _ofxValue(content, tag) {
+        const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(content);
+        return match ? match[1].trim() || null : null;
+    }
+}
+
+module.exports = new StatementImportService();
@@ -0,0 +1,132 @@
+/**
+ * Token Encryption Service
+ * Envelope encryption for secrets stored in the database (Plaid access tokens).
+ *
+ * Each secret is encrypted with its own random data key (AES-256-GCM); the data key is
+ * then encrypted ("wrapped") with a master key from the environment. Rotating the master
+ * key only re-wraps the data keys - the secrets themselves are never decrypted in bulk.
+ *
+ * PLAID_TOKEN_KEYS    Comma-separated master keys as `<key id>:<base64 32-byte key>`
+ *                     (keep retired keys listed until rotation has finished)
+ * PLAID_TOKEN_KEY_ID  Key ID used for new encryptions (defaults to the first key)
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class TokenEncryptionService {
+    constructor() {
+        this._keys = null;
+    }
+
+    /**
+     * Encrypt a secret under a fresh data key
+     * @param {string} plaintext - Secret to encrypt
+     * @param {string} context - Value the ciphertext is bound to (e.g. the Plaid item ID)
+     * @returns {Object} { ciphertext, dataKey, keyId } - all safe to store
+     */
+    encrypt(plaintext, context) {
+        const { keyId, key } = this._getActiveKey();
+        const dataKey = crypto.randomBytes(KEY_BYTES);
+
+        return {
+            ciphertext: this._seal(dataKey, Buffer.from(plaintext, 'utf8'), context),
+            dataKey: this._seal(key, dataKey, keyId),
+            keyId
+        };
+    }
+
+    /**
+     * Decrypt a secret produced by encrypt()
+     * @param {Object} envelope - { ciphertext, dataKey, keyId }
+     * @param {string} context - Same context passed to encrypt()
+     * @returns {string} Plaintext secret
+     */
+    decrypt({ ciphertext, dataKey, keyId }, context) {
+        const key = this._getKey(keyId);
+        const plainDataKey = this._open(key, dataKey, keyId);
+        return this._open(plainDataKey, ciphertext, context).toString('utf8');
+    }
+
+    /**
+     * Re-wrap an envelope's data key under the active master key
+     * @param {Object} envelope - { ciphertext, dataKey, keyId }
+     * @returns {Object} Envelope with the same ciphertext and a re-wrapped data key
+     */
+    rewrap({ ciphertext, dataKey, keyId }) {
+        const active = this._getActiveKey();
+        const plainDataKey = this._open(this._getKey(keyId), dataKey, keyId);
+
+        return {
+            ciphertext,
+            dataKey: this._seal(active.key, plainDataKey, active.keyId),
+            keyId: active.keyId
+        };
+    }
+
+    getActiveKeyId() {
+        return this._getActiveKey().keyId;
+    }
+
+    // iv | auth tag | ciphertext, base64 encoded
+    _seal(key, plaintext, aad) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        cipher.setAAD(Buffer.from(String(aad), 'utf8'));
+        const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+    }
+
+    _open(key, sealed, aad) {
+        const buffer = Buffer.from(sealed, 'base64');
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_BYTES));
+        decipher.setAAD(Buffer.from(String(aad), 'utf8'));
+        decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+        return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+    }
+
+    _getKey(keyId) {
+        const key = this._loadKeys().get(keyId);
+        if (!key) {
+            throw new Error(`Token encryption key "${keyId}" is not configured in PLAID_TOKEN_KEYS`);
+        }
+        return key;
+    }
+
+    _getActiveKey() {
+        const keys = this._loadKeys();
+        const keyId = process.env.PLAID_TOKEN_KEY_ID || keys.keys().next().value;
+        return { keyId, key: this._getKey(keyId) };
+    }
+
+    _loadKeys() {
+        if (this._keys) return this._keys;
+
+        const keys = new Map();
+        for (const entry of (process.env.PLAID_TOKEN_KEYS || '').split(',')) {
+            if (!entry.trim()) continue;
+
+            const separator = entry.indexOf(':');
+            const keyId = entry.slice(0, separator).trim();
+            const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+            if (separator < 1 || key.length !== KEY_BYTES) {
+                throw new Error('PLAID_TOKEN_KEYS entries must be "<key id>:<base64 32-byte key>"');
+            }
+            keys.set(keyId, key);
+        }
+
+        if (keys.size === 0) {
+            throw new Error('PLAID_TOKEN_KEYS is not configured - access tokens cannot be encrypted');
+        }
+
+        this._keys = keys;
+        return keys;
+    }
+}
+
+module.exports = new TokenEncryptionService();
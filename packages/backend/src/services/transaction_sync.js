@@ -0,0 +1,267 @@
+/**
+ * Transaction Sync Service
+ * Applies Plaid /transactions/sync updates to the transactions table and tracks the cursor,
+ * so each sync only pulls what changed since the last one.
+ * Items linked through other providers go through the same path (see bank_providers.js).
+ */
+
+const bankProviders = require('./bank_providers');
+const db = require('./db');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('TX_SYNC');
+
+// History pulled when a bank is first linked
+const BACKFILL_MONTHS = 24;
+
+// Plaid pulls history in the background after linking; poll until it reports HISTORICAL_UPDATE_COMPLETE
+const BACKFILL_POLL_SECONDS = parseInt(process.env.BACKFILL_POLL_SECONDS || '30');
+const BACKFILL_MAX_POLLS = 20;
+
+// A running backfill with no progress for this long is treated as dead (e.g. server restarted)
+const BACKFILL_STALE_MINUTES = 30;
+
+class TransactionSyncService {
+    /**
+     * Sync every linked item for a user
+     * One broken item doesn't stop the others; the sync only throws when every item failed.
+     * @param {number} userId - User ID
+     * @param {Object} options - { forceRefresh }
+     * @returns {Promise<Object>} Totals plus a per-item result
+     */
+    async syncUser(userId, { forceRefresh = false } = {}) {
+        const [items, backfills] = await Promise.all([bankProviders.getItems(userId), db.getBackfills(userId)]);
+        const totals = { added: 0, modified: 0, removed: 0, items: [] };
+        let lastError = null;
+
+        for (const item of items) {
+            // Items already known to need re-auth are skipped unless the user explicitly refreshes
+            if (item.status === 'login_required' && !forceRefresh) {
+                totals.items.push({ item_id: item.item_id, status: item.status, skipped: true });
+                continue;
+            }
+
+            // The backfill job owns the cursor while it runs
+            const backfill = backfills.find(b => b.item_id === item.item_id);
+            if (this.isBackfillActive(backfill)) {
+                logger.info('Skipping sync while historical backfill runs', { userId, itemId: item.item_id });
+                totals.items.push({ item_id: item.item_id, status: item.status, skipped: true });
+                continue;
+            }
+
+            try {
+                const result = await this.syncItem(userId, item, { forceRefresh });
+                totals.added += result.added;
+                totals.modified += result.modified;
+                totals.removed += result.removed;
+                totals.items.push({ item_id: item.item_id, status: 'good', ...result });
+            } catch (error) {
+                lastError = error;
+                const errorCode = error.response?.data?.error_code || null;
+                logger.warn('Plaid sync failed for item', { userId, itemId: item.item_id, errorCode, error });
+
+                if (item.id && errorCode === 'ITEM_LOGIN_REQUIRED') {
+                    await db.updatePlaidItemStatus(item.item_id, 'login_required', errorCode);
+                }
+                totals.items.push({ item_id: item.item_id, status: 'error', error_code: errorCode });
+            }
+        }
+
+        const failed = totals.items.filter(i => i.status === 'error').length;
+        if (lastError && failed === items.length) {
+            throw lastError;
+        }
+
+        return totals;
+    }
+
+    /**
+     * Sync one item from its saved cursor
+     * The cursor is only saved once every update has been stored, so a failed
+     * sync is retried from the same point next time.
+     * @param {number} userId - User ID
+     * @param {Object} item - Item from bankProviders.getItems()
+     * @param {Object} options - { forceRefresh }
+     * @returns {Promise<Object>} Counts of added, modified and removed transactions
+     */
+    async syncItem(userId, item, { forceRefresh = false } = {}) {
+        const cursor = item.transactions_cursor;
+
+        // Accounts first so new transactions map onto their account_id
+        const plaidAccounts = await bankProviders.getAccounts(item);
+        await db.upsertAccounts(userId, plaidAccounts, item.id);
+
+        const { added, modified, removed, nextCursor } = await bankProviders.syncTransactions(
+            item,
+            cursor,
+            forceRefresh
+        );
+
+        // Modified transactions carry the full record, so both sets go through the same upsert
+        // Posted transactions take over their pending rows before the pending IDs are removed
+        const reconciled = await db.upsertTransactions(userId, [...added, ...modified]);
+        const deleted = await db.deleteTransactionsByPlaidIds(userId, removed.map(r => r.transaction_id));
+
+        if (item.id) {
+            await db.updatePlaidItemCursor(item.item_id, nextCursor || cursor);
+            // A successful sync means any login/error state has been fixed
+            if (['login_required', 'error'].includes(item.status)) {
+                await db.updatePlaidItemStatus(item.item_id, 'good');
+            }
+        }
+
+        logger.info('Applied Plaid transaction updates', {
+            userId,
+            itemId: item.item_id,
+            provider: item.provider,
+            initialSync: !cursor,
+            added: added.length,
+            modified: modified.length,
+            removed: removed.length,
+            deleted,
+            reconciled
+        });
+
+        return {
+            added: added.length,
+            modified: modified.length,
+            removed: deleted,
+            initialSync: !cursor
+        };
+    }
+
+    /**
+     * Start the historical backfill for a newly linked item
+     * Runs in the background; progress is recorded in plaid_backfills.
+     * @param {number} userId - User ID
+     * @param {Object} item - Item from bankProviders.getItem()
+     * @returns {Promise<Object>} Formatted backfill status
+     */
+    async startBackfill(userId, item) {
+        const backfill = await db.startBackfill(userId, item.item_id, BACKFILL_MONTHS);
+        logger.info('Starting historical transaction backfill', { userId, backfillId: backfill.id, itemId: item.item_id });
+
+        // Run in background (don't await)
+        this._runBackfill(userId, item, backfill).catch(error => {
+            logger.error('Backfill crashed', { userId, backfillId: backfill.id, error });
+        });
+
+        return this.formatBackfill(backfill);
+    }
+
+    async _runBackfill(userId, item, backfill) {
+        let cursor = item.transactions_cursor;
+        let polls = 0;
+
+        try {
+            // Accounts first so transactions map onto their account_id
+            const plaidAccounts = await bankProviders.getAccounts(item);
+            await db.upsertAccounts(userId, plaidAccounts, item.id);
+
+            while (true) {
+                let pageCursor = cursor;
+                let hasMore = true;
+                let updateStatus = null;
+
+                try {
+                    while (hasMore) {
+                        const page = await bankProviders.syncTransactionsPage(item, pageCursor);
+                        const changed = [...page.added, ...page.modified];
+
+                        // Store each page as it arrives so history shows up while the backfill runs
+                        await db.upsertTransactions(userId, changed);
+                        await db.deleteTransactionsByPlaidIds(userId, page.removed.map(r => r.transaction_id));
+                        await db.updateBackfillProgress(backfill.id, {
+                            transactionsStored: changed.length,
+                            oldestDate: changed.reduce((oldest, tx) => (!oldest || tx.date < oldest ? tx.date : oldest), null),
+                            plaidUpdateStatus: page.transactions_update_status
+                        });
+
+                        pageCursor = page.next_cursor;
+                        hasMore = page.has_more;
+                        updateStatus = page.transactions_update_status;
+                    }
+                } catch (error) {
+                    // Restart this pass from the last saved cursor; upserts make replayed pages harmless
+                    const isMutation = error.response?.data?.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION';
+                    if (!isMutation || ++polls >= BACKFILL_MAX_POLLS) throw error;
+                    logger.warn('Transactions changed during backfill pagination - restarting pass', { userId, backfillId: backfill.id });
+                    continue;
+                }
+
+                cursor = pageCursor;
+                await db.updatePlaidItemCursor(item.item_id, cursor);
+
+                if (updateStatus === 'HISTORICAL_UPDATE_COMPLETE') break;
+
+                polls++;
+                if (polls >= BACKFILL_MAX_POLLS) {
+                    // Regular syncs continue from the saved cursor and pick up the rest later
+                    logger.warn('Plaid has not finished pulling history - giving up on backfill', {
+                        userId,
+                        backfillId: backfill.id,
+                        updateStatus
+                    });
+                    await db.finishBackfill(backfill.id, 'failed', 'HISTORICAL_UPDATE_TIMEOUT');
+                    return;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, BACKFILL_POLL_SECONDS * 1000));
+            }
+
+            await db.updateSyncTime(userId, 'last_transaction_sync');
+            await db.finishBackfill(backfill.id, 'complete');
+            logger.info('Historical transaction backfill complete', { userId, backfillId: backfill.id, polls });
+        } catch (error) {
+            const errorCode = error.response?.data?.error_code || 'BACKFILL_ERROR';
+            logger.error('Historical transaction backfill failed', { userId, backfillId: backfill.id, errorCode, error });
+            await db.finishBackfill(backfill.id, 'failed', errorCode);
+        }
+    }
+
+    /**
+     * Backfill status for the app
+     * @param {Object|null} backfill - Row from db.getBackfills()
+     * @returns {Object} Status with months loaded and a progress percentage
+     */
+    formatBackfill(backfill) {
+        if (!backfill) {
+            return { status: 'none', progress_percent: 0, months_loaded: 0 };
+        }
+
+        const monthsLoaded = backfill.oldest_transaction_date
+            ? Math.min(
+                backfill.months_requested,
+                Math.floor((Date.now() - new Date(backfill.oldest_transaction_date).getTime()) / (30.44 * 24 * 60 * 60 * 1000))
+            )
+            : 0;
+
+        const stalled = backfill.status === 'running' && !this.isBackfillActive(backfill);
+        const status = stalled ? 'stalled' : backfill.status;
+
+        return {
+            id: backfill.id,
+            item_id: backfill.item_id,
+            status,
+            months_requested: backfill.months_requested,
+            months_loaded: monthsLoaded,
+            // History depth only tells us so much - never report 100% until Plaid says it's done
+            progress_percent: status === 'complete'
+                ? 100
+                : Math.min(99, Math.round((monthsLoaded / backfill.months_requested) * 100)),
+            pages_fetched: backfill.pages_fetched,
+            transactions_stored: backfill.transactions_stored,
+            oldest_transaction_date: backfill.oldest_transaction_date,
+            error_code: backfill.error_code,
+            started_at: backfill.started_at,
+            completed_at: backfill.completed_at
+        };
+    }
+
+    isBackfillActive(backfill) {
+        if (!backfill || backfill.status !== 'running') return false;
+        return Date.now() - new Date(backfill.updated_at).getTime() < BACKFILL_STALE_MINUTES * 60 * 1000;
+    }
+}
+
+module.exports = new TransactionSyncService();
@@ -1,8 +1,139 @@
+/**
+ * Watchdog Service
+ * Detects recurring charges ("leaks") in a user's transaction history
+ * and flags subscriptions and fees worth reviewing
+ */
+
+const { CATEGORY_PATTERNS } = require('./categorization');
+const feeRuleService = require('./fee_rules');
+
 const SUBSCRIPTION_REGEX = /(Netflix|Disney\+|Spotify|Amazon Prime|Rogers|Bell|Telus|Enbridge)/i;
-const FEES_REGEX = /(NSF FEE|OVERDRAFT|MONTHLY PLAN FEE|NON-TRADING FEE)/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported billing cadences
+// days: nominal interval, tolerance: allowed drift in days, minOccurrences: charges needed to trust the pattern
+const CADENCES = {
+    weekly: { days: 7, tolerance: 2, minOccurrences: 3, perMonth: 52 / 12 },
+    monthly: { days: 30.44, tolerance: 5, minOccurrences: 2, perMonth: 1 },
+    annual: { days: 365.25, tolerance: 15, minOccurrences: 2, perMonth: 1 / 12 }
+};
+
+// Charges within this fraction of the merchant's median amount count as "similar"
+// A bigger change that sticks (two or more charges) is a step change: each side is matched on its own
+const AMOUNT_TOLERANCE = 0.2;
+
+// A recurring charge rising more than this fraction over its trailing price is a price increase
+const PRICE_INCREASE_TOLERANCE = 0.03;
+
+// Charges within this many dollars of each other are treated as the same price
+const SAME_PRICE_EPSILON = 0.05;
+
+// Bills that follow usage: a higher charge is not a price increase
+const VARIABLE_AMOUNT_CATEGORIES = ['Utilities', 'Groceries', 'Gas & Fuel', 'Restaurants', 'Coffee & Snacks', 'Transportation'];
+const VARIABLE_AMOUNT_KEYWORDS = VARIABLE_AMOUNT_CATEGORIES
+    .flatMap(category => CATEGORY_PATTERNS[category]?.keywords || []);
+
+// Same merchant + same amount within this many days is a likely double charge
+const DUPLICATE_WINDOW_DAYS = 3;
+
+// Ignore small repeat purchases (a second coffee is not a billing error)
+const DUPLICATE_MIN_AMOUNT = 5;
+
+// Categories where buying the same thing twice in a few days is normal
+const REPEAT_PURCHASE_CATEGORIES = ['Coffee & Snacks', 'Restaurants', 'Groceries', 'Gas & Fuel', 'Transportation', 'Transfers', 'ATM'];
+const REPEAT_PURCHASE_KEYWORDS = REPEAT_PURCHASE_CATEGORIES
+    .flatMap(category => CATEGORY_PATTERNS[category]?.keywords || []);
+
+// Authorizations at or below this amount from a subscription merchant are treated as a trial start
+const TRIAL_MAX_AMOUNT = 1;
+
+// Assumed trial length when the user hasn't told us
+const DEFAULT_TRIAL_DAYS = 30;
+
+// Warn this many days before a trial converts
+const TRIAL_WARNING_DAYS = 3;
+
+// Merchants that commonly offer free trials
+const TRIAL_MERCHANT_KEYWORDS = ['Subscriptions', 'Software & Tech', 'Fitness']
+    .flatMap(category => CATEGORY_PATTERNS[category]?.keywords || []);
+
+// Minimum confidence for a pattern to be reported
+const MIN_CONFIDENCE = 0.5;
+
+// Keyword rules for WatchdogScreen categories (checked in order)
+const CATEGORY_RULES = [
+    {
+        category: 'Streaming',
+        keywords: ['NETFLIX', 'SPOTIFY', 'DISNEY', 'CRAVE', 'PRIME VIDEO', 'AMAZON PRIME', 'APPLE MUSIC', 'APPLE TV',
+            'YOUTUBE', 'HBO', 'HULU', 'PARAMOUNT', 'AUDIBLE', 'DAZN', 'TIDAL', 'DEEZER', 'SIRIUSXM', 'TWITCH'],
+        logoColor: '#E50914'
+    },
+    {
+        category: 'Utilities',
+        keywords: ['HYDRO', 'ENBRIDGE', 'ALECTRA', 'FORTISBC', 'EPCOR', 'ATCO', 'WATER', 'ELECTRIC', 'UTILITY',
+            'ROGERS', 'BELL', 'TELUS', 'FIDO', 'KOODO', 'VIRGIN', 'FREEDOM MOBILE', 'SHAW', 'VIDEOTRON',
+            'TEKSAVVY', 'INTERNET', 'WIRELESS', 'MOBILE'],
+        logoColor: '#FFC107'
+    },
+    {
+        category: 'Health',
+        keywords: ['GOODLIFE', 'FIT4LESS', 'PLANET FITNESS', 'ANYTIME FITNESS', 'EQUINOX', 'GYM', 'FITNESS', 'YOGA',
+            'PHARMACY', 'SHOPPERS DRUG', 'REXALL', 'DENTAL', 'CLINIC', 'PHYSIO', 'MASSAGE', 'HEALTH'],
+        logoColor: '#00C7BE'
+    }
+];
+
+// Plaid primary categories that map onto WatchdogScreen categories
+const PLAID_CATEGORY_MAP = {
+    'Service': 'Other',
+    'Utilities': 'Utilities',
+    'Healthcare': 'Health',
+    'Medical': 'Health'
+};
+
+// Suggested action per category: streaming can usually be cancelled, utilities renegotiated
+const DEFAULT_ACTIONS = {
+    Streaming: 'stop',
+    Utilities: 'negotiate',
+    Health: 'active',
+    Other: 'active'
+};
+
+// Lifecycle transitions triggered by user actions (action → resulting status)
+// Statuses: active, flagged, cancelling, cancelled, negotiated, ignored
+const ACTION_TRANSITIONS = {
+    flag: 'flagged',
+    stop: 'cancelling',
+    cancelled: 'cancelled',     // User confirms the cancellation went through
+    negotiate: 'negotiated',
+    ignore: 'ignored',
+    keep: 'active'
+};
+
+// Actions available on duplicate charge flags (action → resulting status)
+const DUPLICATE_ACTION_TRANSITIONS = {
+    dispute: 'disputed',
+    dismiss: 'dismissed'
+};
+
+// Actions available on free trials (action → resulting status)
+const TRIAL_ACTION_TRANSITIONS = {
+    cancel: 'cancelled',
+    keep: 'trialing',
+    dismiss: 'dismissed'
+};
+
+// Statuses still shown after the charge stops appearing in transactions
+const TRACKED_WITHOUT_CHARGES = ['cancelling', 'cancelled'];
 
 class WatchdogService {
-    analyze(transactions) {
+    /**
+     * Quick leakage scan of a page of transactions
+     * @param {Array} transactions - Transactions to scan
+     * @param {Array} feeRules - Compiled rules from feeRuleService.getRules()
+     */
+    analyze(transactions, feeRules = []) {
         const leakage = {
             subscriptions: [],
             fees: [],
@@ -21,11 +152,13 @@ class WatchdogService {
             }
 
             // Check for Hidden Fees
-            if (FEES_REGEX.test(tx.name)) {
+            const feeRule = parseFloat(tx.amount) > 0 ? feeRuleService.match(tx, feeRules) : null;
+            if (feeRule) {
                 leakage.fees.push({
                     name: tx.name,
                     amount: tx.amount,
-                    date: tx.date
+                    date: tx.date,
+                    fee_type: feeRule.fee_type
                 });
                 leakage.total_monthly_leakage += tx.amount;
             }
@@ -33,6 +166,717 @@ class WatchdogService {
 
         return leakage;
     }
+
+    /**
+     * Detect recurring charges in a transaction history
+     * Groups outgoing transactions by normalized merchant, keeps charges of a similar amount
+     * and matches the intervals between them against weekly/monthly/annual cadences
+     * @param {Array} transactions - Transactions with name, merchant_name, amount, date (YYYY-MM-DD), category
+     * @param {Date} asOf - Reference date for staleness and next-date projection
+     * @returns {Array} Recurring expenses sorted by monthly cost (highest first)
+     */
+    detectRecurring(transactions, asOf = new Date()) {
+        const groups = new Map();
+
+        transactions.forEach(tx => {
+            const amount = parseFloat(tx.amount);
+            // Plaid convention: positive amounts are money leaving the account
+            if (!(amount > 0) || tx.pending) return;
+
+            const merchantKey = this.normalizeMerchant(tx.merchant_name || tx.name);
+            if (!merchantKey) return;
+
+            if (!groups.has(merchantKey)) {
+                groups.set(merchantKey, []);
+            }
+            groups.get(merchantKey).push({ ...tx, amount, time: this._toTime(tx.date) });
+        });
+
+        const recurring = [];
+
+        groups.forEach((charges, merchantKey) => {
+            const pattern = this._detectPattern(charges, asOf);
+            if (!pattern) return;
+
+            const latest = pattern.charges[pattern.charges.length - 1];
+            const category = this.classify(latest);
+            const priceIncrease = this._isVariableAmount(latest, category) ? null : pattern.priceIncrease;
+            // After a price increase the current price is what the user will keep paying
+            const currentAmount = priceIncrease ? priceIncrease.new_amount : pattern.currentAmount;
+
+            recurring.push({
+                id: merchantKey.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+                merchant_key: merchantKey,
+                name: latest.merchant_name || latest.name,
+                amount: currentAmount,
+                average_amount: pattern.averageAmount,
+                monthly_amount: Math.round(currentAmount * CADENCES[pattern.cadence].perMonth * 100) / 100,
+                last_amount: latest.amount,
+                cadence: pattern.cadence,
+                occurrences: pattern.charges.length,
+                transaction_ids: pattern.charges.map(c => c.id).filter(Boolean),
+                first_charge_date: pattern.charges[0].date,
+                last_charge_date: latest.date,
+                next_expected_date: pattern.nextExpectedDate,
+                dueDate: this._formatDueDate(pattern.nextExpectedDate),
+                confidence: pattern.confidence,
+                price_increase: priceIncrease,
+                category,
+                action: DEFAULT_ACTIONS[category],
+                logoColor: CATEGORY_RULES.find(r => r.category === category)?.logoColor || null
+            });
+        });
+
+        return recurring.sort((a, b) => b.monthly_amount - a.monthly_amount);
+    }
+
+    /**
+     * Find likely double charges: the same merchant billing the same amount twice within a few days,
+     * on the same or different accounts. Regular occurrences of known recurring charges are excluded.
+     * @param {Array} transactions - Transactions with id, name, merchant_name, amount, date, account_id
+     * @param {Array} recurring - Output of detectRecurring() for the same transactions
+     * @returns {Array} Duplicate pairs, most recent first
+     */
+    detectDuplicates(transactions, recurring = []) {
+        const recurringIds = new Set(recurring.flatMap(r => r.transaction_ids || []));
+        const groups = new Map();
+
+        transactions.forEach(tx => {
+            const amount = parseFloat(tx.amount);
+            if (!(amount >= DUPLICATE_MIN_AMOUNT) || tx.pending || !tx.id) return;
+
+            const searchText = `${tx.name || ''} ${tx.merchant_name || ''}`.toUpperCase();
+            if (REPEAT_PURCHASE_KEYWORDS.some(keyword => searchText.includes(keyword.toUpperCase()))) return;
+
+            const merchantKey = this.normalizeMerchant(tx.merchant_name || tx.name);
+            if (!merchantKey) return;
+
+            const groupKey = `${merchantKey}|${amount.toFixed(2)}`;
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, []);
+            }
+            groups.get(groupKey).push({ ...tx, amount, merchantKey, time: this._toTime(tx.date) });
+        });
+
+        const duplicates = [];
+
+        groups.forEach(charges => {
+            charges.sort((a, b) => a.time - b.time || a.id - b.id);
+
+            for (let i = 1; i < charges.length; i++) {
+                const original = charges[i - 1];
+                const duplicate = charges[i];
+                const gapDays = (duplicate.time - original.time) / DAY_MS;
+                if (gapDays > DUPLICATE_WINDOW_DAYS) continue;
+
+                // Both charges are regular cycles of a recurring bill - not a double charge
+                if (recurringIds.has(original.id) && recurringIds.has(duplicate.id)) continue;
+
+                const sameAccount = original.account_id === duplicate.account_id;
+                // Same-day, same-account repeats are the strongest signal
+                const confidence = Math.max(0.5, 0.95 - gapDays * 0.1 - (sameAccount ? 0 : 0.1));
+
+                duplicates.push({
+                    fingerprint: `${original.id}:${duplicate.id}`,
+                    merchant_key: duplicate.merchantKey,
+                    name: duplicate.merchant_name || duplicate.name,
+                    amount: duplicate.amount,
+                    original_transaction_id: original.id,
+                    duplicate_transaction_id: duplicate.id,
+                    original_date: original.date,
+                    duplicate_date: duplicate.date,
+                    same_account: sameAccount,
+                    confidence: Math.round(confidence * 100) / 100
+                });
+            }
+        });
+
+        return duplicates.sort((a, b) => b.duplicate_date.localeCompare(a.duplicate_date));
+    }
+
+    /**
+     * Detect free trials from $0/$1 authorizations at subscription merchants
+     * @param {Array} authorizations - Small charges from db.getTrialAuthorizations()
+     * @param {Array} transactions - Charge history, used to find a known price and skip already-paying merchants
+     * @param {Array} recurring - Output of detectRecurring()
+     * @returns {Array} Trials with merchant_key, started_on, conversion_date, expected_amount
+     */
+    detectTrials(authorizations, transactions, recurring = []) {
+        const recurringByKey = new Map(recurring.map(r => [r.merchant_key, r]));
+        const trials = new Map();
+
+        authorizations.forEach(tx => {
+            const amount = parseFloat(tx.amount);
+            if (!(amount >= 0 && amount <= TRIAL_MAX_AMOUNT) || !this.isTrialMerchant(tx)) return;
+
+            const merchantKey = this.normalizeMerchant(tx.merchant_name || tx.name);
+            // Keep the first authorization per merchant; retries of the same $1 hold are common
+            if (!merchantKey || trials.has(merchantKey)) return;
+
+            const existing = recurringByKey.get(merchantKey);
+            // Already a paying subscriber - the small charge is a card check, not a trial
+            if (existing && this._toTime(existing.last_charge_date) > this._toTime(tx.date)) return;
+
+            const previousCharge = transactions
+                .filter(t => parseFloat(t.amount) > TRIAL_MAX_AMOUNT
+                    && this.normalizeMerchant(t.merchant_name || t.name) === merchantKey)
+                .pop();
+
+            trials.set(merchantKey, {
+                merchant_key: merchantKey,
+                name: tx.merchant_name || tx.name,
+                trial_transaction_id: tx.id,
+                trial_amount: amount,
+                started_on: tx.date,
+                conversion_date: this._addDays(tx.date, DEFAULT_TRIAL_DAYS),
+                expected_amount: existing?.amount ?? (previousCharge ? parseFloat(previousCharge.amount) : null)
+            });
+        });
+
+        return Array.from(trials.values());
+    }
+
+    /**
+     * Whether a merchant is one that typically offers free trials
+     * @param {Object} tx - Transaction with name / merchant_name / category
+     */
+    isTrialMerchant(tx) {
+        const searchText = `${tx.name || ''} ${tx.merchant_name || ''}`.toUpperCase();
+        if (SUBSCRIPTION_REGEX.test(searchText) || this.classify(tx) === 'Streaming') return true;
+        if (Array.isArray(tx.category) && tx.category.some(c => /subscription/i.test(c))) return true;
+        return TRIAL_MERCHANT_KEYWORDS.some(keyword => searchText.includes(keyword.toUpperCase()));
+    }
+
+    /**
+     * Find the first full charge posted for each open trial
+     * Cancelled trials are checked too, so a cancellation that didn't go through still shows up
+     * @param {Array} storedTrials - Rows from db.getFreeTrials()
+     * @param {Array} transactions - Charges from db.getTransactionsForAnalysis()
+     * @returns {Array} { trial, transaction } pairs to mark converted
+     */
+    findConvertedTrials(storedTrials, transactions) {
+        const conversions = [];
+
+        storedTrials
+            .filter(trial => ['trialing', 'cancelled'].includes(trial.status))
+            .forEach(trial => {
+                const startTime = this._toTime(trial.started_on);
+                const charge = transactions.find(tx =>
+                    parseFloat(tx.amount) > TRIAL_MAX_AMOUNT
+                    && !tx.pending
+                    && this._toTime(tx.date) >= startTime
+                    && this.normalizeMerchant(tx.merchant_name || tx.name) === trial.merchant_key
+                );
+
+                if (charge) {
+                    conversions.push({ trial, transaction: { id: charge.id, amount: parseFloat(charge.amount), date: charge.date } });
+                }
+            });
+
+        return conversions;
+    }
+
+    /**
+     * Shape stored trials for the watchdog response
+     * @param {Array} storedTrials - Rows from db.getFreeTrials()
+     * @param {Date} asOf - Reference date for countdowns
+     * @returns {Object} { trials, upcoming_count, upcoming_amount }
+     */
+    buildTrialView(storedTrials, asOf = new Date()) {
+        const today = Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate());
+
+        const trials = storedTrials.map(row => {
+            const daysUntil = Math.round((this._toTime(row.conversion_date) - today) / DAY_MS);
+            const expectedAmount = row.expected_amount !== null ? parseFloat(row.expected_amount) : null;
+
+            return {
+                id: row.id,
+                name: row.name,
+                source: row.source,
+                started_on: row.started_on,
+                conversion_date: row.conversion_date,
+                dueDate: this._formatDueDate(row.conversion_date),
+                days_until_conversion: daysUntil,
+                expected_amount: expectedAmount,
+                converted_amount: row.converted_amount !== null ? parseFloat(row.converted_amount) : null,
+                converted_on: row.converted_on,
+                status: row.status,
+                warning: row.status === 'trialing' && daysUntil <= TRIAL_WARNING_DAYS,
+                action: row.status === 'trialing' ? 'cancel' : row.status
+            };
+        });
+
+        const upcoming = trials.filter(t => t.status === 'trialing');
+
+        return {
+            trials,
+            upcoming_count: upcoming.length,
+            upcoming_amount: Math.round(upcoming.reduce((sum, t) => sum + (t.expected_amount || 0), 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Summarize bank fees over the trailing 12 months using the fee rule catalogue
+     * @param {Array} transactions - Transactions with id, name, amount, date, account_id, account_name, institution_name
+     * @param {Array} feeRules - Compiled rules from feeRuleService.getRules()
+     * @param {Date} asOf - Reference date for the trailing windows
+     * @returns {Object} Totals, per-type and per-account breakdowns, and the matched fee transactions
+     */
+    analyzeFees(transactions, feeRules, asOf = new Date()) {
+        const today = Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate());
+        const yearAgo = today - 365 * DAY_MS;
+        const monthAgo = today - 30 * DAY_MS;
+        const round = (value) => Math.round(value * 100) / 100;
+
+        // Average over the history we actually have (up to 12 months) so new users aren't under-reported
+        const earliest = transactions.reduce((min, tx) => Math.min(min, this._toTime(tx.date)), today);
+        const monthsCovered = Math.min(12, Math.max(1, Math.round((today - Math.max(earliest, yearAgo)) / (DAY_MS * 30.44))));
+
+        const fees = [];
+        transactions.forEach(tx => {
+            const amount = parseFloat(tx.amount);
+            const time = this._toTime(tx.date);
+            if (!(amount > 0) || time < yearAgo) return;
+
+            const rule = feeRuleService.match(tx, feeRules);
+            if (!rule) return;
+
+            fees.push({
+                id: tx.id,
+                name: tx.name,
+                amount,
+                date: tx.date,
+                time,
+                fee_type: rule.fee_type,
+                fee_label: feeRuleService.getFeeTypeLabel(rule.fee_type),
+                institution: rule.institution,
+                account_id: tx.account_id || null,
+                account_name: tx.account_name || 'Unknown account'
+            });
+        });
+
+        const summarize = (list) => {
+            const byType = {};
+            list.forEach(fee => {
+                if (!byType[fee.fee_type]) {
+                    byType[fee.fee_type] = { label: fee.fee_label, count: 0, total: 0 };
+                }
+                byType[fee.fee_type].count++;
+                byType[fee.fee_type].total = round(byType[fee.fee_type].total + fee.amount);
+            });
+
+            const annualTotal = round(list.reduce((sum, fee) => sum + fee.amount, 0));
+            return {
+                count: list.length,
+                last_30_days: round(list.filter(fee => fee.time >= monthAgo).reduce((sum, fee) => sum + fee.amount, 0)),
+                annual_total: annualTotal,
+                monthly_average: round(annualTotal / monthsCovered),
+                by_type: byType
+            };
+        };
+
+        const accounts = new Map();
+        fees.forEach(fee => {
+            const key = fee.account_id || 'unknown';
+            if (!accounts.has(key)) {
+                accounts.set(key, { account_id: fee.account_id, account_name: fee.account_name, fees: [] });
+            }
+            accounts.get(key).fees.push(fee);
+        });
+
+        return {
+            ...summarize(fees),
+            months_covered: monthsCovered,
+            by_account: Array.from(accounts.values())
+                .map(acc => ({ account_id: acc.account_id, account_name: acc.account_name, ...summarize(acc.fees) }))
+                .sort((a, b) => b.annual_total - a.annual_total),
+            transactions: fees
+                .sort((a, b) => b.time - a.time)
+                .map(({ time, ...fee }) => fee)
+        };
+    }
+
+    /**
+     * Resolve a user action to the status it moves an expense into
+     * @param {string} action - e.g. 'stop', 'negotiate', 'ignore'
+     * @returns {string|null} Target status, or null for unknown actions
+     */
+    resolveAction(action) {
+        return ACTION_TRANSITIONS[action] || null;
+    }
+
+    getActions() {
+        return Object.keys(ACTION_TRANSITIONS);
+    }
+
+    resolveDuplicateAction(action) {
+        return DUPLICATE_ACTION_TRANSITIONS[action] || null;
+    }
+
+    getDuplicateActions() {
+        return Object.keys(DUPLICATE_ACTION_TRANSITIONS);
+    }
+
+    resolveTrialAction(action) {
+        return TRIAL_ACTION_TRANSITIONS[action] || null;
+    }
+
+    getTrialActions() {
+        return Object.keys(TRIAL_ACTION_TRANSITIONS);
+    }
+
+    /**
+     * Default conversion date for a trial starting on the given date
+     * @param {string} startedOn - ISO date
+     * @param {number} trialDays - Trial length in days
+     */
+    getTrialConversionDate(startedOn, trialDays = DEFAULT_TRIAL_DAYS) {
+        return this._addDays(startedOn, trialDays);
+    }
+
+    /**
+     * Find cancelled expenses that have charged again since they were cancelled
+     * @param {Array} storedExpenses - Rows from recurring_expenses
+     * @returns {Array} Rows that should be re-flagged
+     */
+    findRecharged(storedExpenses) {
+        return storedExpenses.filter(e => {
+            if (e.status !== 'cancelled' || !e.last_charge_date || !e.status_changed_at) return false;
+            const cancelledOn = new Date(e.status_changed_at).toISOString().slice(0, 10);
+            return e.last_charge_date > cancelledOn;
+        });
+    }
+
+    /**
+     * Merge fresh detection results with persisted lifecycle state for WatchdogScreen
+     * @param {Array} storedExpenses - Rows from recurring_expenses
+     * @param {Array} detected - Output of detectRecurring()
+     * @param {Array} duplicateFlags - Open rows from duplicate_charge_flags
+     * @returns {Object} { expenses, duplicates, analysis }
+     */
+    buildWatchdogView(storedExpenses, detected, duplicateFlags = []) {
+        const detectedByKey = new Map(detected.map(d => [d.merchant_key, d]));
+        const expenses = [];
+
+        storedExpenses.forEach(row => {
+            const match = detectedByKey.get(row.merchant_key);
+            // Expenses that stopped charging only stay visible while the user is tracking a cancellation
+            if (!match && !TRACKED_WITHOUT_CHARGES.includes(row.status)) return;
+
+            const base = match || {
+                merchant_key: row.merchant_key,
+                name: row.name,
+                amount: parseFloat(row.average_amount),
+                average_amount: parseFloat(row.average_amount),
+                monthly_amount: parseFloat(row.monthly_amount),
+                cadence: row.cadence,
+                last_charge_date: row.last_charge_date,
+                next_expected_date: null,
+                dueDate: row.next_expected_date ? this._formatDueDate(row.next_expected_date) : null,
+                confidence: parseFloat(row.confidence),
+                price_increase: null,
+                category: row.category,
+                logoColor: CATEGORY_RULES.find(r => r.category === row.category)?.logoColor || null
+            };
+
+            expenses.push({
+                ...base,
+                id: row.id,
+                status: row.status,
+                status_changed_at: row.status_changed_at,
+                action: this._displayAction(row)
+            });
+        });
+
+        const sumMonthly = (list) => Math.round(list.reduce((sum, e) => sum + e.monthly_amount, 0) * 100) / 100;
+        const flagged = expenses.filter(e => e.status === 'flagged');
+        const duplicates = duplicateFlags.map(flag => ({
+            id: flag.id,
+            name: flag.name,
+            amount: parseFloat(flag.amount),
+            original_date: flag.original_date,
+            duplicate_date: flag.duplicate_date,
+            same_account: flag.same_account,
+            confidence: parseFloat(flag.confidence),
+            status: flag.status,
+            action: flag.status === 'flagged' ? 'dispute' : flag.status
+        }));
+        const openDuplicates = duplicates.filter(d => d.status === 'flagged');
+
+        const priceIncreases = expenses
+            .filter(e => e.price_increase && e.status !== 'cancelled')
+            .map(e => ({ id: e.id, name: e.name, category: e.category, cadence: e.cadence, ...e.price_increase }));
+
+        return {
+            expenses: expenses.sort((a, b) => b.monthly_amount - a.monthly_amount),
+            duplicates,
+            analysis: {
+                potential_savings: sumMonthly(flagged),
+                flags_found: flagged.length + openDuplicates.length,
+                duplicate_charges_total: Math.round(openDuplicates.reduce((sum, d) => sum + d.amount, 0) * 100) / 100,
+                total_monthly: sumMonthly(expenses.filter(e => e.status !== 'cancelled')),
+                realized_savings: sumMonthly(expenses.filter(e => e.status === 'cancelled')),
+                price_increases: priceIncreases,
+                price_increase_annual_impact: Math.round(
+                    priceIncreases.reduce((sum, p) => sum + p.annualized_impact, 0) * 100
+                ) / 100
+            }
+        };
+    }
+
+    /**
+     * Button shown on WatchdogScreen: flagged expenses get the suggested action, others show their status
+     */
+    _displayAction(row) {
+        if (row.status === 'flagged') {
+            return row.suggested_action === 'negotiate' ? 'negotiate' : 'stop';
+        }
+        return row.status;
+    }
+
+    /**
+     * Normalize a merchant name so charges from the same biller group together
+     * e.g. "NETFLIX.COM 866-579-7172" → "NETFLIX", "SPOTIFY P2A4C1B9E3" → "SPOTIFY"
+     * @param {string} rawName - Merchant or transaction name
+     * @returns {string} Normalized key (empty if nothing usable remains)
+     */
+    normalizeMerchant(rawName) {
+        if (!rawName) return '';
+
+        return rawName
+            .toUpperCase()
+            .replace(/^(SQ|TST|SP|PAYPAL|PP)\s*\*\s*/, '') // Drop payment processor prefixes ("SQ *CAFE")
+            .replace(/\*.*$/, '')                  // Drop processor suffixes ("AMZN MKTP CA*2K3")
+            .replace(/\.(COM|CA|NET)\b/g, '')      // Drop domains
+            .replace(/[^A-Z0-9&+ ]/g, ' ')         // Strip punctuation
+            .split(/\s+/)
+            .filter(token => token && !/\d/.test(token)) // Drop store numbers, phone numbers, reference codes
+            .slice(0, 3)
+            .join(' ')
+            .trim();
+    }
+
+    /**
+     * Map a transaction onto one of the WatchdogScreen categories
+     * @param {Object} tx - Transaction with name, merchant_name, category
+     * @returns {string} Streaming | Utilities | Health | Other
+     */
+    classify(tx) {
+        const searchText = `${tx.name || ''} ${tx.merchant_name || ''}`.toUpperCase();
+
+        for (const rule of CATEGORY_RULES) {
+            if (rule.keywords.some(keyword => searchText.includes(keyword))) {
+                return rule.category;
+            }
+        }
+
+        const plaidCategory = Array.isArray(tx.category) ? tx.category[0] : null;
+        return PLAID_CATEGORY_MAP[plaidCategory] || 'Other';
+    }
+
+    /**
+     * Whether a merchant bills by usage (utilities, groceries, fuel...), so its amount varies
+     */
+    _isVariableAmount(tx, category) {
+        if (category === 'Utilities') return true;
+        const searchText = `${tx.name || ''} ${tx.merchant_name || ''}`.toUpperCase();
+        return VARIABLE_AMOUNT_KEYWORDS.some(keyword => searchText.includes(keyword.toUpperCase()));
+    }
+
+    /**
+     * Find the best-fitting cadence for one merchant's charges
+     * @returns {Object|null} { cadence, charges, averageAmount, currentAmount, confidence, priceIncrease, nextExpectedDate }
+     */
+    _detectPattern(merchantCharges, asOf) {
+        // Keep only charges of a similar size (ignores one-off purchases at the same merchant),
+        // judged separately either side of a step change so a large price rise doesn't hide the charge
+        const sorted = [...merchantCharges].sort((a, b) => a.time - b.time);
+        const step = this._findStepChange(sorted);
+        const similar = (step ? [sorted.slice(0, step), sorted.slice(step)] : [sorted]).flatMap(segment => {
+            const median = this._median(segment.map(c => c.amount));
+            return segment.filter(c => this._isSimilarAmount(c.amount, median));
+        });
+
+        // Collapse same-day duplicates so they don't register as a 0-day interval
+        const charges = similar.filter((c, i) => i === 0 || c.time !== similar[i - 1].time);
+        if (charges.length < 2) return null;
+
+        const intervals = [];
+        for (let i = 1; i < charges.length; i++) {
+            intervals.push((charges[i].time - charges[i - 1].time) / DAY_MS);
+        }
+        const medianInterval = this._median(intervals);
+
+        const cadence = Object.keys(CADENCES).find(key =>
+            Math.abs(medianInterval - CADENCES[key].days) <= CADENCES[key].tolerance
+        );
+        if (!cadence) return null;
+
+        const config = CADENCES[cadence];
+        if (charges.length < config.minOccurrences) return null;
+
+        // A pattern that hasn't charged for two full cycles has probably been cancelled
+        const last = charges[charges.length - 1];
+        const daysSinceLast = (asOf.getTime() - last.time) / DAY_MS;
+        if (daysSinceLast > config.days * 2 + config.tolerance) return null;
+
+        const amounts = charges.map(c => c.amount);
+        const average = values => Math.round((values.reduce((sum, a) => sum + a, 0) / values.length) * 100) / 100;
+        const averageAmount = average(amounts);
+        const priceIncrease = this._detectPriceIncrease(charges, cadence);
+
+        // Confidence: how regular the intervals are, how stable the amount is, and how much history we have
+        // A single change in price is expected behaviour, so stability is measured either side of it
+        const regularity = intervals.filter(d => Math.abs(d - config.days) <= config.tolerance).length / intervals.length;
+        const stepIndex = step ? charges.findIndex(c => c.time >= sorted[step].time) : -1;
+        const changeIndex = stepIndex > 0 ? stepIndex : priceIncrease?.index;
+        const segments = changeIndex
+            ? [amounts.slice(0, changeIndex), amounts.slice(changeIndex)]
+            : [amounts];
+        const spread = Math.max(...segments.map(seg => (Math.max(...seg) - Math.min(...seg)) / averageAmount));
+        const amountStability = Math.max(0, 1 - spread / AMOUNT_TOLERANCE);
+        const history = Math.min(1, charges.length / (config.minOccurrences + 3));
+        const confidence = Math.round((regularity * 0.5 + amountStability * 0.3 + history * 0.2) * 100) / 100;
+
+        if (confidence < MIN_CONFIDENCE) return null;
+
+        return {
+            cadence,
+            charges,
+            averageAmount,
+            currentAmount: stepIndex > 0 ? average(amounts.slice(stepIndex)) : averageAmount,
+            confidence,
+            priceIncrease: priceIncrease ? this._formatPriceIncrease(priceIncrease) : null,
+            nextExpectedDate: this._nextDate(last.date, cadence, asOf)
+        };
+    }
+
+    /**
+     * Index where the amount steps to a new level for good, or null
+     * The split has to fit the amounts better than a single level does, and the new level needs
+     * two charges, so a one-off purchase at the same merchant isn't taken for a price change.
+     * e.g. 9.99 × 6, 16.98, 16.98 → 6
+     * @param {Array} charges - Charges sorted oldest first
+     */
+    _findStepChange(charges) {
+        const fit = segment => {
+            const median = this._median(segment.map(c => c.amount));
+            return segment.filter(c => this._isSimilarAmount(c.amount, median)).length;
+        };
+
+        let best = null;
+        let bestFit = fit(charges);
+        for (let i = 1; i <= charges.length - 2; i++) {
+            const splitFit = fit(charges.slice(0, i)) + fit(charges.slice(i));
+            if (splitFit > bestFit) {
+                best = i;
+                bestFit = splitFit;
+            }
+        }
+        return best;
+    }
+
+    _isSimilarAmount(amount, median) {
+        return Math.abs(amount - median) <= Math.max(median * AMOUNT_TOLERANCE, 2);
+    }
+
+    /**
+     * Compare the current price run (latest charges at the same amount) against the price before it
+     * e.g. 16.49, 16.49, 16.49, 18.99, 18.99 → increase of 2.50 effective from the first 18.99 charge
+     * Only a fixed price can increase: the charges before the change have to be identical to the cent,
+     * otherwise it's a bill that varies (81.40, 79.12, 86.03 is not an increase).
+     * @param {Array} charges - Charges sorted oldest first
+     * @param {string} cadence - Cadence key, used to annualize the impact
+     * @returns {Object|null} { index, old_amount, new_amount, effective_date, annualized_impact }
+     */
+    _detectPriceIncrease(charges, cadence) {
+        const newAmount = charges[charges.length - 1].amount;
+
+        // Walk back to the first charge of the current price run
+        let index = charges.length - 1;
+        while (index > 0 && Math.abs(charges[index - 1].amount - newAmount) <= SAME_PRICE_EPSILON) {
+            index--;
+        }
+        if (index === 0) return null;
+
+        // Trailing price: up to three charges before the change, all at the same price
+        const previous = charges.slice(Math.max(0, index - 3), index).map(c => Math.round(c.amount * 100));
+        if (previous.length < 2 || previous.some(cents => cents !== previous[0])) return null;
+
+        const oldAmount = previous[0] / 100;
+        const increase = newAmount - oldAmount;
+        if (increase <= oldAmount * PRICE_INCREASE_TOLERANCE) return null;
+
+        return {
+            index,
+            old_amount: oldAmount,
+            new_amount: newAmount,
+            effective_date: charges[index].date,
+            annualized_impact: increase * CADENCES[cadence].perMonth * 12
+        };
+    }
+
+    _formatPriceIncrease({ old_amount, new_amount, effective_date, annualized_impact }) {
+        return {
+            old_amount: Math.round(old_amount * 100) / 100,
+            new_amount: Math.round(new_amount * 100) / 100,
+            increase_amount: Math.round((new_amount - old_amount) * 100) / 100,
+            increase_percent: Math.round(((new_amount - old_amount) / old_amount) * 1000) / 10,
+            effective_date,
+            annualized_impact: Math.round(annualized_impact * 100) / 100
+        };
+    }
+
+    /**
+     * Project the next charge date from the last one, rolling forward past asOf
+     * Monthly and annual charges keep the last charge's day of the month, or fall on the
+     * month's last day when it is shorter (Jan 31 → Feb 28 → Mar 31).
+     */
+    _nextDate(lastDate, cadence, asOf) {
+        const last = new Date(this._toTime(lastDate));
+        const today = Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate());
+
+        let next;
+        let cycles = 0;
+        do {
+            cycles++;
+            if (cadence === 'weekly') next = new Date(last.getTime() + cycles * 7 * DAY_MS);
+            else next = this._addMonths(last, cycles * (cadence === 'monthly' ? 1 : 12));
+        } while (next.getTime() < today);
+
+        return next.toISOString().slice(0, 10);
+    }
+
+    // Same day of the month `months` later, clamped to the last day of a shorter month
+    _addMonths(date, months) {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + months;
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), daysInMonth)));
+    }
+
+    _formatDueDate(isoDate) {
+        return new Date(this._toTime(isoDate)).toLocaleDateString('en-CA', {
+            month: 'short',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    _addDays(isoDate, days) {
+        return new Date(this._toTime(isoDate) + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    _toTime(date) {
+        if (date instanceof Date) return date.getTime();
+        return new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getTime();
+    }
+
+    _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
 }
 
 module.exports = new WatchdogService();
@@ -0,0 +1,107 @@
+/**
+ * Custom debt routes: mortgage terms are validated, stored and passed to the calculator
+ * The database layer is mocked, so these run without Postgres.
+ */
+
+const { describe, test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../src/services/db');
+const routeDb = require('../src/db');
+const { generateToken } = require('../src/middleware/auth');
+const app = require('../src/app');
+
+const user = { id: 7, email: 'test@example.com', name: 'Test' };
+let server;
+let baseUrl;
+
+const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateToken(user)}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+// custom_debts row as CUSTOM_DEBT_COLUMNS returns it
+const mortgageRow = {
+    id: 3,
+    user_id: 7,
+    name: 'Home',
+    debt_type: 'mortgage',
+    balance: '400000.00',
+    apr: '4.50',
+    min_payment: '2200.00',
+    promo_apr: null,
+    promo_end_date: null,
+    deferred_interest: false,
+    compounding: 'monthly',
+    payment_frequency: 'accelerated_biweekly',
+    renewal_date: '2028-06-01'
+};
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+describe('custom debt mortgage terms', () => {
+    test('stores compounding, payment frequency and renewal date', async () => {
+        mock.method(db, 'getUserById', async () => user);
+        const query = mock.method(routeDb, 'query', async () => ({ rows: [mortgageRow] }));
+
+        const { status, body } = await request('POST', '/debt/custom', {
+            name: 'Home',
+            balance: 400000,
+            apr: 4.5,
+            min_payment: 2200,
+            debt_type: 'mortgage',
+            compounding: 'monthly',
+            payment_frequency: 'accelerated_biweekly',
+            renewal_date: '2028-06-01'
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.debt.payment_frequency, 'accelerated_biweekly');
+        assert.deepEqual(query.mock.calls[0].arguments[1].slice(9), ['monthly', 'accelerated_biweekly', '2028-06-01']);
+    });
+
+    test('rejects unknown terms and dates that do not exist', async () => {
+        mock.method(db, 'getUserById', async () => user);
+        const query = mock.method(routeDb, 'query', async () => ({ rows: [mortgageRow] }));
+        const base = { name: 'Home', balance: 400000, debt_type: 'mortgage' };
+
+        const frequency = await request('POST', '/debt/custom', { ...base, payment_frequency: 'fortnightly' });
+        assert.equal(frequency.status, 400);
+
+        const compounding = await request('PUT', '/debt/custom/3', { compounding: 'daily' });
+        assert.equal(compounding.status, 400);
+
+        const renewal = await request('PUT', '/debt/custom/3', { renewal_date: '2028-02-30' });
+        assert.equal(renewal.status, 400);
+
+        const promo = await request('POST', '/debt/custom', { ...base, promo_apr: 0, promo_end_date: '2027-04-31' });
+        assert.equal(promo.status, 400);
+
+        assert.equal(query.mock.calls.length, 0);
+    });
+
+    test('a stored mortgage is calculated with its own terms', async () => {
+        mock.method(db, 'getUserById', async () => user);
+        mock.method(routeDb, 'query', async () => ({ rows: [mortgageRow] }));
+
+        const { status, body } = await request('POST', '/debt/calculate', { liabilities: {} });
+
+        assert.equal(status, 200);
+        const [debt] = body.analysis.debts;
+        assert.equal(debt.mortgage.compounding, 'monthly');
+        assert.equal(debt.mortgage.payment_frequency, 'accelerated_biweekly');
+        assert.equal(debt.mortgage.renewal_date, '2028-06-01');
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Debt calculator math: goal-seek, promotional rates, balance transfers and consolidation
+ */
+
+const { describe, test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const debtCalculator = require('../src/services/debt_calculator');
+
+const CARD = { id: 'card', name: 'Visa', balance: 5000, apr: 20, min_payment: 150, debt_type: 'credit_card' };
+const LOAN = { id: 'loan', name: 'Car loan', balance: 8000, apr: 7, min_payment: 200, debt_type: 'personal_loan' };
+
+// YYYY-MM a number of months from the current month
+const monthsAhead = (count) => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + count, 1)).toISOString().slice(0, 7);
+};
+
+afterEach(() => mock.timers.reset());
+
+describe('month labels', () => {
+    test('count whole months on the 29th-31st', () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-31T22:00:00Z') });
+
+        assert.deepEqual([1, 2, 3, 13].map(m => debtCalculator._monthLabel(m)), ['2026-02', '2026-03', '2026-04', '2027-02']);
+        assert.equal(debtCalculator._simulationMonth('2026-03'), 2);
+
+        const schedule = debtCalculator.calculateSchedule(null, 0, [CARD], ['avalanche']).strategies.avalanche;
+        const dates = schedule.schedule.totals.map(t => t.date);
+        assert.deepEqual(dates.slice(0, 3), ['2026-02', '2026-03', '2026-04']);
+        assert.equal(new Set(dates).size, dates.length);
+        assert.equal(schedule.payoff_date, dates[dates.length - 1]);
+    });
+});
+
+describe('goal-seek', () => {
+    test('finds the smallest whole-dollar extra payment that meets the target month', () => {
+        const goal = debtCalculator.solveExtraPaymentForDate(null, [CARD, LOAN], monthsAhead(24));
+        assert.equal(goal.feasible, true);
+        assert.ok(goal.extra_payment > 0);
+        assert.ok(goal.months_to_payoff <= 24);
+
+        // A dollar less misses the target
+        const budget = goal.total_min_payment + goal.extra_payment;
+        const short = debtCalculator.solveEarliestPayoff(null, [CARD, LOAN], budget - 1);
+        assert.ok(short.months_to_payoff > 24);
+
+        const exact = debtCalculator.solveEarliestPayoff(null, [CARD, LOAN], budget);
+        assert.equal(exact.months_to_payoff, goal.months_to_payoff);
+        assert.equal(exact.total_interest, goal.total_interest);
+    });
+
+    test('needs no extra payment when the minimums already meet the target', () => {
+        const goal = debtCalculator.solveExtraPaymentForDate(null, [CARD, LOAN], monthsAhead(240));
+        assert.equal(goal.extra_payment, 0);
+        assert.equal(goal.interest_saved, 0);
+    });
+
+    test('a debt the minimums never clear does not meet a distant target', () => {
+        const card = { id: 'big', name: 'Store card', balance: 20000, apr: 29.99, min_payment: 50, debt_type: 'credit_card' };
+        assert.equal(debtCalculator.calculate(null, 0, [card]).strategies.status_quo.months_to_payoff, 600);
+
+        const goal = debtCalculator.solveExtraPaymentForDate(null, [card], '2080-01');
+        assert.ok(goal.extra_payment > 0);
+        assert.ok(goal.months_to_payoff < 600);
+        assert.ok(goal.payoff_date <= '2080-01');
+    });
+
+    test('solves only for targets inside the simulated horizon', () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-15T12:00:00Z') });
+        assert.equal(debtCalculator.getMaxTargetDate(), '2075-12');
+    });
+
+    test('reports a budget below the minimums as infeasible', () => {
+        assert.deepEqual(
+            debtCalculator.solveEarliestPayoff(null, [CARD, LOAN], 300),
+            { feasible: false, total_min_payment: 350 }
+        );
+    });
+});
+
+describe('promotional rates', () => {
+    const promoDebt = (deferred) => ({
+        balance: 1000,
+        monthly_rate: 0.02,
+        promo: { apr: 0, monthly_rate: 0, months: 2, deferred_interest: deferred }
+    });
+
+    test('charges the promo rate during the promo and the regular rate after it', () => {
+        const debt = promoDebt(false);
+        assert.equal(debtCalculator._accrueInterest(debt, 1), 0);
+        assert.equal(debtCalculator._accrueInterest(debt, 2), 0);
+        assert.equal(debtCalculator._accrueInterest(debt, 3), 20);
+    });
+
+    test('charges all deferred interest in the first month after the promo', () => {
+        const debt = promoDebt(true);
+        assert.equal(debtCalculator._accrueInterest(debt, 1), 0);
+        assert.equal(debtCalculator._accrueInterest(debt, 2), 0);
+        assert.equal(debtCalculator._accrueInterest(debt, 3), 1000 * 0.02 * 3);
+        assert.equal(debtCalculator._accrueInterest(debt, 4), 1060 * 0.02);
+    });
+
+    test('a promo that is still running lowers the interest of the plan', () => {
+        const promo = { ...CARD, promo_apr: 0, promo_end_date: `${monthsAhead(12)}-15` };
+        const regular = debtCalculator.calculate(null, 0, [CARD]).strategies.avalanche;
+        const withPromo = debtCalculator.calculate(null, 0, [promo]).strategies.avalanche;
+        assert.ok(withPromo.total_interest < regular.total_interest);
+
+        // An expired promo is ignored
+        const expired = { ...CARD, promo_apr: 0, promo_end_date: `${monthsAhead(-1)}-15` };
+        assert.equal(debtCalculator.calculate(null, 0, [expired]).strategies.avalanche.total_interest, regular.total_interest);
+    });
+});
+
+describe('balance transfer', () => {
+    const offer = { promo_apr: 0, promo_months: 12, fee_percent: 3 };
+
+    test('costs only the fee when the payment clears the balance during the promo', () => {
+        const result = debtCalculator.compareBalanceTransfer(null, [CARD], 'card', offer, { monthlyPayment: 500 });
+
+        assert.equal(result.offer.fee, 150);
+        assert.equal(result.transfer.total_interest, 0);
+        assert.equal(result.transfer.total_cost, 150);
+        assert.equal(result.transfer.balance_after_promo, 0);
+        assert.equal(result.transfer.paid_off_during_promo, true);
+        assert.equal(result.payment_to_clear_during_promo, 429.17);
+        assert.equal(result.savings, result.current.total_cost - 150);
+        assert.equal(result.recommended, true);
+    });
+
+    test('a deferred-interest offer not cleared in time costs the regular interest from the start', () => {
+        const plain = debtCalculator.compareBalanceTransfer(null, [CARD], 'card', offer, { monthlyPayment: 300 });
+        const deferred = debtCalculator.compareBalanceTransfer(
+            null, [CARD], 'card', { ...offer, deferred_interest: true }, { monthlyPayment: 300 }
+        );
+
+        assert.ok(plain.transfer.balance_after_promo > 0);
+        assert.ok(deferred.transfer.total_cost > plain.transfer.total_cost);
+    });
+
+    test('returns null for an unknown debt', () => {
+        assert.equal(debtCalculator.compareBalanceTransfer(null, [CARD], 'missing', offer), null);
+    });
+});
+
+describe('consolidation', () => {
+    test('a cheaper loan for the card saves money and pays the standard amortized payment', () => {
+        const result = debtCalculator.compareConsolidation(null, [CARD, LOAN], ['card'], [
+            { name: 'Bank loan', apr: 9, term_months: 36 },
+            { name: 'Expensive loan', apr: 9, term_months: 36, fee: 2000 }
+        ]);
+
+        const rate = 0.09 / 12;
+        const payment = 5000 * rate / (1 - Math.pow(1 + rate, -36));
+        const [cheap, expensive] = result.offers;
+
+        assert.equal(result.consolidated_balance, 5000);
+        assert.equal(cheap.loan_payment, Math.round(payment * 100) / 100);
+        assert.ok(cheap.savings > 0);
+        assert.equal(cheap.savings, result.current.total_cost - cheap.total_cost);
+        assert.ok(expensive.savings < 0);
+        assert.equal(result.best_offer, 'Bank loan');
+    });
+
+    test('a financed fee is borrowed rather than paid up front', () => {
+        const result = debtCalculator.compareConsolidation(null, [CARD], ['card'], [
+            { apr: 9, term_months: 36, fee_percent: 2, fee_financed: true }
+        ]);
+
+        const [offer] = result.offers;
+        assert.equal(offer.name, 'Offer 1');
+        assert.equal(offer.fee, 100);
+        assert.equal(offer.fees, 0);
+        assert.equal(offer.loan_amount, 5100);
+    });
+
+    test('returns null when a chosen debt is missing', () => {
+        assert.equal(debtCalculator.compareConsolidation(null, [CARD], ['card', 'missing'], []), null);
+    });
+});
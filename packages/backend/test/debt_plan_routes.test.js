@@ -0,0 +1,79 @@
+/**
+ * Debt plan calendar routes: the public feed only reads, the signed-in download still matches payments
+ * The database layer is mocked, so these run without Postgres.
+ */
+
+const { describe, test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../src/services/db');
+const { generateToken } = require('../src/middleware/auth');
+const app = require('../src/app');
+
+const user = { id: 7, email: 'test@example.com', name: 'Test' };
+let server;
+let baseUrl;
+
+// debt_plans row whose payments are all due, so every unmarked one would be matched
+const planRow = {
+    id: 1,
+    user_id: 7,
+    name: 'Card payoff',
+    strategy: 'avalanche',
+    extra_payment: '50.00',
+    start_month: '2025-01',
+    payment_day: 15,
+    options: {},
+    debts: [{ id: 'card', name: 'Visa', balance: 500, apr: 0, min_payment: 100, debt_type: 'credit_card' }],
+    is_active: true,
+    calendar_token: 'feed-token'
+};
+
+// The plan and a payment-like outflow the matcher would mark done; returns the upsertDebtPlanPayment mock
+const mockPlanDb = () => {
+    mock.method(db, 'getUserById', async () => user);
+    mock.method(db, 'getDebtPlan', async () => planRow);
+    mock.method(db, 'getDebtPlanByCalendarToken', async () => planRow);
+    mock.method(db, 'getDebtPlanPayments', async () => []);
+    mock.method(db, 'getPaymentCandidates', async () => [
+        { id: 11, account_id: 'checking', date: '2025-01-15', amount: '150.00', name: 'VISA PAYMENT' }
+    ]);
+    return mock.method(db, 'upsertDebtPlanPayment', async () => ({ id: 1 }));
+};
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+describe('debt plan calendar', () => {
+    test('the public feed does not match or store payments', async () => {
+        const upsert = mockPlanDb();
+
+        const response = await fetch(`${baseUrl}/debt/plans/calendar/feed-token.ics`);
+        const body = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(body, /^BEGIN:VCALENDAR/);
+        assert.equal(db.getPaymentCandidates.mock.calls.length, 0);
+        assert.equal(upsert.mock.calls.length, 0);
+    });
+
+    test('the signed-in download still matches payments', async () => {
+        const upsert = mockPlanDb();
+
+        const response = await fetch(`${baseUrl}/debt/plans/1/calendar`, {
+            headers: { Authorization: `Bearer ${generateToken(user)}` }
+        });
+        await response.text();
+
+        assert.equal(response.status, 200);
+        assert.equal(db.getPaymentCandidates.mock.calls.length, 1);
+        assert.equal(upsert.mock.calls[0].arguments[1].transactionId, 11);
+    });
+});
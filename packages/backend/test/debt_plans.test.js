@@ -0,0 +1,115 @@
+/**
+ * Saved debt plans: the committed schedule counts from the plan's start month
+ * The database layer is mocked, so these run without Postgres.
+ */
+
+const { describe, test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../src/services/db');
+const debtCalculator = require('../src/services/debt_calculator');
+const debtPlans = require('../src/services/debt_plans');
+
+const CARD = { id: 'card', name: 'Visa', balance: 3000, apr: 20, min_payment: 100, debt_type: 'credit_card' };
+
+// Variable-rate USD mortgage as Plaid reports it (monthly compounding, unlike the CAD fixed-rate default)
+const VARIABLE_MORTGAGE = {
+    account_id: 'mortgage',
+    name: 'Home loan',
+    current_balance: 300000,
+    interest_rate: { percentage: 6, type: 'variable' },
+    iso_currency_code: 'USD',
+    next_monthly_payment: 1900
+};
+
+// Plan made in January that starts in March, with a promo ending in May and a lump sum in April
+const createPlan = async (debts = [{ ...CARD, promo_apr: 0, promo_end_date: '2026-05-31' }]) => {
+    mock.method(db, 'createDebtPlan', async (userId, plan) => ({
+        id: 1,
+        name: plan.name,
+        strategy: plan.strategy,
+        extra_payment: String(plan.extraPayment),
+        start_month: plan.startMonth,
+        payment_day: plan.paymentDay,
+        options: plan.options,
+        debts: plan.debts,
+        is_active: true,
+        calendar_token: plan.calendarToken
+    }));
+    return debtPlans.create(7, {
+        strategy: 'snowflake',
+        extraPayment: 50,
+        startMonth: '2026-03',
+        paymentDay: 15,
+        options: { snowflakes: [{ date: '2026-04', amount: 1000 }] },
+        debts
+    });
+};
+
+afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+describe('saved plan schedule', () => {
+    test('snapshots the promo length from the start month', async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-10T12:00:00Z') });
+        const plan = await createPlan();
+
+        assert.equal(plan.debts[0].promo_months, 3);
+        assert.equal(plan.debts[0].promo_end_date, '2026-05-31');
+    });
+
+    test('places lump sums and promo months by the plan month, not the current month', async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-10T12:00:00Z') });
+        const plan = await createPlan();
+        const byMonth = new Map(debtPlans.buildPayments(plan).map(p => [p.month, p]));
+
+        assert.equal(byMonth.get('2026-03').amount, 150);
+        assert.equal(byMonth.get('2026-04').amount, 1150);
+        // No interest during the promo, so the lump sum and payments come straight off the balance
+        assert.equal(byMonth.get('2026-05').closing_balance, 3000 - 150 - 1150 - 150);
+        assert.ok(byMonth.get('2026-06').closing_balance > byMonth.get('2026-05').closing_balance - 150);
+    });
+
+    test('stays the same as the months go by', async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-10T12:00:00Z') });
+        const plan = await createPlan();
+        const before = debtPlans.buildPayments(plan);
+
+        mock.timers.setTime(new Date('2026-04-20T12:00:00Z').getTime());
+        assert.deepEqual(debtPlans.buildPayments(plan), before);
+    });
+
+    test('keeps a mortgage on its own rate and payment terms', async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-10T12:00:00Z') });
+        const liabilities = { mortgage: [VARIABLE_MORTGAGE] };
+        const custom = [{
+            id: 'custom_1',
+            name: 'Cottage',
+            debt_type: 'mortgage',
+            balance: 150000,
+            apr: 5,
+            min_payment: 1000,
+            payment_frequency: 'accelerated_biweekly'
+        }];
+        const debts = debtCalculator.listDebts(liabilities, custom, '2026-03');
+
+        const [saved] = debts;
+        assert.deepEqual(
+            [saved.compounding, saved.rate_type, saved.currency, saved.monthly_payment],
+            ['monthly', 'variable', 'USD', 1900]
+        );
+
+        const options = { startMonth: '2026-03' };
+        const original = debtCalculator.calculateSchedule(liabilities, 50, custom, ['avalanche'], options).strategies.avalanche;
+        const plan = await createPlan(debts);
+        const fromPlan = debtCalculator.calculateSchedule(null, 50, plan.debts, ['avalanche'], options).strategies.avalanche;
+
+        assert.equal(fromPlan.total_interest, original.total_interest);
+        assert.equal(fromPlan.months_to_payoff, original.months_to_payoff);
+        assert.deepEqual(fromPlan.schedule.totals.slice(0, 3), original.schedule.totals.slice(0, 3));
+        const firstMonth = debtPlans.buildPayments(plan).filter(p => p.month === '2026-03');
+        assert.equal(firstMonth.reduce((sum, p) => sum + p.amount, 0), original.schedule.totals[0].payment);
+    });
+});
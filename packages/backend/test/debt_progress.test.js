@@ -0,0 +1,103 @@
+/**
+ * Debt progress: planned trajectory from the first snapshot against the recorded balances
+ * The database layer is mocked, so these run without Postgres.
+ */
+
+const { describe, test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../src/services/db');
+const debtCalculator = require('../src/services/debt_calculator');
+const debtProgress = require('../src/services/debt_progress');
+
+// Month-end balances of one debt as debt_snapshots rows
+const snapshots = (balances) => Object.entries(balances).map(([date, balance]) => ({
+    date,
+    debt_id: 'card',
+    name: 'Visa',
+    debt_type: 'credit_card',
+    balance: String(balance),
+    apr: '0',
+    min_payment: '100'
+}));
+
+afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+describe('planned trajectory', () => {
+    test('counts plan months and lump sums from the first snapshot, not from today', async () => {
+        mock.method(db, 'getDebtSnapshots', async () => snapshots({
+            '2026-01-31': 3000,
+            '2026-02-28': 2900,
+            '2026-03-31': 1800
+        }));
+        mock.method(db, 'getDebtMilestones', async () => []);
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-06-15T12:00:00Z') });
+
+        const { plan, summary } = await debtProgress.getProgress(7, {
+            strategy: 'snowflake',
+            strategyOptions: { snowflakes: [{ date: '2026-03', amount: 1000 }] }
+        });
+
+        assert.deepEqual(
+            plan.trajectory.slice(0, 4).map(t => [t.date, t.balance]),
+            [['2026-01', 3000], ['2026-02', 2900], ['2026-03', 1800], ['2026-04', 1700]]
+        );
+        assert.deepEqual(plan.comparison.map(c => c.status), ['on_track', 'on_track', 'on_track']);
+        assert.equal(summary.planned_balance, 1800);
+        assert.equal(plan.payoff_date, '2027-09');
+    });
+
+    test('plans a mortgage with the terms stored in its snapshot', async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-31T12:00:00Z') });
+        // Variable-rate USD mortgage: monthly compounding, unlike the CAD fixed-rate default
+        const liabilities = {
+            mortgage: [{
+                account_id: 'mortgage',
+                name: 'Home loan',
+                current_balance: 300000,
+                interest_rate: { percentage: 6, type: 'variable' },
+                iso_currency_code: 'USD',
+                next_monthly_payment: 1900
+            }]
+        };
+        const upsert = mock.method(db, 'upsertDebtSnapshots', async () => {});
+        mock.method(db, 'getFirstDebtBalances', async () => ({}));
+        await debtProgress.recordSnapshot(7, debtCalculator.listDebts(liabilities, [], '2026-01'));
+
+        const [, date, [row]] = upsert.mock.calls[0].arguments;
+        assert.deepEqual(row.mortgage_terms, {
+            monthly_payment: 1900,
+            compounding: 'monthly',
+            payment_frequency: 'monthly',
+            renewal_date: null,
+            rate_type: 'variable',
+            currency: 'USD'
+        });
+
+        // As getDebtSnapshots returns it: numerics as strings, JSONB as an object
+        mock.method(db, 'getDebtSnapshots', async () => [{
+            date,
+            debt_id: row.id,
+            name: row.name,
+            debt_type: row.debt_type,
+            balance: String(row.balance),
+            apr: String(row.apr),
+            min_payment: String(row.min_payment),
+            mortgage_terms: row.mortgage_terms
+        }]);
+        mock.method(db, 'getDebtMilestones', async () => []);
+        const { plan } = await debtProgress.getProgress(7, { strategy: 'avalanche', extraPayment: 0 });
+
+        const expected = debtCalculator.calculateSchedule(
+            liabilities, 0, [], ['avalanche'], { startMonth: '2026-02' }
+        ).strategies.avalanche;
+        assert.equal(plan.total_interest, expected.total_interest);
+        assert.deepEqual(
+            plan.trajectory.slice(1, 13).map(t => t.balance),
+            expected.schedule.totals.slice(0, 12).map(t => t.balance)
+        );
+    });
+});
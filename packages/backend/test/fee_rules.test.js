@@ -0,0 +1,136 @@
+/**
+ * Bank fee rules: matching against the seeded catalogue and the watchdog's fee totals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const feeRuleService = require('../src/services/fee_rules');
+const watchdogService = require('../src/services/watchdog');
+
+const readSql = (file) => fs.readFileSync(path.join(__dirname, '../db', file), 'utf8');
+
+// Seed rows after the migrations (anchored by add_bank_fee_rule_boundaries.sql),
+// in the order db.getBankFeeRules() returns them
+const seededRules = () => {
+    const anchored = new Map(
+        [...readSql('add_bank_fee_rule_boundaries.sql').matchAll(/\('([^']+)', '([a-z_]+)', '([^']+)', '([^']+)'\)/g)]
+            .map(([, institution, fee_type, pattern, anchoredPattern]) => [`${institution}|${fee_type}|${pattern}`, anchoredPattern])
+    );
+    const rows = [...readSql('add_bank_fee_rules.sql').matchAll(/\('([^']+)', '([a-z_]+)', '((?:[^']|'')+)', '(?:[^']|'')*', (\d+)\)/g)]
+        .map(([, institution, fee_type, pattern, priority], id) => {
+            const seeded = pattern.replace(/''/g, "'");
+            return {
+                id: id + 1,
+                institution,
+                fee_type,
+                pattern: anchored.get(`${institution}|${fee_type}|${seeded}`) ?? seeded,
+                priority: Number(priority)
+            };
+        })
+        .sort((a, b) => (a.institution === 'ANY') - (b.institution === 'ANY') || a.priority - b.priority || a.id - b.id);
+    return feeRuleService.compile(rows);
+};
+
+describe('fee rule matching', () => {
+    const rules = seededRules();
+    const feeType = (name, institution_name = null) => feeRuleService.match({ name, institution_name }, rules)?.fee_type || null;
+
+    test('the seeded catalogue compiles, with every pattern anchored', () => {
+        assert.ok(rules.length > 20);
+        assert.ok(rules.every(r => r.pattern.startsWith('\\b')));
+    });
+
+    test('recognizes common fee descriptions', () => {
+        assert.equal(feeType('NSF FEE'), 'nsf');
+        assert.equal(feeType('OVERDRAFT INTEREST'), 'overdraft');
+        assert.equal(feeType('MONTHLY ACCOUNT FEE'), 'monthly_plan');
+        assert.equal(feeType('FOREIGN TRANSACTION FEE'), 'fx');
+        assert.equal(feeType('INTERAC ATM FEE'), 'atm');
+        assert.equal(feeType('EMT FEE'), 'etransfer');
+        assert.equal(feeType('INTERAC E-TRANSFER SERVICE FEE'), 'etransfer');
+        assert.equal(feeType('PAPER STATEMENT FEE'), 'account_maintenance');
+    });
+
+    test('does not read NSF inside TRANSFER', () => {
+        assert.equal(feeType('INTERAC E-TRANSFER'), null);
+        assert.equal(feeType('E-TRANSFER SENT JOHN SMITH'), null);
+        assert.equal(feeType('ONLINE TRANSFER TO DEPOSIT ACCOUNT-1234'), null);
+        assert.equal(feeType('BALANCE TRANSFER', 'TD Canada Trust'), null);
+        assert.equal(feeType('INTERAC E-TRANSFER FEE'), 'etransfer');
+        assert.equal(feeType('NSF'), 'nsf');
+    });
+
+    test('applies institution-specific rules only to that institution', () => {
+        assert.equal(feeType('VIP BANKING FEE', 'RBC Royal Bank'), 'monthly_plan');
+        assert.equal(feeType('VIP BANKING FEE', 'BMO Bank of Montreal'), null);
+        assert.equal(feeType('VIP BANKING FEE'), null);
+        assert.equal(feeType('FRAIS GAB', 'National Bank of Canada'), 'atm');
+        assert.equal(feeType('FRAIS GAB', 'Desjardins'), null);
+
+        // The institution has to appear as a word of the name
+        const td = rules.find(r => r.institution === 'TD' && r.fee_type === 'overdraft');
+        assert.equal(feeRuleService.match({ name: 'ODP FEE', institution_name: 'TD Canada Trust' }, rules), td);
+        assert.equal(feeType('ODP FEE', 'STD Credit Union'), null);
+    });
+
+    test('ignores ordinary purchases', () => {
+        assert.equal(feeType('TIM HORTONS #1234'), null);
+        assert.equal(feeRuleService.match({ name: '', merchant_name: null }, rules), null);
+    });
+
+    test('skips invalid patterns instead of failing the catalogue', () => {
+        const compiled = feeRuleService.compile([
+            { id: 1, institution: 'ANY', fee_type: 'atm', pattern: 'ATM FEE' },
+            { id: 2, institution: 'ANY', fee_type: 'fx', pattern: '(unclosed' }
+        ]);
+        assert.deepEqual(compiled.map(r => r.id), [1]);
+    });
+});
+
+describe('fee totals', () => {
+    const asOf = new Date('2026-06-30T12:00:00Z');
+    const daysAgo = (days) => new Date(asOf.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rules = feeRuleService.compile([
+        { id: 1, institution: 'ANY', fee_type: 'nsf', pattern: 'NSF' },
+        { id: 2, institution: 'ANY', fee_type: 'monthly_plan', pattern: 'MONTHLY PLAN FEE' }
+    ]);
+
+    test('sums fees by type, by account and over the last 30 days', () => {
+        const transactions = [
+            { id: 1, name: 'MONTHLY PLAN FEE', amount: '15.00', date: daysAgo(5), account_id: 'chq' },
+            { id: 2, name: 'MONTHLY PLAN FEE', amount: '15.00', date: daysAgo(35), account_id: 'chq' },
+            { id: 3, name: 'MONTHLY PLAN FEE', amount: '15.00', date: daysAgo(65), account_id: 'chq' },
+            { id: 4, name: 'NSF', amount: '48.00', date: daysAgo(10), account_id: 'sav' },
+            { id: 5, name: 'NSF REVERSAL', amount: '-48.00', date: daysAgo(9), account_id: 'sav' },
+            { id: 6, name: 'NSF', amount: '48.00', date: daysAgo(400), account_id: 'sav' }
+        ];
+
+        const fees = watchdogService.analyzeFees(transactions, rules, asOf);
+
+        assert.equal(fees.count, 4);
+        assert.equal(fees.annual_total, 93);
+        assert.equal(fees.last_30_days, 63);
+        assert.equal(fees.months_covered, 12);
+        assert.equal(fees.monthly_average, 7.75);
+        assert.deepEqual(fees.by_type.monthly_plan, { label: 'Monthly Plan', count: 3, total: 45 });
+        assert.deepEqual(fees.by_account.map(a => [a.account_id, a.annual_total]), [['sav', 48], ['chq', 45]]);
+        assert.deepEqual(fees.transactions.map(f => f.id), [1, 4, 2, 3]);
+    });
+
+    test('averages over the months of history available', () => {
+        const transactions = [
+            { id: 1, name: 'MONTHLY PLAN FEE', amount: '15.00', date: daysAgo(5) },
+            { id: 2, name: 'MONTHLY PLAN FEE', amount: '15.00', date: daysAgo(35) },
+            { id: 3, name: 'MONTHLY PLAN FEE', amount: '15.00', date: daysAgo(61) }
+        ];
+
+        const fees = watchdogService.analyzeFees(transactions, rules, asOf);
+
+        assert.equal(fees.months_covered, 2);
+        assert.equal(fees.monthly_average, 22.5);
+        assert.equal(fees.by_account[0].account_name, 'Unknown account');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Plaid routes against the fake Plaid client (PLAID_ENV=fake)
+ * The database layer is mocked, so these run without Postgres.
+ */
+
+const crypto = require('crypto');
+const { describe, test, mock, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PLAID_ENV = 'fake';
+process.env.PLAID_TOKEN_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const db = require('../src/services/db');
+const tokenEncryption = require('../src/services/token_encryption');
+const transactionSync = require('../src/services/transaction_sync');
+const { generateToken } = require('../src/middleware/auth');
+const app = require('../src/app');
+
+const user = { id: 7, email: 'test@example.com', name: 'Test' };
+let server;
+let baseUrl;
+
+const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateToken(user)}` },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+// upsertPlaidItem stores the item and returns the row, or null when another user owns it
+const mockItemDb = (owned = true) => {
+    mock.method(db, 'getUserById', async () => user);
+    mock.method(transactionSync, 'startBackfill', async () => ({ id: 1, status: 'running' }));
+    return mock.method(db, 'upsertPlaidItem', async (userId, item) => (owned
+        ? {
+            id: 1,
+            user_id: userId,
+            item_id: item.itemId,
+            provider: item.provider,
+            institution_id: item.institutionId,
+            institution_name: item.institutionName,
+            access_token: item.accessToken.ciphertext,
+            access_token_data_key: item.accessToken.dataKey,
+            access_token_key_id: item.accessToken.keyId,
+            status: 'good'
+        }
+        : null));
+};
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /plaid/save_connection', () => {
+    test('stores an exchanged token encrypted and starts the backfill', async () => {
+        const upsert = mockItemDb();
+
+        const { status, body } = await post('/plaid/save_connection', {
+            access_token: 'access-fake-default',
+            item_id: 'item-fake-default'
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.item.item_id, 'item-fake-default');
+        assert.equal(body.item.access_token, undefined);
+
+        const [userId, saved] = upsert.mock.calls[0].arguments;
+        assert.equal(userId, 7);
+        assert.equal(saved.provider, 'plaid');
+        assert.notEqual(saved.accessToken.ciphertext, 'access-fake-default');
+        assert.equal(tokenEncryption.decrypt(saved.accessToken, 'item-fake-default'), 'access-fake-default');
+        assert.equal(transactionSync.startBackfill.mock.calls.length, 1);
+    });
+
+    test('refuses a connection linked to another account', async () => {
+        mockItemDb(false);
+
+        const { status, body } = await post('/plaid/save_connection', {
+            access_token: 'access-fake-default',
+            item_id: 'item-fake-default'
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.message, 'This bank connection is linked to another account');
+        assert.equal(transactionSync.startBackfill.mock.calls.length, 0);
+    });
+});
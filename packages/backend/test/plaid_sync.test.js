@@ -0,0 +1,211 @@
+/**
+ * Transaction sync against the fake Plaid client (PLAID_ENV=fake)
+ * The database layer is mocked, so these run without Postgres.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { describe, test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PLAID_ENV = 'fake';
+process.env.PLAID_TOKEN_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+
+const db = require('../src/services/db');
+const fakePlaid = require('../src/services/fake_plaid');
+const plaidService = require('../src/services/plaid');
+const bankProviders = require('../src/services/bank_providers');
+const tokenEncryption = require('../src/services/token_encryption');
+const transactionSync = require('../src/services/transaction_sync');
+
+const defaultFixture = require(path.join(__dirname, '../fixtures/plaid/default.json'));
+
+// plaid_items row as the database returns it, with the token encrypted
+const itemRow = (fixture, overrides = {}) => {
+    const itemId = `item-fake-${fixture}`;
+    const { ciphertext, dataKey, keyId } = tokenEncryption.encrypt(`access-fake-${fixture}`, itemId);
+    return {
+        id: 1,
+        item_id: itemId,
+        provider: 'plaid',
+        institution_name: 'Fake Bank',
+        status: 'good',
+        transactions_cursor: null,
+        access_token: ciphertext,
+        access_token_data_key: dataKey,
+        access_token_key_id: keyId,
+        ...overrides
+    };
+};
+
+// Stub every db call the sync makes and record what it stored
+const mockSyncDb = (rows) => {
+    const stored = { transactions: [], deleted: [], cursors: [] };
+    mock.method(db, 'getPlaidItems', async () => rows);
+    mock.method(db, 'getBackfills', async () => []);
+    mock.method(db, 'upsertAccounts', async () => {});
+    mock.method(db, 'upsertTransactions', async (userId, transactions) => {
+        stored.transactions.push(...transactions);
+        return 0;
+    });
+    mock.method(db, 'deleteTransactionsByPlaidIds', async (userId, ids) => {
+        stored.deleted.push(...ids);
+        return ids.length;
+    });
+    mock.method(db, 'updatePlaidItemCursor', async (itemId, cursor) => {
+        stored.cursors.push(cursor);
+    });
+    mock.method(db, 'updatePlaidItemStatus', async () => {});
+    return stored;
+};
+
+afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+describe('fake Plaid /transactions/sync', () => {
+    test('pages the history by count, then serves one update batch per call', async () => {
+        const accessToken = 'access-fake-default';
+        const cursors = [];
+        const added = [];
+        let cursor;
+        let hasMore = true;
+
+        while (hasMore) {
+            const { data } = await fakePlaid.transactionsSync({ access_token: accessToken, cursor, count: 10 });
+            added.push(...data.added);
+            cursor = data.next_cursor;
+            cursors.push(cursor);
+            hasMore = data.has_more;
+        }
+
+        const history = defaultFixture.transactions.length;
+        assert.deepEqual(cursors, ['10.0', '20.0', `${history}.0`]);
+        assert.equal(new Set(added.map(t => t.transaction_id)).size, history);
+
+        const first = (await fakePlaid.transactionsSync({ access_token: accessToken, cursor })).data;
+        assert.equal(first.next_cursor, `${history}.1`);
+        assert.equal(first.added.length, defaultFixture.updates[0].added.length);
+        assert.deepEqual(first.removed, defaultFixture.updates[0].removed.map(id => ({ transaction_id: id })));
+
+        const second = (await fakePlaid.transactionsSync({ access_token: accessToken, cursor: first.next_cursor })).data;
+        assert.equal(second.next_cursor, `${history}.2`);
+
+        // Nothing new once the updates run out, and the cursor stays put
+        const idle = (await fakePlaid.transactionsSync({ access_token: accessToken, cursor: second.next_cursor })).data;
+        assert.equal(idle.next_cursor, second.next_cursor);
+        assert.deepEqual([idle.added, idle.modified, idle.removed], [[], [], []]);
+    });
+
+    test('plaidService follows has_more and restarts from the original cursor after a mutation', async () => {
+        const original = fakePlaid.transactionsSync;
+        let mutated = false;
+        const sync = mock.method(fakePlaid, 'transactionsSync', async function (request) {
+            // Small pages, and the set changes once part-way through
+            if (!mutated && request.cursor === '10.0') {
+                mutated = true;
+                throw this._error('TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION', 'Changed during pagination');
+            }
+            return original.call(this, { ...request, count: 10 });
+        });
+
+        const result = await plaidService.syncTransactions('access-fake-default', null);
+
+        assert.equal(result.added.length, defaultFixture.transactions.length);
+        assert.equal(result.nextCursor, `${defaultFixture.transactions.length}.0`);
+        assert.deepEqual(
+            sync.mock.calls.map(c => c.arguments[0].cursor),
+            [undefined, '10.0', undefined, '10.0', '20.0']
+        );
+    });
+});
+
+describe('transaction sync', () => {
+    test('stores the initial history and saves the cursor, then applies updates from it', async () => {
+        const stored = mockSyncDb([itemRow('default')]);
+
+        const [item] = await bankProviders.getItems(7);
+        assert.equal(item.access_token, undefined);
+
+        const initial = await transactionSync.syncItem(7, item);
+        assert.equal(initial.initialSync, true);
+        assert.equal(initial.added, defaultFixture.transactions.length);
+        assert.deepEqual(stored.cursors, [`${defaultFixture.transactions.length}.0`]);
+
+        const [next] = await bankProviders.getItems(7);
+        next.transactions_cursor = stored.cursors[0];
+        stored.transactions.length = 0;
+
+        const update = await transactionSync.syncItem(7, next);
+        const batch = defaultFixture.updates[0];
+        assert.equal(update.initialSync, false);
+        assert.equal(update.added, batch.added.length);
+        assert.equal(update.modified, batch.modified.length);
+        assert.equal(stored.transactions.length, batch.added.length + batch.modified.length);
+        assert.deepEqual(stored.deleted, batch.removed);
+        assert.equal(stored.cursors[1], `${defaultFixture.transactions.length}.1`);
+    });
+
+    test('marks an ITEM_LOGIN_REQUIRED item for re-auth without failing the other items', async () => {
+        mockSyncDb([
+            itemRow('login_required', { id: 1 }),
+            itemRow('default', { id: 2 })
+        ]);
+
+        const totals = await transactionSync.syncUser(7);
+
+        const [broken, good] = totals.items;
+        assert.deepEqual(broken, { item_id: 'item-fake-login_required', status: 'error', error_code: 'ITEM_LOGIN_REQUIRED' });
+        assert.equal(good.status, 'good');
+        assert.equal(totals.added, defaultFixture.transactions.length);
+        assert.deepEqual(
+            db.updatePlaidItemStatus.mock.calls.map(c => c.arguments),
+            [['item-fake-login_required', 'login_required', 'ITEM_LOGIN_REQUIRED']]
+        );
+        assert.equal(db.updatePlaidItemCursor.mock.calls.length, 1);
+    });
+
+    test('throws when every item fails, and skips items already waiting for re-auth', async () => {
+        mockSyncDb([itemRow('login_required')]);
+        await assert.rejects(
+            transactionSync.syncUser(7),
+            error => error.response?.data?.error_code === 'ITEM_LOGIN_REQUIRED'
+        );
+
+        mock.restoreAll();
+        mockSyncDb([itemRow('login_required', { status: 'login_required' })]);
+        const totals = await transactionSync.syncUser(7);
+        assert.deepEqual(totals.items, [{ item_id: 'item-fake-login_required', status: 'login_required', skipped: true }]);
+        assert.equal(db.updatePlaidItemStatus.mock.calls.length, 0);
+    });
+});
+
+describe('webhook verification', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'ES256', use: 'sig', expired_at: null };
+    const body = JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE' });
+    const sign = () => jwt.sign(
+        { request_body_sha256: crypto.createHash('sha256').update(body).digest('hex') },
+        privateKey,
+        { algorithm: 'ES256', keyid: 'key-1' }
+    );
+
+    test('stops accepting a cached key once Plaid has expired it', async () => {
+        plaidService._webhookKeys.clear();
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+        const keyGet = mock.method(fakePlaid, 'webhookVerificationKeyGet', async () => ({ data: { key: jwk } }));
+
+        assert.equal(await plaidService.verifyWebhook(body, sign()), true);
+        assert.equal(await plaidService.verifyWebhook(body, sign()), true);
+        assert.equal(keyGet.mock.calls.length, 1);
+
+        // Rotated out after it was cached: the next fetch, a few hours later, sees expired_at
+        keyGet.mock.mockImplementation(async () => ({ data: { key: { ...jwk, expired_at: 1772366400 } } }));
+        mock.timers.setTime(new Date('2026-03-01T16:00:00Z').getTime());
+
+        assert.equal(await plaidService.verifyWebhook(body, sign()), false);
+        assert.equal(keyGet.mock.calls.length, 2);
+    });
+});
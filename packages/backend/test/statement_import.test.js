@@ -0,0 +1,87 @@
+/**
+ * Statement import parsing: CSV date orders, dates that don't exist and skipped rows
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const statementImport = require('../src/services/statement_import');
+const { ValidationError } = require('../src/errors/AppError');
+
+const csv = (...lines) => ['Date,Description,Amount', ...lines].join('\n');
+
+describe('CSV dates', () => {
+    test('reads day-first dates from a column where a day is over 12', () => {
+        const { transactions, skipped } = statementImport.parseCsv(csv(
+            '03/02/2026,COFFEE,-4.50',
+            '15/02/2026,GROCERIES,-82.10'
+        ));
+
+        assert.deepEqual(transactions.map(t => t.date), ['2026-02-03', '2026-02-15']);
+        assert.deepEqual(skipped, []);
+    });
+
+    test('reads month-first dates from a column where a day is over 12', () => {
+        const { transactions } = statementImport.parseCsv(csv(
+            '02/03/2026,COFFEE,-4.50',
+            '02/15/2026,GROCERIES,-82.10'
+        ));
+
+        assert.deepEqual(transactions.map(t => t.date), ['2026-02-03', '2026-02-15']);
+    });
+
+    test('asks for the order when every date reads either way', () => {
+        const content = csv('03/02/2026,COFFEE,-4.50', '04/02/2026,GROCERIES,-82.10');
+
+        assert.throws(
+            () => statementImport.parseCsv(content),
+            error => error instanceof ValidationError && error.details.field === 'date_order'
+        );
+        assert.deepEqual(
+            statementImport.parseCsv(content, 'generic', 'DMY').transactions.map(t => t.date),
+            ['2026-02-03', '2026-02-04']
+        );
+    });
+
+    test('rejects a column that mixes both orders', () => {
+        assert.throws(
+            () => statementImport.parseCsv(csv('15/02/2026,COFFEE,-4.50', '02/20/2026,GROCERIES,-82.10')),
+            ValidationError
+        );
+    });
+
+    test('skips dates that do not exist instead of storing them', () => {
+        const { transactions, skipped } = statementImport.parseCsv([
+            '02/27/2026,COFFEE,4.50,,1000.00',
+            '02/31/2026,GROCERIES,82.10,,917.90',
+            '02/29/2026,RENT,1500.00,,-582.10',
+            '02/28/2026,PAYROLL,,2000.00,1417.90'
+        ].join('\n'), 'td');
+
+        assert.deepEqual(transactions.map(t => [t.date, t.amount]), [['2026-02-27', 4.5], ['2026-02-28', -2000]]);
+        assert.deepEqual(skipped.map(s => [s.row, s.reason]), [[2, 'invalid_date'], [3, 'invalid_date']]);
+        assert.equal(statementImport._parseDate('02/29/2028', 'MDY'), '2028-02-29');
+    });
+});
+
+describe('import summary', () => {
+    test('reports the rows that were skipped', async () => {
+        const result = await statementImport.importStatement(7, csv(
+            '15/01/2026,COFFEE,-4.50',
+            '31/04/2026,GROCERIES,-82.10',
+            '16/01/2026,LUNCH,',
+            'Total,,-86.60'
+        ), { format: 'csv', dryRun: true });
+
+        assert.equal(result.transactions.length, 1);
+        assert.equal(result.rows_skipped, 3);
+        assert.deepEqual(
+            result.skipped.map(s => [s.row, s.reason, s.text]),
+            [
+                [2, 'invalid_date', '31/04/2026,GROCERIES,-82.10'],
+                [3, 'missing_amount', '16/01/2026,LUNCH,'],
+                [4, 'invalid_date', 'Total,,-86.60']
+            ]
+        );
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Watchdog recurring-charge detection
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const watchdogService = require('../src/services/watchdog');
+
+describe('next expected charge', () => {
+    const nextDate = (lastDate, cadence, asOf) => watchdogService._nextDate(lastDate, cadence, new Date(`${asOf}T12:00:00Z`));
+
+    test('a charge on the 31st falls on the last day of shorter months', () => {
+        assert.equal(nextDate('2026-01-31', 'monthly', '2026-02-01'), '2026-02-28');
+        assert.equal(nextDate('2026-01-31', 'monthly', '2026-03-01'), '2026-03-31');
+        assert.equal(nextDate('2026-01-31', 'monthly', '2026-04-05'), '2026-04-30');
+        assert.equal(nextDate('2028-01-30', 'monthly', '2028-02-02'), '2028-02-29');
+    });
+
+    test('keeps the day of the month when it exists', () => {
+        assert.equal(nextDate('2026-01-15', 'monthly', '2026-01-20'), '2026-02-15');
+        assert.equal(nextDate('2026-12-15', 'monthly', '2026-12-20'), '2027-01-15');
+    });
+
+    test('annual charges on Feb 29 renew on Feb 28', () => {
+        assert.equal(nextDate('2024-02-29', 'annual', '2024-03-01'), '2025-02-28');
+        assert.equal(nextDate('2024-02-29', 'annual', '2027-06-01'), '2028-02-29');
+    });
+
+    test('weekly charges roll forward past today', () => {
+        assert.equal(nextDate('2026-01-01', 'weekly', '2026-01-20'), '2026-01-22');
+        assert.equal(nextDate('2026-01-01', 'weekly', '2026-01-22'), '2026-01-22');
+    });
+});
+
+describe('price increases', () => {
+    const asOf = new Date('2026-06-20T12:00:00Z');
+
+    // One charge on the 5th of each month, the last one this month
+    const monthly = (name, amounts) => amounts.map((amount, i) => {
+        const date = new Date(Date.UTC(2026, 5 - (amounts.length - 1 - i), 5));
+        return { id: `${name}-${i}`, name, amount: String(amount), date: date.toISOString().slice(0, 10) };
+    });
+    const detect = (transactions) => watchdogService.detectRecurring(transactions, asOf);
+
+    test('reports a rise after a run of identical charges', () => {
+        const [spotify] = detect(monthly('SPOTIFY', [16.49, 16.49, 16.49, 18.99, 18.99]));
+
+        assert.equal(spotify.price_increase.old_amount, 16.49);
+        assert.equal(spotify.price_increase.new_amount, 18.99);
+        assert.equal(spotify.price_increase.effective_date, '2026-05-05');
+        assert.equal(spotify.amount, 18.99);
+    });
+
+    test('keeps a merchant whose price rose by more than the amount tolerance', () => {
+        const [goodlife] = detect(monthly('GOODLIFE FITNESS', [9.99, 9.99, 9.99, 9.99, 9.99, 9.99, 16.98, 16.98]));
+
+        assert.equal(goodlife.cadence, 'monthly');
+        assert.equal(goodlife.occurrences, 8);
+        assert.equal(goodlife.amount, 16.98);
+        assert.deepEqual(
+            [goodlife.price_increase.old_amount, goodlife.price_increase.new_amount, goodlife.price_increase.effective_date],
+            [9.99, 16.98, '2026-05-05']
+        );
+    });
+
+    test('a one-off purchase at the merchant is not a price change', () => {
+        const transactions = monthly('GOODLIFE FITNESS', [9.99, 9.99, 9.99, 9.99, 9.99, 9.99]);
+        transactions.push({ id: 'pt', name: 'GOODLIFE FITNESS', amount: '60.00', date: '2026-06-12' });
+
+        const [goodlife] = detect(transactions);
+
+        assert.equal(goodlife.occurrences, 6);
+        assert.equal(goodlife.amount, 9.99);
+        assert.equal(goodlife.price_increase, null);
+    });
+
+    test('a bill that varies is not reported as an increase', () => {
+        const [bill] = detect(monthly('CLOUD BACKUP', [41.12, 43.40, 40.98, 42.55, 41.00, 46.03]));
+        assert.equal(bill.category, 'Other');
+        assert.equal(bill.price_increase, null);
+    });
+
+    test('utilities never report an increase', () => {
+        const [hydro] = detect(monthly('TORONTO HYDRO', [78.12, 81.40, 79.12, 84.55, 81.00, 86.03]));
+        assert.equal(hydro.category, 'Utilities');
+        assert.equal(hydro.price_increase, null);
+
+        const [rogers] = detect(monthly('ROGERS', [95, 95, 95, 105, 105]));
+        assert.equal(rogers.price_increase, null);
+        assert.equal(rogers.amount, 99);
+    });
+});
@@ -56,6 +56,7 @@ const AnalyticsScreen = ({ navigation }) => {
     const [categoryTransactions, setCategoryTransactions] = useState([]);
     const [loadingTransactions, setLoadingTransactions] = useState(false);
     const [accounts, setAccounts] = useState([]);
+    const [backfill, setBackfill] = useState(null);
 
     // Account colors for transaction color coding
     const ACCOUNT_COLORS = {
@@ -74,10 +75,11 @@ const AnalyticsScreen = ({ navigation }) => {
                 await api.getTransactions('?refresh=true&limit=100');
             }
 
-            // Fetch both analytics and accounts in parallel
-            const [analyticsData, accountsData] = await Promise.all([
+            // Fetch analytics, accounts and history import progress in parallel
+            const [analyticsData, accountsData, backfillData] = await Promise.all([
                 api.getAnalytics(selectedPeriod, forceRefresh),
-                api.getAccounts()
+                api.getAccounts(),
+                api.getBackfillStatus().catch(() => null)
             ]);
 
             if (analyticsData?.success) {
@@ -86,6 +88,9 @@ const AnalyticsScreen = ({ navigation }) => {
             if (accountsData?.success && accountsData?.accounts) {
                 setAccounts(accountsData.accounts);
             }
+            if (backfillData?.success) {
+                setBackfill(backfillData.backfill);
+            }
         } catch (err) {
             console.error('Error fetching analytics:', err);
         } finally {
@@ -678,6 +683,21 @@ const AnalyticsScreen = ({ navigation }) => {
         );
     };
 
+    // History Import Banner (shown while the first-link backfill is still loading)
+    const BackfillBanner = () => {
+        if (!backfill || backfill.status !== 'running') return null;
+
+        return (
+            <View style={styles.insightFooter}>
+                <Text style={styles.insightLabel}>IMPORTING HISTORY</Text>
+                <Text style={styles.insightText}>
+                    Loaded {backfill.months_loaded} of {backfill.months_requested} months of transactions
+                    ({backfill.progress_percent}%). Trends will fill in as more history arrives.
+                </Text>
+            </View>
+        );
+    };
+
     // AI Tip Card (Floating Gold Card)
     const AiTipCard = () => {
         const aiTip = analytics?.aiTip;
@@ -826,6 +846,7 @@ const AnalyticsScreen = ({ navigation }) => {
                 }
             >
                 <TimePeriodToggle />
+                <BackfillBanner />
                 <NetWorthCard />
                 <BurnRateCard />
                 <CategoryBreakdownCard />
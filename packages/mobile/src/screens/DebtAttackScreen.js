@@ -27,6 +27,7 @@ const DEFAULT_APRS = {
     line_of_credit: 11.00,
     personal_loan: 10.00,
     student_loan: 6.00,
+    mortgage: 5.00,
     other: 15.00
 };
 
@@ -35,9 +36,17 @@ const DEBT_TYPES = [
     { key: 'line_of_credit', label: 'Line of Credit', icon: 'trending-up' },
     { key: 'personal_loan', label: 'Personal Loan', icon: 'cash' },
     { key: 'student_loan', label: 'Student Loan', icon: 'school' },
+    { key: 'mortgage', label: 'Mortgage', icon: 'home' },
     { key: 'other', label: 'Other', icon: 'ellipsis-horizontal' },
 ];
 
+// YYYY-MM → "March 2027", as a local date (a bare YYYY-MM-DD string is parsed as UTC midnight,
+// which is still the previous month west of Greenwich)
+const formatMonth = (yearMonth) => {
+    const [year, month] = yearMonth.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+};
+
 const DebtAttackScreen = () => {
     const [extraPayment, setExtraPayment] = useState(0);
     const [strategy, setStrategy] = useState('snowball');
@@ -61,6 +70,9 @@ const DebtAttackScreen = () => {
     const [linkedAccounts, setLinkedAccounts] = useState([]);
     const [customPaymentModalVisible, setCustomPaymentModalVisible] = useState(false);
     const [customPaymentValue, setCustomPaymentValue] = useState('');
+    const [targetDateModalVisible, setTargetDateModalVisible] = useState(false);
+    const [targetDateValue, setTargetDateValue] = useState('');
+    const [goalTarget, setGoalTarget] = useState(null); // YYYY-MM the slider was solved for
 
     // Custom Alert state
     const [alertVisible, setAlertVisible] = useState(false);
@@ -158,6 +170,32 @@ const DebtAttackScreen = () => {
         }
     };
 
+    // Set the slider to the smallest extra payment that reaches a debt-free month
+    const handleTargetDate = async () => {
+        const target = targetDateValue.trim();
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(target)) {
+            showAlert('Invalid Date', 'Enter the target month as YYYY-MM, e.g. 2028-12.');
+            return;
+        }
+
+        setTargetDateModalVisible(false);
+        setCalculating(true);
+        try {
+            const data = await api.solveDebtGoal({ target_date: target }, strategy, rawLiabilities, customDebts);
+            if (data?.success) {
+                const value = Math.ceil(data.goal.extra_payment);
+                setGoalTarget(target);
+                setExtraPayment(value);
+                await handleSliderChange(value);
+            }
+        } catch (err) {
+            console.error('Error solving debt goal:', err);
+            showAlert('Goal Not Available', err.parsedError?.message || 'Could not calculate a payment for that date.');
+        } finally {
+            setCalculating(false);
+        }
+    };
+
     // Open add modal
     const openAddModal = () => {
         setFormName('');
@@ -374,7 +412,7 @@ const DebtAttackScreen = () => {
         const statusQuo = analysis.strategies.status_quo;
 
         const payoffDate = strategyData?.payoff_date
-            ? new Date(strategyData.payoff_date + '-01').toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+            ? formatMonth(strategyData.payoff_date)
             : 'N/A';
 
         const interestSavedKey = strategy === 'snowball'
@@ -688,6 +726,16 @@ const DebtAttackScreen = () => {
                             <Ionicons name="pencil" size={14} color={COLORS.GOLD} />
                             <Text style={styles.customPaymentButtonText}>Custom</Text>
                         </TouchableOpacity>
+                        <TouchableOpacity
+                            style={styles.customPaymentButton}
+                            onPress={() => {
+                                setTargetDateValue(goalTarget || '');
+                                setTargetDateModalVisible(true);
+                            }}
+                        >
+                            <Ionicons name="flag" size={14} color={COLORS.GOLD} />
+                            <Text style={styles.customPaymentButtonText}>Target</Text>
+                        </TouchableOpacity>
                         <Text style={styles.totalPayment}>Total: ${Math.round(totalPayment)}/mo</Text>
                     </View>
                     <Slider
@@ -696,7 +744,10 @@ const DebtAttackScreen = () => {
                         maximumValue={5000}
                         step={100}
                         value={extraPayment > 5000 ? 5000 : extraPayment}
-                        onSlidingComplete={handleSliderChange}
+                        onSlidingComplete={(value) => {
+                            setGoalTarget(null);
+                            handleSliderChange(value);
+                        }}
                         onValueChange={setExtraPayment}
                         minimumTrackTintColor="#3B82F6"
                         maximumTrackTintColor={COLORS.CARD_BORDER}
@@ -706,6 +757,12 @@ const DebtAttackScreen = () => {
                         <Text style={styles.sliderLabelText}>+$0</Text>
                         <Text style={styles.sliderLabelText}>+$5,000</Text>
                     </View>
+                    {goalTarget && (
+                        <Text style={styles.goalTargetText}>
+                            Smallest extra payment to be debt-free by{' '}
+                            {formatMonth(goalTarget)}
+                        </Text>
+                    )}
                 </View>
 
                 {/* Payment Trend Chart */}
@@ -1006,6 +1063,7 @@ const DebtAttackScreen = () => {
                                 style={styles.customPaymentApplyButton}
                                 onPress={() => {
                                     const value = parseInt(customPaymentValue) || 0;
+                                    setGoalTarget(null);
                                     setExtraPayment(value);
                                     handleSliderChange(value);
                                     setCustomPaymentModalVisible(false);
@@ -1018,6 +1076,52 @@ const DebtAttackScreen = () => {
                 </KeyboardAvoidingView>
             </Modal>
 
+            {/* Target Date Modal */}
+            <Modal
+                visible={targetDateModalVisible}
+                animationType="fade"
+                transparent={true}
+                onRequestClose={() => setTargetDateModalVisible(false)}
+            >
+                <KeyboardAvoidingView
+                    behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+                    style={styles.customPaymentModalOverlay}
+                >
+                    <View style={styles.customPaymentModalContent}>
+                        <Text style={styles.customPaymentModalTitle}>Debt-Free Target</Text>
+                        <Text style={styles.customPaymentModalSubtitle}>
+                            When do you want to be debt-free? We'll find the extra payment you need.
+                        </Text>
+                        <View style={styles.customPaymentInputContainer}>
+                            <Ionicons name="flag" size={22} color={COLORS.GOLD} style={styles.goalTargetIcon} />
+                            <TextInput
+                                style={styles.customPaymentInput}
+                                value={targetDateValue}
+                                onChangeText={setTargetDateValue}
+                                placeholder="YYYY-MM"
+                                placeholderTextColor={COLORS.TEXT_MUTED}
+                                autoCapitalize="none"
+                                autoFocus
+                            />
+                        </View>
+                        <View style={styles.customPaymentActions}>
+                            <TouchableOpacity
+                                style={styles.customPaymentCancelButton}
+                                onPress={() => setTargetDateModalVisible(false)}
+                            >
+                                <Text style={styles.customPaymentCancelText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={styles.customPaymentApplyButton}
+                                onPress={handleTargetDate}
+                            >
+                                <Text style={styles.customPaymentApplyText}>Solve</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </KeyboardAvoidingView>
+            </Modal>
+
             {/* Custom Alert */}
             <CustomAlert
                 visible={alertVisible}
@@ -1242,6 +1346,15 @@ const styles = StyleSheet.create({
         color: COLORS.TEXT_MUTED,
         fontSize: 12,
     },
+    goalTargetIcon: {
+        marginRight: SPACING.SMALL,
+    },
+    goalTargetText: {
+        color: COLORS.GOLD,
+        fontSize: 12,
+        textAlign: 'center',
+        marginTop: SPACING.SMALL,
+    },
 
     // Strategy Section
     strategySection: {
@@ -18,11 +18,14 @@ const CATEGORIES = [
     { id: 'all', name: 'All', icon: null },
     { id: 'streaming', name: 'Streaming', icon: 'tv' },
     { id: 'utilities', name: 'Utilities', icon: 'flash' },
+    { id: 'health', name: 'Health', icon: 'medkit' },
     { id: 'other', name: 'Other', icon: 'construct' },
 ];
 
 const WatchdogScreen = () => {
     const [expenses, setExpenses] = useState([]);
+    const [duplicates, setDuplicates] = useState([]);
+    const [trials, setTrials] = useState([]);
     const [selectedCategory, setSelectedCategory] = useState('all');
     const [flagsFound, setFlagsFound] = useState(0);
     const [potentialSavings, setPotentialSavings] = useState(0);
@@ -37,6 +40,8 @@ const WatchdogScreen = () => {
 
             if (data?.success) {
                 setExpenses(data.expenses || []);
+                setDuplicates(data.duplicates || []);
+                setTrials((data.trials || []).filter(t => t.status === 'trialing'));
                 setPotentialSavings(data.analysis?.potential_savings || 0);
                 setFlagsFound(data.analysis?.flags_found || 0);
             }
@@ -68,6 +73,24 @@ const WatchdogScreen = () => {
         }
     };
 
+    const handleDuplicateAction = async (flagId, action) => {
+        try {
+            await api.handleDuplicateAction(flagId, action);
+            fetchData();
+        } catch (err) {
+            console.error('Error processing duplicate action:', err);
+        }
+    };
+
+    const handleTrialAction = async (trialId, action) => {
+        try {
+            await api.handleTrialAction(trialId, action);
+            fetchData();
+        } catch (err) {
+            console.error('Error processing trial action:', err);
+        }
+    };
+
     const filteredExpenses = selectedCategory === 'all'
         ? expenses
         : expenses.filter(e => e.category.toLowerCase().includes(selectedCategory));
@@ -101,6 +124,26 @@ const WatchdogScreen = () => {
                             <Text style={styles.activeText}>Active</Text>
                         </View>
                     );
+                case 'cancelling':
+                    return (
+                        <TouchableOpacity
+                            style={styles.activeButton}
+                            onPress={() => handleAction(item.id, 'cancelled')}
+                        >
+                            <Ionicons name="time-outline" size={14} color={COLORS.TEXT_SECONDARY} />
+                            <Text style={styles.statusText}>Cancelling</Text>
+                        </TouchableOpacity>
+                    );
+                case 'cancelled':
+                case 'negotiated':
+                case 'ignored':
+                    return (
+                        <View style={styles.activeButton}>
+                            <Text style={styles.statusText}>
+                                {item.action.charAt(0).toUpperCase() + item.action.slice(1)}
+                            </Text>
+                        </View>
+                    );
                 default:
                     return null;
             }
@@ -243,6 +286,86 @@ const WatchdogScreen = () => {
                     </View>
                 )}
 
+                {/* Possible Double Charges */}
+                {duplicates.length > 0 && (
+                    <View style={styles.expensesSection}>
+                        <View style={styles.sectionHeader}>
+                            <Text style={styles.sectionTitle}>Possible Double Charges</Text>
+                        </View>
+
+                        {duplicates.map(item => (
+                            <View key={`dup-${item.id}`} style={styles.expenseItem}>
+                                <View style={[styles.expenseLogo, { backgroundColor: '#EF444420' }]}>
+                                    <Ionicons name="copy-outline" size={20} color="#EF4444" />
+                                </View>
+                                <View style={styles.expenseContent}>
+                                    <View style={styles.expenseRow}>
+                                        <Text style={styles.expenseName} numberOfLines={1}>{item.name}</Text>
+                                        <Text style={styles.expenseAmount}>${item.amount.toFixed(2)}</Text>
+                                    </View>
+                                    <View style={styles.expenseRow}>
+                                        <Text style={styles.expenseDetails}>
+                                            Charged {item.original_date} & {item.duplicate_date}
+                                        </Text>
+                                        {item.action === 'dispute' ? (
+                                            <TouchableOpacity
+                                                style={styles.stopButton}
+                                                onPress={() => handleDuplicateAction(item.id, 'dispute')}
+                                            >
+                                                <Ionicons name="alert-circle" size={14} color="#EF4444" />
+                                                <Text style={styles.stopText}>Dispute</Text>
+                                            </TouchableOpacity>
+                                        ) : (
+                                            <View style={styles.activeButton}>
+                                                <Text style={styles.statusText}>Disputed</Text>
+                                            </View>
+                                        )}
+                                    </View>
+                                </View>
+                            </View>
+                        ))}
+                    </View>
+                )}
+
+                {/* Free Trials Ending Soon */}
+                {trials.length > 0 && (
+                    <View style={styles.expensesSection}>
+                        <View style={styles.sectionHeader}>
+                            <Text style={styles.sectionTitle}>Free Trials</Text>
+                        </View>
+
+                        {trials.map(item => (
+                            <View key={`trial-${item.id}`} style={styles.expenseItem}>
+                                <View style={[styles.expenseLogo, { backgroundColor: item.warning ? '#F59E0B20' : '#3B82F620' }]}>
+                                    <Ionicons name="hourglass-outline" size={20} color={item.warning ? '#F59E0B' : '#3B82F6'} />
+                                </View>
+                                <View style={styles.expenseContent}>
+                                    <View style={styles.expenseRow}>
+                                        <Text style={styles.expenseName} numberOfLines={1}>{item.name}</Text>
+                                        <Text style={styles.expenseAmount}>
+                                            {item.expected_amount !== null ? `$${item.expected_amount.toFixed(2)}` : '—'}
+                                        </Text>
+                                    </View>
+                                    <View style={styles.expenseRow}>
+                                        <Text style={styles.expenseDetails}>
+                                            {item.days_until_conversion > 0
+                                                ? `Converts ${item.dueDate} (${item.days_until_conversion}d)`
+                                                : `Converts ${item.dueDate}`}
+                                        </Text>
+                                        <TouchableOpacity
+                                            style={styles.stopButton}
+                                            onPress={() => handleTrialAction(item.id, 'cancel')}
+                                        >
+                                            <Ionicons name="close-circle" size={14} color="#EF4444" />
+                                            <Text style={styles.stopText}>Cancelled</Text>
+                                        </TouchableOpacity>
+                                    </View>
+                                </View>
+                            </View>
+                        ))}
+                    </View>
+                )}
+
                 {/* Recurring Expenses */}
                 <View style={styles.expensesSection}>
                     <View style={styles.sectionHeader}>
@@ -518,6 +641,11 @@ const styles = StyleSheet.create({
         fontSize: 12,
         marginLeft: 4,
     },
+    statusText: {
+        color: COLORS.TEXT_SECONDARY,
+        fontSize: 12,
+        marginLeft: 4,
+    },
 
     // Empty State
     emptyState: {
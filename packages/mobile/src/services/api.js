@@ -176,8 +176,8 @@ const apiRequest = async (endpoint, options = {}) => {
         }
 
         const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            headers,
             ...options,
+            headers,
         });
 
         // Parse response
@@ -294,10 +294,39 @@ export const api = {
             body: JSON.stringify({ alias }),
         }),
 
+    // Manual accounts & assets (cash, vehicle, property, pension, crypto wallet)
+    getManualAccountKinds: () => apiRequest('/accounts/manual/kinds'),
+
+    // account: { name, kind, balance, as_of? }
+    createManualAccount: (account) =>
+        apiRequest('/accounts/manual', {
+            method: 'POST',
+            body: JSON.stringify(account),
+        }),
+
+    // changes: { name?, balance?, as_of?, note? }
+    updateManualAccount: (accountId, changes) =>
+        apiRequest(`/accounts/manual/${accountId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
+        }),
+
+    getManualAccountHistory: (accountId, days) =>
+        apiRequest(`/accounts/manual/${accountId}/history${days ? `?days=${days}` : ''}`),
+
+    deleteManualAccount: (accountId) => apiRequest(`/accounts/manual/${accountId}`, { method: 'DELETE' }),
+
     // Transactions (includes watchdog analysis)
     // Pass ?refresh=true to force sync from Plaid
     getTransactions: (queryParams = '') => apiRequest(`/transactions${queryParams}`),
 
+    // edits: { category?, notes? } - null clears the user's edit
+    updateTransaction: (transactionId, edits) =>
+        apiRequest(`/transactions/${transactionId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(edits),
+        }),
+
     // Watchdog - Recurring Expenses
     getWatchdogAnalysis: () => apiRequest('/watchdog'),
 
@@ -307,19 +336,148 @@ export const api = {
             body: JSON.stringify({ expenseId, action }),
         }),
 
+    getExpenseHistory: (expenseId) => apiRequest(`/watchdog/${expenseId}/history`),
+
+    handleDuplicateAction: (flagId, action) =>
+        apiRequest(`/watchdog/duplicates/${flagId}/action`, {
+            method: 'POST',
+            body: JSON.stringify({ action }),
+        }),
+
+    registerFreeTrial: (trial) =>
+        apiRequest('/watchdog/trials', {
+            method: 'POST',
+            body: JSON.stringify(trial),
+        }),
+
+    handleTrialAction: (trialId, action) =>
+        apiRequest(`/watchdog/trials/${trialId}/action`, {
+            method: 'POST',
+            body: JSON.stringify({ action }),
+        }),
+
     // Debt
     getDebtOverview: () => apiRequest('/debt'),
 
-    calculateDebt: (extraPayment, liabilities, customDebts) =>
+    // options: { strategies, payoff_order, hybrid_threshold, snowflakes, snowflake_base }
+    calculateDebt: (extraPayment, liabilities, customDebts, prepaymentPrivileges, options = {}) =>
         apiRequest('/debt/calculate', {
             method: 'POST',
             body: JSON.stringify({
+                ...options,
                 extra_payment: extraPayment,
                 liabilities,
+                custom_debts: customDebts,
+                prepayment_privileges: prepaymentPrivileges
+            }),
+        }),
+
+    // Month-by-month balances per debt for each strategy (balance-over-time charts)
+    getDebtSchedule: (extraPayment, liabilities, customDebts, strategies, options = {}) =>
+        apiRequest('/debt/schedule', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...options,
+                extra_payment: extraPayment,
+                liabilities,
+                custom_debts: customDebts,
+                strategies
+            }),
+        }),
+
+    // Goal-seek: { target_date: 'YYYY-MM' } → required extra payment, or { monthly_budget } → earliest date
+    solveDebtGoal: (goal, strategy, liabilities, customDebts) =>
+        apiRequest('/debt/goal-seek', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...goal,
+                strategy,
+                liabilities,
+                custom_debts: customDebts
+            }),
+        }),
+
+    // offer: { promo_apr, promo_months, fee_percent, fee_minimum, regular_apr, deferred_interest }
+    compareBalanceTransfer: (debtId, offer, { amount, monthlyPayment } = {}) =>
+        apiRequest('/debt/balance-transfer', {
+            method: 'POST',
+            body: JSON.stringify({
+                debt_id: debtId,
+                offer,
+                amount,
+                monthly_payment: monthlyPayment
+            }),
+        }),
+
+    // offers: [{ name, apr, term_months, fee_percent, fee, fee_financed }]
+    compareConsolidation: (debtIds, offers, extraPayment) =>
+        apiRequest('/debt/consolidation', {
+            method: 'POST',
+            body: JSON.stringify({
+                debt_ids: debtIds,
+                offers,
+                extra_payment: extraPayment
+            }),
+        }),
+
+    // Balance history, actual vs planned trajectory and milestones
+    getDebtProgress: ({ days, strategy, extraPayment } = {}) => {
+        const params = new URLSearchParams();
+        if (days) params.set('days', days);
+        if (strategy) params.set('strategy', strategy);
+        if (extraPayment) params.set('extra_payment', extraPayment);
+        const query = params.toString();
+        return apiRequest(`/debt/progress${query ? `?${query}` : ''}`);
+    },
+
+    // Saved payoff plans
+    getDebtPlans: () => apiRequest('/debt/plans'),
+
+    // plan: { name, strategy, extra_payment, start_month, payment_day, payoff_order, snowflakes, ... }
+    saveDebtPlan: (plan, liabilities, customDebts) =>
+        apiRequest('/debt/plans', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...plan,
+                liabilities,
                 custom_debts: customDebts
             }),
         }),
 
+    activateDebtPlan: (planId) =>
+        apiRequest(`/debt/plans/${planId}/activate`, {
+            method: 'POST',
+        }),
+
+    deleteDebtPlan: (planId) =>
+        apiRequest(`/debt/plans/${planId}`, {
+            method: 'DELETE',
+        }),
+
+    getDebtPlanChecklist: (planId, { from, to } = {}) => {
+        const params = new URLSearchParams();
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        const query = params.toString();
+        return apiRequest(`/debt/plans/${planId}/checklist${query ? `?${query}` : ''}`);
+    },
+
+    // Mark a planned payment done ({ paidAmount, paidOn } optional) or not done
+    markDebtPlanPayment: (planId, month, debtId, done, { paidAmount, paidOn } = {}) =>
+        apiRequest(`/debt/plans/${planId}/payments`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                month,
+                debt_id: debtId,
+                done,
+                paid_amount: paidAmount,
+                paid_on: paidOn
+            }),
+        }),
+
+    // Subscribable iCalendar feed URL for a plan (plan.calendar_path from the API)
+    getDebtPlanCalendarUrl: (plan) => `${API_BASE_URL}${plan.calendar_path}`,
+
     // Custom Debts CRUD
     addCustomDebt: (debt) =>
         apiRequest('/debt/custom', {
@@ -346,15 +504,25 @@ export const api = {
         }),
 
     // Plaid Link
-    createLinkToken: () => apiRequest('/plaid/create_link_token', { method: 'POST' }),
+    // provider: 'plaid' (default) or 'flinks' - Flinks returns a Connect URL instead of a link token
+    createLinkToken: (provider) =>
+        apiRequest('/plaid/create_link_token', {
+            method: 'POST',
+            body: JSON.stringify(provider ? { provider } : {}),
+        }),
 
     // Plaid Link Update Mode (for re-authentication)
-    createUpdateLinkToken: () => apiRequest('/plaid/create_update_link_token', { method: 'POST' }),
+    createUpdateLinkToken: (itemId) =>
+        apiRequest('/plaid/create_update_link_token', {
+            method: 'POST',
+            body: JSON.stringify(itemId ? { item_id: itemId } : {}),
+        }),
 
-    exchangePublicToken: (publicToken) =>
+    // For Flinks, publicToken is the loginId returned by Flinks Connect
+    exchangePublicToken: (publicToken, provider) =>
         apiRequest('/plaid/exchange_public_token', {
             method: 'POST',
-            body: JSON.stringify({ public_token: publicToken }),
+            body: JSON.stringify({ public_token: publicToken, ...(provider && { provider }) }),
         }),
 
     saveBankConnection: (accessToken, itemId) =>
@@ -363,10 +531,51 @@ export const api = {
             body: JSON.stringify({ access_token: accessToken, item_id: itemId }),
         }),
 
+    getBackfillStatus: () => apiRequest('/plaid/backfill_status'),
+
+    getPlaidStatus: () => apiRequest('/plaid/status'),
+
+    restartBackfill: () => apiRequest('/plaid/backfill', { method: 'POST' }),
+
     disconnectBank: () => apiRequest('/plaid/disconnect', { method: 'DELETE' }),
 
+    // Disconnect a single linked bank (Plaid item) and its accounts
+    disconnectItem: (itemId) => apiRequest(`/plaid/disconnect/${itemId}`, { method: 'DELETE' }),
+
     disconnectAccount: (accountId) => apiRequest(`/plaid/account/${accountId}`, { method: 'DELETE' }),
 
+    // Statement imports (CSV/OFX/QFX for banks that can't be linked)
+    getImportPresets: () => apiRequest('/imports/presets'),
+
+    getImports: () => apiRequest('/imports'),
+
+    // options: { format, preset, dateOrder, accountId, accountName, accountType, filename, dryRun }
+    importStatement: (content, options = {}) => {
+        const params = new URLSearchParams();
+        if (options.format) params.set('format', options.format);
+        if (options.preset) params.set('preset', options.preset);
+        if (options.dateOrder) params.set('date_order', options.dateOrder);
+        if (options.accountId) params.set('account_id', options.accountId);
+        if (options.accountName) params.set('account_name', options.accountName);
+        if (options.accountType) params.set('account_type', options.accountType);
+        if (options.filename) params.set('filename', options.filename);
+        if (options.dryRun) params.set('dry_run', 'true');
+
+        return apiRequest(`/imports?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: content,
+        });
+    },
+
+    deleteImport: (importId) => apiRequest(`/imports/${importId}`, { method: 'DELETE' }),
+
+    // Investments (holdings, cost basis, gains, allocation)
+    getInvestments: (forceRefresh = false) =>
+        apiRequest(`/investments${forceRefresh ? '?refresh=true' : ''}`),
+
+    getInvestmentTransactions: (days = 90) => apiRequest(`/investments/transactions?days=${days}`),
+
     // Analytics
     getAnalytics: (period = 30, forceRefresh = false) =>
         apiRequest(`/analytics?period=${period}${forceRefresh ? '&refresh=true' : ''}`),